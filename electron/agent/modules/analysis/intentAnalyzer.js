@@ -63,10 +63,30 @@ class IntentAnalyzer {
   - "新建一个章节"
   - "开始写第一章"
 
+## 5. 规划（PLAN）
+- 用户想要规划大纲或后续剧情安排，不需要正文
+- 示例："规划接下来十章的大纲"
+
+## 6. 总结（SUMMARIZE）
+- 用户想要总结、概括已有章节或剧情
+- 示例："总结一下前五章"、"第3章讲了什么"
+
+## 7. 头脑风暴（BRAINSTORM）
+- 用户想要点子、情节走向、创意，不需要成文的章节
+- 示例："接下来反派可以怎么出场"、"给我几个转折的点子"
+
+## 8. 人物小传（CHARACTER_PROFILE）
+- 用户想要人物小传、人物档案等设定资料，而不是章节正文
+- 示例："写个林风的人物小传"
+
+⚠️ 询问语气要按真实目的判断："帮我看看第三章有没有修改的必要" 是校验（CHECK），不是重写。
+
 # 输出格式
 <json>
 {
-  "intent_type": "CONTINUE" | "REWRITE" | "CHECK" | "CREATE",
+  "intent_type": "CONTINUE" | "REWRITE" | "CHECK" | "CREATE" | "PLAN" | "SUMMARIZE" | "BRAINSTORM" | "CHARACTER_PROFILE",
+  "confidence": 对意图判断的把握（0~1）,
+  "clarification_question": "把握不足（confidence < 0.6）时向用户确认意图的问题，否则为 null",
   "target_chapter": 章节号（数字，如果没有则为 null）,
   "target_file": "文件名（如果有 @文件名 引用）",
   "operation_scope": "full" | "partial",
@@ -86,7 +106,7 @@ class IntentAnalyzer {
 </json>
 
 # 关键规则
-1. **准确识别意图**：仔细分析用户需求，区分续写、重写、校验、创建
+1. **准确识别意图**：仔细分析用户需求，区分续写、重写、校验、创建、规划、总结、头脑风暴、人物小传；拿不准时降低 confidence 并给出 clarification_question
 2. **提取目标信息**：准确提取章节号、文件名等目标信息
 3. **规划执行流程**：根据意图类型规划合理的执行步骤
 4. **明确约束条件**：识别用户明确要求的操作和禁止的操作
@@ -97,6 +117,8 @@ class IntentAnalyzer {
 <json>
 {
   "intent_type": "CONTINUE",
+  "confidence": 0.95,
+  "clarification_question": null,
   "target_chapter": 11,
   "target_file": null,
   "operation_scope": "full",
@@ -119,6 +141,8 @@ class IntentAnalyzer {
 <json>
 {
   "intent_type": "REWRITE",
+  "confidence": 0.95,
+  "clarification_question": null,
   "target_chapter": 5,
   "target_file": "第005章.txt",
   "operation_scope": "partial",
@@ -141,6 +165,8 @@ class IntentAnalyzer {
 <json>
 {
   "intent_type": "CHECK",
+  "confidence": 0.95,
+  "clarification_question": null,
   "target_chapter": 10,
   "target_file": "第010章.txt",
   "operation_scope": "full",
@@ -222,7 +248,7 @@ class IntentAnalyzer {
       prompt += `# 章节信息\n检测到章节号：第${chapterMatch[1]}章\n\n`;
     }
 
-    prompt += `# 任务\n请分析用户的真实意图，识别是续写、重写、校验还是创建，并规划执行流程。返回纯 JSON 格式。`;
+    prompt += `# 任务\n请分析用户的真实意图（续写、重写、校验、创建、规划、总结、头脑风暴或人物小传），给出判断的把握，并规划执行流程。返回纯 JSON 格式。`;
 
     return prompt;
   }
@@ -261,7 +287,7 @@ class IntentAnalyzer {
     }
 
     // 验证意图类型
-    const validTypes = ['CONTINUE', 'REWRITE', 'CHECK', 'CREATE'];
+    const validTypes = ['CONTINUE', 'REWRITE', 'CHECK', 'CREATE', 'PLAN', 'SUMMARIZE', 'BRAINSTORM', 'CHARACTER_PROFILE'];
     if (!validTypes.includes(intent.intent_type)) {
       throw new Error(`无效的意图类型: ${intent.intent_type}`);
     }
@@ -335,7 +361,9 @@ class IntentAnalyzer {
         needs_context_analysis: true,
         needs_consistency_check: true
       },
-      reasoning: `基于关键词匹配，识别为${intentType}操作`
+      reasoning: `基于关键词匹配，识别为${intentType}操作`,
+      confidence: 0.3,
+      fallback: true // LLM 分析失败，Router 会改用自己的快速路径结果
     };
   }
 }
@@ -760,7 +760,7 @@ ${newChapterText.substring(0, 2000)}${newChapterText.length > 2000 ? '\n\n[文
 
       // 3. 过滤状态规则相关的错误
       const stateRuleErrors = ruleErrors.filter(
-        e => e.scope === 'CHARACTER' && (e.type === 'STATE_RULE' || e.type === 'TRAIT_RULE')
+        e => e.scope === 'CHARACTER' && ['STATE_RULE', 'TRAIT_RULE'].includes(e.rule_type || e.type)
       );
 
       // 4. 转换为连贯性问题
@@ -771,7 +771,8 @@ ${newChapterText.substring(0, 2000)}${newChapterText.length > 2000 ? '\n\n[文
           message: error.message,
           suggestion: error.suggestion,
           rule_id: error.rule_id,
-          rule_name: error.rule_name
+          rule_name: error.rule_name,
+          rule_pack: error.pack
         });
       }
 
@@ -13,9 +13,10 @@ const { safeParseJSON } = require('../../../utils/jsonParser');
 const EventExtractor = require('../analysis/eventExtractor');
 
 class ConsistencyChecker {
-  constructor(ruleEngine, memoryManager = null) {
+  constructor(ruleEngine, memoryManager = null, conditionEvaluator = null) {
     this.ruleEngine = ruleEngine; // DSL 规则引擎
     this.memoryManager = memoryManager; // 记忆管理器
+    this.conditionEvaluator = conditionEvaluator; // 条件规则本地判定
     this.eventExtractor = new EventExtractor();
     this.systemPrompt = this.buildSystemPrompt();
   }
@@ -127,51 +128,47 @@ class ConsistencyChecker {
       // 1. 从记忆系统获取数据
       const memoryData = await this.getMemoryData();
 
-      // 2. 使用 LLM 进行统一校验
-      const checkResult = await this.checkWithLLM(text, intent, context, memoryData, llmCaller);
+      // 2. 条件规则本地判定（确定的违规不交给 LLM）
+      const conditionViolations = this.conditionEvaluator ? this.conditionEvaluator.evaluate(text) : [];
+      if (conditionViolations.length > 0) {
+        console.log(`   条件规则发现 ${conditionViolations.length} 个问题`);
+      }
+
+      // 3. 使用 LLM 进行统一校验
+      const llmResult = await this.checkWithLLM(text, intent, context, memoryData, llmCaller);
 
-      // 3. 如果有规则引擎，也检查规则（可选）
-      if (this.ruleEngine && this.ruleEngine.llmCaller) {
+      // 4. 如果有规则引擎，也检查规则（语义规则需要 LLM 调用器，未设置时只做本地求值）
+      const ruleViolations = [];
+      if (this.ruleEngine) {
         try {
-          const ruleViolations = await this.ruleEngine.checkRules({
+          // 快速抽取事件和状态迁移，供事件规则（如 NO_TIME_REVERSAL）和状态规则（如 NO_REVIVE）求值
+          const extracted = this.eventExtractor.quickExtract(text);
+          const violations = await this.ruleEngine.checkRules({
             text,
             intent,
             context: { ...context, ...memoryData },
-            events: [],
-            stateTransitions: []
+            events: extracted.events,
+            stateTransitions: extracted.state_transitions
           });
-          
-          // 合并规则引擎的问题
-          if (ruleViolations && ruleViolations.length > 0) {
-            for (const violation of ruleViolations) {
-              checkResult.errors.push({
-                type: violation.type || 'rule_violation',
-                severity: this.mapLevelToSeverity(violation.level),
-                location: '文本中',
-                message: violation.message,
-                suggestion: violation.suggestion || '请检查并修正',
-                rule_id: violation.rule_id
-              });
-            }
+
+          for (const violation of violations || []) {
+            ruleViolations.push({
+              type: violation.type || 'rule_violation',
+              severity: this.mapLevelToSeverity(violation.level),
+              location: '文本中',
+              message: violation.message,
+              suggestion: violation.suggestion || '请检查并修正',
+              rule_id: violation.rule_id,
+              rule_pack: violation.pack
+            });
           }
         } catch (error) {
           console.warn('规则引擎检查失败:', error.message);
         }
       }
 
-      // 4. 计算最终状态和评分
-      const hasCritical = checkResult.errors.some(e => e.severity === 'critical' || e.severity === 'high');
-      checkResult.status = hasCritical ? 'fail' : 'pass';
-      
-      // 计算评分
-      let score = 100;
-      for (const error of checkResult.errors) {
-        if (error.severity === 'critical') score -= 20;
-        else if (error.severity === 'high') score -= 10;
-        else if (error.severity === 'medium') score -= 5;
-        else score -= 2;
-      }
-      checkResult.overall_score = Math.max(0, score);
+      // 5. 合并结果，计算最终状态和评分
+      const checkResult = this.mergeResults([...conditionViolations, ...ruleViolations], llmResult);
 
       console.log(`✅ 一致性校验完成 - 状态: ${checkResult.status}, 评分: ${checkResult.overall_score}`);
       console.log(`   发现 ${checkResult.errors.length} 个问题`);
@@ -448,12 +445,12 @@ class ConsistencyChecker {
       ...llmResult.errors
     ];
 
-    // 去重（基于 message）
+    // 去重（基于 message；带偏移量的问题同一处只保留一条）
     const uniqueErrors = [];
     const seen = new Set();
     
     for (const error of allErrors) {
-      const key = error.message;
+      const key = error.offset ? `${error.message}@${error.offset.start}` : error.message;
       if (!seen.has(key)) {
         seen.add(key);
         uniqueErrors.push(error);
@@ -470,11 +467,13 @@ class ConsistencyChecker {
     const criticalCount = uniqueErrors.filter(e => e.severity === 'critical').length;
     const highCount = uniqueErrors.filter(e => e.severity === 'high').length;
     const mediumCount = uniqueErrors.filter(e => e.severity === 'medium').length;
+    const otherCount = uniqueErrors.length - criticalCount - highCount - mediumCount; // low 及未标注严重性的问题
     
     let finalScore = 100;
     finalScore -= criticalCount * 20;
     finalScore -= highCount * 10;
     finalScore -= mediumCount * 5;
+    finalScore -= otherCount * 2;
     finalScore = Math.max(0, finalScore);
 
     // 确定最终状态
@@ -7,6 +7,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { findTerms } = require('../../../core/keywordIndex');
 
 class ContextLoader {
   constructor(workspaceRoot, fileScanner, chapterFileManager, memoryManager = null) {
@@ -121,9 +122,11 @@ class ContextLoader {
   async loadSmartContext(options) {
     const { intentType, targetChapter, targetFile, userRequest, memoryContext } = options;
 
-    // 基础上下文（从记忆系统）
+    // 基础上下文（从记忆系统）：有目标章节时按其前一章结束时的状态构建，
+    // 重写第 20 章时不会带入第 80 章才成立的事实和人物状态
     const context = {
       ...memoryContext,
+      ...(await this.loadMemoryContextAsOf(userRequest, targetChapter)),
       text_context: {
         before: [],
         current: null,
@@ -153,6 +156,27 @@ class ContextLoader {
     return context;
   }
 
+  /**
+   * 按目标章节开始前的状态加载记忆上下文（记忆系统不可用或没有目标章节时返回空对象）
+   * @param {string} userRequest - 用户请求
+   * @param {number} targetChapter - 目标章节号
+   */
+  async loadMemoryContextAsOf(userRequest, targetChapter) {
+    if (!targetChapter || !this.memoryManager?.initialized || typeof this.memoryManager.getStateAsOf !== 'function') {
+      return {};
+    }
+
+    try {
+      return await this.memoryManager.loadContext(userRequest || '', {
+        chapter: targetChapter,
+        asOfChapter: targetChapter - 1
+      });
+    } catch (error) {
+      console.warn(`⚠️ 按第 ${targetChapter - 1} 章重建记忆上下文失败:`, error.message);
+      return {};
+    }
+  }
+
   /**
    * 加载重写/校验上下文
    */
@@ -628,9 +652,19 @@ class ContextLoader {
    * 提取关键词
    */
   extractKeywords(text) {
-    // 简单的关键词提取（可以后续优化）
     const keywords = [];
     
+    // 优先使用记忆中的专有名词（人名、地名、功法名等），原文出现即命中
+    if (this.memoryManager && typeof this.memoryManager.getEntityTerms === 'function') {
+      try {
+        const terms = this.memoryManager.getEntityTerms();
+        keywords.push(...findTerms(text, [...terms].sort((a, b) => b.length - a.length)));
+      } catch (error) {
+        console.warn('获取专有名词失败:', error.message);
+      }
+    }
+    
+    // 记忆为空时的兜底规则
     // 提取角色名（2-4字）
     const charNamePattern = /[张李王刘陈杨黄赵吴周徐孙马朱胡郭何高林罗郑梁谢宋唐许韩冯邓曹彭曾肖田董袁潘于蒋蔡余杜叶程苏魏吕丁任沈姚卢姜崔钟谭陆汪范金石廖贾夏韦付方白邹孟熊秦邱江尹薛闫段雷侯龙史陶黎贺顾毛郝龚邵万钱严覃武戴莫孔向汤][明华强伟军建平志刚勇辉峰磊涛鹏飞超杰浩宇博文俊凯][明华强伟军建平志刚勇辉峰磊涛鹏飞超杰浩宇博文俊凯]?/g;
     const charMatches = text.match(charNamePattern);
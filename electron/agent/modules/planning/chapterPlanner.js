@@ -118,6 +118,10 @@ class ChapterPlanner {
       // 确定章节类型
       const chapterType = this.determineChapterType(previousState, userRequest);
 
+      // 按伏笔回收排期，本章应揭示 / 解决的伏笔
+      const dueForeshadows = this.getDueForeshadows(targetChapter);
+      context = { ...context, due_foreshadows: dueForeshadows };
+
       // 生成规划（使用 LLM 或规则）
       let plan = null;
       if (llmCaller) {
@@ -140,6 +144,11 @@ class ChapterPlanner {
         }
       }
 
+      if (dueForeshadows.length > 0) {
+        plan.chapter_structure.plot_beats = this.addForeshadowBeats(plan.chapter_structure.plot_beats, dueForeshadows);
+      }
+      plan.due_foreshadows = dueForeshadows;
+
       console.log(`✅ 章节规划完成：类型=${plan.chapter_structure.type}, 情绪=${plan.emotion_curve.end.toFixed(2)}`);
 
       return {
@@ -158,6 +167,41 @@ class ChapterPlanner {
     }
   }
 
+  /**
+   * 本章应回收的伏笔（记忆系统不可用时为空）
+   */
+  getDueForeshadows(targetChapter) {
+    if (!this.memoryManager?.getForeshadowsDue) {
+      return [];
+    }
+    try {
+      return this.memoryManager.getForeshadowsDue(targetChapter);
+    } catch (error) {
+      console.warn('⚠️ 获取伏笔回收排期失败:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 把应回收的伏笔加入情节节点（已由 LLM 规划的同名节点不重复添加）
+   */
+  addForeshadowBeats(plotBeats = [], dueForeshadows) {
+    const beats = [...plotBeats];
+    dueForeshadows.forEach((item, index) => {
+      const action = item.action === 'resolve' ? '解决伏笔' : '揭示伏笔';
+      if (beats.some(beat => beat.beat === 'foreshadow_payoff' && beat.foreshadow_id === item.foreshadow_id)) {
+        return;
+      }
+      beats.push({
+        beat: 'foreshadow_payoff',
+        description: `${action}：${item.title}${item.description ? `（${item.description}）` : ''}`,
+        position: Math.min(0.9, 0.6 + index * 0.1),
+        foreshadow_id: item.foreshadow_id
+      });
+    });
+    return beats.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  }
+
   /**
    * 分析前章状态
    */
@@ -501,6 +545,14 @@ class ChapterPlanner {
       prompt += '\n';
     }
 
+    if (context.due_foreshadows && context.due_foreshadows.length > 0) {
+      prompt += `# 本章应回收的伏笔\n`;
+      for (const item of context.due_foreshadows) {
+        prompt += `- ${item.action === 'resolve' ? '解决' : '揭示'}：${item.title}${item.description ? `（${item.description}）` : ''}\n`;
+      }
+      prompt += '请在情节节点中安排这些伏笔的回收。\n\n';
+    }
+
     prompt += `# 任务\n请规划第 ${targetChapter} 章的整体结构、情绪曲线、节奏曲线和连贯性连接点。\n`;
     prompt += `确保与前章自然衔接，情绪曲线从前章结尾（${previousState.ending_emotion.toFixed(2)}）开始。\n`;
     prompt += `返回纯 JSON 格式。`;
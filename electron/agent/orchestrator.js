@@ -5,6 +5,8 @@
 
 const MemoryManager = require('../memory');
 const DSLRuleEngine = require('../rules/dslRuleEngine'); // DSL 规则引擎
+const ConditionRuleEvaluator = require('../rules/conditionEvaluator'); // 条件规则本地判定
+const { RulePackManager } = require('../rules/rulePacks'); // 规则包
 const IntentAnalyzer = require('./modules/analysis/intentAnalyzer'); // 意图分析器
 const IntentPlanner = require('./modules/planning/intentPlanner');
 const ConsistencyChecker = require('./modules/checking/consistencyChecker');
@@ -27,16 +29,25 @@ const SkillExecutor = require('./skills/core/skillExecutor'); // Skill 执行器
 const SkillRouter = require('./skills/core/skillRouter'); // Skill 路由器
 const PlannerAgent = require('./skills/core/plannerAgent'); // Planner Agent
 const AgentState = require('./skills/core/agentState'); // Agent 状态
-const { STATE_CONTRACTS } = require('./skills/core/stateContracts'); // 状态契约
+const { RunCheckpointStore, RunStatus, RESUMABLE_STATUSES } = require('./skills/core/runCheckpointStore'); // 运行检查点
+const { SkillPluginLoader } = require('./skills/core/skillPluginLoader'); // 工作区 Skill 插件
 const { AgentStates } = require('../memory/types');
 const fs = require('fs').promises;
 const path = require('path');
-const { app } = require('electron');
 const logger = require('../utils/logger');
+const { withUsageContext } = require('../core/llm'); // LLM 用量标注
 
 class AgentOrchestrator {
-  constructor(workspaceRoot) {
+  /**
+   * @param {string} workspaceRoot - 工作区根目录
+   * @param {Object} options - 在 Electron 之外运行时注入的依赖（如命令行）
+   * @param {string} options.appPath - 应用目录（内置规则所在位置），默认 app.getAppPath()
+   * @param {Object} options.settings - 设置项（提供 get(key)），默认使用数据库中的设置
+   */
+  constructor(workspaceRoot, options = {}) {
     this.workspaceRoot = workspaceRoot;
+    this.appPath = options.appPath || null;
+    this.settings = options.settings || null;
     this.state = AgentStates.IDLE;
     this.memory = null;
     this.dslRuleEngine = null; // DSL 规则引擎
@@ -58,6 +69,9 @@ class AgentOrchestrator {
     this.skillExecutor = null; // Skill 执行器（新增）
     this.skillRouter = null; // Skill 路由器（新增）
     this.plannerAgent = null; // Planner Agent（新增）
+    this.runStore = null; // 运行检查点（.novel-agent/runs/<taskId>/）
+    this.skillPluginErrors = []; // 校验失败、未注册的工作区 Skill 插件
+    this.blockedSkillPlugins = []; // 工作区未信任、未加载的 Skill 插件文件
     this.currentTask = null;
     this.executionLog = [];
     this.initialized = false;
@@ -85,10 +99,19 @@ class AgentOrchestrator {
 
       // 初始化 DSL 规则引擎
       this.dslRuleEngine = new DSLRuleEngine(this.workspaceRoot);
-      const appPath = app.getAppPath();
+      const appPath = this.getAppPath();
       const defaultRulesPath = path.join(appPath, 'rules/default-dsl-rules.json');
       const customRulesPath = path.join(this.workspaceRoot, 'rules/dsl-rules.json');
-      await this.dslRuleEngine.loadRules(defaultRulesPath, customRulesPath);
+      const rulePacks = new RulePackManager({ builtinDir: path.join(appPath, 'rules/packs'), workspaceRoot: this.workspaceRoot });
+      await this.dslRuleEngine.loadRules(defaultRulesPath, customRulesPath, await rulePacks.getEnabledPacks());
+
+      // 初始化条件规则（可本地判定的规则在 LLM 校验前执行）
+      this.conditionEvaluator = new ConditionRuleEvaluator(this.memory);
+      await this.conditionEvaluator.loadRules([
+        path.join(appPath, 'rules/default-rules.json'),
+        path.join(appPath, 'rules/consistency-rules.json'),
+        path.join(this.workspaceRoot, 'rules/consistency-rules.json')
+      ]);
 
       // 初始化文件系统组件
       this.fileScanner = new FileScanner(this.workspaceRoot);
@@ -105,7 +128,7 @@ class AgentOrchestrator {
       this.emotionCurveManager = new EmotionCurveManager();
       this.densityController = new DensityController();
       this.sceneStructurePlanner = new SceneStructurePlanner();
-      this.consistencyChecker = new ConsistencyChecker(this.dslRuleEngine, this.memory); // 使用 DSL 规则引擎，传入记忆管理器
+      this.consistencyChecker = new ConsistencyChecker(this.dslRuleEngine, this.memory, this.conditionEvaluator); // 使用 DSL 规则引擎，传入记忆管理器和条件规则
       this.rewriter = new RewriteAgent();
       this.memoryUpdater = new MemoryUpdater(this.memory, this.workspaceRoot); // 传入 workspaceRoot
       this.contextLoader = new ContextLoader(this.workspaceRoot, this.fileScanner, this.chapterFileManager, this.memory); // 智能上下文加载器（传入 memory 用于获取设定文件）
@@ -113,6 +136,7 @@ class AgentOrchestrator {
       // 初始化 Skill 系统（新增）
       this.skillRouter = new SkillRouter();
       this.plannerAgent = new PlannerAgent();
+      this.runStore = new RunCheckpointStore(this.workspaceRoot);
       
       // 初始化 ExtractWriter（用于 finalize_chapter 检查 ChapterExtract）
       const ExtractWriter = require('../memory/extractors/extractWriter');
@@ -138,6 +162,14 @@ class AgentOrchestrator {
         extractWriter: extractWriter // 用于 finalize_chapter 检查 ChapterExtract
       });
 
+      // 加载工作区 Skill 插件（.novel-agent/skills/*.js）：只在用户信任该工作区后执行，校验失败的插件不注册
+      const settings = this.settings || require('../core/database').settings;
+      const { plugins, errors: pluginErrors, blocked } = await new SkillPluginLoader(this.workspaceRoot).loadIfTrusted(settings);
+      this.skillExecutor.registerPlugins(plugins);
+      this.plannerAgent.registerPlugins(plugins);
+      this.skillPluginErrors = pluginErrors;
+      this.blockedSkillPlugins = blocked;
+
       this.initialized = true;
       this.setState(AgentStates.IDLE);
       this.log('Agent initialized', { success: true });
@@ -148,9 +180,11 @@ class AgentOrchestrator {
         intentAnalyzer: !!this.intentAnalyzer,
         consistencyChecker: !!this.consistencyChecker,
         rewriter: !!this.rewriter,
-        memoryUpdater: !!this.memoryUpdater
+        memoryUpdater: !!this.memoryUpdater,
+        skillPlugins: plugins.map(plugin => plugin.name),
+        blockedSkillPlugins: blocked
       });
-      return { success: true };
+      return { success: true, blockedSkillPlugins: blocked };
 
     } catch (error) {
       logger.logAgent('Agent 初始化失败', { error: error.message }, 'ERROR');
@@ -197,21 +231,43 @@ class AgentOrchestrator {
     this.log('Task started (Planner mode)', { taskId: this.currentTask.id, request: request.userRequest });
 
     try {
-      // 步骤 1: Router 路由（只做意图粗分类）
+      // 步骤 1: Router 路由（正则快速路径，不确定时询问 IntentAnalyzer）
       this.setState(AgentStates.LOAD_CONTEXT);
       this.addStep('route', '路由意图');
       
-      const routed = this.skillRouter.route(request, {
+      const routed = await this.withUsageTag('router', request.targetChapter, () => this.skillRouter.route(request, {
         workspaceRoot: this.workspaceRoot,
         targetChapter: request.targetChapter,
         targetFile: request.targetFile
-      });
+      }, llmCaller));
 
       this.log('Router 路由完成', { 
         intent: routed.intent,
+        confidence: routed.confidence,
+        source: routed.source,
         hasSelection: routed.hasSelection
       });
 
+      // 置信度过低：请用户选择意图，回答后带上 request.intent 重新执行
+      if (routed.needsClarification) {
+        this.log('意图不明确，等待用户澄清', { candidates: routed.candidates });
+        this.setState(AgentStates.WAITING_USER_CONFIRMATION);
+        this.currentTask.status = 'waiting_clarification';
+        this.pendingExecution = null;
+
+        return {
+          success: true,
+          requiresUserConfirmation: true,
+          confirmationType: 'clarification',
+          intent: routed.intent,
+          confidence: routed.confidence,
+          clarification: routed.clarification
+        };
+      }
+
+      // 记录最终意图，检查点恢复时不再重新分类
+      request.intent = routed.intent;
+
       // 步骤 2: 初始化 AgentState
       const agentState = new AgentState();
       
@@ -225,10 +281,14 @@ class AgentOrchestrator {
       }
       
       agentState.targetChapter = request.targetChapter;
-      
+
+      // 续写 / 重写 / 检查基于已有章节：补全章节号，载入已有正文
+      await this.seedStateFromChapters(routed.intent, request, agentState);
+
       // 保存当前执行状态（用于分阶段执行）
       this.pendingExecution = {
         routed,
+        request: this.sanitizeForIPC(request),
         agentState: agentState.clone(),
         skillResults: [],
         llmCaller
@@ -244,12 +304,13 @@ class AgentOrchestrator {
       
       // 保存上一轮状态（用于检测状态变化）
       let previousState = agentState.clone();
+      await this.saveCheckpoint(RunStatus.RUNNING, agentState, skillResults);
 
       while (iteration < maxIterations) {
         iteration++;
         
         // 检查目标是否已满足
-        const goalStates = this.getGoalStates(routed.intent);
+        const goalStates = this.getGoalStates(routed.intent, request);
         if (this.plannerAgent.isGoalSatisfied(goalStates, agentState)) {
           this.log('目标状态已满足，任务完成', { goalStates });
           break;
@@ -257,14 +318,14 @@ class AgentOrchestrator {
         
         // Planner 规划下一步
         this.addStep('plan', `规划步骤 ${iteration}`);
-        const plan = await this.plannerAgent.plan({
+        const plan = await this.withUsageTag('planner', agentState.targetChapter, () => this.plannerAgent.plan({
           intent: routed.intent,
           state: agentState,
           request: {
             ...request,
             workspaceRoot: this.workspaceRoot
           }
-        }, llmCaller);
+        }, llmCaller));
 
         // 如果没有更多步骤，退出循环
         if (!plan.steps || plan.steps.length === 0) {
@@ -277,10 +338,11 @@ class AgentOrchestrator {
           this.addStep(`execute_${step.skill}`, `执行 ${step.skill} (${step.reason})`);
           
           // 从 AgentState 构建 Skill 输入
+          const plugin = this.skillExecutor.getPlugin(step.skill);
           const skillInput = agentState.buildSkillInput(step.skill, {
             ...request,
             workspaceRoot: this.workspaceRoot
-          });
+          }, plugin);
 
           // 执行 Skill
           // 确保 DSLRuleEngine 有 LLM 调用器（用于 check_chapter）
@@ -288,11 +350,11 @@ class AgentOrchestrator {
             this.dslRuleEngine.setLLMCaller(llmCaller);
           }
           
-          const result = await this.skillExecutor.execute(
+          const result = await this.withUsageTag(step.skill, agentState.targetChapter, () => this.skillExecutor.execute(
             step.skill,
             skillInput,
             { llmCaller, context: agentState.buildContextForIntent() }
-          );
+          ));
 
           skillResults.push({
             skill: step.skill,
@@ -318,14 +380,14 @@ class AgentOrchestrator {
           // 更新 AgentState（从 Skill 输出）
           if (result.success && result.result) {
             const oldState = agentState.clone();
-            agentState.updateFromSkillOutput(step.skill, result.result);
+            agentState.updateFromSkillOutput(step.skill, result.result, plugin);
             
             // 记录 Skill 执行
             this.plannerAgent.recordSkillExecution(step.skill);
             
             // 检查状态是否发生变化（避免无限循环）
             const produces = step.produces || 'unknown';
-            const contract = STATE_CONTRACTS[step.skill];
+            const contract = this.plannerAgent.contracts[step.skill];
             const producesStates = contract?.producesState || [produces];
             
             // 检查所有 producesState 是否发生变化
@@ -346,8 +408,16 @@ class AgentOrchestrator {
             }
           }
 
+          // 每个 Skill 完成后写入检查点
+          const waitingConfirmation = step.skill === 'plan_chapter_outline' && result.result?.requiresUserConfirmation;
+          await this.saveCheckpoint(
+            waitingConfirmation ? RunStatus.WAITING_CONFIRMATION : RunStatus.RUNNING,
+            agentState,
+            skillResults
+          );
+
           // 特殊处理：plan_chapter_outline 需要用户确认
-          if (step.skill === 'plan_chapter_outline' && result.result?.requiresUserConfirmation) {
+          if (waitingConfirmation) {
             this.log('等待用户确认大纲', { outline: result.result.outline });
             this.setState(AgentStates.WAITING_USER_CONFIRMATION);
             
@@ -389,7 +459,7 @@ class AgentOrchestrator {
       }
       
       // 最终检查：如果目标未满足，记录警告
-      const goalStates = this.getGoalStates(routed.intent);
+      const goalStates = this.getGoalStates(routed.intent, request);
       if (!this.plannerAgent.isGoalSatisfied(goalStates, agentState)) {
         logger.logAgent('任务完成但目标状态未完全满足', { 
           goalStates, 
@@ -408,6 +478,7 @@ class AgentOrchestrator {
       this.currentTask.completedAt = new Date().toISOString();
       this.currentTask.executionTime = executionTime;
       this.setState(AgentStates.DONE);
+      await this.saveCheckpoint(RunStatus.COMPLETED, agentState, skillResults);
 
       this.log('Task completed (Planner mode)', { 
         executionTime: `${(executionTime / 1000).toFixed(2)}s`,
@@ -432,6 +503,7 @@ class AgentOrchestrator {
       this.currentTask.error = error.message;
       this.currentTask.executionTime = executionTime;
       this.setState(AgentStates.ERROR);
+      await this.markRunStatus(RunStatus.FAILED, error.message);
 
       this.log('Task failed (Planner mode)', { error: error.message });
       throw error;
@@ -450,7 +522,7 @@ class AgentOrchestrator {
     }
 
     const { userModifiedOutline } = options;
-    const { routed, agentState: savedState, skillResults } = this.pendingExecution;
+    const { routed, request = {}, agentState: savedState, skillResults } = this.pendingExecution;
 
     // 恢复 AgentState
     const AgentStateClass = require('./skills/core/agentState');
@@ -473,17 +545,23 @@ class AgentOrchestrator {
 
       while (iteration < maxIterations) {
         iteration++;
+
+        // 从检查点恢复时目标可能已经满足
+        if (this.plannerAgent.isGoalSatisfied(this.getGoalStates(routed.intent, request), agentState)) {
+          break;
+        }
         
         // Planner 规划下一步
         this.addStep('plan', `规划步骤 ${iteration} (继续)`);
-        const plan = await this.plannerAgent.plan({
+        const plan = await this.withUsageTag('planner', agentState.targetChapter, () => this.plannerAgent.plan({
           intent: routed.intent,
           state: agentState,
           request: {
+            ...request,
             workspaceRoot: this.workspaceRoot,
             targetChapter: agentState.targetChapter
           }
-        }, llmCaller);
+        }, llmCaller));
 
         if (!plan.steps || plan.steps.length === 0) {
           break;
@@ -493,16 +571,18 @@ class AgentOrchestrator {
         for (const step of plan.steps) {
           this.addStep(`execute_${step.skill}`, `执行 ${step.skill} (${step.reason})`);
           
+          const plugin = this.skillExecutor.getPlugin(step.skill);
           const skillInput = agentState.buildSkillInput(step.skill, {
+            ...request,
             workspaceRoot: this.workspaceRoot,
             targetChapter: agentState.targetChapter
-          });
+          }, plugin);
 
-          const result = await this.skillExecutor.execute(
+          const result = await this.withUsageTag(step.skill, agentState.targetChapter, () => this.skillExecutor.execute(
             step.skill,
             skillInput,
             { llmCaller, context: agentState.buildContextForIntent() }
-          );
+          ));
 
           skillResults.push({
             skill: step.skill,
@@ -517,9 +597,12 @@ class AgentOrchestrator {
           }
 
           if (result.success && result.result) {
-            agentState.updateFromSkillOutput(step.skill, result.result);
+            agentState.updateFromSkillOutput(step.skill, result.result, plugin);
+            this.plannerAgent.recordSkillExecution(step.skill);
           }
 
+          await this.saveCheckpoint(RunStatus.RUNNING, agentState, skillResults);
+
           if (agentState.isTerminalState()) {
             break;
           }
@@ -541,6 +624,7 @@ class AgentOrchestrator {
       this.currentTask.completedAt = new Date().toISOString();
       this.currentTask.executionTime = executionTime;
       this.setState(AgentStates.DONE);
+      await this.saveCheckpoint(RunStatus.COMPLETED, agentState, skillResults);
 
       // 清除待执行状态
       this.pendingExecution = null;
@@ -567,6 +651,7 @@ class AgentOrchestrator {
       this.currentTask.error = error.message;
       this.currentTask.executionTime = executionTime;
       this.setState(AgentStates.ERROR);
+      await this.markRunStatus(RunStatus.FAILED, error.message);
 
       // 清除待执行状态
       this.pendingExecution = null;
@@ -576,6 +661,102 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * 列出保存了检查点的运行
+   * 状态为 running、但不是当前正在执行的任务的运行，视为已中断（应用退出或崩溃）
+   */
+  async listRuns() {
+    if (!this.runStore) {
+      throw new Error('Agent 未初始化，请先调用 initialize()');
+    }
+    const runs = await this.runStore.listRuns();
+    return runs.map(run => {
+      const active = this.currentTask?.id === run.taskId && this.currentTask.status === 'running';
+      return run.status === RunStatus.RUNNING && !active ? { ...run, status: RunStatus.INTERRUPTED } : run;
+    });
+  }
+
+  /**
+   * 从检查点继续运行（从最后完成的 Skill 之后继续，已完成的 Skill 不再执行）
+   * @param {string} taskId - 任务 ID
+   * @param {Object} options - 同 continueExecution（等待确认大纲的运行可传入 userModifiedOutline）
+   * @param {Function} llmCaller - LLM 调用函数
+   */
+  async resumeRun(taskId, options = {}, llmCaller) {
+    if (!this.initialized) {
+      throw new Error('Agent 未初始化，请先调用 initialize()');
+    }
+
+    const saved = await this.runStore.load(taskId);
+    if (!saved) {
+      throw new Error(`运行不存在或检查点已损坏: ${taskId}`);
+    }
+    if (!RESUMABLE_STATUSES.includes(saved.run.status)) {
+      throw new Error(`运行已完成，无法继续: ${taskId}`);
+    }
+
+    const { checkpoint } = saved;
+    this.currentTask = {
+      id: taskId,
+      request: checkpoint.request?.userRequest,
+      startedAt: new Date().toISOString(),
+      resumedFrom: saved.run.lastSkill,
+      status: 'running',
+      steps: []
+    };
+    this.pendingExecution = {
+      routed: checkpoint.routed,
+      request: checkpoint.request || {},
+      agentState: checkpoint.agentState,
+      skillResults: checkpoint.skillResults || [],
+      llmCaller
+    };
+
+    // 恢复 Planner 的执行计数（防止重复执行的判断依赖它）
+    this.plannerAgent.resetExecutionCounts();
+    for (const [skill, count] of Object.entries(checkpoint.executionCounts || {})) {
+      this.plannerAgent.skillExecutionCounts.set(skill, count);
+    }
+
+    this.log('Run resumed', { taskId, lastSkill: saved.run.lastSkill, skillCount: saved.run.skillCount });
+    return await this.continueExecution(options, llmCaller);
+  }
+
+  /**
+   * 保存当前任务的检查点（写入失败不影响任务执行）
+   */
+  async saveCheckpoint(status, agentState, skillResults) {
+    if (!this.runStore || !this.currentTask) {
+      return;
+    }
+    try {
+      await this.runStore.save(this.currentTask.id, {
+        request: this.pendingExecution?.request,
+        routed: this.sanitizeForIPC(this.pendingExecution?.routed),
+        status,
+        agentState: agentState.clone(),
+        skillResults: this.sanitizeSkillResults(skillResults),
+        executionCounts: Object.fromEntries(this.plannerAgent.skillExecutionCounts)
+      });
+    } catch (error) {
+      logger.logAgent('保存运行检查点失败', { taskId: this.currentTask.id, error: error.message }, 'WARN');
+    }
+  }
+
+  /**
+   * 更新当前任务的运行状态
+   */
+  async markRunStatus(status, error = null) {
+    if (!this.runStore || !this.currentTask) {
+      return;
+    }
+    try {
+      await this.runStore.updateStatus(this.currentTask.id, status, error);
+    } catch (err) {
+      logger.logAgent('更新运行状态失败', { taskId: this.currentTask.id, error: err.message }, 'WARN');
+    }
+  }
+
   /**
    * 应用更改并更新记忆
    * @param {Object} options - 选项
@@ -608,12 +789,12 @@ class AgentOrchestrator {
       const memoryUpdater = new MemoryUpdater(this.memory, this.workspaceRoot);
       const context = await this.memory.loadContext('');
       
-      const updateResult = await memoryUpdater.update(
+      const updateResult = await this.withUsageTag('memory_update', chapterNumber, () => memoryUpdater.update(
         content,
         { userRequest: '应用更改并更新记忆' },
         context,
         llmCaller
-      );
+      ));
 
       this.log('Memory updated', { success: updateResult.success });
 
@@ -629,6 +810,24 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * 应用目录（未注入时从 Electron 获取）
+   */
+  getAppPath() {
+    return this.appPath || require('electron').app.getAppPath();
+  }
+
+  /**
+   * 在用量标注下执行：期间的 LLM 调用会记录到当前工作区、章节和技能名下
+   */
+  withUsageTag(skill, chapterNumber, fn) {
+    return withUsageContext({
+      workspace: this.workspaceRoot,
+      chapter: chapterNumber || null,
+      skill
+    }, fn);
+  }
+
   /**
    * 判断是否是关键 Skill
    */
@@ -638,11 +837,24 @@ class AgentOrchestrator {
   }
 
   /**
-   * 获取目标状态（根据 Intent）
+   * 获取目标状态（根据 Intent，request.pluginGoals 选择的插件状态也加入目标）
    */
-  getGoalStates(intent) {
-    const { GOAL_STATES } = require('./skills/core/stateContracts');
-    return GOAL_STATES[intent] || GOAL_STATES.CREATE;
+  getGoalStates(intent, request = {}) {
+    return this.plannerAgent.getGoalStates(intent, request);
+  }
+
+  /**
+   * 收集插件产生的新状态（如 chapterTitle），随结果返回
+   */
+  collectPluginStates(agentState) {
+    const states = {};
+    for (const stateKey of this.plannerAgent.pluginStates) {
+      const value = this.plannerAgent.getStateValue(agentState, stateKey);
+      if (value !== undefined && value !== null) {
+        states[stateKey] = value;
+      }
+    }
+    return states;
   }
 
   /**
@@ -781,6 +993,8 @@ class AgentOrchestrator {
       checkResult: agentState.checkResults,
       coherenceResult: agentState.checkResults?.coherenceIssues || null,
       chapterPlan: agentState.outline ? { outline: agentState.outline } : null,
+      note: agentState.note,
+      pluginStates: this.collectPluginStates(agentState),
       rewriteCount: skillResults.filter(r => r.skill === 'rewrite_chapter').length,
       executionLog: this.executionLog.slice(-10)
     };
@@ -793,7 +1007,7 @@ class AgentOrchestrator {
   async autoFinalizeChapterIfEnabled(chapterNumber) {
     try {
       // 检查设置：是否启用自动结算
-      const { settings } = require('../core/database');
+      const settings = this.settings || require('../core/database').settings;
       const autoFinalize = settings.get('autoFinalizeChapter');
       
       // 默认不启用，需要用户手动配置
@@ -890,6 +1104,45 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * 根据已有章节文件初始化 AgentState
+   * - CONTINUE：没有章节号时续写最新章节的下一章
+   * - REWRITE / CHECK：没有章节号时按目标文件名确定章节，都没有（且没有选中文本）时使用最新章节；
+   *   把章节正文作为 chapters.draft
+   */
+  async seedStateFromChapters(intent, request, agentState) {
+    if (!['CONTINUE', 'REWRITE', 'CHECK'].includes(intent)) {
+      return;
+    }
+
+    const scanResult = await this.scanChapters();
+    const latestChapter = scanResult.latestChapter || 0;
+
+    if (!agentState.targetChapter) {
+      const fromFile = request.targetFile
+        ? this.fileScanner.extractChapterNumber(path.basename(request.targetFile))?.number
+        : null;
+      if (intent === 'CONTINUE') {
+        agentState.targetChapter = latestChapter + 1;
+      } else if (fromFile) {
+        agentState.targetChapter = fromFile;
+      } else if (!request.targetFile && !request.selectedText) {
+        agentState.targetChapter = latestChapter || null;
+      }
+      request.targetChapter = agentState.targetChapter;
+    }
+
+    if (intent === 'CONTINUE' || !agentState.targetChapter) {
+      return;
+    }
+
+    const content = await this.fileScanner.readChapterContent(agentState.targetChapter);
+    if (content) {
+      agentState.chapters.draft = content;
+      this.log('已载入已有章节作为草稿', { chapter: agentState.targetChapter, length: content.length });
+    }
+  }
+
   /**
    * 分析已有章节（续写模式）
    */
@@ -1,6 +1,6 @@
 /**
  * AgentState - Agent 状态管理（精简版）
- * 统一的"共享记忆板"，适配 9 个核心 Skill
+ * 统一的"共享记忆板"，适配 10 个核心 Skill
  */
 
 class AgentState {
@@ -32,14 +32,18 @@ class AgentState {
     // 重写相关
     this.rewritePlan = null;
 
+    // 创作资料（SUMMARIZE / BRAINSTORM / CHARACTER_PROFILE）
+    this.note = null;
+
     // 其他
     this.memoryUpdated = false;
   }
 
   /**
    * 更新状态（从 Skill 输出映射）
+   * @param {SkillPlugin} plugin - 工作区插件（插件按 producesState 写回状态）
    */
-  updateFromSkillOutput(skillName, skillOutput) {
+  updateFromSkillOutput(skillName, skillOutput, plugin = null) {
     if (!skillOutput) return;
 
     switch (skillName) {
@@ -90,6 +94,10 @@ class AgentState {
         this.rewritePlan = skillOutput.rewritePlan;
         break;
 
+      case 'write_note':
+        this.note = skillOutput.note;
+        break;
+
       case 'finalize_chapter':
         this.chapters.final = skillOutput.finalContent;
         break;
@@ -101,13 +109,20 @@ class AgentState {
         this.memoryUpdated = skillOutput.success || false;
         // 不更新 worldRules/characters/plotState，因为这些是副作用，不应该影响后续规划
         break;
+
+      default:
+        if (plugin) {
+          plugin.applyOutput(this, skillOutput);
+        }
+        break;
     }
   }
 
   /**
    * 构建 Skill 输入（从 State 提取）
+   * @param {SkillPlugin} plugin - 工作区插件（由插件构建输入）
    */
-  buildSkillInput(skillName, request = {}) {
+  buildSkillInput(skillName, request = {}, plugin = null) {
     const baseInput = {
       novelId: request.workspaceRoot || request.novelId,
       chapterId: this.targetChapter || request.targetChapter,
@@ -118,7 +133,9 @@ class AgentState {
       case 'load_story_context':
         return {
           novelId: baseInput.novelId,
-          include: ['world', 'characters', 'plot', 'foreshadows']
+          include: ['world', 'characters', 'plot', 'foreshadows'],
+          // 已知目标章节时只加载其前一章结束时的人物和伏笔状态
+          ...(baseInput.chapterNumber ? { asOfChapter: baseInput.chapterNumber - 1 } : {})
         };
 
       case 'scan_chapters':
@@ -186,6 +203,14 @@ class AgentState {
           selectedText: request.selectedText || null
         };
 
+      case 'write_note':
+        return {
+          noteType: request.intent,
+          userRequest: request.userRequest || '',
+          chapterNumber: baseInput.chapterNumber,
+          context: this.buildContextForIntent()
+        };
+
       case 'finalize_chapter':
         return {
           content: this.chapters.draft || '',
@@ -202,7 +227,7 @@ class AgentState {
         };
 
       default:
-        return baseInput;
+        return plugin ? plugin.buildInput(this, request) : baseInput;
     }
   }
 
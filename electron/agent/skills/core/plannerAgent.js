@@ -5,11 +5,16 @@
 
 const skillDefinitions = require('../definitions/skillDefinitions.json');
 const { STATE_CONTRACTS, GOAL_STATES } = require('./stateContracts');
+const { mergeGoalStates } = require('./skillPluginLoader');
 const logger = require('../../../utils/logger');
 
 class PlannerAgent {
   constructor() {
     this.definitions = skillDefinitions.skills;
+    this.contracts = STATE_CONTRACTS;
+    this.goalStates = GOAL_STATES;
+    this.plugins = []; // 已注册的工作区 Skill 插件
+    this.pluginStates = []; // 插件新产生的状态（用于序列化状态）
     // 排除 update_story_memory，因为它是用户确认后的手动操作，不应该由 Planner 自动规划
     this.availableSkills = this.definitions
       .map(s => s.name)
@@ -18,6 +23,50 @@ class PlannerAgent {
     this.maxExecutionsPerSkill = 3; // 每个 Skill 最多执行 3 次
   }
 
+  /**
+   * 注册工作区 Skill 插件：加入可用 Skill 和状态契约
+   * 插件声明的 intents 不直接改变意图的目标状态，见 getGoalStates
+   * @param {Array<SkillPlugin>} plugins - SkillPluginLoader 加载的插件
+   */
+  registerPlugins(plugins = []) {
+    this.definitions = [...skillDefinitions.skills, ...plugins.map(plugin => plugin.definition)];
+    this.contracts = {
+      ...STATE_CONTRACTS,
+      ...Object.fromEntries(plugins.map(plugin => [plugin.name, plugin.contract]))
+    };
+    this.plugins = plugins;
+    this.pluginStates = [...new Set(plugins.flatMap(plugin => plugin.newStates))];
+    this.availableSkills = this.definitions
+      .map(s => s.name)
+      .filter(name => name !== 'update_story_memory');
+  }
+
+  /**
+   * 获取意图的目标状态
+   * 只有请求中选择的插件（request.pluginGoals）才把新状态加入目标，避免每次创作都额外运行插件
+   * @param {string} intent - 意图类型
+   * @param {Object} request - 用户请求，pluginGoals 为插件名数组，true 表示所有插件
+   */
+  getGoalStates(intent, request = {}) {
+    const selected = this.getGoalPlugins(request);
+    const goalStates = selected.length > 0 ? mergeGoalStates(this.goalStates, selected) : this.goalStates;
+    return goalStates[intent] || goalStates.CREATE;
+  }
+
+  /**
+   * 请求中选择加入目标状态的插件（未注册的插件名忽略）
+   */
+  getGoalPlugins(request = {}) {
+    const pluginGoals = request ? request.pluginGoals : null;
+    if (pluginGoals === true) {
+      return this.plugins;
+    }
+    if (!Array.isArray(pluginGoals)) {
+      return [];
+    }
+    return this.plugins.filter(plugin => pluginGoals.includes(plugin.name));
+  }
+
   /**
    * 规划下一步 Skill 序列（Backward Planning）
    * @param {Object} input - 规划输入
@@ -32,7 +81,7 @@ class PlannerAgent {
 
     try {
       // 1. 获取目标状态
-      const goalStates = GOAL_STATES[intent] || GOAL_STATES.CREATE;
+      const goalStates = this.getGoalStates(intent, request);
       
       // 2. 检查目标是否已满足
       if (this.isGoalSatisfied(goalStates, state)) {
@@ -58,7 +107,7 @@ class PlannerAgent {
     } catch (error) {
       logger.logAgent('Planner 规划失败，使用规则规划', { error: error.message }, 'WARN');
       // 如果 LLM 规划失败，使用基于规则的 Backward Planning
-      return this.planWithRules(GOAL_STATES[intent] || GOAL_STATES.CREATE, state, intent, request);
+      return this.planWithRules(this.getGoalStates(intent, request), state, intent, request);
     }
   }
 
@@ -108,7 +157,7 @@ class PlannerAgent {
    */
   buildSystemPrompt() {
     // 构建 Skill 契约列表
-    const skillContracts = Object.entries(STATE_CONTRACTS).map(([name, contract]) => {
+    const skillContracts = Object.entries(this.contracts).map(([name, contract]) => {
       const def = this.definitions.find(s => s.name === name);
       return `- ${name}:
   requires: [${contract.requiresState.join(', ') || '无'}]
@@ -188,7 +237,8 @@ ${request.selectedText ? `\n选中文本: ${request.selectedText.substring(0, 10
 
 重要提示：
 - 如果 worldRules/characters 已加载但为空，不要重复执行 load_story_context
-- 如果目标状态是 chapters.final，需要先有 chapters.draft，然后 check_chapter，最后 finalize_chapter`;
+- 如果目标状态是 chapters.final，需要先有 chapters.draft，然后 check_chapter，最后 finalize_chapter
+- 如果目标状态是 note（总结、头脑风暴、人物小传），加载上下文后执行 write_note，不要写章节`;
   }
 
   /**
@@ -228,6 +278,14 @@ ${request.selectedText ? `\n选中文本: ${request.selectedText.substring(0, 10
     // 重写计划
     if (this.hasState(state, 'rewritePlan')) parts.push('✓ rewritePlan');
     
+    // 创作资料
+    if (this.hasState(state, 'note')) parts.push(`✓ note (${state.note.type})`);
+    
+    // 插件产生的状态
+    for (const stateKey of this.pluginStates) {
+      if (this.hasState(state, stateKey)) parts.push(`✓ ${stateKey}`);
+    }
+    
     // 其他
     if (state.memoryUpdated) parts.push('✓ memoryUpdated');
 
@@ -322,7 +380,7 @@ ${request.selectedText ? `\n选中文本: ${request.selectedText.substring(0, 10
       }
 
       // 3. 检查 Skill 的 requiresState 是否满足
-      const contract = STATE_CONTRACTS[step.skill];
+      const contract = this.contracts[step.skill];
       if (!contract) {
         logger.logAgent(`Skill ${step.skill} 没有状态契约，跳过`, {}, 'WARN');
         continue;
@@ -386,14 +444,14 @@ ${request.selectedText ? `\n选中文本: ${request.selectedText.substring(0, 10
     
     for (const required of missingRequires) {
       // 找到能产生该状态的 Skill
-      const producers = Object.entries(STATE_CONTRACTS)
+      const producers = Object.entries(this.contracts)
         .filter(([name, contract]) => contract.producesState.includes(required))
         .map(([name]) => name);
 
       if (producers.length > 0) {
         // 选择第一个可用的（可以优化为选择 requiresState 最少的）
         const skill = producers[0];
-        const contract = STATE_CONTRACTS[skill];
+        const contract = this.contracts[skill];
         
         // 检查该 Skill 的依赖是否满足
         const skillMissingRequires = contract.requiresState.filter(req => !this.hasState(state, req));
@@ -423,7 +481,7 @@ ${request.selectedText ? `\n选中文本: ${request.selectedText.substring(0, 10
 
     // 对每个缺失的状态，找到能产生它的 Skill
     for (const missing of missingStates) {
-      const producers = Object.entries(STATE_CONTRACTS)
+      const producers = Object.entries(this.contracts)
         .filter(([name, contract]) => contract.producesState.includes(missing))
         .map(([name, contract]) => ({ name, contract }));
 
@@ -0,0 +1,178 @@
+/**
+ * RunCheckpointStore - Agent 运行检查点
+ * 每个 Skill 执行后把 AgentState 和 skillResults 写入 .novel-agent/runs/<taskId>/，
+ * 应用退出或崩溃后可以从最后完成的 Skill 继续，已完成的 Skill 不再重复调用 LLM
+ *
+ * run.json         运行概要（请求、意图、状态、进度），用于列出运行
+ * checkpoint.json  最近一次检查点（请求、路由结果、AgentState、skillResults、Planner 的执行计数）
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const RunStatus = {
+  RUNNING: 'running',
+  WAITING_CONFIRMATION: 'waiting_confirmation',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted' // 状态为 running 但进程已不在执行（应用退出或崩溃）
+};
+
+// 可以继续的运行状态
+const RESUMABLE_STATUSES = [
+  RunStatus.RUNNING,
+  RunStatus.WAITING_CONFIRMATION,
+  RunStatus.FAILED,
+  RunStatus.INTERRUPTED
+];
+
+class RunCheckpointStore {
+  constructor(workspaceRoot) {
+    this.workspaceRoot = workspaceRoot;
+    this.runsPath = path.join(workspaceRoot, '.novel-agent', 'runs');
+  }
+
+  /**
+   * 运行目录（taskId 只允许字母、数字、下划线和连字符）
+   */
+  getRunPath(taskId) {
+    if (!/^[\w-]+$/.test(String(taskId))) {
+      throw new Error(`非法的任务 ID: ${taskId}`);
+    }
+    return path.join(this.runsPath, String(taskId));
+  }
+
+  async readJSON(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ 读取检查点失败: ${file}`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 先写临时文件再重命名，避免写到一半退出时留下损坏的检查点
+   */
+  async writeJSON(file, data) {
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * 保存检查点
+   * @param {string} taskId - 任务 ID
+   * @param {Object} checkpoint
+   * @param {Object} checkpoint.request - 原始请求
+   * @param {Object} checkpoint.routed - Router 的路由结果
+   * @param {string} checkpoint.status - RunStatus
+   * @param {Object} checkpoint.agentState - 克隆后的 AgentState
+   * @param {Array} checkpoint.skillResults - 已完成的 Skill 结果
+   * @param {Object} checkpoint.executionCounts - Planner 中各 Skill 的执行次数
+   * @param {string} checkpoint.error - 失败原因
+   * @returns {Promise<Object>} 运行概要
+   */
+  async save(taskId, checkpoint) {
+    const runPath = this.getRunPath(taskId);
+    await fs.mkdir(runPath, { recursive: true });
+
+    const {
+      request = {},
+      routed = null,
+      status = RunStatus.RUNNING,
+      agentState = null,
+      skillResults = [],
+      executionCounts = {},
+      error = null
+    } = checkpoint;
+
+    const previous = await this.readJSON(path.join(runPath, 'run.json'));
+    const now = new Date().toISOString();
+
+    await this.writeJSON(path.join(runPath, 'checkpoint.json'), {
+      taskId,
+      savedAt: now,
+      request,
+      routed,
+      agentState,
+      skillResults,
+      executionCounts
+    });
+
+    const run = {
+      taskId,
+      request: request.userRequest || '',
+      intent: routed?.intent || null,
+      targetChapter: agentState?.targetChapter ?? null,
+      status,
+      error,
+      skillCount: skillResults.length,
+      lastSkill: skillResults[skillResults.length - 1]?.skill || null,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now
+    };
+    await this.writeJSON(path.join(runPath, 'run.json'), run);
+    return run;
+  }
+
+  /**
+   * 只更新运行状态（检查点保持在最后完成的 Skill）
+   * @returns {Promise<Object|null>} 运行概要，运行不存在时为 null
+   */
+  async updateStatus(taskId, status, error = null) {
+    const file = path.join(this.getRunPath(taskId), 'run.json');
+    const run = await this.readJSON(file);
+    if (!run) {
+      return null;
+    }
+    const updated = { ...run, status, error, updatedAt: new Date().toISOString() };
+    await this.writeJSON(file, updated);
+    return updated;
+  }
+
+  /**
+   * 读取运行
+   * @returns {Promise<{run: Object, checkpoint: Object}|null>}
+   */
+  async load(taskId) {
+    const runPath = this.getRunPath(taskId);
+    const run = await this.readJSON(path.join(runPath, 'run.json'));
+    const checkpoint = await this.readJSON(path.join(runPath, 'checkpoint.json'));
+    if (!run || !checkpoint) {
+      return null;
+    }
+    return { run, checkpoint };
+  }
+
+  /**
+   * 列出所有运行（最近更新的在前）
+   * @returns {Promise<Array>} 运行概要，附带 resumable
+   */
+  async listRuns() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.runsPath, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const runs = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const run = await this.readJSON(path.join(this.runsPath, entry.name, 'run.json'));
+      if (run) {
+        runs.push({ ...run, resumable: RESUMABLE_STATUSES.includes(run.status) });
+      }
+    }
+    return runs.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+}
+
+module.exports = {
+  RunCheckpointStore,
+  RunStatus,
+  RESUMABLE_STATUSES
+};
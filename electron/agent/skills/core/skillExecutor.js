@@ -16,6 +16,7 @@ class SkillExecutor {
     this.workspaceRoot = workspaceRoot;
     this.definitions = skillDefinitions.skills;
     this.skillMap = new Map();
+    this.plugins = new Map(); // 工作区 Skill 插件（名称 → SkillPlugin）
     
     // 初始化各个 Skill 实现
     this.contextSkills = new ContextSkills(workspaceRoot, dependencies);
@@ -32,17 +33,19 @@ class SkillExecutor {
   }
 
   /**
-   * 构建 Skill 映射（精简版：9 个核心 Skill）
+   * 构建 Skill 映射（精简版：10 个核心 Skill）
    */
   buildSkillMap() {
     // Context Skills (2 个)
     this.skillMap.set('load_story_context', this.contextSkills.loadStoryContext.bind(this.contextSkills));
     this.skillMap.set('scan_chapters', this.contextSkills.scanChapters.bind(this.contextSkills));
     
-    // Cognitive Skills (2 个)
+    // Cognitive Skills (3 个)
     // plan_chapter 合并了 plan_intent, plan_chapter_outline, analyze_previous_chapters
     this.skillMap.set('plan_chapter', this.cognitiveSkills.planChapterMerged.bind(this.cognitiveSkills));
     this.skillMap.set('generate_rewrite_plan', this.cognitiveSkills.generateRewritePlan.bind(this.cognitiveSkills));
+    // write_note 处理 SUMMARIZE / BRAINSTORM / CHARACTER_PROFILE 意图
+    this.skillMap.set('write_note', this.cognitiveSkills.writeNote.bind(this.cognitiveSkills));
     
     // Write Skills (2 个)
     this.skillMap.set('write_chapter', this.writeSkills.writeChapter.bind(this.writeSkills));
@@ -59,6 +62,34 @@ class SkillExecutor {
     this.skillMap.set('update_story_memory', this.actionSkills.updateStoryMemoryMerged.bind(this.actionSkills));
   }
 
+  /**
+   * 注册工作区 Skill 插件（已通过 SkillPluginLoader 校验）
+   * 插件只拿到 LLM 调用函数、上下文和工作区路径，不能访问内部依赖
+   * @param {Array<SkillPlugin>} plugins
+   */
+  registerPlugins(plugins = []) {
+    for (const name of this.plugins.keys()) {
+      this.skillMap.delete(name);
+    }
+    this.plugins = new Map(plugins.map(plugin => [plugin.name, plugin]));
+    this.definitions = [...skillDefinitions.skills, ...plugins.map(plugin => plugin.definition)];
+
+    for (const plugin of plugins) {
+      this.skillMap.set(plugin.name, (input, options = {}) => plugin.execute(input, {
+        llmCaller: options.llmCaller,
+        context: options.context,
+        workspaceRoot: this.workspaceRoot
+      }));
+    }
+  }
+
+  /**
+   * 获取插件（内置 Skill 返回 null）
+   */
+  getPlugin(skillName) {
+    return this.plugins.get(skillName) || null;
+  }
+
   /**
    * 获取 Skill 定义
    */
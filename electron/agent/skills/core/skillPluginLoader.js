@@ -0,0 +1,324 @@
+/**
+ * Skill Plugin Loader - 工作区 Skill 插件
+ * 从 <workspace>/.novel-agent/skills/*.js 加载用户自定义的 Skill，不需要修改应用即可扩展 Agent
+ * （如生成章节标题、把对白改写为方言）
+ *
+ * 插件模块导出一个对象：
+ * module.exports = {
+ *   name: 'generate_chapter_title',            // 小写字母、数字、下划线，不能与内置 Skill 重名
+ *   description: '根据草稿生成章节标题',
+ *   inputSchema: { type: 'object', required: ['chapters'], properties: { chapters: { type: 'object' } } },
+ *   outputSchema: { type: 'object', properties: { chapterTitle: { type: 'string' } } },
+ *   requiresState: ['chapters.draft'],
+ *   producesState: ['chapterTitle'],           // 输出中按状态路径取值（chapters.draft 对应 output.chapters.draft）
+ *   intents: ['CREATE', 'CONTINUE'],           // 可选：请求选择该插件（request.pluginGoals）时，把新产生的状态加入这些意图的目标状态
+ *   buildInput(state, request) { ... },        // 可选：从 AgentState 构建输入
+ *   async execute(input, { llmCaller, context, workspaceRoot }) { return { chapterTitle: '...' }; }
+ * };
+ *
+ * 加载后使用 SkillValidator 校验（契约、依赖循环、目标可达），有错误的插件不会注册。
+ * 插件在主进程中运行，拥有完整的 Node.js 权限，只应加载信任的代码：
+ * 工作区需由用户显式信任（设置项 trustedSkillPluginWorkspaces，保存在应用数据中而不是工作区内），
+ * 未信任时不执行插件文件，只列出等待信任的插件。
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const skillDefinitions = require('../definitions/skillDefinitions.json');
+const { STATE_CONTRACTS, GOAL_STATES } = require('./stateContracts');
+const AgentState = require('./agentState');
+const SkillValidator = require('./skillValidator');
+const logger = require('../../../utils/logger');
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const TRUST_SETTING_KEY = 'trustedSkillPluginWorkspaces';
+
+/**
+ * 已信任 Skill 插件的工作区（设置项中的 JSON 数组，元素为工作区绝对路径）
+ */
+function getTrustedWorkspaces(settings) {
+  try {
+    const raw = settings ? settings.get(TRUST_SETTING_KEY) : null;
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.warn('⚠️ 解析插件信任设置失败:', error.message);
+    return [];
+  }
+}
+
+function isWorkspaceTrusted(settings, workspaceRoot) {
+  return getTrustedWorkspaces(settings).includes(path.resolve(workspaceRoot));
+}
+
+/**
+ * 信任或取消信任工作区的 Skill 插件
+ */
+function setWorkspaceTrusted(settings, workspaceRoot, trusted) {
+  const resolved = path.resolve(workspaceRoot);
+  const list = getTrustedWorkspaces(settings).filter(item => item !== resolved);
+  if (trusted) {
+    list.push(resolved);
+  }
+  settings.set(TRUST_SETTING_KEY, JSON.stringify(list));
+  return list;
+}
+
+/**
+ * 按状态路径读写（支持嵌套，如 chapters.draft）
+ */
+function getByPath(target, statePath) {
+  return statePath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), target);
+}
+
+function setByPath(target, statePath, value) {
+  const keys = statePath.split('.');
+  let current = target;
+  for (const key of keys.slice(0, -1)) {
+    if (current[key] == null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+class SkillPlugin {
+  constructor(file, module) {
+    this.file = file;
+    this.name = module.name;
+    this.module = module;
+    this.definition = {
+      name: module.name,
+      category: 'plugin',
+      description: module.description || '',
+      inputSchema: module.inputSchema || { type: 'object', properties: {} },
+      outputSchema: module.outputSchema || { type: 'object', properties: {} },
+      plugin: true
+    };
+    this.contract = {
+      requiresState: module.requiresState || [],
+      producesState: module.producesState
+    };
+    this.intents = module.intents || [];
+    this.warnings = [];
+  }
+
+  /**
+   * 新产生的状态（内置 Skill 不产生的状态），只有这些状态可以作为目标
+   */
+  get newStates() {
+    const coreStates = new Set(Object.values(STATE_CONTRACTS).flatMap(contract => contract.producesState));
+    return this.contract.producesState.filter(stateKey => !coreStates.has(stateKey));
+  }
+
+  /**
+   * 从 AgentState 构建输入：默认传入 requiresState 的根状态、用户请求和上下文
+   */
+  buildInput(state, request = {}) {
+    if (typeof this.module.buildInput === 'function') {
+      return this.module.buildInput(state, request);
+    }
+
+    const input = {
+      userRequest: request.userRequest || '',
+      chapterNumber: state.targetChapter || request.targetChapter || null,
+      selectedText: request.selectedText || null,
+      context: state.buildContextForIntent()
+    };
+    for (const stateKey of this.contract.requiresState) {
+      const rootKey = stateKey.split('.')[0];
+      input[rootKey] = state[rootKey];
+    }
+    return input;
+  }
+
+  /**
+   * 把输出写回 AgentState（只写 producesState 声明的状态）
+   */
+  applyOutput(state, output) {
+    for (const stateKey of this.contract.producesState) {
+      const value = getByPath(output, stateKey);
+      if (value !== undefined) {
+        setByPath(state, stateKey, value);
+      }
+    }
+  }
+
+  async execute(input, options = {}) {
+    return await this.module.execute(input, options);
+  }
+}
+
+class SkillPluginLoader {
+  constructor(workspaceRoot) {
+    this.workspaceRoot = workspaceRoot;
+    this.pluginsPath = path.join(workspaceRoot, '.novel-agent', 'skills');
+  }
+
+  /**
+   * 插件文件（按文件名排序），目录不存在时为空
+   */
+  async listPluginFiles() {
+    try {
+      return (await fs.readdir(this.pluginsPath))
+        .filter(file => file.endsWith('.js'))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 工作区已被信任时加载插件，否则不执行插件文件，只返回等待信任的文件
+   * @param {Object} settings - 设置项（get / set）
+   * @returns {Promise<{plugins: SkillPlugin[], errors: Array<{file, message}>, blocked: string[]}>}
+   */
+  async loadIfTrusted(settings) {
+    if (isWorkspaceTrusted(settings, this.workspaceRoot)) {
+      return { ...(await this.load()), blocked: [] };
+    }
+
+    const blocked = await this.listPluginFiles();
+    if (blocked.length > 0) {
+      logger.logAgent('工作区未信任，跳过 Skill 插件', { files: blocked }, 'WARN');
+    }
+    return { plugins: [], errors: [], blocked };
+  }
+
+  /**
+   * 加载并校验所有插件
+   * @returns {Promise<{plugins: SkillPlugin[], errors: Array<{file, message}>}>}
+   */
+  async load() {
+    const files = await this.listPluginFiles();
+    const plugins = [];
+    const errors = [];
+
+    for (const file of files) {
+      const filePath = path.join(this.pluginsPath, file);
+      try {
+        const plugin = new SkillPlugin(filePath, this.requirePlugin(filePath));
+        this.checkShape(plugin, plugins);
+        this.validate(plugin, plugins);
+        plugins.push(plugin);
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    }
+
+    if (plugins.length > 0 || errors.length > 0) {
+      logger.logAgent('Skill 插件加载完成', {
+        loaded: plugins.map(plugin => plugin.name),
+        rejected: errors
+      }, errors.length > 0 ? 'WARN' : 'INFO');
+    }
+
+    return { plugins, errors };
+  }
+
+  /**
+   * 加载插件模块（清除 require 缓存，重新初始化 Agent 时读取修改后的插件）
+   */
+  requirePlugin(filePath) {
+    const resolved = require.resolve(filePath);
+    delete require.cache[resolved];
+    return require(resolved);
+  }
+
+  /**
+   * 检查插件导出的结构
+   */
+  checkShape(plugin, loaded) {
+    const { module } = plugin;
+    if (!module || typeof module !== 'object') {
+      throw new Error('插件必须导出一个对象');
+    }
+    if (typeof module.name !== 'string' || !NAME_PATTERN.test(module.name)) {
+      throw new Error(`插件名称无效: ${module.name}（只能使用小写字母、数字和下划线）`);
+    }
+    if (skillDefinitions.skills.some(skill => skill.name === module.name) || loaded.some(p => p.name === module.name)) {
+      throw new Error(`Skill 名称重复: ${module.name}`);
+    }
+    if (typeof module.execute !== 'function') {
+      throw new Error(`插件 ${module.name} 缺少 execute(input, options) 函数`);
+    }
+    for (const field of ['requiresState', 'producesState']) {
+      if (module[field] !== undefined && !Array.isArray(module[field])) {
+        throw new Error(`插件 ${module.name} 的 ${field} 必须是数组`);
+      }
+    }
+    if (!Array.isArray(module.producesState) || module.producesState.length === 0) {
+      throw new Error(`插件 ${module.name} 的 producesState 为空，必须至少产生一个状态`);
+    }
+
+    // 状态写在 AgentState 上，不能覆盖其方法
+    const reserved = plugin.contract.producesState
+      .map(stateKey => String(stateKey).split('.')[0])
+      .filter(rootKey => typeof AgentState.prototype[rootKey] === 'function');
+    if (reserved.length > 0) {
+      throw new Error(`插件 ${module.name} 的 producesState 使用了保留名称: ${reserved.join(', ')}`);
+    }
+
+    const unknownIntents = plugin.intents.filter(intent => !GOAL_STATES[intent]);
+    if (unknownIntents.length > 0) {
+      throw new Error(`插件 ${module.name} 的 intents 包含未知意图: ${unknownIntents.join(', ')}`);
+    }
+    if (plugin.intents.length > 0 && plugin.newStates.length === 0) {
+      plugin.warnings.push('producesState 都是内置状态，无法加入意图的目标状态，intents 不生效');
+    }
+  }
+
+  /**
+   * 使用 SkillValidator 校验契约、依赖循环和目标可达（与已加载的插件一起）
+   */
+  validate(plugin, loaded) {
+    const plugins = [...loaded, plugin];
+    const validator = new SkillValidator({
+      definitions: [...skillDefinitions.skills, ...plugins.map(p => p.definition)],
+      contracts: {
+        ...STATE_CONTRACTS,
+        ...Object.fromEntries(plugins.map(p => [p.name, p.contract]))
+      },
+      goalStates: mergeGoalStates(GOAL_STATES, plugins)
+    });
+
+    validator.validateSkill(plugin.definition);
+    validator.validateStateKeyFormat(plugin.contract);
+    validator.validateDependencyCycles();
+
+    // 插件依赖的状态必须有 Skill 能产生
+    validator.validateGoalReachability(plugin.contract.requiresState);
+    for (const intent of plugin.intents) {
+      validator.validateGoalReachability(validator.goalStates[intent]);
+    }
+
+    if (validator.errors.length > 0) {
+      throw new Error(validator.errors.map(error => error.message).join('；'));
+    }
+    plugin.warnings.push(...validator.warnings.map(warning => warning.message));
+  }
+}
+
+/**
+ * 把插件新产生的状态加入对应意图的目标状态（插件的状态排在前面，在定稿前产生）
+ */
+function mergeGoalStates(goalStates, plugins) {
+  const merged = Object.fromEntries(Object.entries(goalStates).map(([intent, goals]) => [intent, [...goals]]));
+  for (const plugin of plugins) {
+    for (const intent of plugin.intents) {
+      const added = plugin.newStates.filter(stateKey => !merged[intent].includes(stateKey));
+      merged[intent] = [...added, ...merged[intent]];
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  SkillPluginLoader,
+  SkillPlugin,
+  mergeGoalStates,
+  TRUST_SETTING_KEY,
+  isWorkspaceTrusted,
+  setWorkspaceTrusted
+};
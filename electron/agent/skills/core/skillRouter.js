@@ -1,32 +1,69 @@
 /**
- * Skill Router - Skill 路由器（极简版）
- * 只负责意图粗分类，不决定 Skill 序列
+ * Skill Router - Skill 路由器
+ * 只负责意图分类，不决定 Skill 序列：
+ * 1. 正则快速路径：命中唯一意图且不是询问语气时直接采用
+ * 2. 快速路径不确定时交给 IntentAnalyzer（LLM）判断，两者一致时提高置信度
+ * 3. 最终置信度过低时返回澄清问题，由用户选择意图后重新执行（request.intent）
  */
 
+const IntentAnalyzer = require('../../modules/analysis/intentAnalyzer');
+const { INTENT_LABELS } = require('./stateContracts');
 const logger = require('../../../utils/logger');
 
+const INTENTS = Object.keys(INTENT_LABELS);
+
+// 快速路径规则（越具体的越靠前，同时命中多个意图时取第一个，但会降低置信度）
+const FAST_PATH_RULES = [
+  { intent: 'CHARACTER_PROFILE', pattern: /人物小传|小传|人物档案|角色档案|人物卡|角色卡|人物简介/ },
+  { intent: 'SUMMARIZE', pattern: /总结|概括|摘要|梗概|前情提要|回顾一下|简述/ },
+  { intent: 'BRAINSTORM', pattern: /头脑风暴|脑暴|点子|灵感|创意|出主意|有哪些可能|可能的走向/ },
+  { intent: 'CONTINUE', pattern: /续写|继续|下一章|接着/ },
+  { intent: 'REWRITE', pattern: /重写|改写|修改|优化|润色/ },
+  { intent: 'CHECK', pattern: /检查|校验|一致性|连贯性/ },
+  { intent: 'PLAN', pattern: /规划|计划|大纲/ },
+  { intent: 'CREATE', pattern: /写第\s*[\d一二三四五六七八九十百千]+\s*章|新建|创建|开始写|写一章/ }
+];
+
+// 询问语气：字面上命中的意图不一定是用户想执行的操作（如“有没有修改的必要”）
+const HEDGE_PATTERN = /有没有|要不要|是否|需不需要|值不值得|帮我看看|看看|怎么样|吗[？?]?$/;
+
+const FAST_PATH_CONFIDENCE = 0.9;   // 命中唯一意图
+const AMBIGUOUS_CONFIDENCE = 0.5;   // 命中多个意图或询问语气
+const DEFAULT_CONFIDENCE = 0.4;     // 没有命中任何规则，默认 CREATE
+const LLM_THRESHOLD = 0.8;          // 低于此置信度时询问 IntentAnalyzer
+const CLARIFY_THRESHOLD = 0.6;      // 低于此置信度时请用户澄清
+const MAX_CLARIFY_OPTIONS = 4;
+
 class SkillRouter {
-  constructor() {
-    // Router 不再需要 skillDefinitions
+  /**
+   * @param {Object} options
+   * @param {IntentAnalyzer} options.intentAnalyzer - 意图分析器（默认新建）
+   */
+  constructor(options = {}) {
+    this.intentAnalyzer = options.intentAnalyzer || new IntentAnalyzer();
   }
 
   /**
    * 路由：分析意图并返回任务类型
-   * @param {Object} request - 用户请求
+   * @param {Object} request - 用户请求（request.intent 为用户指定的意图，如回答澄清问题后）
    * @param {Object} context - 当前上下文（可选）
-   * @returns {Object} 路由结果 { intent, hasSelection, request, context }
+   * @param {Function} llmCaller - LLM 调用函数（可选，没有时只使用正则快速路径）
+   * @returns {Promise<Object>} 路由结果 { intent, confidence, source, candidates, needsClarification, clarification, hasSelection, request, context }
    */
-  route(request, context = {}) {
-    const intent = this.analyzeIntent(request);
+  async route(request, context = {}, llmCaller = null) {
+    const classified = await this.classify(request, llmCaller);
     const hasSelection = !!(request.selectedText || context.selectedText);
 
-    logger.logAgent('Router 路由完成', { 
-      intent,
+    logger.logAgent('Router 路由完成', {
+      intent: classified.intent,
+      confidence: classified.confidence,
+      source: classified.source,
+      needsClarification: classified.needsClarification,
       hasSelection
     });
 
     return {
-      intent,                 // CREATE / CONTINUE / REWRITE / CHECK / PLAN
+      ...classified,          // intent: CREATE / CONTINUE / REWRITE / CHECK / PLAN / SUMMARIZE / BRAINSTORM / CHARACTER_PROFILE
       hasSelection,
       request,
       context
@@ -34,20 +71,102 @@ class SkillRouter {
   }
 
   /**
-   * 分析用户意图（粗分类）
+   * 意图分类（正则快速路径 + IntentAnalyzer）
+   */
+  async classify(request, llmCaller = null) {
+    if (request.intent && INTENTS.includes(request.intent)) {
+      return this.buildResult(request.intent, 1, 'user', [request.intent]);
+    }
+
+    const fast = this.analyzeIntent(request);
+    if (fast.confidence >= LLM_THRESHOLD || !llmCaller) {
+      return this.buildResult(fast.intent, fast.confidence, 'regex', fast.matches);
+    }
+
+    const analysis = await this.intentAnalyzer.analyze(request.userRequest || '', request.targetFile || null, llmCaller);
+    if (analysis.fallback || !INTENTS.includes(analysis.intent_type)) {
+      // LLM 不可用时沿用快速路径的结果
+      return this.buildResult(fast.intent, fast.confidence, 'regex', fast.matches);
+    }
+
+    const llmConfidence = this.normalizeConfidence(analysis.confidence);
+    const agreed = fast.matches.includes(analysis.intent_type);
+    const confidence = agreed
+      ? Math.min(0.95, Math.max(llmConfidence, fast.confidence) + 0.1)
+      : llmConfidence;
+
+    return this.buildResult(
+      analysis.intent_type,
+      confidence,
+      agreed ? 'regex+llm' : 'llm',
+      [analysis.intent_type, ...fast.matches],
+      analysis.clarification_question
+    );
+  }
+
+  /**
+   * 正则快速路径（兼容旧调用：返回值中的 intent 为粗分类结果）
+   * @returns {{intent: string, confidence: number, matches: string[]}}
    */
   analyzeIntent(request) {
-    const text = (request.userRequest || '').toLowerCase();
-    
-    if (/续写|继续|下一章|接着/.test(text)) return 'CONTINUE';
-    if (/重写|改写|修改|优化/.test(text)) return 'REWRITE';
-    if (/检查|校验|一致性|连贯性/.test(text)) return 'CHECK';
-    if (/规划|计划|大纲/.test(text)) return 'PLAN';
-    
-    // 默认：创建新章节
-    return 'CREATE';
+    const text = (request.userRequest || '').toLowerCase().trim();
+    const matches = FAST_PATH_RULES
+      .filter(rule => rule.pattern.test(text))
+      .map(rule => rule.intent);
+
+    if (matches.length === 0) {
+      // 默认：创建新章节
+      return { intent: 'CREATE', confidence: DEFAULT_CONFIDENCE, matches };
+    }
+
+    // 询问语气多半是想先评估（如“有没有修改的必要”），把 CHECK 加入候选
+    const hedged = HEDGE_PATTERN.test(text);
+    if (hedged && !matches.includes('CHECK')) {
+      matches.push('CHECK');
+    }
+
+    const ambiguous = matches.length > 1 || hedged;
+    return {
+      intent: matches[0],
+      confidence: ambiguous ? AMBIGUOUS_CONFIDENCE : FAST_PATH_CONFIDENCE,
+      matches
+    };
+  }
+
+  /**
+   * LLM 返回的置信度（0~1，缺失时视为中等）
+   */
+  normalizeConfidence(value) {
+    const confidence = Number(value);
+    if (!Number.isFinite(confidence)) {
+      return 0.7;
+    }
+    return Math.max(0, Math.min(1, confidence > 1 ? confidence / 100 : confidence));
+  }
+
+  /**
+   * 组装分类结果，置信度过低且有多个候选意图时附带澄清问题
+   */
+  buildResult(intent, confidence, source, candidates, question = null) {
+    const options = [...new Set([...candidates, intent, 'CREATE'])]
+      .filter(candidate => INTENTS.includes(candidate))
+      .slice(0, MAX_CLARIFY_OPTIONS);
+    const needsClarification = confidence < CLARIFY_THRESHOLD && options.length > 1;
+
+    return {
+      intent,
+      confidence: Math.round(confidence * 100) / 100,
+      source,
+      candidates: [...new Set(candidates)],
+      needsClarification,
+      clarification: needsClarification
+        ? {
+            question: question || `你是想${options.slice(0, 2).map(o => INTENT_LABELS[o]).join('，还是')}？`,
+            options: options.map(option => ({ intent: option, label: INTENT_LABELS[option] }))
+          }
+        : null
+    };
   }
 }
 
 module.exports = SkillRouter;
-
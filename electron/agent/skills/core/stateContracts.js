@@ -40,6 +40,11 @@ const STATE_CONTRACTS = {
     producesState: ['chapters.draft'] // 更新草稿
   },
 
+  write_note: {
+    requiresState: ['worldRules', 'characters', 'plotState'],
+    producesState: ['note'] // 总结、头脑风暴、人物小传（不写入章节）
+  },
+
   // ========== Check / Validation (2 个) ==========
   
   check_chapter: {
@@ -68,10 +73,28 @@ const GOAL_STATES = {
   CONTINUE: ['chapters.final'],
   REWRITE: ['chapters.final'],
   CHECK: ['checkResults'],
-  PLAN: ['outline']
+  PLAN: ['outline'],
+  SUMMARIZE: ['note'],
+  BRAINSTORM: ['note'],
+  CHARACTER_PROFILE: ['note']
+};
+
+/**
+ * Intent 说明（用于 Router 的澄清问题）
+ */
+const INTENT_LABELS = {
+  CREATE: '写新章节',
+  CONTINUE: '续写下一章',
+  REWRITE: '重写 / 修改章节',
+  CHECK: '检查章节（一致性、连贯性、是否需要修改）',
+  PLAN: '规划大纲',
+  SUMMARIZE: '总结章节或剧情',
+  BRAINSTORM: '头脑风暴（情节走向、点子）',
+  CHARACTER_PROFILE: '写人物小传 / 人物档案'
 };
 
 module.exports = {
   STATE_CONTRACTS,
-  GOAL_STATES
+  GOAL_STATES,
+  INTENT_LABELS
 };
@@ -3,6 +3,28 @@
  * "会思考，但不写字"
  */
 
+// write_note 各类资料的写法
+const NOTE_GUIDES = {
+  SUMMARIZE: {
+    title: '剧情总结',
+    role: '你负责总结章节或剧情。',
+    task: '请总结用户指定的内容：主要事件、人物变化、埋下或回收的伏笔，最后列出尚未解决的悬念。',
+    temperature: 0.3
+  },
+  BRAINSTORM: {
+    title: '头脑风暴',
+    role: '你负责提供情节点子。',
+    task: '请给出 3~5 个互不相同的方向，每个方向说明：核心点子、与现有伏笔和人物的衔接、可能的风险。',
+    temperature: 0.9
+  },
+  CHARACTER_PROFILE: {
+    title: '人物小传',
+    role: '你负责整理人物小传。',
+    task: '请为用户指定的人物写小传：身份与背景、性格与动机、重要经历、人际关系、当前状态，以及后续可以展开的方向。设定中没有的信息标注为“待定”。',
+    temperature: 0.5
+  }
+};
+
 class CognitiveSkills {
   constructor(workspaceRoot, dependencies = {}) {
     this.workspaceRoot = workspaceRoot;
@@ -83,6 +105,14 @@ class CognitiveSkills {
       outlineMarkdown += `- **预计字数**: ${scene.word_count || 0}\n\n`;
     });
 
+    if (plan.due_foreshadows && plan.due_foreshadows.length > 0) {
+      outlineMarkdown += `## 本章伏笔回收\n`;
+      plan.due_foreshadows.forEach(item => {
+        outlineMarkdown += `- ${item.action === 'resolve' ? '解决' : '揭示'}：${item.title}${item.description ? `（${item.description}）` : ''}\n`;
+      });
+      outlineMarkdown += '\n';
+    }
+
     if (plan.emotion_curve) {
       outlineMarkdown += `## 情绪曲线\n`;
       outlineMarkdown += `- 起始: ${plan.emotion_curve.start || 0}\n`;
@@ -173,7 +203,8 @@ class CognitiveSkills {
       pacing_curve: plan.pacing_curve,
       density_curve: plan.density_curve,
       chapter_structure: plan.chapter_structure,
-      coherence_links: plan.coherence_links
+      coherence_links: plan.coherence_links,
+      due_foreshadows: plan.due_foreshadows || []
     };
   }
 
@@ -252,7 +283,9 @@ ${content.substring(0, 2000)}${content.length > 2000 ? '...' : ''}
    * generate_rewrite_plan - 生成整改方案
    */
   async generateRewritePlan(input, options = {}) {
-    const { content, checkResult, context = {} } = input;
+    const { content, context = {} } = input;
+    // 定义中的输入为 checkResults（AgentState 的状态名），兼容旧调用的 checkResult
+    const checkResult = input.checkResults || input.checkResult;
     
     if (!content) {
       throw new Error('Content is required for rewrite plan generation');
@@ -654,6 +687,79 @@ ${JSON.stringify(checkResult, null, 2)}
     }
     return parts.join('；') || '无上下文';
   }
+
+  /**
+   * write_note - 生成不写入章节的创作资料（总结、头脑风暴、人物小传）
+   */
+  async writeNote(input, options = {}) {
+    const { noteType, userRequest, chapterNumber, context = {} } = input;
+
+    const llmCaller = options.llmCaller || this.llmCaller;
+    if (!llmCaller) {
+      throw new Error('LLM caller not available');
+    }
+
+    const guide = NOTE_GUIDES[noteType];
+    if (!guide) {
+      throw new Error(`Unknown note type: ${noteType}`);
+    }
+
+    // 总结指定章节时读取正文
+    let chapterText = '';
+    const fileScanner = this.dependencies?.fileScanner;
+    if (noteType === 'SUMMARIZE' && chapterNumber && fileScanner) {
+      if (!fileScanner.hasChapter(chapterNumber)) {
+        await fileScanner.scanChapterFiles();
+      }
+      chapterText = await fileScanner.readChapterContent(chapterNumber) || '';
+    }
+
+    const characters = (context.characters || []).slice(0, 20).map(c => ({
+      name: c.name,
+      role: c.role,
+      personality: c.personality,
+      background: c.background,
+      current_state: c.current_state
+    }));
+
+    const userPrompt = `# 用户请求
+${userRequest}
+
+# 世界观
+${JSON.stringify(context.worldRules || {}, null, 2).substring(0, 1500)}
+
+# 人物
+${JSON.stringify(characters, null, 2).substring(0, 2500)}
+
+# 剧情状态
+${JSON.stringify(context.plotState || {}, null, 2).substring(0, 1500)}
+${chapterText ? `\n# 第${chapterNumber}章正文\n${chapterText.substring(0, 6000)}${chapterText.length > 6000 ? '...' : ''}\n` : ''}
+${guide.task}`;
+
+    const result = await llmCaller({
+      systemPrompt: `你是一个小说创作助手。${guide.role}
+只能依据给出的设定、人物、剧情和正文，不要编造与之矛盾的内容。
+使用 Markdown 输出，第一行是以 # 开头的标题。`,
+      userPrompt,
+      temperature: guide.temperature,
+      maxTokens: 2000
+    });
+
+    if (!result || !result.success || !result.response) {
+      throw new Error('LLM 调用失败: ' + (result?.error || '无响应'));
+    }
+
+    const content = String(result.response).trim();
+    const heading = content.match(/^#+\s*(.+)$/m);
+
+    return {
+      note: {
+        type: noteType,
+        title: heading ? heading[1].trim() : guide.title,
+        content
+      }
+    };
+  }
 }
 
 module.exports = CognitiveSkills;
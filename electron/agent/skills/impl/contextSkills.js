@@ -19,12 +19,17 @@ class ContextSkills {
    * load_story_context - 加载小说完整上下文
    */
   async loadStoryContext(input, options = {}) {
-    const { novelId, include = ['world', 'characters', 'plot', 'foreshadows'] } = input;
+    const { novelId, include = ['world', 'characters', 'plot', 'foreshadows'], asOfChapter = null } = input;
     
     if (!this.memory) {
       throw new Error('Memory manager not available');
     }
 
+    // 指定 asOfChapter 时按该章结束时的状态加载人物和伏笔
+    const snapshot = asOfChapter !== null && typeof this.memory.getStateAsOf === 'function'
+      ? this.memory.getStateAsOf(asOfChapter)
+      : null;
+
     const context = {
       worldRules: null,
       characters: [],
@@ -39,7 +44,9 @@ class ContextSkills {
 
     // 加载角色信息
     if (include.includes('characters')) {
-      context.characters = this.memory.character.getMainCharacters();
+      context.characters = snapshot
+        ? snapshot.characters.filter(char => char.role === 'protagonist' || char.role === 'antagonist')
+        : this.memory.character.getMainCharacters();
     }
 
     // 加载剧情状态
@@ -49,10 +56,15 @@ class ContextSkills {
 
     // 加载伏笔
     if (include.includes('foreshadows')) {
-      context.foreshadows = {
-        pending: this.memory.foreshadow.getPendingForeshadows(),
-        revealed: this.memory.foreshadow.getRevealedForeshadows()
-      };
+      context.foreshadows = snapshot
+        ? {
+          pending: snapshot.story_foreshadows.filter(f => f.status === 'pending'),
+          revealed: snapshot.story_foreshadows.filter(f => f.status === 'revealed')
+        }
+        : {
+          pending: this.memory.foreshadow.getPendingForeshadows(),
+          revealed: this.memory.foreshadow.getRevealedForeshadows()
+        };
     }
 
     return context;
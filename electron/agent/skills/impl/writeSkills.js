@@ -130,7 +130,8 @@ ${JSON.stringify({
         userPrompt,
         temperature: 0.5,
         maxTokens: 2000,
-        topP: 0.9
+        topP: 0.9,
+        stream: true // 正文较长，支持流式的调用器会边生成边推送到界面
       });
 
       // 处理返回值
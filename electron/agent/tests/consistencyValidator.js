@@ -0,0 +1,381 @@
+/**
+ * Consistency Validator - 一致性校验模块验证器
+ * 验证 LLM 校验报告的解析和原文定位，全书校验任务的问题合并和暂停 / 继续 / 取消 / 删除
+ * （全书校验依赖数据库模块，better-sqlite3 无法加载时跳过并给出警告）
+ */
+
+const { locateQuote, parseReport } = require('../../core/consistencyReport');
+const GroupValidator = require('./harness/groupValidator');
+
+class ConsistencyValidator extends GroupValidator {
+  constructor() {
+    super({ workspacePrefix: 'consistency-validator-' });
+  }
+
+  // ========== 原文定位 ==========
+
+  locateCases() {
+    return {
+      '返回引用原文的起止位置': async () => {
+        this.assertEqual(locateQuote('林远拔出长剑，冲向山门。', '拔出长剑'), { start: 2, end: 6 }, '位置');
+      },
+
+      '原文出现多次时取离给出偏移量最近的一处，没有偏移量时取第一处': async () => {
+        const text = '他点了点头。片刻后，他点了点头。又过了很久，他点了点头。';
+        this.assertEqual(locateQuote(text, '他点了点头', 12), { start: 10, end: 15 }, '离偏移量 12 最近');
+        this.assertEqual(locateQuote(text, '他点了点头', 100), { start: 22, end: 27 }, '偏移量超出文本时取最后一处');
+        this.assertEqual(locateQuote(text, '他点了点头'), { start: 0, end: 5 }, '没有偏移量');
+      },
+
+      '去掉引用两端多余的空白和引号': async () => {
+        const text = '师父说今晚出发。';
+        this.assertEqual(locateQuote(text, '  今晚出发 '), { start: 3, end: 7 }, '空白');
+        this.assertEqual(locateQuote(text, '“今晚出发”'), { start: 3, end: 7 }, '中文引号');
+        this.assertEqual(locateQuote(text, '「今晚出发」'), { start: 3, end: 7 }, '直角引号');
+      },
+
+      '找不到或引用为空时返回 null': async () => {
+        this.assertEqual(locateQuote('师父说今晚出发。', '明早出发'), null, '找不到');
+        this.assertEqual(locateQuote('师父说今晚出发。', ''), null, '空引用');
+        this.assertEqual(locateQuote('师父说今晚出发。', '“”'), null, '只有引号');
+      }
+    };
+  }
+
+  // ========== 报告解析 ==========
+
+  reportCases() {
+    const text = '第三天清晨，林远离开了青云宗。傍晚，他回到青云宗，见到了已死的师兄。';
+    const report = (issues, extra = {}) => JSON.stringify({ summary: '有矛盾', issues, strengths: ['节奏紧凑'], ...extra });
+    const issue = (fields = {}) => ({
+      type: 'character',
+      severity: 'error',
+      quote: '已死的师兄',
+      description: '师兄在第二章已死',
+      suggestion: '师兄的遗物',
+      evidence: [],
+      ...fields
+    });
+
+    return {
+      '解析 <json> 包裹、代码块包裹和前后带说明文字的输出': async () => {
+        const json = report([issue()]);
+        for (const [name, output] of [
+          ['<json>', `<json>\n${json}\n</json>`],
+          ['代码块', `\`\`\`json\n${json}\n\`\`\``],
+          ['说明文字', `检查完毕，结果如下：\n${json}\n以上。`]
+        ]) {
+          const parsed = parseReport(output, text);
+          this.assert(parsed, `${name}：应当解析成功`);
+          this.assertEqual([parsed.summary, parsed.strengths, parsed.issues.length], ['有矛盾', ['节奏紧凑'], 1], `${name}：报告内容`);
+        }
+      },
+
+      '不是 JSON 或缺少 issues 数组时返回 null': async () => {
+        this.assertEqual(parseReport('没有发现问题。', text), null, '纯文本');
+        this.assertEqual(parseReport('<json>{"summary": "好"}</json>', text), null, '缺少 issues');
+        this.assertEqual(parseReport('<json>{"issues": "无"}</json>', text), null, 'issues 不是数组');
+      },
+
+      '问题位置以原文为准，加上选中片段的起始偏移量': async () => {
+        const [located] = parseReport(report([issue({ start: 3 })]), text).issues;
+        this.assertEqual([located.quote, located.start, located.end], ['已死的师兄', 28, 33], '整篇校验');
+
+        const [offset] = parseReport(report([issue({ start: '3' })]), text, { baseOffset: 100 }).issues;
+        this.assertEqual([offset.start, offset.end], [128, 133], '选中片段校验');
+      },
+
+      '找不到引用时保留问题，位置为空': async () => {
+        const [missing] = parseReport(report([issue({ quote: '复活的师兄' })]), text, { baseOffset: 100 }).issues;
+        this.assertEqual(
+          [missing.quote, missing.start, missing.end, missing.description],
+          ['复活的师兄', null, null, '师兄在第二章已死'],
+          '未定位的问题'
+        );
+      },
+
+      '证据只保留本次提供的片段 ID 并去重': async () => {
+        const [parsed] = parseReport(report([issue({ evidence: ['3', 5, 99, '3', 'x'] })]), text, { evidenceIds: [3, 5, 7] }).issues;
+        this.assertEqual(parsed.evidenceIds, [3, 5], '证据 ID');
+
+        const [noEvidence] = parseReport(report([issue({ evidence: '3' })]), text, { evidenceIds: [3] }).issues;
+        this.assertEqual(noEvidence.evidenceIds, [], 'evidence 不是数组');
+      },
+
+      '未知类型和严重程度归为 other / warning，丢弃无内容的问题': async () => {
+        const parsed = parseReport(report([
+          issue({ type: 'style', severity: 'fatal', suggestion: 42 }),
+          issue({ suggestion: '' }),
+          { type: 'plot' },
+          null,
+          '不是对象'
+        ]), text);
+
+        this.assertEqual(parsed.issues.length, 2, '保留的问题数');
+        this.assertEqual(
+          parsed.issues.map(item => [item.type, item.severity, item.suggestion]),
+          [['other', 'warning', null], ['character', 'error', '']],
+          '类型、严重程度和替换文本'
+        );
+      }
+    };
+  }
+
+  // ========== 全书校验：合并重复问题 ==========
+
+  groupingCases({ groupIssues }) {
+    let nextId = 1;
+    const issue = (chapter, fields = {}) => ({
+      id: nextId++,
+      file_path: `/ws/第${chapter}章.md`,
+      type: 'character',
+      severity: 'warning',
+      quote: '',
+      ...fields
+    });
+    const summarize = groups => groups.map(group => [group.description, group.chapters, group.severity]);
+
+    return {
+      '同一类型且涉及的专有名词相同的问题归为一组': async () => {
+        const groups = groupIssues([
+          issue(3, { description: '林远在青云宗的身份前后不一致' }),
+          issue(7, { quote: '青云宗外门弟子林远', description: '这里的身份与之前的描述矛盾' }),
+          issue(8, { description: '林远的年龄与设定不符' })
+        ], ['林远', '青云宗']);
+
+        this.assertEqual(summarize(groups), [
+          ['林远在青云宗的身份前后不一致', ['第3章', '第7章'], 'warning'],
+          ['林远的年龄与设定不符', ['第8章'], 'warning']
+        ], '分组');
+        this.assertEqual(groups[0].terms, ['林远', '青云宗'], '涉及的专有名词');
+        this.assertEqual(groups[0].occurrences.map(occurrence => occurrence.issueId), [1, 2], '问题 ID');
+      },
+
+      '描述的二元组重合度达到阈值时归为一组': async () => {
+        const groups = groupIssues([
+          issue(1, { description: '主角的佩剑颜色前后不一致' }),
+          issue(2, { description: '主角的佩剑颜色和前文不一致' }),
+          issue(3, { description: '主角说话的语气前后不一致' })
+        ]);
+
+        this.assertEqual(summarize(groups), [
+          ['主角的佩剑颜色前后不一致', ['第1章', '第2章'], 'warning'],
+          ['主角说话的语气前后不一致', ['第3章'], 'warning']
+        ], '重合度 0.73 合并，0.45 不合并');
+      },
+
+      '类型不同的问题不合并': async () => {
+        const groups = groupIssues([
+          issue(1, { type: 'timeline', description: '林远出发的时间前后不一致' }),
+          issue(2, { type: 'world', description: '林远出发的时间前后不一致' })
+        ], ['林远']);
+
+        this.assertEqual(groups.map(group => group.type), ['timeline', 'world'], '类型');
+      },
+
+      '严重程度取组内最高，按涉及章节数降序，同一章节只计一次': async () => {
+        const groups = groupIssues([
+          issue(1, { description: '天气描写与季节不符' }),
+          issue(2, { description: '林远的佩剑凭空出现', severity: 'info' }),
+          issue(2, { description: '林远的佩剑再次凭空出现', severity: 'info' }),
+          issue(5, { description: '林远的佩剑在这里又出现了', severity: 'error' }),
+          issue(6, { description: '天气描写与季节明显不符' })
+        ], ['林远', '佩剑']);
+
+        this.assertEqual(summarize(groups), [
+          ['林远的佩剑凭空出现', ['第2章', '第5章'], 'error'],
+          ['天气描写与季节不符', ['第1章', '第6章'], 'warning']
+        ], '分组与排序');
+        this.assertEqual(groups[0].occurrences.length, 3, '同一章节的问题都保留');
+      }
+    };
+  }
+
+  // ========== 全书校验：任务状态 ==========
+
+  auditCases(database, { AuditJobRunner }) {
+    const { auditJobs, consistencyResults, consistencyIssues } = database;
+    const files = ['/ws/第1章.md', '/ws/第2章.md', '/ws/第3章.md'];
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    // 校验函数挂起，直到用例调用 release(index) 结束第 index 个章节
+    const createRunner = () => {
+      const calls = [];
+      const progress = [];
+      const runner = new AuditJobRunner({
+        checkFile: filePath => new Promise((resolve, reject) => calls.push({ filePath, resolve, reject })),
+        onProgress: job => progress.push(job)
+      });
+      const release = async (index, result = { resultId: null, issueCount: 0 }) => {
+        calls[index].resolve(result);
+        await tick();
+      };
+      return { runner, calls, progress, release };
+    };
+
+    const itemStatuses = jobId => auditJobs.getItems(jobId).map(item => item.status);
+
+    return {
+      '按并发数校验全部章节，完成后汇总问题，失败的章节列入报告': async () => {
+        const runner = new AuditJobRunner({
+          checkFile: async (filePath, job) => {
+            if (filePath.endsWith('第3章.md')) {
+              throw new Error('模型不可用');
+            }
+            const resultId = consistencyResults.add({ workspacePath: job.workspace_path, filePath, checkedText: '', result: '' });
+            consistencyIssues.addMany(resultId, { workspacePath: job.workspace_path, filePath }, [
+              { type: 'character', severity: 'error', quote: '林远', description: '林远的身份前后不一致' }
+            ]);
+            return { resultId, issueCount: 1 };
+          },
+          getTerms: () => ['林远']
+        });
+
+        const job = runner.start({ workspacePath: '/ws', files, concurrency: 2 });
+        this.assertEqual([job.concurrency, job.total], [2, 3], '任务');
+
+        const finished = await runner.wait(job.id);
+        this.assertEqual(finished.status, 'completed', '状态');
+        this.assertEqual(finished.counts, { pending: 0, running: 0, done: 2, failed: 1, cancelled: 0 }, '各状态的章节数');
+        this.assertEqual(
+          [finished.report.checked, finished.report.issueCount, finished.report.failed.map(item => [item.chapter, item.error])],
+          [2, 2, [['第3章', '模型不可用']]],
+          '报告'
+        );
+        this.assertEqual(finished.report.groups.map(group => group.chapters), [['第1章', '第2章']], '合并后的问题');
+      },
+
+      '暂停后正在校验的章节完成才停止，继续时从未完成的章节开始': async () => {
+        const { runner, calls, progress, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files, concurrency: 1 });
+        await tick();
+
+        runner.pause(job.id);
+        this.assertEqual(progress[progress.length - 1].stopping, 'paused', '进度中标记为暂停中');
+        await release(0);
+
+        const paused = await runner.wait(job.id);
+        this.assertEqual(paused.status, 'paused', '暂停后的状态');
+        this.assertEqual(itemStatuses(job.id), ['done', 'pending', 'pending'], '章节状态');
+        this.assertEqual(calls.length, 1, '暂停后不再领取新章节');
+
+        this.assertEqual(runner.resume(job.id).status, 'running', '继续后的状态');
+        await tick();
+        await release(1);
+        await release(2);
+
+        const completed = await runner.wait(job.id);
+        this.assertEqual(completed.status, 'completed', '完成后的状态');
+        this.assertEqual(calls.map(call => call.filePath), files, '每个章节只校验一次');
+      },
+
+      '暂停尚未生效时继续，撤销暂停': async () => {
+        const { runner, calls, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files: files.slice(0, 2), concurrency: 1 });
+        await tick();
+
+        runner.pause(job.id);
+        runner.resume(job.id);
+        await release(0);
+        await release(1);
+
+        this.assertEqual((await runner.wait(job.id)).status, 'completed', '状态');
+        this.assertEqual(calls.length, 2, '校验的章节数');
+      },
+
+      '取消后未开始的章节不再校验，仍生成报告': async () => {
+        const { runner, calls, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files, concurrency: 1 });
+        await tick();
+
+        runner.cancel(job.id);
+        await release(0);
+
+        const cancelled = await runner.wait(job.id);
+        this.assertEqual(cancelled.status, 'cancelled', '状态');
+        this.assertEqual(itemStatuses(job.id), ['done', 'cancelled', 'cancelled'], '章节状态');
+        this.assertEqual([calls.length, cancelled.report.checked], [1, 1], '校验的章节数');
+      },
+
+      '取消已暂停的任务立即生效，取消已结束的任务不改变状态': async () => {
+        const { runner, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files, concurrency: 1 });
+        await tick();
+        runner.pause(job.id);
+        await release(0);
+        await runner.wait(job.id);
+
+        const cancelled = runner.cancel(job.id);
+        this.assertEqual([cancelled.status, cancelled.report.checked], ['cancelled', 1], '取消暂停的任务');
+        this.assertEqual(runner.cancel(job.id).finished_at, cancelled.finished_at, '再次取消');
+      },
+
+      '状态不允许时暂停 / 继续报错': async () => {
+        const { runner, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files: files.slice(0, 1) });
+        await tick();
+        await release(0);
+        await runner.wait(job.id);
+
+        await this.assertRejects(async () => runner.pause(job.id), /任务未在执行/, '暂停已完成的任务');
+        await this.assertRejects(async () => runner.resume(job.id), /状态为 completed，无法继续/, '继续已完成的任务');
+        await this.assertRejects(async () => runner.resume(-1), /校验任务不存在/, '继续不存在的任务');
+        await this.assertRejects(async () => runner.start({ workspacePath: '/ws', files: [] }), /没有需要校验的章节/, '没有章节');
+      },
+
+      '删除正在执行的任务：取消并等待正在校验的章节结束后删除': async () => {
+        const { runner, calls, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files, concurrency: 2 });
+        await tick();
+
+        // 与 audit:delete 的处理相同
+        runner.cancel(job.id);
+        const deleted = runner.wait(job.id).then(() => auditJobs.delete(job.id));
+        await release(0);
+        await release(1);
+        await deleted;
+
+        this.assertEqual([auditJobs.getById(job.id), auditJobs.getItems(job.id)], [null, []], '任务和章节记录');
+        this.assertEqual(calls.length, 2, '取消后不再领取新章节');
+        this.assertEqual(runner.active.size, 0, '执行中的任务');
+      },
+
+      '执行中任务记录被删除时，收尾不报错也不重新生成记录': async () => {
+        const { runner, calls, progress, release } = createRunner();
+        const job = runner.start({ workspacePath: '/ws', files, concurrency: 1 });
+        await tick();
+
+        auditJobs.delete(job.id);
+        const eventsBefore = progress.length;
+        // 收尾出错时 run() 只打印错误，通过 console.error 检查
+        const errors = [];
+        const consoleError = console.error;
+        console.error = (...args) => errors.push(args.join(' '));
+        try {
+          await release(0);
+          this.assertEqual(await runner.wait(job.id), null, '结束后的任务');
+        } finally {
+          console.error = consoleError;
+        }
+
+        this.assertEqual(errors, [], '收尾时的错误');
+        this.assertEqual(runner.active.size, 0, '执行中的任务');
+        this.assertEqual([auditJobs.getById(job.id), calls.length, progress.length], [null, 1, eventsBefore], '不再校验或推送进度');
+      }
+    };
+  }
+
+  async runGroups() {
+    await this.runGroup('locate', this.locateCases());
+    await this.runGroup('report', this.reportCases());
+
+    // auditRunner 依赖数据库模块，在数据库可用时加载
+    await this.withDatabase(async (database) => {
+      const auditRunner = require('../../core/auditRunner');
+      await this.runGroup('grouping', this.groupingCases(auditRunner));
+      await this.runGroup('audit', this.auditCases(database, auditRunner));
+    });
+  }
+}
+
+module.exports = ConsistencyValidator;
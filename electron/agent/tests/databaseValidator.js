@@ -0,0 +1,122 @@
+/**
+ * Database Validator - 数据库模块验证器
+ * 在临时目录中创建数据库，验证模型配置的增改、token 用量的记录和汇总
+ * （需要 better-sqlite3 原生模块，无法加载时跳过并给出警告）
+ */
+
+const { createUsageRecorder } = require('../../core/llmCaller');
+const GroupValidator = require('./harness/groupValidator');
+
+class DatabaseValidator extends GroupValidator {
+  constructor() {
+    super({ workspacePrefix: 'database-validator-' });
+    this.database = null;
+  }
+
+  modelCases() {
+    const { llmModels } = this.database;
+    const base = { name: '主模型', apiKey: 'key', baseUrl: 'http://localhost', model: 'gpt' };
+
+    return {
+      '更新时未传入的备用顺序和单价保持原值': async () => {
+        const id = llmModels.add({ ...base, fallbackPriority: 2, inputPrice: 1.5, outputPrice: 6 });
+        llmModels.update(id, { ...base, name: '改名' });
+
+        const row = llmModels.getById(id);
+        this.assertEqual(row.name, '改名', '名称');
+        this.assertEqual([row.fallback_priority, row.input_price, row.output_price], [2, 1.5, 6], '备用顺序和单价');
+      },
+
+      '更新时传入的值覆盖原值（包括 0）': async () => {
+        const id = llmModels.add({ ...base, fallbackPriority: 2, inputPrice: 1.5, outputPrice: 6 });
+        llmModels.update(id, { ...base, fallbackPriority: 0, inputPrice: 3, outputPrice: 0 });
+
+        const row = llmModels.getById(id);
+        this.assertEqual([row.fallback_priority, row.input_price, row.output_price], [0, 3, 0], '备用顺序和单价');
+        this.assert(!llmModels.getFallbackChain().some(model => model.id === id), '备用顺序为 0 时不在故障切换链中');
+      }
+    };
+  }
+
+  usageCases() {
+    const { llmModels, llmUsage, getDatabase } = this.database;
+    // 单价为每百万 token 的价格
+    const cheap = llmModels.add({ name: '便宜模型', apiKey: 'key', baseUrl: 'http://cheap', model: 'cheap', inputPrice: 1, outputPrice: 2 });
+    const pricey = llmModels.add({ name: '贵模型', apiKey: 'key', baseUrl: 'http://pricey', model: 'pricey', inputPrice: 10, outputPrice: 30 });
+    const usage = (prompt, completion) => ({ prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion });
+    const rows = (workspace) => getDatabase()
+      .prepare('SELECT workspace_path, chapter_number, skill, model_id, model, total_tokens, cost FROM llm_usage WHERE workspace_path = ? ORDER BY id')
+      .all(workspace);
+    const round = (value) => Math.round(value * 1e9) / 1e9;
+
+    return {
+      '按调用标注记录工作区、章节和技能，按模型单价计算费用': async () => {
+        const record = createUsageRecorder({ llmModels, llmUsage });
+        record({
+          usage: usage(1000, 500),
+          config: { id: pricey, model: 'pricey' },
+          tag: { workspace: '/ws/tagged', chapter: '3', skill: 'write_chapter' }
+        });
+
+        const [row] = rows('/ws/tagged');
+        this.assertEqual(
+          { ...row, cost: round(row.cost) },
+          { workspace_path: '/ws/tagged', chapter_number: 3, skill: 'write_chapter', model_id: pricey, model: 'pricey', total_tokens: 1500, cost: 0.025 },
+          '用量记录'
+        );
+      },
+
+      '未标注工作区时使用默认工作区，没有 id 时按模型名和地址找到模型': async () => {
+        const record = createUsageRecorder({ llmModels, llmUsage }, () => '/ws/default');
+        record({ usage: usage(2000, 0), config: { model: 'cheap', baseUrl: 'http://cheap' }, tag: { chapter: '第三章', skill: 'planner' } });
+        record({ usage: usage(100, 100), config: { model: 'unknown', baseUrl: 'http://other' }, tag: {} });
+
+        const recorded = rows('/ws/default');
+        this.assertEqual(recorded.map(row => [row.chapter_number, row.skill, row.model_id]), [[null, 'planner', cheap], [null, null, null]], '章节、技能和模型');
+        this.assertEqual(recorded.map(row => round(row.cost)), [0.002, 0], '未知模型不计费');
+      },
+
+      '按章节、技能汇总 token 数和费用，按工作区过滤': async () => {
+        const record = createUsageRecorder({ llmModels, llmUsage }, () => '/ws/summary');
+        record({ usage: usage(1000, 1000), config: { id: cheap, model: 'cheap' }, tag: { chapter: 1, skill: 'write_chapter' } });
+        record({ usage: usage(1000, 1000), config: { id: pricey, model: 'pricey' }, tag: { chapter: 1, skill: 'check_consistency' } });
+        record({ usage: usage(500, 0), config: { id: pricey, model: 'pricey' }, tag: { chapter: 2, skill: 'write_chapter' } });
+        record({ usage: usage(300, 0), config: { id: cheap, model: 'cheap' }, tag: { skill: 'chat' } });
+        record({ usage: usage(9999, 9999), config: { id: pricey, model: 'pricey' }, tag: { workspace: '/ws/other', chapter: 1 } });
+
+        const byChapter = llmUsage.getTotalsByChapter('/ws/summary')
+          .map(row => [row.chapter_number, row.calls, row.total_tokens, round(row.cost)]);
+        this.assertEqual(byChapter, [
+          [1, 2, 4000, 0.043], // 1000×1 + 1000×2 + 1000×10 + 1000×30
+          [2, 1, 500, 0.005],
+          [null, 1, 300, 0.0003]
+        ], '按章节汇总（未关联章节的在最后）');
+
+        const bySkill = llmUsage.getTotalsBySkill('/ws/summary').map(row => [row.skill, round(row.cost)]);
+        this.assertEqual(bySkill, [['check_consistency', 0.04], ['write_chapter', 0.008], ['chat', 0.0003]], '按技能汇总（费用高的在前）');
+
+        const summary = llmUsage.getSummary('/ws/summary');
+        this.assertEqual(
+          [summary.calls, summary.prompt_tokens, summary.completion_tokens, summary.total_tokens, round(summary.cost)],
+          [4, 2800, 2000, 4800, 0.0483],
+          '工作区总计'
+        );
+        this.assert(llmUsage.getSummary().calls > summary.calls, '不传工作区时统计全部工作区');
+      }
+    };
+  }
+
+  async runGroups() {
+    await this.withDatabase(async (database) => {
+      this.database = database;
+      try {
+        await this.runGroup('models', this.modelCases());
+        await this.runGroup('usage', this.usageCases());
+      } finally {
+        this.database = null;
+      }
+    });
+  }
+}
+
+module.exports = DatabaseValidator;
@@ -0,0 +1,52 @@
+/**
+ * Electron Shim - 在 Node.js 中替代 electron 模块（无界面的 Linux 上运行 Orchestrator）
+ * 拦截 require('electron')，只提供主进程代码用到的 app.getAppPath / app.getPath
+ *
+ * 用法：
+ * const restore = installElectronShim({ appPath, userDataPath });
+ * try { ... } finally { restore(); }
+ */
+
+const Module = require('module');
+const path = require('path');
+
+const SHIM_ID = path.join(__dirname, '__electron_shim__');
+
+/**
+ * 安装 shim
+ * @param {Object} options
+ * @param {string} options.appPath - app.getAppPath() 的返回值（仓库根目录）
+ * @param {string} options.userDataPath - app.getPath('userData') 的返回值（临时目录）
+ * @returns {Function} 恢复原始的模块解析
+ */
+function installElectronShim({ appPath, userDataPath }) {
+  const app = {
+    isPackaged: false,
+    getAppPath: () => appPath,
+    getPath: (name) => (name === 'userData' ? userDataPath : path.join(userDataPath, name)),
+    getVersion: () => require(path.join(appPath, 'package.json')).version
+  };
+
+  const originalResolve = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...args) {
+    if (request === 'electron') {
+      return SHIM_ID;
+    }
+    return originalResolve.call(this, request, ...args);
+  };
+
+  const shimModule = new Module(SHIM_ID);
+  shimModule.filename = SHIM_ID;
+  shimModule.loaded = true;
+  shimModule.exports = { app };
+  require.cache[SHIM_ID] = shimModule;
+
+  return () => {
+    Module._resolveFilename = originalResolve;
+    delete require.cache[SHIM_ID];
+  };
+}
+
+module.exports = {
+  installElectronShim
+};
@@ -0,0 +1,161 @@
+/**
+ * Group Validator - 按分组运行用例的验证器基类
+ * 提供断言、临时工作区、临时数据库和分组运行，子类在 runGroups() 中依次调用 runGroup(group, cases)
+ *
+ * 用法：
+ * class MemoryValidator extends GroupValidator {
+ *   async runGroups() {
+ *     await this.runGroup('relationships', this.relationshipCases());
+ *   }
+ * }
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+class GroupValidator {
+  /**
+   * @param {Object} options
+   * @param {string} options.workspacePrefix - 临时工作区目录名前缀
+   * @param {string|null} options.workspaceFixture - 复制到临时工作区的示例目录
+   */
+  constructor({ workspacePrefix = 'validator-', workspaceFixture = null } = {}) {
+    this.workspacePrefix = workspacePrefix;
+    this.workspaceFixture = workspaceFixture;
+    this.errors = [];
+    this.warnings = [];
+    this.results = {};
+  }
+
+  /**
+   * 断言工具：失败时抛出带说明的错误
+   */
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+      throw new Error(`${message}：期望 ${e}，实际 ${a}`);
+    }
+  }
+
+  async assertRejects(fn, pattern, message) {
+    try {
+      await fn();
+    } catch (error) {
+      if (!pattern.test(error.message)) {
+        throw new Error(`${message}：错误信息不匹配 "${error.message}"`);
+      }
+      return;
+    }
+    throw new Error(`${message}：应当抛出错误`);
+  }
+
+  /**
+   * 在临时工作区中执行 fn(dir)，结束后删除
+   * @param {Function} fn
+   * @param {Object} options - prefix / fixture，默认取构造时的设置
+   */
+  async withWorkspace(fn, { prefix = this.workspacePrefix, fixture = this.workspaceFixture } = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    try {
+      if (fixture) {
+        await fs.cp(fixture, dir, { recursive: true });
+      }
+      return await fn(dir);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 在临时目录中创建数据库并执行 fn(database)，结束后关闭
+   * 需要 better-sqlite3 原生模块，无法加载时记录警告并跳过 fn
+   * （core/database 是单例，依赖它的模块如 auditRunner 也要在 fn 中加载）
+   * @param {Function} fn
+   */
+  async withDatabase(fn) {
+    return this.withWorkspace(async (dir) => {
+      let database;
+      try {
+        database = require('../../../core/database');
+        database.setUserDataPath(dir);
+        database.initDatabase();
+      } catch (error) {
+        this.warnings.push({ type: 'skipped', message: `无法创建数据库，跳过依赖数据库的用例：${error.message}` });
+        return null;
+      }
+
+      try {
+        return await fn(database);
+      } finally {
+        database.closeDatabase();
+        database.setUserDataPath(null);
+      }
+    });
+  }
+
+  /**
+   * 依次运行一组用例，记录失败的用例和分组结果
+   * @param {string} group - 分组名
+   * @param {Object<string, Function>} cases - 用例名 -> async 函数
+   */
+  async runGroup(group, cases) {
+    const failures = [];
+    const names = Object.keys(cases);
+
+    for (const name of names) {
+      try {
+        await cases[name]();
+      } catch (error) {
+        failures.push(`${name}: ${error.message}`);
+        this.errors.push({
+          group,
+          type: 'case_failed',
+          message: `[${group}] ${name}: ${error.message}`
+        });
+      }
+    }
+
+    this.results[group] = {
+      valid: failures.length === 0,
+      cases: names.length,
+      error: failures.length > 0 ? failures.join('; ') : null
+    };
+  }
+
+  /**
+   * 运行所有分组（子类实现）
+   */
+  async runGroups() {
+    throw new Error(`${this.constructor.name} 未实现 runGroups()`);
+  }
+
+  async validateAll() {
+    this.errors = [];
+    this.warnings = [];
+    this.results = {};
+
+    await this.runGroups();
+
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings,
+      results: this.results,
+      summary: {
+        total: Object.keys(this.results).length,
+        errors: this.errors.length,
+        warnings: this.warnings.length
+      }
+    };
+  }
+}
+
+module.exports = GroupValidator;
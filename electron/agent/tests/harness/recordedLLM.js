@@ -0,0 +1,105 @@
+/**
+ * Recorded LLM - 回放录制的 LLM 响应（离线、确定性）
+ * 按当前的用量标注（Skill 名称，来自 orchestrator.withUsageTag）和提示词中的片段选择响应，
+ * 与 createLLMCaller 的约定相同：({ systemPrompt, userPrompt, temperature, maxTokens }) => { success, response }
+ *
+ * 录制文件格式（JSON 数组，按顺序匹配，取第一条命中的记录）：
+ * [
+ *   { "skill": "planner", "match": "✓ checkResults", "response": { "steps": [...] } },
+ *   { "skill": "write_chapter", "response": "正文..." }
+ * ]
+ * - skill：调用时的 Skill 标注（planner / router / write_chapter ...），省略时匹配任意 Skill
+ * - match：字符串或字符串数组，必须全部出现在 systemPrompt + userPrompt 中
+ * - response：字符串原样返回，对象序列化为 JSON
+ *
+ * 没有命中的调用返回失败并记录在 unmatched 中，便于补充录制
+ */
+
+const fs = require('fs');
+const { getUsageContext } = require('../../../core/llm');
+
+class RecordedLLM {
+  /**
+   * @param {Array} recording - 录制的响应
+   */
+  constructor(recording = []) {
+    this.recording = recording;
+    this.calls = [];
+    this.unmatched = [];
+  }
+
+  /**
+   * 从 JSON 文件加载录制
+   */
+  static fromFile(file) {
+    return new RecordedLLM(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  }
+
+  /**
+   * 录制真实 LLM 的响应（用于生成或更新录制文件）
+   * @param {Function} llmCaller - 真实的 LLM 调用函数
+   * @returns {{llmCaller: Function, entries: Array, save: Function}}
+   */
+  static record(llmCaller) {
+    const entries = [];
+    return {
+      entries,
+      llmCaller: async (request) => {
+        const result = await llmCaller(request);
+        entries.push({
+          skill: getUsageContext().skill || null,
+          match: String(request.userPrompt || '').slice(0, 80),
+          response: result.success ? result.response : null
+        });
+        return result;
+      },
+      save: (file) => fs.writeFileSync(file, JSON.stringify(entries, null, 2), 'utf-8')
+    };
+  }
+
+  /**
+   * 查找命中的录制
+   */
+  find(skill, prompt) {
+    return this.recording.find(entry => {
+      if (entry.skill && entry.skill !== skill) {
+        return false;
+      }
+      const fragments = entry.match === undefined ? [] : [].concat(entry.match);
+      return fragments.every(fragment => prompt.includes(fragment));
+    });
+  }
+
+  /**
+   * LLM 调用函数（传给 orchestrator.execute）
+   */
+  get llmCaller() {
+    return async ({ systemPrompt = '', userPrompt = '' } = {}) => {
+      const skill = getUsageContext().skill || null;
+      const prompt = `${systemPrompt}\n${userPrompt}`;
+      const entry = this.find(skill, prompt);
+
+      this.calls.push({ skill, matched: !!entry });
+      if (!entry) {
+        this.unmatched.push({ skill, userPrompt: String(userPrompt).slice(0, 200) });
+        return { success: false, error: `没有匹配的录制响应: ${skill}` };
+      }
+
+      const response = typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+      return { success: true, response };
+    };
+  }
+
+  /**
+   * 各 Skill 的调用次数
+   */
+  countBySkill() {
+    const counts = {};
+    for (const call of this.calls) {
+      counts[call.skill] = (counts[call.skill] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+module.exports = RecordedLLM;
@@ -0,0 +1,600 @@
+/**
+ * Memory Validator - 记忆模块验证器
+ * 验证人物关系边的记录、按章节查询和结算 / 回滚，按章节重建故事状态，伏笔触发条件的判定，伏笔回收排期，低置信度断言的审核，以及修改章节后的级联重新结算（使用临时工作区，不依赖数据库和 LLM）
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CharacterMemory = require('../../memory/core/characterMemory');
+const ChapterFinalizer = require('../../memory/finalizer/chapterFinalizer');
+const MemoryManager = require('../../memory');
+const ContextLoader = require('../modules/context/contextLoader');
+const ChapterPlanner = require('../modules/planning/chapterPlanner');
+const ForeshadowPayoffPlanner = require('../../memory/finalizer/foreshadowPayoffPlanner');
+const GroupValidator = require('./harness/groupValidator');
+
+class MemoryValidator extends GroupValidator {
+  constructor() {
+    super({ workspacePrefix: 'memory-validator-' });
+  }
+
+  async writeExtract(dir, chapter, extract) {
+    const extractDir = path.join(dir, '.novel-agent/extracts');
+    await fs.mkdir(extractDir, { recursive: true });
+    await fs.writeFile(path.join(extractDir, `chapter_${chapter}.json`), JSON.stringify({ chapter, ...extract }), 'utf-8');
+  }
+
+  relationshipCases() {
+    return {
+      'as-of 查询返回截至该章的关系，且与方向无关': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new CharacterMemory(dir);
+          await memory.initialize();
+          await memory.addCharacter({ name: '张三', role: 'protagonist' });
+          await memory.addCharacter({ name: '李四', role: 'supporting' });
+          await memory.updateRelationship('张三', '李四', { type: '师兄弟', intensity: 0.6, chapter: 1 });
+          await memory.updateRelationship('李四', '张三', { type: '敌对', intensity: 0.9, chapter: 5 });
+
+          this.assertEqual(memory.getRelationshipAsOf('张三', '李四', 3)?.type, '师兄弟', '第 3 章的关系');
+          this.assertEqual(memory.getRelationshipAsOf('李四', '张三', 5)?.type, '敌对', '第 5 章的关系');
+          this.assertEqual(memory.getRelationshipAsOf('张三', '李四', null)?.type, '敌对', '最新关系');
+          this.assert(memory.getRelationshipAsOf('张三', '李四', 0) === null, '第 1 章之前不应有关系');
+          this.assertEqual(memory.getCharacter('张三').relationships['李四']?.type, '敌对', '角色上的关系快照');
+        });
+      },
+
+      '区间查询和图谱带上此前的关系': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new CharacterMemory(dir);
+          await memory.initialize();
+          await memory.addCharacter({ name: '张三', role: 'protagonist' });
+          await memory.updateRelationship('张三', '李四', { type: '师兄弟', chapter: 1 });
+          await memory.updateRelationship('张三', '王五', { type: '盟友', chapter: 2 });
+          await memory.updateRelationship('张三', '李四', { type: '敌对', chapter: 4 });
+
+          const changes = memory.getRelationshipChanges({ fromChapter: 2, toChapter: 4 });
+          this.assertEqual(changes.map(change => [change.target, change.type, change.previous?.type || null]),
+            [['王五', '盟友', null], ['李四', '敌对', '师兄弟']], '第 2-4 章的关系变化');
+          this.assertEqual(memory.getRelationshipChanges({ character: '王五' }).length, 1, '按角色过滤');
+
+          const graph = memory.getRelationshipGraph({ asOfChapter: 3 });
+          this.assertEqual(graph.edges.map(edge => [edge.target, edge.type]), [['李四', '师兄弟'], ['王五', '盟友']], '第 3 章的图谱');
+          this.assertEqual(graph.nodes.find(node => node.id === '张三')?.degree, 2, '节点的度');
+          this.assert(graph.nodes.some(node => node.id === '李四' && node.role === 'unknown'), '未建档角色也应作为节点');
+        });
+      },
+
+      '结算生成关系边，回滚和重新结算不重复记录': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new CharacterMemory(dir);
+          await memory.initialize();
+          const finalizer = new ChapterFinalizer(dir);
+          finalizer.setCharacterMemory(memory);
+
+          await this.writeExtract(dir, 3, {
+            relationship_changes: [
+              { source: '张三', target: '李四', type: '敌对', intensity: 0.8, evidence: '从此再不以师兄相称', certainty: 0.9 },
+              { source: '张三', target: '王五', type: '恋人', evidence: '似有情意', certainty: 0.5 }
+            ]
+          });
+
+          await finalizer.finalizeChapter(3);
+          await finalizer.finalizeChapter(3);
+          this.assertEqual(memory.getRelationshipHistory('张三', '李四').map(edge => [edge.type, edge.chapter]), [['敌对', 3]], '重新结算后的关系历史');
+          this.assert(memory.getRelationshipAsOf('张三', '王五') === null, '低置信度的关系不应直接记录');
+          this.assert(finalizer.inferenceStore.getInferencesByChapter(3).some(inf => inf.claim.includes('王五')), '低置信度的关系应转为推断');
+
+          await finalizer.rollbackChapter(3);
+          this.assertEqual(memory.getRelationshipHistory('张三', '李四').length, 0, '回滚后的关系历史');
+          this.assert(memory.getCharacter('张三') === null, '回滚后删除结算时自动创建的角色');
+        });
+      },
+
+      '回滚关系时保留结算前已有的角色': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new CharacterMemory(dir);
+          await memory.initialize();
+          await memory.addCharacter({ name: '张三', role: 'protagonist' });
+          const finalizer = new ChapterFinalizer(dir);
+          finalizer.setCharacterMemory(memory);
+
+          await this.writeExtract(dir, 3, {
+            relationship_changes: [{ source: '张三', target: '李四', type: '敌对', evidence: '从此再不以师兄相称', certainty: 0.9 }]
+          });
+          await finalizer.finalizeChapter(3);
+          await finalizer.rollbackChapter(3);
+          this.assertEqual(memory.getCharacter('张三')?.role, 'protagonist', '已有角色保留');
+        });
+      }
+    };
+  }
+
+  /**
+   * 结算三章：第 1 章引入事实和伏笔，第 2 章境界突破，第 3 章揭示伏笔并再次突破
+   */
+  async finalizeTimeline(dir, finalizer) {
+    const fact = (subject, predicate, value) => ({
+      statement: `${subject} ${predicate} ${value}`, subject, predicate, value, type: 'character_level', evidence: '原文', certainty: 0.9
+    });
+
+    await this.writeExtract(dir, 1, {
+      fact_candidates: [fact('张三', 'level', '炼气期')],
+      character_states: [{ character_name: '张三', state_change: { level: '炼气期' } }],
+      foreshadow_candidates: [{ surface: '玉佩发光', implied_future: '玉佩另有来历' }]
+    });
+    await this.writeExtract(dir, 2, {
+      fact_candidates: [fact('张三', 'level', '筑基期')],
+      character_states: [{ character_name: '张三', state_change: { level: '筑基期' } }]
+    });
+    await this.writeExtract(dir, 3, {
+      fact_candidates: [fact('李四', 'status', '已死亡')],
+      character_states: [{ character_name: '张三', state_change: { level: '金丹期' } }],
+      foreshadow_candidates: [{ surface: '玉佩发光', state_change: 'revealed' }]
+    });
+
+    for (const chapter of [1, 2, 3]) {
+      await finalizer.finalizeChapter(chapter);
+    }
+  }
+
+  asOfCases() {
+    return {
+      '逆序撤销之后各章的 Effects，不修改知识核心': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.finalizeTimeline(dir, memory.chapterFinalizer);
+
+          const state = memory.getStateAsOf(1);
+          this.assertEqual(state.facts.map(fact => fact.value), ['炼气期'], '第 1 章结束时的事实');
+          this.assertEqual(state.character_states['张三']?.current, { level: '炼气期' }, '第 1 章结束时的人物状态');
+          this.assertEqual(state.foreshadows.map(fs => fs.state), ['pending'], '第 1 章结束时的伏笔状态');
+          this.assertEqual(state.reverted_chapters, [2, 3], '撤销的章节');
+
+          this.assertEqual(memory.getStateAsOf(2).character_states['张三']?.current, { level: '筑基期' }, '第 2 章结束时的人物状态');
+          this.assertEqual(memory.getStateAsOf(3).foreshadows.map(fs => fs.state), ['revealed'], '第 3 章结束时的伏笔状态');
+          this.assertEqual(memory.getAllFacts().length, 3, '重建后知识核心中的事实数');
+        });
+      },
+
+      '旧版记忆按章节截取人物状态和伏笔': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await memory.character.addCharacter({ name: '张三', role: 'protagonist', current_state: { level: '炼气期' } });
+          await memory.character.updateCharacterState('张三', { level: '筑基期' }, { chapter: 5 });
+          await memory.character.updateCharacterState('张三', { level: '金丹期' }, { chapter: 80 });
+          const id = await memory.foreshadow.addForeshadow({ title: '玉佩', content: '玉佩发光', introduced_at: { chapter: 3 } });
+          await memory.foreshadow.revealForeshadow(id, { chapter: 60, content: '玉佩是钥匙' });
+          await memory.foreshadow.addForeshadow({ title: '黑衣人', content: '黑衣人现身', introduced_at: { chapter: 70 } });
+
+          const state = memory.getStateAsOf(19);
+          this.assertEqual(state.characters.find(c => c.name === '张三')?.current_state.level, '筑基期', '第 19 章结束时的境界');
+          this.assertEqual(state.story_foreshadows.map(f => [f.title, f.status]), [['玉佩', 'pending']], '第 19 章结束时的伏笔');
+          this.assertEqual(memory.getStateAsOf(2).characters[0].current_state.level, '炼气期', '首次迁移之前的境界');
+        });
+      },
+
+      '旧版效果记录（ID 列表）按章节撤销，不影响重建': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          const coreDir = path.join(dir, '.novel-agent/core');
+          await fs.mkdir(path.join(coreDir, 'chapter_effects'), { recursive: true });
+          await fs.writeFile(path.join(coreDir, 'facts.json'), JSON.stringify([
+            { id: 'fact_1', subject: '张三', predicate: 'level', value: '炼气期', introduced_at: { chapter: 1 } },
+            { id: 'fact_2', subject: '张三', predicate: 'level', value: '筑基期' }
+          ]), 'utf-8');
+          await fs.writeFile(path.join(coreDir, 'foreshadows.json'), JSON.stringify([
+            { id: 'fs_1', title: '玉佩', state: 'revealed', introduced_in: 1 }
+          ]), 'utf-8');
+
+          const legacy = memory.chapterFinalizer.effectManager.createEffect(2);
+          legacy.effects.facts_added.push('fact_2');
+          legacy.effects.foreshadows_revealed.push('fs_1');
+          await fs.writeFile(path.join(coreDir, 'chapter_effects/chapter-2.json'), JSON.stringify(legacy), 'utf-8');
+
+          const state = memory.getStateAsOf(1);
+          this.assertEqual(state.facts.map(fact => fact.value), ['炼气期'], '第 1 章结束时的事实');
+          this.assertEqual(state.foreshadows.map(fs => fs.state), ['confirmed'], '第 1 章结束时的伏笔状态');
+          this.assertEqual(state.reverted_chapters, [2], '撤销的章节');
+          this.assertEqual(memory.getStateAsOf(2).facts.length, 2, '第 2 章结束时的事实数');
+        });
+      },
+
+      'ContextLoader 重写旧章节时不带入之后章节的信息': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await memory.character.addCharacter({ name: '张三', role: 'protagonist', current_state: { level: '炼气期' } });
+          await this.finalizeTimeline(dir, memory.chapterFinalizer);
+
+          const loader = new ContextLoader(dir, null, null, memory);
+          const context = await loader.loadMemoryContextAsOf('重写第 2 章', 2);
+          this.assertEqual(context.as_of_chapter, 1, '重建的章节');
+          this.assertEqual(context.visible_facts.map(fact => fact.value), ['炼气期'], '可见事实');
+          this.assertEqual(context.visible_characters.find(c => c.name === '张三')?.current_state.level, '炼气期', '可见人物状态');
+          this.assertEqual(await loader.loadMemoryContextAsOf('续写', null), {}, '没有目标章节时不重建');
+        });
+      }
+    };
+  }
+
+  triggerCases() {
+    return {
+      '结构化触发条件按当前故事状态判定，并说明触发原因': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await memory.world.updateCultivationSystem({ levels: ['炼气期', '筑基期', '金丹期', '元婴期'] });
+          await memory.character.addCharacter({ name: '张三', role: 'protagonist', current_state: { level: '金丹初期', location: '天元宗后山' } });
+          await this.finalizeTimeline(dir, memory.chapterFinalizer);
+
+          await memory.foreshadow.addForeshadow({ id: 'fs_level', title: '剑意', trigger_condition: { type: 'character_level', character: '张三', level: '筑基期' } });
+          await memory.foreshadow.addForeshadow({ id: 'fs_level_high', title: '天劫', trigger_condition: { type: 'character_level', character: '张三', level: '元婴期' } });
+          await memory.foreshadow.addForeshadow({
+            id: 'fs_all',
+            title: '李四的遗物',
+            trigger_condition: { all: [{ type: 'chapter', chapter: 3 }, { type: 'fact', subject: '李四', predicate: 'status', value: '已死亡' }] }
+          });
+          await memory.foreshadow.addForeshadow({ id: 'fs_location', title: '后山禁地', trigger_condition: { type: 'location', character: '张三', location: '后山' } });
+          await memory.foreshadow.addForeshadow({ id: 'fs_expr', title: '第五章', trigger_condition: 'context.chapter >= 5' });
+
+          const triggered = await memory.checkTriggeredForeshadows({ chapter: 3 });
+          this.assertEqual(triggered.map(t => t.foreshadow.id), ['fs_level', 'fs_all', 'fs_location'], '触发的伏笔');
+          this.assertEqual(triggered.map(t => t.method), ['predicate', 'predicate', 'predicate'], '判定方式');
+          this.assert(triggered[0].reason.includes('金丹初期'), `境界触发原因应包含当前境界：${triggered[0].reason}`);
+          this.assert(triggered[1].reason.includes('第 3 章') && triggered[1].reason.includes('已死亡'), `组合条件应列出各项原因：${triggered[1].reason}`);
+
+          const later = await memory.checkTriggeredForeshadows({ chapter: 5 });
+          this.assert(later.some(t => t.foreshadow.id === 'fs_expr'), 'DSL 表达式条件应在第 5 章触发');
+        });
+      },
+
+      '自然语言条件交给 LLM 判断，没有 LLM 时不触发': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await memory.foreshadow.addForeshadow({ id: 'fs_text', title: '玉佩', trigger_condition: '张三第一次见到玉佩的原主人' });
+
+          this.assertEqual(await memory.checkTriggeredForeshadows({ text: '张三第一次见到玉佩的原主人' }), [], '没有 LLM 时不按子串匹配');
+
+          const prompts = [];
+          const llmCaller = async ({ userPrompt }) => {
+            prompts.push(userPrompt);
+            return { success: true, response: '{"triggered": true, "reason": "正文中原主人现身"}' };
+          };
+          const triggered = await memory.checkTriggeredForeshadows({ text: '一位白衣女子认出了玉佩', llmCaller });
+          this.assertEqual(triggered.map(t => [t.foreshadow.id, t.method, t.reason]), [['fs_text', 'llm', '正文中原主人现身']], 'LLM 判定结果');
+          this.assert(prompts[0].includes('张三第一次见到玉佩的原主人'), '提示词应包含触发条件');
+        });
+      },
+
+      '无效的结构化条件在添加时报错': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          const rejects = async (condition) => {
+            try {
+              await memory.foreshadow.addForeshadow({ title: '无效', trigger_condition: condition });
+            } catch (error) {
+              return true;
+            }
+            return false;
+          };
+          this.assert(await rejects({ type: 'weather', value: '下雨' }), '未知类型应报错');
+          this.assert(await rejects({ type: 'chapter' }), '缺少章节号应报错');
+          this.assert(await rejects({ any: [] }), '空的 any 应报错');
+          this.assert(await rejects({ type: 'expression', expression: 'context.chapter >=' }), '语法错误的表达式应报错');
+          this.assertEqual(memory.foreshadow.getPendingForeshadows().length, 0, '无效条件不应保存');
+        });
+      }
+    };
+  }
+
+  payoffCases() {
+    return {
+      '按重要程度排期，重要伏笔对齐到阶段结尾，每章不超过一个回收': () => {
+        const planner = new ForeshadowPayoffPlanner();
+        const plan = planner.plan({
+          currentChapter: 10,
+          coreForeshadows: [
+            { id: 'fs_a', concept_name: '玉佩', state: 'confirmed', introduced_in: 2 },
+            { id: 'fs_b', concept_name: '黑衣人', state: 'pending', introduced_in: 5 },
+            { id: 'fs_e', concept_name: '断剑', state: 'pending', introduced_in: 4 },
+            { id: 'fs_c', concept_name: '血脉', state: 'pending', introduced_in: 3, importance: 'major' },
+            { id: 'fs_d', concept_name: '已揭示', state: 'revealed', introduced_in: 1 }
+          ],
+          memoryForeshadows: [
+            { id: 'mem_a', title: '古井', status: 'pending', importance: 'minor', introduced_at: { chapter: 9 } },
+            { id: 'mem_b', title: '师父的秘密', status: 'revealed', introduced_at: { chapter: 1 }, revealed_at: { chapter: 8 } }
+          ],
+          stages: [{ name: '入门', chapters: '1-12' }, { name: '大比', chapters: [13, 30] }]
+        });
+
+        const chapterOf = id => plan.items.find(item => item.foreshadow_id === id)?.chapter;
+        this.assertEqual(plan.horizon, { from: 11, to: 30 }, '排期范围');
+        this.assertEqual(plan.arc_boundaries, [12, 30], '阶段结尾');
+        this.assert(!plan.items.some(item => item.foreshadow_id === 'fs_d'), '已揭示的核心伏笔不排期');
+        this.assertEqual(chapterOf('fs_c'), 30, '重要伏笔对齐到阶段结尾');
+        this.assertEqual(chapterOf('fs_a'), 11, '超期伏笔尽快回收');
+        this.assertEqual([chapterOf('fs_e'), chapterOf('fs_b')], [14, 15], '普通伏笔埋下 10 章后揭示');
+        this.assertEqual(chapterOf('mem_a'), 16, '次要伏笔让位于更重要的伏笔');
+        this.assertEqual(plan.items.find(item => item.foreshadow_id === 'mem_b')?.action, 'resolve', '已揭示的伏笔安排解决');
+        this.assert(plan.schedule.every(entry => entry.items.length === 1), '每章最多一个回收');
+        this.assertEqual(new Set(plan.items.map(item => item.chapter)).size, plan.items.length, '回收章节不重复');
+        this.assert(plan.items.find(item => item.foreshadow_id === 'mem_a').reason.includes('顺延到第 16 章'), '错开的伏笔应说明原因');
+      },
+
+      'ChapterPlanner 把本章应回收的伏笔加入大纲': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await memory.foreshadow.addForeshadow({ id: 'mem_jade', title: '玉佩', importance: 'minor', expected_reveal: '玉佩是钥匙', introduced_at: { chapter: 1 } });
+
+          this.assertEqual(memory.getForeshadowsDue(6).map(item => item.foreshadow_id), ['mem_jade'], '第 6 章应回收的伏笔');
+          this.assertEqual(memory.getForeshadowsDue(5).length, 0, '第 5 章不应有回收');
+
+          const planner = new ChapterPlanner(memory);
+          const plan = await planner.planChapterForContinuation(6, [], { userRequest: '续写第 6 章' }, {}, null);
+          this.assert(plan.success, `规划失败：${plan.error}`);
+          this.assertEqual(plan.due_foreshadows.map(item => item.foreshadow_id), ['mem_jade'], '规划中的回收伏笔');
+          const beat = plan.chapter_structure.plot_beats.find(b => b.beat === 'foreshadow_payoff');
+          this.assert(beat && beat.description.includes('玉佩是钥匙'), '情节节点应包含伏笔回收');
+        });
+      }
+    };
+  }
+
+  reviewCases() {
+    const fact = (subject, predicate, value, certainty, evidence = '原文') => ({
+      statement: `${subject} ${predicate} ${value}`, subject, predicate, value, evidence, certainty
+    });
+    const factValues = memory => memory.getAllFacts().map(f => f.value);
+
+    return {
+      '确认推断生成 Effect，重新结算后保留，回滚后删除': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.writeExtract(dir, 2, {
+            fact_candidates: [fact('张三', 'level', '筑基期', 0.9), fact('张三', 'bloodline', '龙族', 0.5, '眼中金光一闪')]
+          });
+          await memory.finalizeChapter(2);
+
+          const queue = memory.getReviewQueue();
+          this.assertEqual(queue.items.map(item => [item.source, item.chapter, item.quote]), [['inference', 2, '眼中金光一闪']], '审核队列');
+
+          const { effect } = await memory.confirmReviewItem(queue.items[0].id);
+          this.assert(effect && effect.type === 'ADD_FACT', '确认后应生成 ADD_FACT');
+          this.assertEqual(factValues(memory), ['筑基期', '龙族'], '确认后的事实');
+          this.assert(memory.getChapterEffect(2).effects.some(e => e.effect_id === effect.effect_id), 'Effect 应追加到该章');
+          this.assertEqual(memory.getReviewQueue().items.length, 0, '确认后移出队列');
+
+          await memory.finalizeChapter(2);
+          this.assertEqual(factValues(memory), ['筑基期', '龙族'], '重新结算后保留确认的事实');
+          this.assertEqual(memory.getReviewQueue().items.length, 0, '重新结算后不再回到队列');
+
+          await memory.rollbackChapter(2);
+          this.assertEqual(factValues(memory), [], '回滚后删除');
+        });
+      },
+
+      '旧版效果记录的章节确认推断时保留原记录': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.writeExtract(dir, 2, { fact_candidates: [fact('张三', 'bloodline', '龙族', 0.5, '眼中金光一闪')] });
+          await memory.finalizeChapter(2);
+
+          const legacy = memory.chapterFinalizer.effectManager.createEffect(2);
+          legacy.effects.facts_added.push('fact_legacy');
+          memory.chapterFinalizer.effectManager.saveEffect(2, legacy);
+
+          const { effect } = await memory.confirmReviewItem(memory.getReviewQueue().items[0].id);
+          this.assert(effect && effect.type === 'ADD_FACT', '确认后应生成 ADD_FACT');
+          const effectData = memory.getChapterEffect(2);
+          this.assertEqual(effectData.effects.map(e => e.effect_id), [effect.effect_id], '新的 Effect 列表');
+          this.assertEqual(effectData.legacy_effects.facts_added, ['fact_legacy'], '保留的旧版记录');
+          this.assertEqual(memory.getStateAsOf(1).facts, [], '第 1 章结束时撤销两种记录中的事实');
+        });
+      },
+
+      '修改后确认关系推断，拒绝的推断重新结算后不会生效': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.writeExtract(dir, 3, {
+            fact_candidates: [fact('李四', 'status', '已死亡', 0.4)],
+            relationship_changes: [{ source: '张三', target: '王五', type: '恋人', evidence: '似有情意', certainty: 0.5 }]
+          });
+          await memory.finalizeChapter(3);
+
+          const items = memory.getReviewQueue().items;
+          const rel = items.find(item => item.kind === 'relationship');
+          const dead = items.find(item => item.kind === 'fact');
+
+          const edited = await memory.editReviewItem(rel.id, { type: '知己' });
+          this.assertEqual(edited.item.claim, '张三 与 王五 的关系变为 知己', '修改后的断言');
+          this.assertEqual(memory.getReviewQueue().items.length, 2, '修改后仍在队列中');
+
+          await memory.confirmReviewItem(rel.id);
+          await memory.rejectReviewItem(dead.id);
+          this.assertEqual(memory.character.getRelationshipAsOf('张三', '王五')?.type, '知己', '确认修改后的关系');
+
+          await memory.finalizeChapter(3);
+          this.assertEqual(memory.character.getRelationshipHistory('张三', '王五').map(edge => edge.type), ['知己'], '重新结算后的关系');
+          this.assertEqual(factValues(memory), [], '拒绝的事实不生效');
+          this.assertEqual(memory.getReviewQueue().items.length, 0, '审核过的断言不再回到队列');
+        });
+      },
+
+      '临界置信度的断言可拒绝并撤销其 Effect': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.writeExtract(dir, 4, {
+            fact_candidates: [fact('张三', 'weapon', '青锋剑', 0.75, '腰间佩剑'), fact('张三', 'level', '金丹期', 0.9)]
+          });
+          await memory.finalizeChapter(4);
+
+          const [item] = memory.getReviewQueue({ chapter: 4 }).items;
+          this.assertEqual([item.source, item.claim, item.quote], ['extract', '张三 weapon 青锋剑', '腰间佩剑'], '临界断言');
+          this.assert(item.effect_id, '临界断言应关联已生效的 Effect');
+
+          const { reverted } = await memory.rejectReviewItem(item.id);
+          this.assert(reverted, '拒绝时应撤销 Effect');
+          this.assertEqual(factValues(memory), ['金丹期'], '拒绝后的事实');
+          this.assert(!memory.getChapterEffect(4).effects.some(e => e.effect_id === item.effect_id), 'Effect 应从该章移除');
+
+          await memory.finalizeChapter(4);
+          this.assertEqual(factValues(memory), ['金丹期'], '重新结算后不再生效');
+
+          let error = null;
+          try {
+            await memory.confirmReviewItem(item.id);
+          } catch (e) {
+            error = e;
+          }
+          this.assert(error, '已审核的断言不能再次审核');
+        });
+      },
+
+      '旧版效果记录的章节：临界断言进入审核队列，下游章节和回滚包含旧版记录': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          // 未给出置信度的断言按 0.75 处理，属于临界断言
+          const uncertain = { statement: '张三 weapon 青锋剑', subject: '张三', predicate: 'weapon', value: '青锋剑', evidence: '腰间佩剑' };
+          await this.writeExtract(dir, 2, { fact_candidates: [uncertain] });
+          await memory.finalizeChapter(2);
+
+          const effectManager = memory.chapterFinalizer.effectManager;
+          const [factId] = memory.getAllFacts().map(f => f.id);
+          const legacy = effectManager.createEffect(2);
+          legacy.effects.facts_added.push(factId);
+          effectManager.saveEffect(2, legacy);
+          const later = effectManager.createEffect(3);
+          later.dependencies.used_facts.push(factId);
+          effectManager.saveEffect(3, later);
+
+          const [item] = memory.getReviewQueue({ chapter: 2 }).items;
+          this.assertEqual([item.source, item.claim, item.effect_id], ['extract', '张三 weapon 青锋剑', null], '临界断言（旧版记录中没有对应的 Effect）');
+          this.assertEqual(memory.getDependentChapters(2), [3], '按旧版依赖找到的下游章节');
+
+          // 审核确认后旧版记录移到 legacy_effects
+          effectManager.saveEffect(2, { chapter: 2, effects: [], legacy_effects: legacy.effects });
+          this.assertEqual(memory.getDependentChapters(2), [3], 'legacy_effects 中的依赖');
+
+          await memory.rollbackChapter(2);
+          this.assertEqual(factValues(memory), [], '回滚撤销旧版记录中的事实');
+          this.assert(!memory.getChapterEffect(2), '回滚后删除效果记录');
+        });
+      }
+    };
+  }
+
+  cascadeCases() {
+    const fact = (subject, predicate, value, certainty = 0.9) => ({
+      statement: `${subject} ${predicate} ${value}`, subject, predicate, value, evidence: '原文', certainty
+    });
+
+    return {
+      '修改章节后检测到修改，级联重新结算下游章节并报告含义变化的事实': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          for (const chapter of [12, 15, 20]) {
+            await fs.writeFile(path.join(dir, `第${chapter}章.txt`), `第${chapter}章正文`, 'utf-8');
+          }
+          await this.writeExtract(dir, 12, { fact_candidates: [fact('李四', 'status', '重伤')] });
+          await this.writeExtract(dir, 15, { fact_candidates: [fact('李四', 'status', '重伤'), fact('张三', 'weapon', '青锋剑')] });
+          await this.writeExtract(dir, 20, { fact_candidates: [fact('王五', 'sect', '天元宗')] });
+          await memory.finalizeChapters([12, 15, 20]);
+
+          await fs.writeFile(path.join(dir, '第12章.txt'), '李四伤势痊愈', 'utf-8');
+          this.assertEqual((await memory.detectEditedChapters()).map(e => e.chapter), [12], '检测到修改的章节');
+
+          // 重新提取：按修改后的正文写入新的 extract
+          const extractor = async (content, chapter) => {
+            this.assertEqual(content, '李四伤势痊愈', '重新提取时读取修改后的正文');
+            await this.writeExtract(dir, chapter, { fact_candidates: [fact('李四', 'status', '痊愈')] });
+          };
+          const report = await memory.cascadeRefinalizer.cascade(12, { extractor });
+
+          this.assert(report.reextracted, '应重新提取');
+          this.assertEqual(report.chapters.map(entry => [entry.chapter, entry.action]), [[12, 'refinalized'], [15, 'refinalized']], '重新结算的章节（第 20 章不受影响）');
+          this.assertEqual(report.fact_changes.changed.map(c => [c.subject, c.predicate, c.before.map(v => v.value), c.after.map(v => v.value)]),
+            [['李四', 'status', ['重伤'], ['痊愈', '重伤']]], '含义变化的事实');
+          this.assertEqual(report.fact_changes.added.length + report.fact_changes.removed.length, 0, '没有新增或移除的事实');
+          this.assertEqual(memory.getAllFacts().filter(f => f.value === '重伤').map(f => f.introduced_at.chapter), [15], '重伤改由第 15 章引入');
+          this.assertEqual(await memory.detectEditedChapters(), [], '级联后记录新的哈希');
+        });
+      },
+
+      '结算时记录章节哈希，结算后修改的章节首次检测即可发现': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await fs.writeFile(path.join(dir, '第3章.txt'), '第3章正文', 'utf-8');
+          await this.writeExtract(dir, 3, { fact_candidates: [fact('张三', 'level', '筑基期')] });
+          this.assert((await memory.finalizeChapter(3)).success, '结算第 3 章');
+
+          await fs.writeFile(path.join(dir, '第3章.txt'), '第3章修改后的正文', 'utf-8');
+          this.assertEqual((await memory.detectEditedChapters()).map(e => e.chapter), [3], '检测到结算后修改的章节');
+        });
+      },
+
+      '下游章节按 Effect 逐层展开，缺少 extract 的章节标记为失效': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.writeExtract(dir, 3, { fact_candidates: [fact('张三', 'level', '筑基期')] });
+          await this.writeExtract(dir, 8, { fact_candidates: [fact('张三', 'level', '金丹期'), fact('张三', 'sect', '天元宗')] });
+          await this.writeExtract(dir, 10, { fact_candidates: [fact('张三', 'sect', '玄天宗'), fact('王五', 'sect', '天元宗')] });
+          await memory.finalizeChapters([3, 8, 10]);
+
+          this.assertEqual(memory.getDependentChapters(3), [8], '第 3 章的下游章节');
+          this.assertEqual(memory.getDependentChapters(9), [], '未结算的章节没有下游章节');
+
+          await fs.rm(path.join(dir, '.novel-agent/extracts/chapter_10.json'));
+          const report = await memory.cascadeRefinalizer.cascade(3);
+
+          this.assert(!report.reextracted, '没有 extractor 时沿用原 extract');
+          this.assertEqual(report.chapters.map(entry => [entry.chapter, entry.action]),
+            [[3, 'refinalized'], [8, 'refinalized'], [10, 'missing_extract']], '逐层展开到第 10 章');
+          this.assertEqual(memory.getInvalidatedChapters().map(inv => inv.chapter), [10], '缺少 extract 的章节被标记为失效');
+          this.assertEqual(memory.getAllFacts().map(f => f.value), ['筑基期', '金丹期', '天元宗'], '第 10 章的事实已回滚');
+        });
+      },
+
+      '旧版效果记录的章节按 extract 展开下游章节': async () => {
+        await this.withWorkspace(async (dir) => {
+          const memory = new MemoryManager(dir);
+          await memory.initialize();
+          await this.writeExtract(dir, 3, { fact_candidates: [fact('张三', 'level', '筑基期')] });
+          await this.writeExtract(dir, 8, { fact_candidates: [fact('张三', 'level', '金丹期')] });
+          await memory.finalizeChapters([3, 8]);
+
+          const effectManager = memory.chapterFinalizer.effectManager;
+          const legacy = effectManager.createEffect(3);
+          legacy.effects.facts_added.push(...effectManager.loadEffect(3).effects.map(effect => effect.payload.fact.id));
+          effectManager.saveEffect(3, legacy);
+
+          this.assertEqual(memory.cascadeRefinalizer.getExtractDependents(3), [8], '按 extract 找到的下游章节');
+        });
+      }
+    };
+  }
+
+  async runGroups() {
+    await this.runGroup('relationships', this.relationshipCases());
+    await this.runGroup('asOf', this.asOfCases());
+    await this.runGroup('triggers', this.triggerCases());
+    await this.runGroup('payoffs', this.payoffCases());
+    await this.runGroup('review', this.reviewCases());
+    await this.runGroup('cascade', this.cascadeCases());
+  }
+}
+
+module.exports = MemoryValidator;
@@ -0,0 +1,290 @@
+/**
+ * Orchestrator Validator - Orchestrator 端到端验证器
+ * 在临时工作区（fixtures/orchestrator/workspace 的副本）中用录制的 LLM 响应运行 executeWithSkills，
+ * 覆盖 CREATE / CONTINUE / REWRITE / CHECK，检查写入的文件、记忆的变化和产生的状态
+ * （离线、确定性，使用 Electron shim，不依赖数据库）
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RecordedLLM = require('./harness/recordedLLM');
+const { installElectronShim } = require('./harness/electronShim');
+const { withUsageContext } = require('../../core/llm');
+const GroupValidator = require('./harness/groupValidator');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'orchestrator');
+const APP_PATH = path.join(__dirname, '../../..');
+const CORE_FILES = ['facts', 'foreshadows', 'concepts'];
+
+class OrchestratorValidator extends GroupValidator {
+  constructor() {
+    super({ workspacePrefix: 'orchestrator-validator-', workspaceFixture: path.join(FIXTURE_DIR, 'workspace') });
+  }
+
+  async exists(file) {
+    try {
+      await fs.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async readJSON(file, fallback = null) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * 读取知识核心（facts / foreshadows / concepts），按 id 索引
+   */
+  async readCore(dir) {
+    const core = {};
+    for (const name of CORE_FILES) {
+      const data = await this.readJSON(path.join(dir, '.novel-agent', 'core', `${name}.json`), {});
+      core[name] = Array.isArray(data)
+        ? Object.fromEntries(data.map(item => [item.id, item]))
+        : data;
+    }
+    return core;
+  }
+
+  /**
+   * 记忆的变化：执行后新增的条目
+   */
+  diffCore(before, after) {
+    const delta = {};
+    for (const name of CORE_FILES) {
+      delta[name] = Object.entries(after[name])
+        .filter(([id]) => !(id in before[name]))
+        .map(([, item]) => item);
+    }
+    return delta;
+  }
+
+  /**
+   * 用录制的 LLM 运行一次请求
+   * @returns {Promise<Object>} { result, llm, run, state, delta, skills }
+   */
+  async runScenario(dir, userRequest) {
+    const userDataPath = path.join(dir, '.user-data');
+    const restore = installElectronShim({ appPath: APP_PATH, userDataPath });
+    try {
+      // 不注入 appPath，内置规则的位置经由 shim 的 app.getAppPath() 获取
+      const Orchestrator = require('../orchestrator');
+      const orchestrator = new Orchestrator(dir, { settings: { get: () => null } });
+      await orchestrator.initialize();
+
+      const llm = RecordedLLM.fromFile(path.join(FIXTURE_DIR, 'llm-recording.json'));
+      const before = await this.readCore(dir);
+      const result = await orchestrator.execute({ userRequest }, llm.llmCaller);
+      const after = await this.readCore(dir);
+
+      const [latest] = await orchestrator.runStore.listRuns();
+      const saved = latest ? await orchestrator.runStore.load(latest.taskId) : null;
+
+      return {
+        result,
+        llm,
+        run: saved?.run || null,
+        state: saved?.checkpoint.agentState || null,
+        delta: this.diffCore(before, after),
+        skills: (result.skillResults || []).map(step => step.skill)
+      };
+    } finally {
+      restore();
+    }
+  }
+
+  /**
+   * 执行一个意图的场景后运行其用例（执行失败时整组失败）
+   */
+  async runIntent(group, userRequest, buildCases) {
+    await this.withWorkspace(async (dir) => {
+      let outcome;
+      try {
+        outcome = await this.runScenario(dir, userRequest);
+      } catch (error) {
+        await this.runGroup(group, { [`执行「${userRequest}」`]: async () => { throw error; } });
+        return;
+      }
+      await this.runGroup(group, buildCases(dir, outcome));
+    });
+  }
+
+  /**
+   * 所有意图共有的检查：任务完成，LLM 调用都有录制，运行记录已完成
+   */
+  commonCases({ result, llm, run }, intent, chapter) {
+    return {
+      '任务成功完成': async () => {
+        this.assert(result.success === true, `任务失败: ${result.error}`);
+        this.assert(!result.requiresUserConfirmation, '不应等待用户确认');
+        this.assert(result.skillResults.every(step => step.success), `有 Skill 失败: ${result.skillResults.filter(step => !step.success).map(step => `${step.skill}(${step.error})`).join(', ')}`);
+      },
+
+      '所有 LLM 调用都命中录制': async () => {
+        this.assertEqual(llm.unmatched, [], '未命中录制的调用');
+        this.assert(llm.calls.length > 0, '应调用 LLM');
+      },
+
+      '运行记录已完成': async () => {
+        this.assert(run, '应写入 .novel-agent/runs');
+        this.assertEqual([run.intent, run.targetChapter, run.status], [intent, chapter, 'completed'], '运行记录');
+      }
+    };
+  }
+
+  createCases(dir, outcome) {
+    const { result, llm, state, delta, skills } = outcome;
+    return {
+      ...this.commonCases(outcome, 'CREATE', 3),
+
+      'Skill 顺序：加载上下文 → 规划 → 写作 → 检查 → 定稿': async () => {
+        this.assertEqual(skills, ['load_story_context', 'plan_chapter', 'write_chapter', 'check_chapter', 'finalize_chapter'], 'Skill 顺序');
+        this.assertEqual(llm.countBySkill().planner, 5, 'Planner 调用次数');
+      },
+
+      '产生的状态：大纲、草稿、检查结果和定稿': async () => {
+        this.assert(result.text.startsWith('第3章 渡口'), `返回的正文: ${result.text.slice(0, 20)}`);
+        this.assert(state.outline.includes('# 第3章 章节大纲'), '应有第 3 章大纲');
+        this.assertEqual(state.chapters.final, result.text, '定稿与返回的正文');
+        this.assertEqual(result.checkResult.overallStatus, 'pass', '检查结果');
+      },
+
+      '写入章节摘录和结算效果，不直接写入章节文件': async () => {
+        this.assert(await this.exists(path.join(dir, '.novel-agent/extracts/chapter_3.json')), '应写入 chapter_3 摘录');
+        this.assert(await this.exists(path.join(dir, '.novel-agent/core/chapter_effects/chapter-3.json')), '应写入第 3 章的结算效果');
+        this.assert(!(await this.exists(path.join(dir, '第3章.md'))), '章节文件由用户确认后保存，Agent 不应直接写入');
+      },
+
+      '记忆变化：新增第 3 章的事实、伏笔和概念': async () => {
+        this.assertEqual(delta.facts.map(fact => [fact.introduced_at.chapter, fact.value]), [[3, '沈舟是旧信的写信人，账本在沈舟手中']], '新增事实');
+        this.assertEqual(delta.foreshadows.map(item => [item.introduced_in, item.state]), [[3, 'pending']], '新增伏笔');
+        this.assertEqual(delta.concepts.map(concept => concept.aliases[0]).sort(), ['三月初七渡口的另一人', '账本'].sort(), '新增概念');
+      }
+    };
+  }
+
+  continueCases(dir, outcome) {
+    const { llm, state, delta, skills } = outcome;
+    return {
+      ...this.commonCases(outcome, 'CONTINUE', 3),
+
+      '续写最新章节的下一章': async () => {
+        this.assertEqual(state.targetChapter, 3, '目标章节');
+        this.assertEqual(skills, ['load_story_context', 'plan_chapter', 'write_chapter', 'check_chapter', 'finalize_chapter'], 'Skill 顺序');
+      },
+
+      '分析前文并检查与前章的连贯性': async () => {
+        for (const chapter of [1, 2]) {
+          const analysis = await this.readJSON(path.join(dir, `.novel-agent/chapter-analysis/chapter_${chapter}.json`));
+          this.assert(analysis, `应写入第 ${chapter} 章的分析`);
+        }
+        this.assertEqual(state.previousAnalyses.length, 2, '前文分析数量');
+        this.assertEqual(llm.countBySkill().check_chapter, 3, '一致性、规则和连贯性检查各一次');
+      },
+
+      '记忆变化：新增第 3 章的事实': async () => {
+        this.assertEqual(delta.facts.map(fact => fact.introduced_at.chapter), [3], '新增事实的章节');
+        this.assert(await this.exists(path.join(dir, '.novel-agent/extracts/chapter_3.json')), '应写入 chapter_3 摘录');
+      }
+    };
+  }
+
+  rewriteCases(dir, outcome) {
+    const { result, state, delta, skills } = outcome;
+    return {
+      ...this.commonCases(outcome, 'REWRITE', 2),
+
+      '载入已有章节，检查 → 修改方案 → 重写 → 定稿': async () => {
+        this.assertEqual(skills, ['load_story_context', 'check_chapter', 'generate_rewrite_plan', 'rewrite_chapter', 'finalize_chapter'], 'Skill 顺序');
+        this.assert(state.rewritePlan.includes('撬开暗格'), '应有修改方案');
+      },
+
+      '产生的状态：重写后的第 2 章': async () => {
+        this.assert(result.text.includes('连床板下的暗格都撬开了'), '返回的正文应为重写后的版本');
+        this.assertEqual(state.chapters.final, result.text, '定稿与返回的正文');
+      },
+
+      '不覆盖原章节文件': async () => {
+        const original = await fs.readFile(path.join(FIXTURE_DIR, 'workspace', '第2章.md'), 'utf-8');
+        this.assertEqual(await fs.readFile(path.join(dir, '第2章.md'), 'utf-8'), original, '第2章.md');
+      },
+
+      '记忆变化：按重写后的第 2 章结算': async () => {
+        this.assert(await this.exists(path.join(dir, '.novel-agent/extracts/chapter_2.json')), '应写入 chapter_2 摘录');
+        this.assertEqual(delta.facts.map(fact => fact.introduced_at.chapter), [2], '新增事实的章节');
+        this.assertEqual(delta.foreshadows.map(item => item.implied_future), ['纸船记号指向写信人的身份'], '新增伏笔');
+      }
+    };
+  }
+
+  checkCases(dir, outcome) {
+    const { result, state, delta, skills } = outcome;
+    return {
+      ...this.commonCases(outcome, 'CHECK', 2),
+
+      '检查已有章节，不写作也不定稿': async () => {
+        this.assertEqual(skills, ['load_story_context', 'check_chapter'], 'Skill 顺序');
+        const original = await fs.readFile(path.join(dir, '第2章.md'), 'utf-8');
+        this.assertEqual(state.chapters.draft, original, '草稿应为已有章节');
+        this.assert(state.chapters.final === null, '不应定稿');
+      },
+
+      '产生的状态：检查结果': async () => {
+        this.assertEqual(result.checkResult.overallStatus, 'pass', '检查结果');
+        this.assert(state.checkResults, '应有 checkResults');
+      },
+
+      '记忆不变': async () => {
+        this.assertEqual([delta.facts.length, delta.foreshadows.length, delta.concepts.length], [0, 0, 0], '新增的事实、伏笔、概念');
+        this.assert(!(await this.exists(path.join(dir, '.novel-agent/extracts/chapter_2.json'))), '不应写入摘录');
+      }
+    };
+  }
+
+  harnessCases() {
+    return {
+      'shim 卸载后恢复 electron 模块解析': async () => {
+        const restore = installElectronShim({ appPath: APP_PATH, userDataPath: os.tmpdir() });
+        this.assertEqual(require('electron').app.getPath('userData'), os.tmpdir(), 'shim 的 userData');
+        restore();
+
+        let resolved = true;
+        try {
+          require.resolve('electron');
+        } catch (error) {
+          resolved = false;
+        }
+        // 安装了 electron 时解析到真实模块，否则解析失败；都不应再返回 shim
+        this.assert(!resolved || !require.resolve('electron').includes('__electron_shim__'), 'electron 仍解析到 shim');
+      },
+
+      '按 Skill 标注和提示词片段选择录制，未命中时返回失败并记录': async () => {
+        const llm = new RecordedLLM([{ skill: 'planner', match: ['目标', '状态'], response: { steps: [] } }]);
+        const call = (skill, userPrompt) => withUsageContext({ skill }, () => llm.llmCaller({ systemPrompt: '', userPrompt }));
+
+        this.assertEqual(await call('planner', '目标状态'), { success: true, response: '{"steps":[]}' }, '命中的调用');
+        this.assert((await call('planner', '目标')).success === false, '片段必须全部出现');
+        this.assert((await call('write_chapter', '目标状态')).success === false, 'Skill 标注必须一致');
+        this.assertEqual(llm.unmatched.map(call => call.skill), ['planner', 'write_chapter'], '未命中的调用');
+        this.assertEqual(llm.countBySkill(), { planner: 2, write_chapter: 1 }, '各 Skill 的调用次数');
+      }
+    };
+  }
+
+  async runGroups() {
+    await this.runGroup('harness', this.harnessCases());
+    await this.runIntent('CREATE', '写第3章', (dir, outcome) => this.createCases(dir, outcome));
+    await this.runIntent('CONTINUE', '续写下一章', (dir, outcome) => this.continueCases(dir, outcome));
+    await this.runIntent('REWRITE', '润色第2章', (dir, outcome) => this.rewriteCases(dir, outcome));
+    await this.runIntent('CHECK', '检查第2章', (dir, outcome) => this.checkCases(dir, outcome));
+  }
+}
+
+module.exports = OrchestratorValidator;
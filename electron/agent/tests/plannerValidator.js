@@ -1,11 +1,18 @@
 /**
  * Planner Validator - Planner 验证器
- * 验证 Planner 的规划逻辑、状态转换正确性
+ * 验证 Planner 的规划逻辑、状态转换正确性、从运行检查点恢复后的规划、Router 的意图分类，以及工作区 Skill 插件
  */
 
 const { STATE_CONTRACTS, GOAL_STATES } = require('../skills/core/stateContracts');
 const AgentState = require('../skills/core/agentState');
 const PlannerAgent = require('../skills/core/plannerAgent');
+const { RunCheckpointStore, RunStatus } = require('../skills/core/runCheckpointStore');
+const SkillRouter = require('../skills/core/skillRouter');
+const SkillExecutor = require('../skills/core/skillExecutor');
+const { SkillPluginLoader, setWorkspaceTrusted } = require('../skills/core/skillPluginLoader');
+const fs = require('fs').promises;
+const os = require('os');
+const nodePath = require('path');
 const logger = require('../../utils/logger');
 
 class PlannerValidator {
@@ -39,6 +46,51 @@ class PlannerValidator {
       }
     }
 
+    // 从检查点恢复
+    try {
+      results.checkpointResume = await this.validateCheckpointResume('CREATE');
+      if (!results.checkpointResume.valid) {
+        throw new Error(results.checkpointResume.message);
+      }
+    } catch (error) {
+      this.errors.push({
+        intent: 'checkpointResume',
+        type: 'validation_error',
+        message: error.message
+      });
+      results.checkpointResume = { valid: false, error: error.message };
+    }
+
+    // Router 意图分类（置信度和澄清问题）
+    try {
+      results.routing = await this.validateRouting();
+      if (!results.routing.valid) {
+        throw new Error(results.routing.message);
+      }
+    } catch (error) {
+      this.errors.push({
+        intent: 'routing',
+        type: 'validation_error',
+        message: error.message
+      });
+      results.routing = { valid: false, error: error.message };
+    }
+
+    // 工作区 Skill 插件
+    try {
+      results.skillPlugins = await this.validateSkillPlugins();
+      if (!results.skillPlugins.valid) {
+        throw new Error(results.skillPlugins.message);
+      }
+    } catch (error) {
+      this.errors.push({
+        intent: 'skillPlugins',
+        type: 'validation_error',
+        message: error.message
+      });
+      results.skillPlugins = { valid: false, error: error.message };
+    }
+
     return {
       valid: this.errors.length === 0,
       errors: this.errors,
@@ -212,6 +264,328 @@ class PlannerValidator {
     };
   }
 
+  /**
+   * 模拟执行到目标状态，返回执行的 Skill 序列
+   * @param {Function} onStep - 每步执行后的回调 (step, state, planner)，返回 true 时中断
+   */
+  async runSimulatedPath(intent, state, planner, mockLLMCaller, onStep = null) {
+    const goalStates = GOAL_STATES[intent];
+    const skills = [];
+
+    for (let i = 0; i < 20 && !this.isGoalSatisfied(goalStates, state); i++) {
+      const plan = await planner.plan({
+        intent,
+        state,
+        request: { userRequest: `测试恢复 ${i}` }
+      }, mockLLMCaller || this.createMockLLMCaller());
+
+      if (!plan.steps || plan.steps.length === 0) break;
+
+      const skill = plan.steps[0].skill;
+      this.simulateStateUpdate(state, skill, STATE_CONTRACTS[skill]);
+      planner.recordSkillExecution(skill);
+      skills.push(skill);
+
+      if (onStep && await onStep(skills, state, planner)) break;
+    }
+
+    return skills;
+  }
+
+  /**
+   * 按固定顺序补齐缺失状态的模拟 LLM（规划结果只取决于当前状态，便于比较中断前后的执行）
+   */
+  createStateDrivenLLMCaller(state) {
+    const order = ['load_story_context', 'plan_chapter', 'write_chapter', 'check_chapter', 'finalize_chapter'];
+    return async () => {
+      const skill = order.find(name => !STATE_CONTRACTS[name].producesState.every(prod => this.hasState(state, prod)));
+      return {
+        response: JSON.stringify({
+          steps: skill ? [{ skill, produces: STATE_CONTRACTS[skill].producesState[0], reason: '模拟规划' }] : []
+        })
+      };
+    };
+  }
+
+  /**
+   * 验证从检查点恢复：中途保存 AgentState 和执行计数，读取后继续规划，
+   * 执行的 Skill 应与不中断时一致（已完成的 Skill 不再执行）
+   */
+  async validateCheckpointResume(intent) {
+    const simulate = (state, planner, onStep) =>
+      this.runSimulatedPath(intent, state, planner, this.createStateDrivenLLMCaller(state), onStep);
+
+    const expected = await simulate(new AgentState(), new PlannerAgent());
+    if (expected.length < 2) {
+      return { valid: false, message: `${intent} 的执行路径过短，无法验证恢复：${expected.join(' → ')}` };
+    }
+
+    const dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), 'planner-validator-'));
+    try {
+      const store = new RunCheckpointStore(dir);
+      const taskId = 'task_resume_test';
+      const interruptAfter = Math.floor(expected.length / 2);
+
+      // 执行到一半时保存检查点，模拟应用退出
+      const before = await simulate(new AgentState(), new PlannerAgent(),
+        async (skills, state, planner) => {
+          await store.save(taskId, {
+            request: { userRequest: `测试 ${intent} 意图` },
+            routed: { intent },
+            status: RunStatus.RUNNING,
+            agentState: state.clone(),
+            skillResults: skills.map(skill => ({ skill, success: true })),
+            executionCounts: Object.fromEntries(planner.skillExecutionCounts)
+          });
+          return skills.length >= interruptAfter;
+        });
+
+      const [run] = await store.listRuns();
+      if (!run || run.lastSkill !== before[before.length - 1] || !run.resumable) {
+        return { valid: false, message: `运行概要不正确: ${JSON.stringify(run)}` };
+      }
+
+      // 从检查点恢复 AgentState 和执行计数后继续
+      const { checkpoint } = await store.load(taskId);
+      const planner = new PlannerAgent();
+      for (const [skill, count] of Object.entries(checkpoint.executionCounts)) {
+        planner.skillExecutionCounts.set(skill, count);
+      }
+      const after = await simulate(AgentState.fromSerialized(checkpoint.agentState), planner);
+
+      const resumed = [...checkpoint.skillResults.map(r => r.skill), ...after];
+      const valid = JSON.stringify(resumed) === JSON.stringify(expected);
+      return {
+        valid,
+        expected,
+        resumed,
+        message: valid ? '恢复后的执行与不中断时一致' : `恢复后执行 ${resumed.join(' → ')}，期望 ${expected.join(' → ')}`
+      };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 验证 Router 的意图分类：
+   * - 快速路径命中唯一意图时不调用 LLM
+   * - 询问语气时请用户澄清，候选中包含 CHECK
+   * - LLM 与快速路径一致时提高置信度，LLM 不可用时沿用快速路径
+   * - request.intent 指定的意图直接采用
+   */
+  async validateRouting() {
+    const llmResponse = (intent, confidence) => async () => ({
+      success: true,
+      response: JSON.stringify({ intent_type: intent, confidence, clarification_question: null, execution_plan: { steps: [] } })
+    });
+    const failingLLM = async () => ({ success: false, error: '模拟 LLM 不可用' });
+    let llmCalls = 0;
+    const countingLLM = async () => {
+      llmCalls++;
+      return { success: false, error: '不应调用' };
+    };
+
+    const router = new SkillRouter();
+    const cases = [
+      {
+        name: '快速路径：人物小传',
+        run: () => router.route({ userRequest: '给林晚写个人物小传' }, {}, countingLLM),
+        check: r => r.intent === 'CHARACTER_PROFILE' && r.source === 'regex' && r.confidence >= 0.8 && !r.needsClarification && llmCalls === 0
+      },
+      {
+        name: '询问语气：需要澄清',
+        run: () => router.route({ userRequest: '帮我看看第三章有没有修改的必要' }),
+        check: r => r.needsClarification && r.clarification.options.some(o => o.intent === 'CHECK') && r.clarification.question
+      },
+      {
+        name: 'LLM 与快速路径一致',
+        run: () => router.route({ userRequest: '帮我看看第三章有没有修改的必要' }, {}, llmResponse('CHECK', 0.7)),
+        check: r => r.intent === 'CHECK' && r.source === 'regex+llm' && r.confidence >= 0.8 && !r.needsClarification
+      },
+      {
+        name: 'LLM 低置信度：需要澄清',
+        run: () => router.route({ userRequest: '这章感觉不太对' }, {}, llmResponse('REWRITE', 0.3)),
+        check: r => r.intent === 'REWRITE' && r.source === 'llm' && r.needsClarification
+      },
+      {
+        name: 'LLM 不可用：沿用快速路径',
+        run: () => router.route({ userRequest: '帮我想几个点子，再续写下一章' }, {}, failingLLM),
+        check: r => r.source === 'regex' && r.candidates.includes('BRAINSTORM') && r.candidates.includes('CONTINUE')
+      },
+      {
+        name: '用户指定意图',
+        run: () => router.route({ userRequest: '帮我看看第三章有没有修改的必要', intent: 'REWRITE' }),
+        check: r => r.intent === 'REWRITE' && r.source === 'user' && r.confidence === 1 && !r.needsClarification
+      }
+    ];
+
+    const failed = [];
+    for (const testCase of cases) {
+      const result = await testCase.run();
+      if (!testCase.check(result)) {
+        failed.push(`${testCase.name}: ${JSON.stringify({ intent: result.intent, confidence: result.confidence, source: result.source, needsClarification: result.needsClarification })}`);
+      }
+    }
+
+    return {
+      valid: failed.length === 0,
+      cases: cases.length,
+      message: failed.length === 0 ? `${cases.length} 个分类用例通过` : failed.join('；')
+    };
+  }
+
+  /**
+   * 验证工作区 Skill 插件：
+   * - 工作区未信任时不加载插件
+   * - 合法插件通过 SkillValidator 校验后注册，Planner 能规划、SkillExecutor 能执行，输出写回 AgentState
+   * - 插件状态只在请求选择该插件（pluginGoals）时加入意图目标
+   * - 原地更新草稿的插件不被当作依赖循环
+   * - 重名、依赖循环、依赖不可达、语法错误的插件被拒绝，不影响其他插件
+   */
+  async validateSkillPlugins() {
+    const plugins = {
+      '10-chapter-title.js': `module.exports = {
+  name: 'generate_chapter_title',
+  description: '根据草稿生成章节标题',
+  outputSchema: { type: 'object', properties: { chapterTitle: { type: 'string' } } },
+  requiresState: ['chapters.draft'],
+  producesState: ['chapterTitle'],
+  intents: ['CREATE', 'CONTINUE'],
+  async execute(input) {
+    return { chapterTitle: '标题：' + input.chapters.draft.slice(0, 4) };
+  }
+};`,
+      '20-dialect.js': `module.exports = {
+  name: 'translate_dialogue_dialect',
+  description: '把对白改写为方言',
+  outputSchema: { type: 'object', properties: { chapters: { type: 'object' }, dialectApplied: { type: 'boolean' } } },
+  requiresState: ['chapters.draft'],
+  producesState: ['chapters.draft', 'dialectApplied'],
+  async execute(input) {
+    return { chapters: { draft: input.chapters.draft + '（方言）' }, dialectApplied: true };
+  }
+};`,
+      '30-duplicate.js': `module.exports = {
+  name: 'write_chapter',
+  producesState: ['chapters.draft'],
+  async execute() { return {}; }
+};`,
+      '40-glossary.js': `module.exports = {
+  name: 'build_glossary',
+  outputSchema: { type: 'object', properties: { glossary: { type: 'object' } } },
+  requiresState: ['chapters.draft'],
+  producesState: ['glossary'],
+  async execute() { return { glossary: {} }; }
+};`,
+      '50-cycle.js': `module.exports = {
+  name: 'draft_from_glossary',
+  outputSchema: { type: 'object', properties: { chapters: { type: 'object' } } },
+  requiresState: ['glossary'],
+  producesState: ['chapters.draft'],
+  async execute() { return { chapters: { draft: '' } }; }
+};`,
+      '60-unreachable.js': `module.exports = {
+  name: 'needs_missing_state',
+  outputSchema: { type: 'object', properties: { summary2: { type: 'string' } } },
+  requiresState: ['nonexistentState'],
+  producesState: ['summary2'],
+  async execute() { return {}; }
+};`,
+      '70-syntax-error.js': 'module.exports = {',
+      'README.md': '不是插件'
+    };
+
+    const dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), 'planner-validator-plugins-'));
+    try {
+      const pluginsPath = nodePath.join(dir, '.novel-agent', 'skills');
+      await fs.mkdir(pluginsPath, { recursive: true });
+      for (const [file, content] of Object.entries(plugins)) {
+        await fs.writeFile(nodePath.join(pluginsPath, file), content, 'utf-8');
+      }
+
+      const failed = [];
+      const loader = new SkillPluginLoader(dir);
+      const stored = new Map();
+      const settings = { get: key => stored.get(key) ?? null, set: (key, value) => stored.set(key, value) };
+
+      // 工作区未信任时不执行插件文件（语法错误的插件也不会报错），只列出等待信任的文件
+      const untrusted = await loader.loadIfTrusted(settings);
+      if (untrusted.plugins.length > 0 || untrusted.errors.length > 0 || untrusted.blocked.length !== 7) {
+        failed.push(`未信任的工作区不应加载插件: ${JSON.stringify(untrusted)}`);
+      }
+
+      setWorkspaceTrusted(settings, dir, true);
+      const { plugins: loaded, errors } = await loader.loadIfTrusted(settings);
+
+      const loadedNames = loaded.map(plugin => plugin.name);
+      const expectedNames = ['generate_chapter_title', 'translate_dialogue_dialect', 'build_glossary'];
+      if (JSON.stringify(loadedNames) !== JSON.stringify(expectedNames)) {
+        failed.push(`加载的插件 ${loadedNames.join(', ')}，期望 ${expectedNames.join(', ')}`);
+      }
+      const rejected = errors.map(error => error.file);
+      const expectedRejected = ['30-duplicate.js', '50-cycle.js', '60-unreachable.js', '70-syntax-error.js'];
+      if (JSON.stringify(rejected) !== JSON.stringify(expectedRejected)) {
+        failed.push(`拒绝的插件 ${JSON.stringify(errors)}，期望 ${expectedRejected.join(', ')}`);
+      }
+      const cycleError = errors.find(error => error.file === '50-cycle.js');
+      if (cycleError && !cycleError.message.includes('循环')) {
+        failed.push(`依赖循环未被识别: ${cycleError.message}`);
+      }
+
+      // Planner：插件状态只在请求选择该插件时加入意图目标，有草稿后规划插件
+      const planner = new PlannerAgent();
+      planner.registerPlugins(loaded);
+      const optIn = { pluginGoals: ['generate_chapter_title'] };
+      const createGoals = planner.getGoalStates('CREATE', optIn);
+      if (planner.getGoalStates('CREATE').includes('chapterTitle') || planner.getGoalStates('CREATE', { pluginGoals: ['translate_dialogue_dialect'] }).includes('chapterTitle')) {
+        failed.push(`未选择插件时 CREATE 目标不应包含 chapterTitle: ${planner.getGoalStates('CREATE').join(', ')}`);
+      }
+      if (createGoals[0] !== 'chapterTitle' || planner.getGoalStates('CREATE', { pluginGoals: true })[0] !== 'chapterTitle' || planner.getGoalStates('CHECK', optIn).includes('chapterTitle')) {
+        failed.push(`选择插件后 CREATE 目标状态不正确: ${createGoals.join(', ')}`);
+      }
+      const state = new AgentState();
+      state.chapters.draft = '夜雨敲窗，林晚推门而入。';
+      const plan = planner.planWithRules(createGoals, state, 'CREATE', optIn);
+      if (plan.steps[0]?.skill !== 'generate_chapter_title') {
+        failed.push(`有草稿时应先规划 generate_chapter_title，实际 ${JSON.stringify(plan.steps)}`);
+      }
+      const llmPlan = planner.validateAndOptimizePlan({
+        steps: [{ skill: 'generate_chapter_title', produces: 'chapterTitle', reason: '模拟 LLM 规划' }]
+      }, state, createGoals);
+      if (llmPlan.steps.length !== 1) {
+        failed.push('LLM 规划的插件步骤未通过校验');
+      }
+
+      // SkillExecutor 执行插件，输出按 producesState 写回 AgentState
+      const executor = new SkillExecutor(dir);
+      executor.registerPlugins(loaded);
+      for (const name of ['generate_chapter_title', 'translate_dialogue_dialect']) {
+        const plugin = executor.getPlugin(name);
+        const result = await executor.execute(name, state.buildSkillInput(name, { userRequest: '测试插件' }, plugin), {});
+        if (!result.success) {
+          failed.push(`执行 ${name} 失败: ${result.error}`);
+          continue;
+        }
+        state.updateFromSkillOutput(name, result.result, plugin);
+      }
+      if (state.chapterTitle !== '标题：夜雨敲窗' || !state.chapters.draft.endsWith('（方言）') || state.dialectApplied !== true) {
+        failed.push(`插件输出未写回状态: ${JSON.stringify({ chapterTitle: state.chapterTitle, draft: state.chapters.draft, dialectApplied: state.dialectApplied })}`);
+      }
+      if (!planner.isGoalSatisfied(['chapterTitle'], AgentState.fromSerialized(state.clone()))) {
+        failed.push('插件状态在检查点序列化后丢失');
+      }
+
+      return {
+        valid: failed.length === 0,
+        loaded: loadedNames,
+        rejected: errors,
+        message: failed.length === 0 ? `加载 ${loaded.length} 个插件，拒绝 ${errors.length} 个` : failed.join('；')
+      };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
   /**
    * 模拟状态更新
    */
@@ -0,0 +1,598 @@
+/**
+ * Provider Validator - 模型提供方适配器验证器
+ * 启动本地模拟 HTTP 服务，验证各适配器发出的请求格式和对响应的解析
+ */
+
+const http = require('http');
+const { getEventListeners } = require('events');
+const {
+  callLLM,
+  callLLMWithFallback,
+  callLLMStream,
+  callLLMStreamWithFallback,
+  callEmbedding,
+  computeBackoffDelay,
+  setUsageRecorder,
+  DEFAULT_RETRY_OPTIONS
+} = require('../../core/llm');
+const { createLLMCaller } = require('../../core/llmCaller');
+const GroupValidator = require('./harness/groupValidator');
+
+// 测试中不重试，失败立即返回
+const NO_RETRY = { retry: { maxRetries: 0 } };
+
+class ProviderValidator extends GroupValidator {
+  constructor() {
+    super();
+    this.server = null;
+    this.baseUrl = null;
+    this.routes = new Map(); // "METHOD path" -> handler(req, body, res)
+    this.requests = []; // 收到的请求：{ method, path, headers, body }
+  }
+
+  /**
+   * 启动模拟服务（监听随机端口）
+   */
+  async startServer() {
+    this.server = http.createServer((req, res) => {
+      let raw = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        let body = null;
+        try {
+          body = raw ? JSON.parse(raw) : null;
+        } catch (e) {
+          body = raw;
+        }
+        this.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+        const handler = this.routes.get(`${req.method} ${req.url}`);
+        if (!handler) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: `no route: ${req.url}` } }));
+          return;
+        }
+        handler(req, body, res);
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stopServer() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * 设置某个路由的响应，并清空已记录的请求
+   */
+  mock(method, path, handler) {
+    this.routes.clear();
+    this.requests = [];
+    this.routes.set(`${method} ${path}`, handler);
+  }
+
+  // 追加一个路由（不清空已有路由和请求），用于备用模型
+  route(method, path, handler) {
+    this.routes.set(`${method} ${path}`, handler);
+  }
+
+  // 依次使用各个响应，用完后重复最后一个
+  sequence(...handlers) {
+    let index = 0;
+    return (req, body, res) => handlers[Math.min(index++, handlers.length - 1)](req, body, res);
+  }
+
+  // 返回错误状态码，headers 为附加的响应头（如 Retry-After）
+  fail(status, message, headers = {}) {
+    return (req, body, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify({ error: { message } }));
+    };
+  }
+
+  json(status, data) {
+    return (req, body, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+  }
+
+  // 分多次写出流式响应，模拟真实服务的数据块边界
+  chunked(contentType, lines) {
+    return (req, body, res) => {
+      res.writeHead(200, { 'Content-Type': contentType });
+      const payload = lines.join('');
+      const middle = Math.floor(payload.length / 2);
+      res.write(payload.slice(0, middle));
+      setTimeout(() => res.end(payload.slice(middle)), 5);
+    };
+  }
+
+  /**
+   * 执行 fn 并收集期间上报的 token 用量（已转换为 OpenAI 格式）
+   */
+  async captureUsage(fn) {
+    const usages = [];
+    setUsageRecorder(({ usage }) => usages.push(usage));
+    try {
+      const result = await fn();
+      return { result, usages };
+    } finally {
+      setUsageRecorder(null);
+    }
+  }
+
+  lastRequest() {
+    return this.requests[this.requests.length - 1];
+  }
+
+  config(provider, overrides = {}) {
+    return {
+      provider,
+      name: `mock-${provider}`,
+      baseUrl: this.baseUrl,
+      apiKey: 'test-key',
+      model: `${provider}-model`,
+      ...overrides
+    };
+  }
+
+  // ========== OpenAI 兼容 ==========
+
+  openaiCases() {
+    const messages = [
+      { role: 'system', content: '你是助手' },
+      { role: 'user', content: '你好' }
+    ];
+
+    return {
+      '对话请求与响应': async () => {
+        this.mock('POST', '/chat/completions', this.json(200, {
+          choices: [{ message: { role: 'assistant', content: '你好！' } }],
+          usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+        }));
+
+        const content = await callLLM(this.config('openai'), messages, { temperature: 0.5, maxTokens: 100, ...NO_RETRY });
+        const req = this.lastRequest();
+
+        this.assertEqual(content, '你好！', '回复内容');
+        this.assertEqual(req.headers.authorization, 'Bearer test-key', 'Authorization 头');
+        this.assertEqual(req.body.messages, messages, '消息原样发送');
+        this.assertEqual([req.body.temperature, req.body.max_tokens, req.body.stream], [0.5, 100, false], '采样参数');
+      },
+
+      '流式响应（SSE）': async () => {
+        this.mock('POST', '/chat/completions', this.chunked('text/event-stream', [
+          'data: {"choices":[{"delta":{"content":"第一"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":"章"}}]}\n\n',
+          'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}\n\n',
+          'data: [DONE]\n\n'
+        ]));
+
+        const deltas = [];
+        const content = await callLLMStream(this.config('openai'), messages, delta => deltas.push(delta));
+
+        this.assertEqual(content, '第一章', '拼接后的内容');
+        this.assertEqual(deltas, ['第一', '章'], '增量回调');
+        this.assertEqual(this.lastRequest().body.stream, true, 'stream 参数');
+      },
+
+      '流式调用结束后移除 signal 的中止监听': async () => {
+        this.mock('POST', '/chat/completions', this.chunked('text/event-stream', [
+          'data: {"choices":[{"delta":{"content":"第一章"}}]}\n\n',
+          'data: [DONE]\n\n'
+        ]));
+
+        const controller = new AbortController();
+        for (let i = 0; i < 3; i++) {
+          await callLLMStream(this.config('openai'), messages, null, { signal: controller.signal });
+        }
+        this.assertEqual(getEventListeners(controller.signal, 'abort').length, 0, '剩余的中止监听');
+      },
+
+      '向量请求与响应': async () => {
+        this.mock('POST', '/embeddings', this.json(200, { data: [{ embedding: [0.1, 0.2, 0.3] }] }));
+
+        const embedding = await callEmbedding(this.config('openai', { model: 'embed-model' }), '文本');
+        const req = this.lastRequest();
+
+        this.assertEqual(embedding, [0.1, 0.2, 0.3], '向量');
+        this.assertEqual(req.body, { input: '文本', model: 'embed-model' }, '请求体');
+      },
+
+      '重试等待期间取消后不再重试': async () => {
+        let requests = 0;
+        this.mock('POST', '/chat/completions', (req, body, res) => {
+          requests++;
+          res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '60' });
+          res.end(JSON.stringify({ error: { message: 'busy' } }));
+        });
+
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        await this.assertRejects(
+          () => callLLM(this.config('openai'), messages, {
+            signal: controller.signal,
+            retry: { maxRetries: 3 },
+            onRetry: () => setTimeout(() => controller.abort(), 10)
+          }),
+          /用户取消了操作/,
+          '取消后的错误'
+        );
+
+        this.assertEqual(requests, 1, '取消后不再发送请求');
+        this.assert(Date.now() - startedAt < 5000, '取消应立即结束重试等待');
+      },
+
+      '错误信息': async () => {
+        this.mock('POST', '/chat/completions', this.json(400, { error: { message: 'bad model' } }));
+
+        await this.assertRejects(
+          () => callLLM(this.config('openai'), messages, NO_RETRY),
+          /400 - bad model/,
+          '400 错误'
+        );
+      }
+    };
+  }
+
+  // ========== Anthropic Messages API ==========
+
+  anthropicCases() {
+    return {
+      'system 提示词提升与消息合并': async () => {
+        this.mock('POST', '/messages', this.json(200, {
+          content: [
+            { type: 'text', text: '好的，' },
+            { type: 'text', text: '开始写作。' }
+          ],
+          usage: { input_tokens: 12, output_tokens: 6 }
+        }));
+
+        const content = await callLLM(this.config('anthropic'), [
+          { role: 'system', content: '你是小说作者' },
+          { role: 'system', content: '使用第三人称' },
+          { role: 'user', content: '第一段要求' },
+          { role: 'user', content: '第二段要求' },
+          { role: 'assistant', content: '收到' },
+          { role: 'user', content: '开始' }
+        ], { temperature: 1.5, maxTokens: 300, ...NO_RETRY });
+        const req = this.lastRequest();
+
+        this.assertEqual(content, '好的，开始写作。', '文本块拼接');
+        this.assertEqual(req.headers['x-api-key'], 'test-key', 'x-api-key 头');
+        this.assert(!!req.headers['anthropic-version'], '缺少 anthropic-version 头');
+        this.assert(!req.headers.authorization, '不应发送 Authorization 头');
+        this.assertEqual(req.body.system, '你是小说作者\n\n使用第三人称', 'system 字段');
+        this.assertEqual(req.body.messages, [
+          { role: 'user', content: '第一段要求\n\n第二段要求' },
+          { role: 'assistant', content: '收到' },
+          { role: 'user', content: '开始' }
+        ], 'messages 不含 system 且相邻同角色合并');
+        this.assertEqual([req.body.max_tokens, req.body.temperature], [300, 1], 'max_tokens 与 temperature 上限');
+      },
+
+      '只有 system 提示词': async () => {
+        this.mock('POST', '/messages', this.json(200, { content: [{ type: 'text', text: 'ok' }] }));
+
+        await callLLM(this.config('anthropic'), [{ role: 'system', content: '只有系统提示' }], NO_RETRY);
+        const req = this.lastRequest();
+
+        this.assert(req.body.system === undefined, '不应发送空的 system');
+        this.assertEqual(req.body.messages, [{ role: 'user', content: '只有系统提示' }], '作为用户消息发送');
+      },
+
+      '流式响应（事件流）': async () => {
+        this.mock('POST', '/messages', this.chunked('text/event-stream', [
+          'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":8,"output_tokens":1}}}\n\n',
+          'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"夜色"}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"渐深"}}\n\n',
+          'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":4}}\n\n',
+          'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+        ]));
+
+        const deltas = [];
+        const { result: content, usages } = await this.captureUsage(() => callLLMStream(
+          this.config('anthropic'),
+          [{ role: 'system', content: '作者' }, { role: 'user', content: '写' }],
+          delta => deltas.push(delta)
+        ));
+
+        this.assertEqual(content, '夜色渐深', '拼接后的内容');
+        this.assertEqual(usages, [{ prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 }], '合并后的用量');
+        this.assertEqual(deltas, ['夜色', '渐深'], '增量回调');
+        this.assertEqual(this.lastRequest().body.system, '作者', '流式请求同样提升 system');
+      },
+
+      '错误信息': async () => {
+        this.mock('POST', '/messages', this.json(401, {
+          type: 'error',
+          error: { type: 'authentication_error', message: 'invalid x-api-key' }
+        }));
+
+        await this.assertRejects(
+          () => callLLM(this.config('anthropic'), [{ role: 'user', content: 'hi' }], NO_RETRY),
+          /401 - invalid x-api-key/,
+          '401 错误'
+        );
+      },
+
+      '不支持向量': async () => {
+        await this.assertRejects(
+          () => callEmbedding(this.config('anthropic'), '文本'),
+          /不提供 embedding/,
+          'embedding 调用'
+        );
+      }
+    };
+  }
+
+  // ========== Ollama ==========
+
+  ollamaCases() {
+    const messages = [
+      { role: 'system', content: '你是助手' },
+      { role: 'user', content: '你好' }
+    ];
+
+    return {
+      '对话请求与响应': async () => {
+        this.mock('POST', '/api/chat', this.json(200, {
+          model: 'ollama-model',
+          message: { role: 'assistant', content: '本地回复' },
+          done: true,
+          prompt_eval_count: 9,
+          eval_count: 3
+        }));
+
+        const content = await callLLM(this.config('ollama', { apiKey: '' }), messages, { temperature: 0.2, maxTokens: 50, ...NO_RETRY });
+        const req = this.lastRequest();
+
+        this.assertEqual(content, '本地回复', '回复内容');
+        this.assert(!req.headers.authorization, '未配置 API Key 时不应发送 Authorization 头');
+        this.assertEqual(req.body.messages, messages, '消息原样发送（system 保留在 messages 中）');
+        this.assertEqual(req.body.stream, false, 'stream 参数');
+        this.assertEqual(req.body.options, { temperature: 0.2, num_predict: 50 }, 'options 采样参数');
+      },
+
+      '流式响应（NDJSON）': async () => {
+        this.mock('POST', '/api/chat', this.chunked('application/x-ndjson', [
+          '{"message":{"role":"assistant","content":"山"},"done":false}\n',
+          '{"message":{"role":"assistant","content":"雨欲来"},"done":false}\n',
+          '{"message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":4,"eval_count":2}\n'
+        ]));
+
+        const deltas = [];
+        const { result: content, usages } = await this.captureUsage(
+          () => callLLMStream(this.config('ollama'), messages, delta => deltas.push(delta))
+        );
+
+        this.assertEqual(content, '山雨欲来', '拼接后的内容');
+        this.assertEqual(usages, [{ prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 }], '用量');
+        this.assertEqual(deltas, ['山', '雨欲来'], '增量回调');
+        this.assertEqual(this.lastRequest().headers.authorization, 'Bearer test-key', '配置了 API Key 时发送 Authorization 头');
+      },
+
+      '向量请求与响应': async () => {
+        this.mock('POST', '/api/embeddings', this.json(200, { embedding: [0.5, -0.5] }));
+
+        const embedding = await callEmbedding(this.config('ollama', { model: 'nomic-embed-text' }), '文本');
+        const req = this.lastRequest();
+
+        this.assertEqual(embedding, [0.5, -0.5], '向量');
+        this.assertEqual(req.body, { model: 'nomic-embed-text', prompt: '文本' }, '请求体');
+      },
+
+      '错误信息': async () => {
+        this.mock('POST', '/api/chat', this.json(404, { error: 'model "missing" not found' }));
+
+        await this.assertRejects(
+          () => callLLM(this.config('ollama'), messages, NO_RETRY),
+          /404 - model "missing" not found/,
+          '404 错误'
+        );
+      }
+    };
+  }
+
+  // ========== Agent 的 LLM 调用函数（主进程与命令行共用） ==========
+
+  callerCases() {
+    const prompt = { systemPrompt: '你是助手', userPrompt: '你好' };
+    const settings = (values) => ({ get: key => values[key] ?? null });
+
+    return {
+      '没有可用模型时返回错误': async () => {
+        const llmCaller = createLLMCaller({ getChain: () => [] });
+        const result = await llmCaller(prompt);
+
+        this.assertEqual(result.success, false, 'success');
+        this.assert(/未找到可用的模型配置/.test(result.error), `错误信息：${result.error}`);
+      },
+
+      '按设置项 llmRetry 重试，失败时返回错误而不抛出': async () => {
+        this.mock('POST', '/chat/completions', this.json(500, { error: { message: 'down' } }));
+
+        const llmCaller = createLLMCaller({
+          getChain: () => [this.config('openai')],
+          settings: settings({ llmRetry: JSON.stringify({ maxRetries: 0 }) })
+        });
+        const result = await llmCaller(prompt);
+
+        this.assertEqual(result.success, false, 'success');
+        this.assert(/500 - down/.test(result.error), `错误信息：${result.error}`);
+        this.assertEqual(this.requests.length, 1, '不重试时只请求一次');
+      },
+
+      '非流式调用返回回复内容': async () => {
+        this.mock('POST', '/chat/completions', this.json(200, {
+          choices: [{ message: { role: 'assistant', content: '你好！' } }]
+        }));
+
+        const llmCaller = createLLMCaller({ getChain: () => [this.config('openai')] });
+        const result = await llmCaller({ ...prompt, temperature: 0.7 });
+
+        this.assertEqual(result, { success: true, response: '你好！' }, '返回值');
+        this.assertEqual([this.lastRequest().body.temperature, this.lastRequest().body.stream], [0.7, false], '请求参数');
+      }
+    };
+  }
+
+  // ========== 重试与备用模型切换 ==========
+
+  retryCases() {
+    const messages = [{ role: 'user', content: '你好' }];
+    const reply = this.json(200, { choices: [{ message: { role: 'assistant', content: '好' } }] });
+    const streamReply = this.chunked('text/event-stream', [
+      'data: {"choices":[{"delta":{"content":"第一"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"章"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]);
+    // 备用模型使用另一个路径，便于区分请求发给了哪个模型
+    const backup = () => this.config('openai', { name: 'backup', baseUrl: `${this.baseUrl}/backup` });
+    const paths = () => this.requests.map(req => req.path);
+    const retry = { maxRetries: 2, baseDelay: 20, maxDelay: 30 };
+
+    return {
+      '退避等待：指数增长、随机抖动并受上限约束': async () => {
+        const options = { ...DEFAULT_RETRY_OPTIONS, baseDelay: 100, maxDelay: 300 };
+        for (let i = 0; i < 20; i++) {
+          const delays = [1, 2, 3, 4].map(attempt => computeBackoffDelay(attempt, options));
+          this.assert(delays[0] >= 50 && delays[0] <= 100, `第 1 次重试等待 ${delays[0]}ms`);
+          this.assert(delays[1] >= 100 && delays[1] <= 200, `第 2 次重试等待 ${delays[1]}ms`);
+          this.assert(delays[2] >= 150 && delays[2] <= 300, `第 3 次重试等待 ${delays[2]}ms（上限 300）`);
+          this.assert(delays[3] >= 150 && delays[3] <= 300, `第 4 次重试等待 ${delays[3]}ms（上限 300）`);
+        }
+      },
+
+      '5xx 按退避策略重试后成功': async () => {
+        this.mock('POST', '/chat/completions', this.sequence(this.fail(503, 'busy'), this.fail(502, 'bad gateway'), reply));
+
+        const retries = [];
+        const content = await callLLM(this.config('openai'), messages, { retry, onRetry: info => retries.push(info) });
+
+        this.assertEqual(content, '好', '回复内容');
+        this.assertEqual(this.requests.length, 3, '请求次数');
+        this.assertEqual(retries.map(info => info.attempt), [1, 2], '重试序号');
+        this.assert(retries[0].delay >= 10 && retries[0].delay <= 20, `第 1 次重试等待 ${retries[0].delay}ms`);
+        this.assert(retries[1].delay >= 15 && retries[1].delay <= 30, `第 2 次重试等待 ${retries[1].delay}ms`);
+      },
+
+      '遵守 Retry-After，超过 maxRetryAfter 时按上限等待': async () => {
+        this.mock('POST', '/chat/completions', this.sequence(this.fail(429, 'slow down', { 'Retry-After': '0' }), reply));
+        const retries = [];
+        await callLLM(this.config('openai'), messages, { retry, onRetry: info => retries.push(info) });
+        this.assertEqual(retries.map(info => info.delay), [0], 'Retry-After: 0');
+
+        this.mock('POST', '/chat/completions', this.sequence(this.fail(429, 'slow down', { 'Retry-After': '60' }), reply));
+        retries.length = 0;
+        await callLLM(this.config('openai'), messages, { retry: { ...retry, maxRetryAfter: 40 }, onRetry: info => retries.push(info) });
+        this.assertEqual(retries.map(info => info.delay), [40], 'Retry-After: 60 按上限等待');
+      },
+
+      '4xx 不重试': async () => {
+        this.mock('POST', '/chat/completions', this.fail(400, 'bad request'));
+
+        await this.assertRejects(() => callLLM(this.config('openai'), messages, { retry }), /400 - bad request/, '400 错误');
+        this.assertEqual(this.requests.length, 1, '请求次数');
+      },
+
+      '重试耗尽后按顺序切换到备用模型': async () => {
+        this.mock('POST', '/chat/completions', this.fail(503, 'busy'));
+        this.route('POST', '/backup/chat/completions', reply);
+
+        const content = await callLLMWithFallback([this.config('openai'), backup()], messages, { retry });
+
+        this.assertEqual(content, '好', '备用模型的回复');
+        this.assertEqual(paths(), [
+          '/chat/completions', '/chat/completions', '/chat/completions', '/backup/chat/completions'
+        ], '首选模型重试 2 次后切换');
+      },
+
+      '所有模型都失败时列出各模型的错误': async () => {
+        this.mock('POST', '/chat/completions', this.fail(400, 'bad request'));
+        this.route('POST', '/backup/chat/completions', this.fail(500, 'down'));
+
+        await this.assertRejects(
+          () => callLLMWithFallback([this.config('openai'), backup()], messages, { retry: { ...retry, maxRetries: 0 } }),
+          /所有模型均调用失败：mock-openai: .*400 - bad request；backup: .*500 - down/,
+          '汇总的错误'
+        );
+      },
+
+      '流式调用在收到内容之前失败时重试': async () => {
+        this.mock('POST', '/chat/completions', this.sequence(this.fail(503, 'busy'), streamReply));
+
+        const deltas = [];
+        const retries = [];
+        const content = await callLLMStream(this.config('openai'), messages, delta => deltas.push(delta), {
+          retry,
+          onRetry: info => retries.push(info)
+        });
+
+        this.assertEqual(content, '第一章', '拼接后的内容');
+        this.assertEqual(deltas, ['第一', '章'], '增量回调只来自成功的请求');
+        this.assertEqual(retries.map(info => info.attempt), [1], '重试序号');
+      },
+
+      '流式调用重试耗尽后切换到备用模型': async () => {
+        this.mock('POST', '/chat/completions', this.fail(429, 'slow down', { 'Retry-After': '0' }));
+        this.route('POST', '/backup/chat/completions', streamReply);
+
+        const content = await callLLMStreamWithFallback([this.config('openai'), backup()], messages, null, { retry });
+
+        this.assertEqual(content, '第一章', '备用模型的内容');
+        this.assertEqual(paths(), [
+          '/chat/completions', '/chat/completions', '/chat/completions', '/backup/chat/completions'
+        ], '首选模型重试 2 次后切换');
+      },
+
+      '流式调用收到内容后中断时不重试也不切换': async () => {
+        this.mock('POST', '/chat/completions', (req, body, res) => {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write('data: {"choices":[{"delta":{"content":"第一"}}]}\n\n');
+          setTimeout(() => res.destroy(), 5);
+        });
+        this.route('POST', '/backup/chat/completions', streamReply);
+
+        const deltas = [];
+        let error = null;
+        try {
+          await callLLMStreamWithFallback([this.config('openai'), backup()], messages, delta => deltas.push(delta), { retry });
+        } catch (err) {
+          error = err;
+        }
+
+        this.assert(error, '中断后应当抛出错误');
+        this.assertEqual(error.partialContent, '第一', '已收到的内容');
+        this.assertEqual(deltas, ['第一'], '增量回调');
+        this.assertEqual(paths(), ['/chat/completions'], '只请求一次');
+      }
+    };
+  }
+
+  /**
+   * 验证所有适配器
+   */
+  async runGroups() {
+    await this.startServer();
+    try {
+      await this.runGroup('openai', this.openaiCases());
+      await this.runGroup('anthropic', this.anthropicCases());
+      await this.runGroup('ollama', this.ollamaCases());
+      await this.runGroup('retry', this.retryCases());
+      await this.runGroup('caller', this.callerCases());
+    } finally {
+      await this.stopServer();
+    }
+  }
+}
+
+module.exports = ProviderValidator;
@@ -0,0 +1,314 @@
+/**
+ * Retrieval Validator - 检索模块验证器
+ * 验证 HNSW 近似最近邻索引、BM25 关键词索引，以及增量向量化和后台重新索引队列
+ * （向量化依赖数据库模块，better-sqlite3 无法加载时跳过并给出警告）
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HNSWIndex = require('../../core/hnswIndex');
+const { BM25Index, tokenize, findTerms } = require('../../core/keywordIndex');
+const FactConflictDetector = require('../../memory/finalizer/factConflictDetector');
+const GroupValidator = require('./harness/groupValidator');
+
+class RetrievalValidator extends GroupValidator {
+  /**
+   * 可复现的聚类向量数据
+   */
+  makeClusteredVectors(count, dimension, clusters) {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 - 0.5;
+    };
+    const centers = Array.from({ length: clusters }, () => Array.from({ length: dimension }, random));
+    const vectors = Array.from({ length: count }, (_, i) =>
+      centers[i % clusters].map(value => value + random() * 0.6)
+    );
+    return { vectors, centers, random };
+  }
+
+  exactTopK(vectors, query, k) {
+    const norm = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+    const queryNorm = norm(query);
+    return vectors
+      .map((v, id) => ({ id, score: v.reduce((sum, x, i) => sum + x * query[i], 0) / (norm(v) * queryNorm) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(hit => hit.id);
+  }
+
+  hnswCases() {
+    return {
+      '召回率': async () => {
+        const { vectors, centers, random } = this.makeClusteredVectors(600, 32, 20);
+        const index = new HNSWIndex({ dimension: 32 });
+        vectors.forEach((v, id) => index.add(id, v));
+
+        let hit = 0;
+        const queries = 20;
+        for (let q = 0; q < queries; q++) {
+          const query = centers[q].map(value => value + random() * 0.6);
+          const expected = this.exactTopK(vectors, query, 5);
+          hit += index.search(query, 5).filter(r => expected.includes(r.label)).length;
+        }
+        const recall = hit / (queries * 5);
+        this.assert(recall >= 0.9, `召回率过低：${recall}`);
+      },
+
+      '删除与替换': async () => {
+        const index = new HNSWIndex({ dimension: 3 });
+        index.add(1, [1, 0, 0]);
+        index.add(2, [0, 1, 0]);
+        index.add(3, [0, 0, 1]);
+        index.remove(1);
+        this.assert(index.search([1, 0, 0], 3).every(r => r.label !== 1), '已删除的向量不应出现在结果中');
+        index.add(2, [1, 0.1, 0]);
+        this.assertEqual(index.search([1, 0, 0], 1)[0].label, 2, '替换后的向量');
+        this.assertEqual(index.size, 2, '有效节点数');
+      },
+
+      '序列化与压缩': async () => {
+        const { vectors } = this.makeClusteredVectors(200, 16, 10);
+        const index = new HNSWIndex({ dimension: 16 });
+        vectors.forEach((v, id) => index.add(id, v));
+        for (let id = 0; id < 100; id++) {
+          index.remove(id);
+        }
+
+        const { index: restored, meta } = HNSWIndex.deserialize(index.serialize({ stamp: 'abc' }));
+        this.assertEqual(meta, { stamp: 'abc' }, '附加信息');
+        this.assertEqual(restored.size, 100, '恢复后的节点数');
+        this.assertEqual(restored.search(vectors[150], 1)[0].label, 150, '恢复后查询');
+
+        const compacted = restored.compact();
+        this.assertEqual(compacted.deletedRatio, 0, '压缩后无墓碑');
+        this.assertEqual(compacted.search(vectors[150], 1)[0].label, 150, '压缩后查询');
+      },
+
+      '维度校验': async () => {
+        const index = new HNSWIndex({ dimension: 3 });
+        let threw = false;
+        try {
+          index.add(1, [1, 2]);
+        } catch (error) {
+          threw = /维度不匹配/.test(error.message);
+        }
+        this.assert(threw, '维度不一致时应抛出错误');
+      }
+    };
+  }
+
+  keywordCases() {
+    const docs = [
+      '林远山来到青云宗外门，拜见了执事长老。',
+      '天色渐暗，山间雾气弥漫，远处传来钟声。',
+      '林远在集市上买了一把剑。',
+      '青云宗的护山大阵名为九霄雷阵，由历代宗主加固。',
+      '他修炼了一夜的玄冰诀，终于突破到筑基期。'
+    ];
+    const terms = ['林远山', '青云宗', '九霄雷阵', '玄冰诀', '筑基期'];
+
+    return {
+      '中文二元组切分': async () => {
+        this.assertEqual(tokenize('青云宗 Level 9。'), ['青云', '云宗', 'level', '9'], '切分结果');
+        this.assertEqual(tokenize('剑'), ['剑'], '单字保留');
+      },
+
+      '事实冲突检测使用相同的切分': async () => {
+        const detector = new FactConflictDetector(null);
+        this.assertEqual(detector.extractKeywords('张三死亡，张三死亡'), ['张三', '三死', '死亡'], '关键词');
+      },
+
+      '事实冲突检测只比较同一主语的事实': async () => {
+        const detector = new FactConflictDetector(null);
+        const fact = (subject, statement) => ({ type: 'irreversible_event', subject, statement });
+        const existing = [fact('张三', '张三仍然活着'), fact('李四', '李四仍然活着')];
+        const conflicts = detector.detectKeywordConflicts(fact('张三', '张三已经死亡'), existing);
+        this.assertEqual(conflicts.map(c => c.existingFact), ['张三仍然活着'], '只与同一主语的相反事实冲突');
+      },
+
+      '词条匹配优先长词': async () => {
+        this.assertEqual(findTerms('林远山见到林远', ['林远山', '林远']), ['林远山', '林远'], '词条匹配');
+        this.assertEqual(findTerms('林远山', ['林远山', '林远']), ['林远山'], '被长词覆盖的短词不计数');
+      },
+
+      '专有名词精确命中': async () => {
+        const index = new BM25Index({ terms });
+        docs.forEach((doc, id) => index.add(id, doc));
+
+        const hits = index.search('林远山施展玄冰诀，冲向九霄雷阵', 3);
+        this.assertEqual(hits.map(h => h.id).sort(), [0, 3, 4], '命中的段落');
+        this.assertEqual(hits.find(h => h.id === 3).matchedTerms, ['九霄雷阵'], '命中的词条');
+
+        // "林远" 不应因为是 "林远山" 的前缀而被当作同一人名
+        const top = index.search('林远买剑', 1)[0];
+        this.assertEqual(top.id, 2, '相近人名区分');
+      },
+
+      '删除文档': async () => {
+        const index = new BM25Index({ terms });
+        docs.forEach((doc, id) => index.add(id, doc));
+        index.remove(3);
+        this.assert(index.search('九霄雷阵', 5).every(h => h.id !== 3), '已删除的文档不应被检索到');
+        this.assertEqual(index.size, 4, '文档数');
+      }
+    };
+  }
+
+  /**
+   * 验证所有检索模块
+   */
+  // ========== 增量向量化 ==========
+
+  indexerCases(database, { indexFile, purgeMissingFiles, ReindexQueue }, dir) {
+    const { vectorIndex } = database;
+    const modelId = 1;
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    // 每段约 300 字，单独成块
+    const paragraph = name => `${name}。`.repeat(100);
+    const write = async (name, paragraphs) => {
+      const filePath = path.join(dir, name);
+      await fs.writeFile(filePath, paragraphs.map(paragraph).join('\n\n'), 'utf-8');
+      return filePath;
+    };
+    // 记录调用次数的假 Embedding：按文本生成确定的向量
+    const createEmbedder = () => {
+      const embedded = [];
+      const embed = async (text) => {
+        embedded.push(text);
+        return Array.from({ length: 8 }, (_, i) => (text.charCodeAt(i % text.length) % 97) / 97);
+      };
+      return { modelId, embed, embedded };
+    };
+    const chunkTexts = filePath => vectorIndex.getByFile(filePath, modelId).map(row => row.chunk_text.slice(0, 2));
+
+    return {
+      '只为新内容调用 Embedding：未变的块跳过，换了位置的块复用向量，多余的块删除': async () => {
+        const embedder = createEmbedder();
+        const filePath = await write('第1章.txt', ['甲乙', '丙丁', '戊己']);
+        const target = { workspacePath: dir, modelId, embed: embedder.embed };
+
+        const first = await indexFile(filePath, target);
+        this.assertEqual([first.chunks, first.embedded, first.reused, first.unchanged], [3, 3, 0, 0], '首次索引');
+
+        const again = await indexFile(filePath, target);
+        this.assertEqual([again.embedded, again.reused, again.unchanged], [0, 0, 3], '内容未变');
+
+        await write('第1章.txt', ['庚辛', '甲乙', '丙丁', '戊己']);
+        const inserted = await indexFile(filePath, target);
+        this.assertEqual([inserted.embedded, inserted.reused, inserted.unchanged], [1, 3, 0], '开头插入一段');
+        this.assertEqual(embedder.embedded.length, 4, 'Embedding 调用次数');
+
+        await write('第1章.txt', ['庚辛']);
+        await indexFile(filePath, target);
+        this.assertEqual(chunkTexts(filePath), ['庚辛'], '文件变短后剩余的块');
+      },
+
+      '全量构建时删除已不在工作区中的文件的向量': async () => {
+        const embedder = createEmbedder();
+        const target = { workspacePath: dir, modelId, embed: embedder.embed };
+        const kept = await write('第2章.txt', ['壬癸']);
+        const removed = await write('第3章.txt', ['子丑']);
+        await indexFile(kept, target);
+        await indexFile(removed, target);
+        await fs.unlink(removed);
+
+        const otherWorkspace = path.join(dir, 'other');
+        const otherFile = path.join(otherWorkspace, '第1章.txt');
+        vectorIndex.addOrUpdate({ workspacePath: otherWorkspace, modelId, filePath: otherFile, chunkIndex: 0, chunkText: '寅卯', embedding: [1, 0] });
+
+        const present = [path.join(dir, '第1章.txt'), kept];
+        this.assertEqual(purgeMissingFiles(dir, present), [removed], '被清理的文件');
+        this.assertEqual(vectorIndex.getByFile(removed).length, 0, '已删除文件的向量');
+        this.assertEqual(chunkTexts(kept), ['壬癸'], '仍存在的文件的向量');
+        this.assertEqual(vectorIndex.getByFile(otherFile).length, 1, '其他工作区的向量');
+        this.assertEqual(purgeMissingFiles(dir, present), [], '再次清理');
+      },
+
+      '重新索引队列：连续保存只索引一次，文件被删除时清除向量': async () => {
+        const embedder = createEmbedder();
+        const progress = [];
+        const queue = new ReindexQueue({ getEmbedder: () => embedder, onProgress: event => progress.push(event), delay: 10 });
+        const filePath = await write('第4章.txt', ['辰巳']);
+        // 防抖结束后，等待队列中的任务执行完
+        const settle = async () => {
+          await wait(30);
+          await queue.runExclusive(() => {});
+        };
+
+        queue.schedule(filePath, dir);
+        queue.schedule(filePath, dir);
+        queue.schedule(filePath, dir);
+        await settle();
+        this.assertEqual(progress.map(event => [event.file, event.background, event.embedded]), [['第4章.txt', true, 1]], '进度');
+
+        await fs.unlink(filePath);
+        queue.schedule(filePath, dir);
+        await settle();
+        this.assertEqual(vectorIndex.getByFile(filePath).length, 0, '删除后的向量');
+        this.assertEqual(progress.length, 1, '删除不报告进度');
+      },
+
+      '未配置 Embedding 模型时跳过，切换工作区时取消未开始的任务': async () => {
+        const embedder = createEmbedder();
+        let configured = false;
+        const queue = new ReindexQueue({ getEmbedder: () => (configured ? embedder : null), delay: 10 });
+        const filePath = await write('第5章.txt', ['午未']);
+
+        queue.schedule(filePath, dir);
+        await wait(30);
+        await queue.runExclusive(() => {});
+        this.assertEqual(embedder.embedded.length, 0, '未配置模型');
+
+        configured = true;
+        queue.schedule(filePath, dir);
+        queue.clear();
+        await wait(30);
+        await queue.runExclusive(() => {});
+        this.assertEqual(embedder.embedded.length, 0, '取消后');
+      },
+
+      '索引任务串行执行，失败的任务不影响后续任务': async () => {
+        const queue = new ReindexQueue({ getEmbedder: () => null });
+        const order = [];
+        const first = queue.runExclusive(async () => {
+          order.push('first:start');
+          await wait(10);
+          order.push('first:end');
+          throw new Error('失败');
+        });
+        const second = queue.runExclusive(async () => {
+          order.push('second');
+          return 2;
+        });
+
+        await this.assertRejects(() => first, /失败/, '第一个任务');
+        this.assertEqual(await second, 2, '第二个任务的返回值');
+        this.assertEqual(order, ['first:start', 'first:end', 'second'], '执行顺序');
+      }
+    };
+  }
+
+  async runGroups() {
+    await this.runGroup('hnsw', this.hnswCases());
+    await this.runGroup('bm25', this.keywordCases());
+
+    // vectorIndexer 依赖数据库模块，在数据库可用时加载
+    await this.withDatabase(async (database) => {
+      const vectorIndexer = require('../../core/vectorIndexer');
+      const vectorSearch = require('../../core/vectorSearch');
+      await this.withWorkspace(async (dir) => {
+        try {
+          await this.runGroup('indexer', this.indexerCases(database, vectorIndexer, dir));
+        } finally {
+          // 写出延迟保存的 ANN 索引，避免关闭数据库后定时器再访问数据库
+          vectorSearch.flush();
+        }
+      });
+    });
+  }
+}
+
+module.exports = RetrievalValidator;
@@ -0,0 +1,483 @@
+/**
+ * Rule Validator - 规则模块验证器
+ * 验证条件规则的本地判定、DSL 断言的解析求值、规则试运行 / 期望用例和规则包（使用内存中的模拟记忆、模拟 LLM 和临时工作区，不依赖数据库）
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ConditionRuleEvaluator = require('../../rules/conditionEvaluator');
+const DSLRuleEngine = require('../../rules/dslRuleEngine');
+const { parseExpression, compileAssert, evaluate } = require('../../rules/dslExpression');
+const { RuleWorkbench, validateRuleSet } = require('../../rules/ruleWorkbench');
+const { RulePackManager, mergeRulePacks } = require('../../rules/rulePacks');
+const ConsistencyChecker = require('../modules/checking/consistencyChecker');
+const GroupValidator = require('./harness/groupValidator');
+
+class RuleValidator extends GroupValidator {
+  /**
+   * 模拟记忆管理器（只提供条件规则用到的接口）
+   */
+  createMemory(characters = []) {
+    return {
+      character: { getAllCharacters: () => characters },
+      world: {
+        getCultivationSystem: () => ({
+          levels: ['炼气期', '筑基期', '金丹期', '元婴期', '化神期']
+        })
+      }
+    };
+  }
+
+  createEvaluator(rules, characters) {
+    const evaluator = new ConditionRuleEvaluator(this.createMemory(characters));
+    evaluator.rules = rules;
+    return evaluator;
+  }
+
+  conditionCases() {
+    const healRule = {
+      id: 'no_instant_heal',
+      type: 'logic',
+      enabled: true,
+      severity: 'high',
+      condition: { text_contains: ['瞬间痊愈', '完好如初'] },
+      error_message: '伤势恢复不合理',
+      suggestion: '添加恢复过程描写'
+    };
+    const thunderRule = {
+      id: 'cultivation_limit',
+      type: 'power_level',
+      enabled: true,
+      severity: 'high',
+      condition: { character_level_below: '金丹', text_contains: ['雷霆', '掌控雷电'] },
+      error_message: '金丹期以下无法操控雷电'
+    };
+    const povRule = {
+      id: 'pov_consistency',
+      type: 'pov',
+      enabled: true,
+      severity: 'medium',
+      condition: { detect_pov_switch: true },
+      error_message: '段落内视角发生切换'
+    };
+    const characters = [
+      { name: '林远山', role: 'protagonist', current_state: { level: '筑基中期' } },
+      { name: '苏晴', role: 'supporting', current_state: { level: '元婴初期' } },
+      { name: '赵四', role: 'supporting', current_state: { level: 'unknown' } }
+    ];
+
+    return {
+      '关键词命中与偏移量': async () => {
+        const text = '他受了重伤。\n片刻之后，伤口瞬间痊愈，完好如初。';
+        const violations = this.createEvaluator([healRule], characters).evaluate(text);
+        this.assertEqual(violations.length, 2, '违规数');
+        for (const v of violations) {
+          this.assertEqual(text.slice(v.offset.start, v.offset.end), v.context, '偏移量对应原文');
+        }
+        this.assertEqual(violations.map(v => v.context), ['瞬间痊愈', '完好如初'], '命中的关键词');
+        this.assertEqual(violations[0].location, '第2段', '段落位置');
+        this.assertEqual(violations[0].source, 'condition_rule', '来源');
+      },
+
+      '境界比较': async () => {
+        const evaluator = this.createEvaluator([thunderRule], characters);
+        const levels = ['炼气期', '筑基期', '金丹期', '元婴期', '化神期'];
+        this.assertEqual(evaluator.resolveLevelIndex('筑基中期', levels), 1, '筑基中期');
+        this.assertEqual(evaluator.resolveLevelIndex('金丹', levels), 2, '金丹');
+        this.assertEqual(evaluator.resolveLevelIndex('unknown', levels), -1, '未知境界');
+
+        const text = '林远山引来漫天雷霆。\n苏晴掌控雷电，一击退敌。\n赵四身上雷霆缠绕。';
+        const violations = evaluator.evaluate(text);
+        // 苏晴境界高于金丹，赵四境界未知，都不算违规
+        this.assertEqual(violations.map(v => v.location), ['第1段'], '只有低境界角色所在段落违规');
+        this.assert(violations[0].message.includes('林远山：筑基中期'), '说明涉及的角色和境界');
+      },
+
+      '人称切换': async () => {
+        const evaluator = this.createEvaluator([povRule], characters);
+        const text = [
+          '我推开门，看见院子里站着一个人。林远山握紧了剑柄。',
+          '林远山看着他，说道："我不会走的。"',
+          '我低下头，没有说话。'
+        ].join('\n');
+        const violations = evaluator.evaluate(text);
+        this.assertEqual(violations.length, 1, '只有第一段切换人称（对话中的"我"不计）');
+        this.assertEqual(violations[0].context, '林远山握紧了剑柄。', '切换人称的句子');
+        this.assertEqual(violations[0].location, '第1段', '段落位置');
+
+        const noProtagonist = this.createEvaluator([povRule], []);
+        this.assertEqual(noProtagonist.evaluate(text).length, 0, '没有主角设定时不判定');
+      },
+
+      '跳过无法本地判定的规则': async () => {
+        const evaluator = this.createEvaluator([
+          { id: 'timeline', enabled: true, condition: { check_timeline_logic: true } },
+          { ...healRule, enabled: false },
+          { ...healRule, id: 'mixed', condition: { text_contains: ['瞬间痊愈'], detect_contradiction: true } }
+        ], characters);
+        this.assertEqual(evaluator.evaluate('伤口瞬间痊愈').length, 0, '不应产生违规');
+      },
+
+      '合并到校验结果': async () => {
+        const evaluator = this.createEvaluator([healRule], characters);
+        const checker = new ConsistencyChecker(null, null, evaluator);
+        let prompts = 0;
+        const llmCaller = async () => {
+          prompts++;
+          return {
+            success: true,
+            response: '<json>{"status":"pass","overall_score":90,"errors":[],"warnings":[],"analysis":"ok"}</json>'
+          };
+        };
+
+        const result = await checker.check('伤口瞬间痊愈。又一处伤口瞬间痊愈。', null, {}, llmCaller);
+        this.assertEqual(prompts, 1, 'LLM 调用次数');
+        this.assertEqual(result.errors.length, 2, '不同位置的同一规则违规都保留');
+        this.assertEqual(result.status, 'fail', '高严重性违规导致不通过');
+        this.assertEqual(result.overall_score, 80, '评分');
+      },
+
+      '评分按严重性扣分': async () => {
+        const checker = new ConsistencyChecker(null);
+        const result = checker.mergeResults([
+          { severity: 'high', message: '高' },
+          { severity: 'medium', message: '中' }
+        ], {
+          errors: [
+            { severity: 'low', message: '低' },
+            { severity: 'low', message: '又一个低' },
+            { severity: 'medium', message: '中' }
+          ]
+        });
+        this.assertEqual(result.errors.map(e => e.severity), ['high', 'medium', 'low', 'low'], '去重并按严重性排序');
+        this.assertEqual(result.overall_score, 81, '高 -10、中 -5、低各 -2');
+        this.assertEqual(result.status, 'fail', '高严重性问题导致不通过');
+
+        const lowOnly = checker.mergeResults([], { errors: [{ severity: 'low', message: '低' }] });
+        this.assertEqual(lowOnly.overall_score, 98, '低严重性问题也扣分');
+        this.assertEqual(lowOnly.status, 'pass', '只有低严重性问题时通过');
+      }
+    };
+  }
+
+  /**
+   * 把规则写入临时文件并加载
+   */
+  async loadEngine(rules, llmCaller = null) {
+    return this.withWorkspace(async (dir) => {
+      const rulesPath = path.join(dir, 'dsl-rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({ rules }), 'utf-8');
+      const engine = new DSLRuleEngine(dir, llmCaller);
+      const loadResult = await engine.loadRules(rulesPath, path.join(dir, 'missing.json'));
+      return { engine, loadResult };
+    }, { prefix: 'dsl-rules-' });
+  }
+
+  dslCases() {
+    const run = (source, scope = {}) => evaluate(parseExpression(source), scope);
+
+    return {
+      '比较与布尔运算': async () => {
+        const event = { type: 'BATTLE', power: 3, characters: ['林远山', '苏晴'] };
+        this.assertEqual(run('event.type != TIME_REVERSE', { event }), true, '不等于常量');
+        this.assertEqual(run("event.type == 'battle'", { event }), true, '字符串比较不区分大小写');
+        this.assertEqual(run('event.power >= 3 && !(event.power > 5)', { event }), true, '数值比较');
+        this.assertEqual(run("event.characters.contains('苏晴') and event.type in [BATTLE, DUEL]", { event }), true, 'contains / in');
+        this.assertEqual(run('if event.power > 5 then event.type == DUEL else event.characters.size() == 2', { event }), true, 'if/then/else');
+        this.assertEqual(run('event.missing.field == null', { event }), true, '缺失字段为 null');
+      },
+
+      '对象断言与状态迁移模式': async () => {
+        const noRevive = compileAssert({ forbid: { character: { state_transition: 'Dead -> Alive' } } });
+        const revive = { type: 'character', entity: '苏晴', from: '死亡', to: '复活' };
+        this.assertEqual(evaluate(noRevive, { transition: revive }), false, '中文状态名按别名匹配');
+        this.assertEqual(evaluate(noRevive, { transition: { ...revive, type: 'plot' } }), true, '实体类型不符时不匹配');
+        this.assertEqual(evaluate(compileAssert('Alive -> *'), {
+          transition: { from: 'alive', to: 'Injured' }
+        }), true, '通配符');
+
+        const traitLock = compileAssert({ if: "character.traits.contains('冷静')", then: "character.mood != '暴怒'" });
+        this.assertEqual(evaluate(traitLock, { character: { traits: ['冷静'], mood: '暴怒' } }), false, 'if/then 对象');
+        this.assertEqual(evaluate(traitLock, { character: { traits: ['急躁'], mood: '暴怒' } }), true, '前提不成立时通过');
+      },
+
+      '语法错误': async () => {
+        const expectError = (assert, pattern) => {
+          let message = null;
+          try {
+            compileAssert(assert);
+          } catch (error) {
+            message = error.message;
+          }
+          this.assert(message && pattern.test(message), `断言 ${JSON.stringify(assert)} 应报错 ${pattern}，实际：${message}`);
+        };
+        expectError('event.type != ', /意外的/);
+        expectError('event.must_not_contradict(history)', /未知函数/);
+        expectError('foo.bar == 1', /未知变量/);
+        expectError("event.type == 'TIME", /缺少结束引号/);
+        expectError({ 'arc.phase': 'must_change_or_intensify' }, /不支持的断言字段/);
+        expectError({ state_transition: 'event.type == 1' }, /原状态 -> 新状态/);
+      },
+
+      '一致性校验从正文中抽取事件和状态迁移': async () => {
+        const { engine } = await this.loadEngine([
+          { id: 'NO_TIME_REVERSAL', scope: 'WORLD', assert: 'event.type != TIME_REVERSE', level: 'FATAL', message: '禁止时间倒流' },
+          { id: 'NO_REVIVE', scope: 'CHARACTER', type: 'STATE_RULE', assert: { forbid: { character: { state_transition: 'Dead -> Alive' } } }, message: '死者不能复活' }
+        ]);
+        const checker = new ConsistencyChecker(engine);
+        const llmCaller = async () => ({
+          success: true,
+          response: '<json>{"status":"pass","overall_score":95,"errors":[],"warnings":[],"analysis":"ok"}</json>'
+        });
+
+        const revived = await checker.check('已经陨落的苏晴竟然死而复生，站在了众人面前。', null, {}, llmCaller);
+        this.assertEqual(revived.errors.map(e => e.rule_id), ['NO_REVIVE'], '复活违规');
+
+        const reversed = await checker.check('他催动秘法，时间倒流回三日之前。', null, {}, llmCaller);
+        this.assertEqual(reversed.errors.map(e => e.rule_id), ['NO_TIME_REVERSAL'], '时间倒流违规');
+
+        const normal = await checker.check('苏晴收剑入鞘，转身离去。', null, {}, llmCaller);
+        this.assertEqual(normal.errors.length, 0, '没有违规');
+      },
+
+      '加载时按规则报告解析错误': async () => {
+        const { engine, loadResult } = await this.loadEngine([
+          { id: 'OK', scope: 'WORLD', assert: 'event.type != TIME_REVERSE' },
+          { id: 'BROKEN', scope: 'WORLD', assert: 'event.type !=' },
+          { id: 'SEMANTIC', scope: 'ARC', assert: { 'arc.phase': 'must_change_or_intensify' }, semantic: true }
+        ]);
+        this.assertEqual(loadResult.count, 2, '有效规则数');
+        this.assertEqual(loadResult.errors.map(e => e.rule_id), ['BROKEN'], '解析失败的规则');
+        this.assertEqual(engine.getStatistics().semantic, 1, '语义规则数');
+      },
+
+      '本地求值逐个事件与状态迁移': async () => {
+        let prompts = 0;
+        const { engine } = await this.loadEngine([
+          { id: 'NO_TIME_REVERSAL', scope: 'WORLD', assert: 'event.type != TIME_REVERSE', level: 'FATAL', message: '禁止时间倒流' },
+          { id: 'NO_REVIVE', scope: 'CHARACTER', type: 'STATE_RULE', assert: { forbid: { character: { state_transition: 'Dead -> Alive' } } } }
+        ], async () => {
+          prompts++;
+          return { success: true, response: '{"violations": []}' };
+        });
+
+        const violations = await engine.checkRules({
+          text: '',
+          context: {},
+          events: [
+            { type: 'BATTLE', description: '两人交手' },
+            { type: 'time_reverse', description: '时光倒转回三日前' }
+          ],
+          state_transitions: [
+            { type: 'character', entity: '苏晴', from: 'Dead', to: 'Alive', description: '苏晴死而复生' },
+            { type: 'character', entity: '林远山', from: '筑基期', to: '金丹期' }
+          ]
+        });
+        this.assertEqual(violations.map(v => v.rule_id), ['NO_TIME_REVERSAL', 'NO_REVIVE'], '违规规则');
+        this.assertEqual(violations[0].location, '时光倒转回三日前', '违规事件');
+        this.assertEqual(violations[1].character, '苏晴', '违规角色');
+        this.assertEqual(violations[1].rule_type, 'STATE_RULE', '规则类型');
+        this.assertEqual(prompts, 0, '没有语义规则时不调用 LLM');
+
+        const none = await engine.checkRules({ text: '', context: {}, events: [], stateTransitions: [] });
+        this.assertEqual(none.length, 0, '没有事件时规则不适用');
+      },
+
+      '只有语义规则交给 LLM': async () => {
+        const prompts = [];
+        const { engine } = await this.loadEngine([
+          { id: 'LOCAL', scope: 'WORLD', assert: 'event.type != TIME_REVERSE' },
+          { id: 'ARC_MUST_PROGRESS', scope: 'ARC', assert: { 'arc.phase': 'must_change_or_intensify' }, semantic: true }
+        ], async ({ systemPrompt }) => {
+          prompts.push(systemPrompt);
+          return { success: true, response: '{"violations": [{"rule_id": "ARC_MUST_PROGRESS", "scope": "ARC", "level": "ERROR"}]}' };
+        });
+
+        const violations = await engine.checkRules({ text: '……', context: {}, events: [{ type: 'BATTLE' }] });
+        this.assertEqual(prompts.length, 1, 'LLM 调用次数');
+        this.assert(!prompts[0].includes('LOCAL'), '本地规则不应出现在提示词中');
+        this.assertEqual(violations.map(v => v.rule_id), ['ARC_MUST_PROGRESS'], '违规规则');
+      }
+    };
+  }
+
+  workbenchCases() {
+    const timeRule = { id: 'NO_TIME_REVERSAL', scope: 'WORLD', assert: 'event.type != TIME_REVERSE', level: 'FATAL' };
+    const reviveRule = { id: 'NO_REVIVE', scope: 'CHARACTER', assert: { forbid: { character: { state_transition: 'Dead -> Alive' } } } };
+
+    // 在临时工作区中运行，结束后删除
+    const withWorkspace = (fn) => this.withWorkspace(async (dir) => {
+      await fs.writeFile(path.join(dir, 'default-rules.json'), JSON.stringify({ rules: [timeRule] }), 'utf-8');
+      await fn(new RuleWorkbench({ workspaceRoot: dir, defaultRulesPath: path.join(dir, 'default-rules.json') }), dir);
+    }, { prefix: 'rule-workbench-' });
+
+    return {
+      '规则集校验': async () => {
+        const result = validateRuleSet({
+          rules: [
+            reviveRule,
+            { id: 'NO_REVIVE', scope: 'CHARACTER', assert: 'character.alive == true' },
+            { id: 'BAD_SCOPE', scope: 'PLOT', level: 'INFO', assert: 'event.type != X' },
+            { id: 'BAD_ASSERT', scope: 'WORLD', assert: 'event.type !=' },
+            { id: 'NO_TIME_REVERSAL', scope: 'WORLD', assert: 'event.type != TIME_REVERSE' }
+          ]
+        }, { reservedIds: ['NO_TIME_REVERSAL'] });
+        this.assertEqual(result.valid, false, '校验结果');
+        this.assertEqual(
+          result.errors.map(e => `${e.index}:${e.field}`),
+          ['1:id', '2:scope', '2:level', '3:assert'],
+          '错误位置'
+        );
+        this.assertEqual(result.warnings.map(w => w.rule_id), ['NO_TIME_REVERSAL'], '与默认规则重名');
+        this.assertEqual(validateRuleSet({}).errors[0].field, 'rules', '缺少 rules 数组');
+      },
+
+      '试运行单条规则': async () => {
+        await withWorkspace(async (workbench) => {
+          const text = '一夜之间时光倒流，苏晴死而复生。';
+          const all = await workbench.dryRun({ rules: [timeRule, reviveRule], text });
+          this.assertEqual(all.violations.map(v => v.rule_id).sort(), ['NO_REVIVE', 'NO_TIME_REVERSAL'], '全部规则');
+
+          const single = await workbench.dryRun({ rules: [timeRule, { ...reviveRule, enabled: false }], ruleId: 'NO_REVIVE', text });
+          this.assertEqual(single.violations.map(v => v.rule_id), ['NO_REVIVE'], '只检查指定规则（即使已禁用）');
+        });
+      },
+
+      '期望用例回归': async () => {
+        await withWorkspace(async (workbench, dir) => {
+          await fs.writeFile(path.join(dir, '第一章.txt'), '苏晴死而复生，众人哗然。', 'utf-8');
+          const saved = await workbench.saveRuleSet({ rules: [reviveRule] });
+          this.assertEqual(saved.valid, true, '保存规则');
+          await workbench.saveExpectation({ rule_id: 'NO_REVIVE', filePath: '第一章.txt', expect: 'violate' });
+          await workbench.saveExpectation({ rule_id: 'NO_TIME_REVERSAL', text: '天色渐晚。', expect: 'pass' });
+
+          const stored = await workbench.getExpectations();
+          this.assertEqual(stored.map(e => e.file_path), ['第一章.txt', null], '章节保存为相对路径');
+
+          const passing = await workbench.runGoldenTests();
+          this.assertEqual(passing.summary, { total: 2, passed: 2, failed: 0, skipped: 0, errors: 0 }, '规则未变化时全部通过');
+
+          // 改坏规则后回归测试应发现
+          const loosened = await workbench.runGoldenTests({
+            rules: [timeRule, { ...reviveRule, assert: { forbid: { character: { state_transition: 'Dead -> Ghost' } } } }]
+          });
+          this.assertEqual(loosened.results.map(r => r.status), ['failed', 'passed'], '规则修改后的结果');
+          this.assertEqual(loosened.results[0].actual, 'pass', '实际结果');
+
+          await fs.writeFile(path.join(dir, '第一章.txt'), '苏晴伤重昏迷。', 'utf-8');
+          const edited = await workbench.runGoldenTests();
+          this.assertEqual(edited.results[0].changed, true, '章节变化');
+          this.assertEqual(edited.results[0].status, 'failed', '章节变化后重新抽取');
+
+          await workbench.deleteExpectation(stored[0].id);
+          await fs.rm(path.join(dir, '第一章.txt'));
+          await workbench.saveExpectation({ rule_id: 'MISSING_RULE', text: '天色渐晚。', expect: 'pass' });
+          const broken = await workbench.runGoldenTests();
+          this.assertEqual(broken.results.map(r => r.status), ['passed', 'error'], '规则不存在时报错');
+        });
+      }
+    };
+  }
+
+  packCases() {
+    const pack = (id, rules, extra = {}) => ({ id, name: id, version: '1.0.0', rules, ...extra });
+    const revive = { id: 'NO_REVIVE', scope: 'CHARACTER', assert: { forbid: { character: { state_transition: 'Dead -> Alive' } } }, level: 'FATAL' };
+    const xianxiaRevive = { id: 'NO_REVIVE', scope: 'CHARACTER', assert: '只能通过转世、夺舍回归', semantic: true };
+    const noMagic = { id: 'NO_MAGIC', scope: 'WORLD', assert: 'event.type != MAGIC', level: 'FATAL' };
+
+    return {
+      '按顺序合并与级别覆盖': async () => {
+        const { rules, conflicts } = mergeRulePacks([
+          pack('default', [revive]),
+          pack('xianxia', [xianxiaRevive]),
+          pack('scifi', [noMagic, { ...noMagic, id: 'NO_FTL' }], { severity: { NO_MAGIC: 'WARN', NO_FTL: 'OFF' } })
+        ]);
+        this.assertEqual(rules.map(r => `${r.id}@${r.pack}`), ['NO_REVIVE@xianxia', 'NO_MAGIC@scifi', 'NO_FTL@scifi'], '合并结果');
+        this.assertEqual(conflicts, [{ rule_id: 'NO_REVIVE', winner: 'xianxia', overridden: 'default' }], '冲突');
+        this.assertEqual(rules[1].level, 'WARN', '级别覆盖');
+        this.assertEqual(rules[2].enabled, false, 'OFF 禁用规则');
+      },
+
+      '违规记录来源规则包': async () => {
+        await this.withWorkspace(async (dir) => {
+          await fs.writeFile(path.join(dir, 'default.json'), JSON.stringify({ rules: [revive, noMagic] }), 'utf-8');
+          await fs.writeFile(path.join(dir, 'custom.json'), JSON.stringify({ rules: [{ ...noMagic, level: 'ERROR' }] }), 'utf-8');
+          const engine = new DSLRuleEngine(dir);
+          const loadResult = await engine.loadRules(path.join(dir, 'default.json'), path.join(dir, 'custom.json'), [
+            pack('urban', [{ ...revive, message: '现实题材不允许复活' }], { severity: { NO_REVIVE: 'ERROR' } })
+          ]);
+          this.assertEqual(loadResult.conflicts.map(c => `${c.rule_id}:${c.winner}>${c.overridden}`), ['NO_REVIVE:urban>default', 'NO_MAGIC:custom>default'], '冲突');
+
+          const violations = await engine.checkRules({
+            text: '',
+            context: {},
+            events: [{ type: 'MAGIC', description: '施法' }],
+            stateTransitions: [{ type: 'character', entity: '苏晴', from: 'Dead', to: 'Alive' }]
+          });
+          this.assertEqual(violations.map(v => `${v.rule_id}@${v.pack}:${v.level}`), ['NO_MAGIC@custom:ERROR', 'NO_REVIVE@urban:ERROR'], '违规来源与级别');
+          this.assertEqual(engine.getStatistics().by_pack, { custom: 1, urban: 1 }, '按规则包统计');
+        }, { prefix: 'rule-packs-' });
+      },
+
+      '启用、导入与导出': async () => {
+        await this.withWorkspace(async (dir) => {
+          const builtinDir = path.join(dir, 'app/packs');
+          const workspaceRoot = path.join(dir, 'workspace');
+          await fs.mkdir(builtinDir, { recursive: true });
+          await fs.writeFile(path.join(dir, 'app/default.json'), JSON.stringify({ rules: [revive] }), 'utf-8');
+          await fs.writeFile(path.join(builtinDir, 'xianxia.json'), JSON.stringify(pack('xianxia', [xianxiaRevive])), 'utf-8');
+          await fs.writeFile(path.join(builtinDir, 'scifi.json'), JSON.stringify(pack('scifi', [noMagic])), 'utf-8');
+
+          const workbench = new RuleWorkbench({ workspaceRoot, defaultRulesPath: path.join(dir, 'app/default.json') });
+          const manager = workbench.packs;
+          this.assert(manager instanceof RulePackManager, '规则包管理器');
+          this.assertEqual((await manager.listPacks()).map(p => `${p.id}:${p.enabled}`), ['scifi:false', 'xianxia:false'], '默认不启用');
+
+          await manager.setEnabled('xianxia', true);
+          await manager.setEnabled('scifi', true);
+          await manager.setSeverity('scifi', 'NO_MAGIC', 'WARN');
+          this.assertEqual((await workbench.getAllRules()).map(r => `${r.id}@${r.pack}`), ['NO_REVIVE@xianxia', 'NO_MAGIC@scifi'], '启用后的规则');
+
+          await manager.reorder(['scifi', 'xianxia']);
+          this.assertEqual((await manager.getEnabledPacks()).map(p => p.id), ['scifi', 'xianxia'], '调整顺序');
+
+          const exportPath = path.join(dir, 'export/scifi.json');
+          await workbench.exportPack('scifi', exportPath);
+          const exported = JSON.parse(await fs.readFile(exportPath, 'utf-8'));
+          this.assertEqual(exported.severity, { NO_MAGIC: 'WARN' }, '导出附带级别覆盖');
+
+          // 导入到另一个工作区
+          const other = new RuleWorkbench({ workspaceRoot: path.join(dir, 'other'), defaultRulesPath: path.join(dir, 'app/default.json'), packsDir: path.join(dir, 'none') });
+          const imported = await other.importPack(exportPath);
+          this.assertEqual(imported.valid, true, '导入有效规则包');
+          await other.packs.setEnabled('scifi', true);
+          const [scifi] = await other.packs.getEnabledPacks();
+          this.assertEqual(scifi.severity, { NO_MAGIC: 'WARN' }, '导入级别覆盖');
+
+          await fs.writeFile(exportPath, JSON.stringify(pack('default', [{ id: 'X', scope: 'PLOT', assert: 'event.type !=' }])), 'utf-8');
+          const invalid = await other.importPack(exportPath);
+          this.assertEqual(invalid.errors.map(e => e.field), ['id', 'scope', 'assert'], '无效规则包的错误');
+
+          // 删除时校验 id，不能删除规则包目录以外的文件
+          await fs.writeFile(path.join(dir, 'other/rules/outside.json'), '{}', 'utf-8');
+          await this.assertRejects(() => other.packs.remove('../outside'), /无效的规则包 id/, '路径形式的 id');
+          this.assert(await fs.access(path.join(dir, 'other/rules/outside.json')).then(() => true, () => false), '目录以外的文件应保留');
+          await other.packs.remove('scifi');
+          this.assertEqual((await other.packs.listPacks()).map(p => p.id), [], '删除导入的规则包');
+        }, { prefix: 'rule-packs-' });
+      }
+    };
+  }
+
+  /**
+   * 验证所有规则模块
+   */
+  async runGroups() {
+    await this.runGroup('condition', this.conditionCases());
+    await this.runGroup('dsl', this.dslCases());
+    await this.runGroup('workbench', this.workbenchCases());
+    await this.runGroup('packs', this.packCases());
+  }
+}
+
+module.exports = RuleValidator;
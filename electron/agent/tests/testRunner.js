@@ -5,10 +5,31 @@
 
 const SkillValidator = require('./skillValidator');
 const PlannerValidator = require('./plannerValidator');
+const ProviderValidator = require('./providerValidator');
+const RetrievalValidator = require('./retrievalValidator');
+const RuleValidator = require('./ruleValidator');
+const ConsistencyValidator = require('./consistencyValidator');
+const MemoryValidator = require('./memoryValidator');
+const OrchestratorValidator = require('./orchestratorValidator');
+const DatabaseValidator = require('./databaseValidator');
 const logger = require('../../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * 按分组运行用例的验证器（GroupValidator 子类），按顺序执行
+ * key：结果字段名；title：控制台输出和报告中的名称
+ */
+const GROUP_VALIDATORS = [
+  { key: 'providerValidation', Validator: ProviderValidator, icon: '🔌', description: '验证模型提供方适配器', title: 'Provider 适配器验证' },
+  { key: 'retrievalValidation', Validator: RetrievalValidator, icon: '🔍', description: '验证检索模块', title: '检索模块验证' },
+  { key: 'ruleValidation', Validator: RuleValidator, icon: '📏', description: '验证规则模块', title: '规则模块验证' },
+  { key: 'consistencyValidation', Validator: ConsistencyValidator, icon: '🧪', description: '验证一致性校验模块', title: '一致性校验模块验证' },
+  { key: 'memoryValidation', Validator: MemoryValidator, icon: '🧩', description: '验证记忆模块', title: '记忆模块验证' },
+  { key: 'databaseValidation', Validator: DatabaseValidator, icon: '🗄️', description: '验证数据库模块', title: '数据库模块验证' },
+  { key: 'orchestratorValidation', Validator: OrchestratorValidator, icon: '🎬', description: '验证 Orchestrator 端到端流程', title: 'Orchestrator 端到端验证' }
+];
+
 class TestRunner {
   constructor(options = {}) {
     this.options = {
@@ -19,6 +40,7 @@ class TestRunner {
     this.results = {
       skillValidation: null,
       plannerValidation: null,
+      ...Object.fromEntries(GROUP_VALIDATORS.map(({ key }) => [key, null])),
       timestamp: new Date().toISOString()
     };
   }
@@ -43,10 +65,17 @@ class TestRunner {
       this.results.plannerValidation = await plannerValidator.validateAllIntents(mockLLMCaller);
       this.logResult('Planner 验证', this.results.plannerValidation);
 
-      // 3. 生成报告
+      // 3. 其他模块验证（模拟 HTTP 服务、临时工作区、录制的 LLM 响应）
+      for (const { key, Validator, icon, description, title } of GROUP_VALIDATORS) {
+        console.log(`\n${icon} ${description}...`);
+        this.results[key] = await new Validator().validateAll();
+        this.logResult(title, this.results[key]);
+      }
+
+      // 4. 生成报告
       await this.generateReport();
 
-      // 4. 返回总结
+      // 5. 返回总结
       const summary = this.getSummary();
       console.log('\n' + '='.repeat(60));
       console.log('📊 测试总结');
@@ -193,6 +222,19 @@ class TestRunner {
       }
     }
 
+    // 其他模块验证结果
+    for (const { key, title } of GROUP_VALIDATORS) {
+      if (!results[key]) continue;
+      md += `## ${title}\n\n`;
+      for (const [group, result] of Object.entries(results[key].results || {})) {
+        md += `- **${group}**: ${result.valid ? '✅ 通过' : '❌ 失败'}（${result.cases} 个用例）\n`;
+        if (result.error) {
+          md += `  - 错误: ${result.error}\n`;
+        }
+      }
+      md += `\n`;
+    }
+
     return md;
   }
 
@@ -225,6 +267,16 @@ class TestRunner {
       passed += validIntents;
     }
 
+    // 其他模块验证：每个分组计一项
+    for (const { key } of GROUP_VALIDATORS) {
+      const result = this.results[key];
+      if (!result) continue;
+      const groupResults = Object.values(result.results || {});
+      total += groupResults.length;
+      failed += result.errors?.length || 0;
+      passed += groupResults.filter(r => r.valid).length;
+    }
+
     return { total, passed, failed, warnings };
   }
 
@@ -0,0 +1,127 @@
+/**
+ * Headless Runtime - 在 Electron 之外运行 Agent 时代替主进程提供的依赖
+ * - 应用目录：内置规则（rules/）所在位置，即仓库根目录
+ * - 模型调用链和 LLM 调用函数（与主进程共用 core/llmCaller）
+ * - 设置项（autoFinalizeChapter、llmRetry 等）
+ * - token 用量记录（与主进程共用 core/llmCaller，只在打开桌面端数据库时记录）
+ *
+ * 模型配置来源（优先级从高到低）：
+ * 1. --llm-config 指定的 JSON 文件：单个模型或模型数组（数组按顺序作为备用链）
+ * 2. 环境变量 NOVEL_AGENT_LLM_BASE_URL / NOVEL_AGENT_LLM_API_KEY / NOVEL_AGENT_LLM_MODEL / NOVEL_AGENT_LLM_PROVIDER
+ * 3. --user-data 指定的桌面端数据目录：读取数据库中的模型配置和设置（better-sqlite3 需为当前 Node 编译）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setUsageRecorder } = require('../core/llm');
+const { createLLMCaller, createUsageRecorder } = require('../core/llmCaller');
+
+const APP_PATH = path.resolve(__dirname, '../..');
+
+/**
+ * 统一模型配置格式（兼容数据库中的 base_url / api_key 字段）
+ */
+function normalizeModelConfig(raw = {}) {
+  return {
+    id: raw.id,
+    name: raw.name || raw.model,
+    provider: raw.provider || 'openai',
+    baseUrl: raw.baseUrl || raw.base_url,
+    apiKey: raw.apiKey || raw.api_key || '',
+    model: raw.model
+  };
+}
+
+// 模型配置是否完整（Ollama 本地服务不需要 API Key）
+function isModelConfigured(config) {
+  if (!config || !config.baseUrl || !config.model) {
+    return false;
+  }
+  return config.provider === 'ollama' || !!config.apiKey;
+}
+
+/**
+ * 打开桌面端的数据库（只在指定 --user-data 时加载）
+ */
+function openDatabase(userDataPath) {
+  const database = require('../core/database');
+  database.setUserDataPath(path.resolve(userDataPath));
+  database.initDatabase();
+  return database;
+}
+
+/**
+ * 读取模型调用链
+ * @param {Object} options - { llmConfig: JSON 文件路径, database, env }
+ * @returns {Array} 配置完整的模型（首选模型在前）
+ */
+function loadLLMChain({ llmConfig = null, database = null, env = process.env } = {}) {
+  let models = [];
+
+  if (llmConfig) {
+    const raw = JSON.parse(fs.readFileSync(path.resolve(llmConfig), 'utf-8'));
+    models = (Array.isArray(raw) ? raw : [raw]).map(normalizeModelConfig);
+  } else if (env.NOVEL_AGENT_LLM_BASE_URL || env.NOVEL_AGENT_LLM_MODEL) {
+    models = [normalizeModelConfig({
+      provider: env.NOVEL_AGENT_LLM_PROVIDER,
+      baseUrl: env.NOVEL_AGENT_LLM_BASE_URL,
+      apiKey: env.NOVEL_AGENT_LLM_API_KEY,
+      model: env.NOVEL_AGENT_LLM_MODEL
+    })];
+  } else if (database) {
+    models = database.llmModels.getFallbackChain().map(normalizeModelConfig);
+  }
+
+  return models.filter(isModelConfigured);
+}
+
+/**
+ * 设置项：命令行覆盖的值优先，其次是数据库中的设置
+ */
+function createSettings(overrides = {}, database = null) {
+  return {
+    get(key) {
+      if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+        return overrides[key];
+      }
+      return database ? database.settings.get(key) : null;
+    }
+  };
+}
+
+/**
+ * 创建运行环境
+ * @param {Object} options
+ * @param {string} options.llmConfig - 模型配置 JSON 文件
+ * @param {string} options.userData - 桌面端数据目录
+ * @param {Object} options.settings - 覆盖的设置项
+ * @param {string} options.workspaceRoot - 工作区根目录（用量记录的默认工作区）
+ * @returns {{appPath, settings, chain, llmConfig, llmCaller}}
+ */
+function createRuntime(options = {}) {
+  const database = options.userData ? openDatabase(options.userData) : null;
+  if (database) {
+    // 用量写入桌面端数据库的 llm_usage，未显式标注工作区时归到命令行指定的工作区
+    setUsageRecorder(createUsageRecorder(database, () => options.workspaceRoot || null));
+  }
+  const settings = createSettings(options.settings, database);
+  const chain = loadLLMChain({ llmConfig: options.llmConfig, database, env: options.env || process.env });
+
+  return {
+    appPath: APP_PATH,
+    settings,
+    chain,
+    llmConfig: chain[0] || null,
+    // 命令行不推送流式输出，不传 onChunk
+    llmCaller: createLLMCaller({ getChain: () => chain, settings })
+  };
+}
+
+module.exports = {
+  APP_PATH,
+  normalizeModelConfig,
+  isModelConfigured,
+  loadLLMChain,
+  createSettings,
+  createRuntime
+};
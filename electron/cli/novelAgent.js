@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+/**
+ * Novel Agent 命令行 - 在 Electron 之外运行 Agent（批处理、CI、服务器）
+ * 复用 AgentOrchestrator、MemoryManager 和 ChapterFinalizer，Electron 的依赖由 headlessRuntime 注入
+ *
+ * 用法：novel-agent <命令> [--workspace <目录>] [选项]
+ * 进度日志输出到 stderr，结果输出到 stdout（--json 时为 JSON）
+ */
+
+const path = require('path');
+const AgentOrchestrator = require('../agent/orchestrator');
+const MemoryManager = require('../memory');
+const logger = require('../utils/logger');
+const { createRuntime } = require('./headlessRuntime');
+const { TRUST_SETTING_KEY } = require('../agent/skills/core/skillPluginLoader');
+
+const USAGE = `用法：novel-agent <命令> [--workspace <目录>] [选项]
+
+命令：
+  write      写第 N 章（Router → Planner → Skill 完整流程），正文保存到章节文件
+  check      校验第 N 章
+  finalize   结算第 N 章（ChapterExtract 合并到知识核心）
+  extract    提取第 N 章的 ChapterExtract；不指定章节时增量提取全部章节
+  audit      逐章校验全书，汇总问题和结算后被修改的章节
+
+选项：
+  -w, --workspace <目录>   工作区（默认当前目录）
+  -c, --chapter <N>        章节号
+  -r, --request <文本>     write 的写作要求（默认“写第 N 章”）
+  --intent <意图>          write 指定意图，跳过意图识别（CREATE / CONTINUE / REWRITE / SUMMARIZE 等）
+  --from <N> / --to <N>    audit 的章节范围
+  --dry-run                write 只输出正文，不保存到文件
+  --replace                finalize 时先回滚该章已有的结算
+  --force                  extract 全部章节时重新扫描已提取的章节
+  --auto-finalize          write 完成后自动结算（覆盖设置 autoFinalizeChapter）
+  --trust-plugins          信任工作区的 Skill 插件（.novel-agent/skills/*.js），本次运行加载它们
+  --plugin-goals <名称>    write 时把这些插件（逗号分隔）产生的状态加入目标，未指定时插件只在规划需要时运行
+  --llm-config <文件>      模型配置 JSON（单个模型或按备用顺序排列的数组）
+  --user-data <目录>       桌面端的数据目录，读取其中的模型配置和设置
+  --json                   以 JSON 输出结果
+  -h, --help               显示帮助
+
+模型也可以通过环境变量配置：NOVEL_AGENT_LLM_BASE_URL、NOVEL_AGENT_LLM_API_KEY、
+NOVEL_AGENT_LLM_MODEL、NOVEL_AGENT_LLM_PROVIDER。
+check 和 audit 发现问题时退出码为 1。`;
+
+const COMMANDS = ['write', 'check', 'finalize', 'extract', 'audit'];
+
+const ALIASES = { w: 'workspace', c: 'chapter', r: 'request', h: 'help' };
+const VALUE_OPTIONS = ['workspace', 'chapter', 'request', 'intent', 'plugin-goals', 'from', 'to', 'llm-config', 'user-data'];
+const FLAG_OPTIONS = ['dry-run', 'replace', 'force', 'auto-finalize', 'trust-plugins', 'json', 'help'];
+const NUMBER_OPTIONS = ['chapter', 'from', 'to'];
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{command: string|null, options: Object}}
+ * @throws {Error} 未知选项、缺少值或章节号不是正整数时
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      if (command) {
+        throw new Error(`多余的参数: ${arg}`);
+      }
+      command = arg;
+      continue;
+    }
+
+    let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    name = ALIASES[name] || name;
+
+    if (FLAG_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (value === undefined || value === '') {
+        throw new Error(`选项 --${name} 缺少值`);
+      }
+      if (NUMBER_OPTIONS.includes(name)) {
+        if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+          throw new Error(`选项 --${name} 需要正整数: ${value}`);
+        }
+        value = parseInt(value, 10);
+      }
+      options[name] = value;
+    } else {
+      throw new Error(`未知选项: ${arg}`);
+    }
+  }
+
+  if (command && !COMMANDS.includes(command)) {
+    throw new Error(`未知命令: ${command}`);
+  }
+  return { command, options };
+}
+
+function requireChapter(options, command) {
+  if (!options.chapter) {
+    throw new Error(`${command} 需要 --chapter <N>`);
+  }
+  return options.chapter;
+}
+
+function requireLLM(runtime) {
+  if (!runtime.llmConfig) {
+    throw new Error('未配置 LLM 模型，请使用 --llm-config、NOVEL_AGENT_LLM_* 环境变量或 --user-data');
+  }
+}
+
+async function createOrchestrator(workspaceRoot, runtime) {
+  const orchestrator = new AgentOrchestrator(workspaceRoot, {
+    appPath: runtime.appPath,
+    settings: runtime.settings
+  });
+  const result = await orchestrator.initialize();
+  if (result && result.success === false) {
+    throw new Error(`Agent 初始化失败: ${result.error}`);
+  }
+  if (result?.blockedSkillPlugins?.length > 0) {
+    console.error(`⚠️ 工作区未信任，跳过 Skill 插件: ${result.blockedSkillPlugins.join(', ')}（使用 --trust-plugins 加载）`);
+  }
+  return orchestrator;
+}
+
+async function createMemory(workspaceRoot) {
+  const memory = new MemoryManager(workspaceRoot);
+  const result = await memory.initialize();
+  if (!result.success) {
+    throw new Error(`记忆系统初始化失败: ${result.error}`);
+  }
+  return memory;
+}
+
+/**
+ * 校验单章正文（不经过 Planner，直接执行 check_chapter）
+ */
+async function checkChapterText(orchestrator, chapterNumber, llmCaller) {
+  const content = await orchestrator.fileScanner.readChapterContent(chapterNumber);
+  if (!content) {
+    throw new Error(`找不到第 ${chapterNumber} 章的正文`);
+  }
+  if (orchestrator.dslRuleEngine && !orchestrator.dslRuleEngine.llmCaller) {
+    orchestrator.dslRuleEngine.setLLMCaller(llmCaller);
+  }
+
+  const result = await orchestrator.withUsageTag('check_chapter', chapterNumber, () =>
+    orchestrator.skillExecutor.execute('check_chapter', { content, chapterNumber }, { llmCaller })
+  );
+  if (!result.success) {
+    throw new Error(`第 ${chapterNumber} 章校验失败: ${result.error}`);
+  }
+
+  const check = result.result;
+  return {
+    chapter: chapterNumber,
+    status: check.overallStatus,
+    coherence_score: check.coherenceScore,
+    issues: [
+      ...check.characterIssues.map(issue => ({ type: 'character', ...issue })),
+      ...check.worldRuleIssues.map(issue => ({ type: 'world_rule', ...issue })),
+      ...check.coherenceIssues.map(issue => ({ type: 'coherence', ...issue }))
+    ],
+    summary: check.summary
+  };
+}
+
+// ==================== 命令 ====================
+
+async function runWrite(workspaceRoot, options, runtime) {
+  requireLLM(runtime);
+  const chapter = options.chapter || null;
+  if (!chapter && !options.request) {
+    throw new Error('write 需要 --chapter <N> 或 --request <文本>');
+  }
+
+  const orchestrator = await createOrchestrator(workspaceRoot, runtime);
+  const request = {
+    userRequest: options.request || `写第${chapter}章`,
+    targetChapter: chapter,
+    ...(options.intent ? { intent: options.intent.toUpperCase() } : {}),
+    ...(options['plugin-goals'] ? { pluginGoals: options['plugin-goals'].split(',').map(name => name.trim()).filter(Boolean) } : {})
+  };
+
+  let result = await orchestrator.execute(request, runtime.llmCaller);
+  // 意图不明确时命令行无法交互，提示用 --intent 指定
+  if (result.confirmationType === 'clarification') {
+    const choices = result.clarification.options.map(option => `${option.intent}（${option.label}）`).join('、');
+    throw new Error(`${result.clarification.question} 请使用 --intent 指定：${choices}`);
+  }
+  // 命令行没有确认界面，大纲按生成的内容确认
+  while (result.requiresUserConfirmation) {
+    console.log('📝 大纲已生成，自动确认后继续');
+    result = await orchestrator.continueExecution({}, runtime.llmCaller);
+  }
+
+  // 未指定章节时 Agent 会从写作要求中提取章节号并写回 request
+  const targetChapter = chapter || request.targetChapter;
+  const output = {
+    command: 'write',
+    chapter: targetChapter || null,
+    task_id: orchestrator.currentTask?.id || null,
+    check_status: result.checkResult?.overallStatus || null,
+    saved_to: null,
+    text: result.text || ''
+  };
+
+  // 工作区插件产生的状态（如 chapterTitle）
+  if (result.pluginStates && Object.keys(result.pluginStates).length > 0) {
+    output.plugin_states = result.pluginStates;
+  }
+
+  // 总结、头脑风暴、人物小传只输出资料，不保存为章节
+  if (result.note) {
+    return { ...output, note_type: result.note.type, text: result.note.content };
+  }
+
+  if (!output.text) {
+    throw new Error('Agent 没有生成正文');
+  }
+
+  if (!options['dry-run']) {
+    if (!targetChapter) {
+      throw new Error('无法确定章节号，请指定 --chapter');
+    }
+    // save_chapter 不在 Planner 的 Skill 中，直接调用实现（已有章节文件时覆盖，否则新建 第N章.md）
+    const saved = await orchestrator.skillExecutor.actionSkills.saveChapter({
+      chapterId: targetChapter,
+      content: output.text
+    });
+    output.saved_to = saved.filePath;
+  }
+
+  return output;
+}
+
+async function runCheck(workspaceRoot, options, runtime) {
+  requireLLM(runtime);
+  const chapter = requireChapter(options, 'check');
+  const orchestrator = await createOrchestrator(workspaceRoot, runtime);
+  await orchestrator.fileScanner.scanChapterFiles();
+  const report = await checkChapterText(orchestrator, chapter, runtime.llmCaller);
+  return { command: 'check', ...report };
+}
+
+async function runFinalize(workspaceRoot, options) {
+  const chapter = requireChapter(options, 'finalize');
+  const memory = await createMemory(workspaceRoot);
+  if (!memory.readExtract(chapter)) {
+    throw new Error(`第 ${chapter} 章没有 ChapterExtract，请先运行 extract`);
+  }
+  const result = await memory.finalizeChapter(chapter, !!options.replace);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return {
+    command: 'finalize',
+    chapter,
+    effects: memory.chapterFinalizer.effectManager.loadEffect(chapter)?.effects?.length || 0
+  };
+}
+
+async function runExtract(workspaceRoot, options, runtime) {
+  requireLLM(runtime);
+  const memory = await createMemory(workspaceRoot);
+  memory.setLLMConfig(runtime.llmConfig);
+
+  if (options.chapter) {
+    const result = await memory.extractChapter(options.chapter);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    const extract = result.extract || {};
+    return {
+      command: 'extract',
+      chapter: options.chapter,
+      facts: (extract.fact_candidates || []).length,
+      relationships: (extract.relationship_changes || []).length
+    };
+  }
+
+  const result = await memory.intelligentExtract({ forceRescan: !!options.force });
+  if (result && result.success === false) {
+    throw new Error(result.error);
+  }
+  return { command: 'extract', chapter: null, result };
+}
+
+async function runAudit(workspaceRoot, options, runtime) {
+  requireLLM(runtime);
+  const orchestrator = await createOrchestrator(workspaceRoot, runtime);
+  await orchestrator.fileScanner.scanChapterFiles();
+
+  const chapters = orchestrator.fileScanner.getAllChapterNumbers()
+    .filter(n => (!options.from || n >= options.from) && (!options.to || n <= options.to));
+
+  const reports = [];
+  for (const chapter of chapters) {
+    console.log(`🔍 校验第 ${chapter} 章（${reports.length + 1}/${chapters.length}）`);
+    try {
+      reports.push(await checkChapterText(orchestrator, chapter, runtime.llmCaller));
+    } catch (error) {
+      reports.push({ chapter, status: 'error', error: error.message, issues: [] });
+    }
+  }
+
+  const editedChapters = await orchestrator.memory.detectEditedChapters();
+  return {
+    command: 'audit',
+    chapters: reports,
+    edited_chapters: editedChapters.map(e => e.chapter),
+    summary: {
+      total: reports.length,
+      pass: reports.filter(r => r.status === 'pass').length,
+      warning: reports.filter(r => r.status === 'warning').length,
+      fail: reports.filter(r => r.status === 'fail').length,
+      error: reports.filter(r => r.status === 'error').length,
+      issues: reports.reduce((sum, r) => sum + r.issues.length, 0)
+    }
+  };
+}
+
+const HANDLERS = {
+  write: runWrite,
+  check: runCheck,
+  finalize: runFinalize,
+  extract: runExtract,
+  audit: runAudit
+};
+
+// ==================== 输出 ====================
+
+function formatIssue(issue) {
+  const detail = issue.issue || issue.message || issue.description || JSON.stringify(issue);
+  return `  - [${issue.type}] ${detail}`;
+}
+
+function formatResult(output) {
+  switch (output.command) {
+    case 'write':
+      return output.saved_to
+        ? `✅ 第 ${output.chapter} 章已保存: ${output.saved_to}（校验: ${output.check_status || '未校验'}，任务: ${output.task_id}）`
+        : output.text;
+    case 'check':
+      return [output.summary, ...output.issues.map(formatIssue)].join('\n');
+    case 'finalize':
+      return `✅ 第 ${output.chapter} 章已结算，生成 ${output.effects} 个 Effect`;
+    case 'extract':
+      return output.chapter
+        ? `✅ 第 ${output.chapter} 章已提取：${output.facts} 条事实，${output.relationships} 条关系变化`
+        : '✅ 提取完成';
+    case 'audit': {
+      const { summary } = output;
+      const lines = [`全书校验：${summary.total} 章，通过 ${summary.pass}，警告 ${summary.warning}，未通过 ${summary.fail}，出错 ${summary.error}，共 ${summary.issues} 个问题`];
+      for (const report of output.chapters.filter(r => r.status !== 'pass')) {
+        lines.push(`第 ${report.chapter} 章：${report.status}${report.error ? `（${report.error}）` : ''}`);
+        lines.push(...report.issues.map(formatIssue));
+      }
+      if (output.edited_chapters.length > 0) {
+        lines.push(`结算后被修改的章节：${output.edited_chapters.join('、')}（需要级联重新结算）`);
+      }
+      return lines.join('\n');
+    }
+    default:
+      return JSON.stringify(output, null, 2);
+  }
+}
+
+function hasFailures(output) {
+  if (output.command === 'check') {
+    return output.status === 'fail';
+  }
+  if (output.command === 'audit') {
+    return output.summary.fail > 0 || output.summary.error > 0;
+  }
+  return false;
+}
+
+/**
+ * 执行命令
+ * @param {string[]} argv - 命令行参数
+ * @returns {Promise<number>} 退出码
+ */
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, options } = parsed;
+  if (options.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+
+  // 各模块的进度日志写到 stderr，stdout 只输出结果
+  console.log = console.error;
+  console.info = console.error;
+
+  try {
+    const workspaceRoot = path.resolve(options.workspace || process.cwd());
+    logger.initialize(workspaceRoot);
+
+    const runtime = createRuntime({
+      llmConfig: options['llm-config'],
+      userData: options['user-data'],
+      workspaceRoot,
+      settings: {
+        ...(options['auto-finalize'] ? { autoFinalizeChapter: 'true' } : {}),
+        ...(options['trust-plugins'] ? { [TRUST_SETTING_KEY]: JSON.stringify([workspaceRoot]) } : {})
+      }
+    });
+
+    const output = await HANDLERS[command](workspaceRoot, options, runtime);
+    process.stdout.write(`${options.json ? JSON.stringify(output, null, 2) : formatResult(output)}\n`);
+    return hasFailures(output) ? 1 : 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseArgs, run };
@@ -0,0 +1,318 @@
+/**
+ * Audit Runner - 全书一致性校验任务（在主进程中执行）
+ *
+ * - 任务和每个章节的状态都记录在数据库中（audit_jobs / audit_job_items），
+ *   关闭对话框不影响执行；应用退出或崩溃后，任务被标记为暂停，可以从未完成的章节继续
+ * - 按并发数同时校验多个章节；暂停时不再领取新章节，正在校验的章节完成后停止
+ * - 全部完成后汇总各章节的问题，把不同章节中的同一个问题归为一组
+ */
+
+const path = require('path');
+const { auditJobs } = require('./database');
+const { tokenize, findTerms } = require('./keywordIndex');
+const FileScanner = require('../agent/modules/context/fileScanner');
+
+const MAX_CONCURRENCY = 4;
+// 同类问题的描述二元组重合度（交集 / 较小集合）达到该值视为同一问题
+const SIMILARITY_THRESHOLD = 0.5;
+const SEVERITY_RANK = { error: 3, warning: 2, info: 1 };
+
+const chapterMatcher = new FileScanner(null);
+
+/**
+ * 章节显示名：能识别章节号时为"第 N 章"，否则为文件名
+ */
+function getChapterLabel(filePath) {
+  const filename = path.basename(filePath);
+  const chapter = chapterMatcher.extractChapterNumber(filename);
+  return chapter ? `第${chapter.number}章` : filename.replace(/\.[^.]+$/, '');
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return shared / Math.min(a.size, b.size);
+}
+
+function sameTerms(a, b) {
+  return a.length > 0 && a.length === b.length && a.every(term => b.includes(term));
+}
+
+/**
+ * 合并重复问题：同一类型，且涉及的人名、地名等专有名词完全相同，或描述相近
+ * （LLM 对同一矛盾在不同章节的措辞差别很大，只比较描述文本容易漏掉）
+ * @param {Array} issues - 问题行，需带 file_path
+ * @param {string[]} terms - 专有名词
+ * @returns {Array<{type, severity, description, terms, chapters, occurrences}>} 按涉及章节数降序
+ */
+function groupIssues(issues, terms = []) {
+  const sortedTerms = [...new Set(terms)].filter(Boolean).sort((a, b) => b.length - a.length);
+  const groups = [];
+
+  for (const issue of issues) {
+    const mentioned = [...new Set(findTerms(`${issue.quote} ${issue.description}`, sortedTerms))].sort();
+    const tokens = new Set(tokenize(issue.description));
+
+    const group = groups.find(candidate =>
+      candidate.type === issue.type && (
+        sameTerms(candidate.terms, mentioned) ||
+        candidate.tokens.some(other => overlap(other, tokens) >= SIMILARITY_THRESHOLD)
+      )
+    );
+
+    const occurrence = {
+      issueId: issue.id,
+      filePath: issue.file_path,
+      chapter: getChapterLabel(issue.file_path),
+      severity: issue.severity,
+      quote: issue.quote,
+      description: issue.description
+    };
+
+    if (group) {
+      group.occurrences.push(occurrence);
+      group.tokens.push(tokens);
+      if (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[group.severity]) {
+        group.severity = issue.severity;
+      }
+    } else {
+      groups.push({
+        type: issue.type,
+        severity: issue.severity,
+        description: issue.description,
+        terms: mentioned,
+        tokens: [tokens],
+        occurrences: [occurrence]
+      });
+    }
+  }
+
+  return groups
+    .map(({ tokens, ...group }) => ({
+      ...group,
+      chapters: [...new Set(group.occurrences.map(occurrence => occurrence.chapter))]
+    }))
+    .sort((a, b) =>
+      b.chapters.length - a.chapters.length ||
+      SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+      b.occurrences.length - a.occurrences.length
+    );
+}
+
+/**
+ * 汇总任务报告
+ */
+function buildAuditReport(jobId, terms = []) {
+  const items = auditJobs.getItems(jobId);
+  const issues = auditJobs.getIssues(jobId);
+  return {
+    chapters: items.length,
+    checked: items.filter(item => item.status === 'done').length,
+    failed: items
+      .filter(item => item.status === 'failed')
+      .map(item => ({ filePath: item.file_path, chapter: getChapterLabel(item.file_path), error: item.error })),
+    issueCount: issues.length,
+    groups: groupIssues(issues, terms)
+  };
+}
+
+class AuditJobRunner {
+  /**
+   * @param {Object} options
+   * @param {Function} options.checkFile - async (filePath, job) => { resultId, issueCount }
+   * @param {Function} options.getTerms - (workspacePath) => 专有名词，用于合并重复问题
+   * @param {Function} options.onProgress - 进度回调，参数为任务（附带 current：正在校验的文件）
+   */
+  constructor({ checkFile, getTerms = () => [], onProgress = () => {} }) {
+    this.checkFile = checkFile;
+    this.getTerms = getTerms;
+    this.onProgress = onProgress;
+    this.active = new Map(); // jobId -> { stopping: null|'paused'|'cancelled', current: Set<filePath>, done: Promise }
+    this.closed = false;
+  }
+
+  /**
+   * 创建并开始任务
+   * @param {Object} options - { workspacePath, files, concurrency }
+   */
+  start({ workspacePath, files, concurrency = 2 }) {
+    if (!workspacePath || !Array.isArray(files) || files.length === 0) {
+      throw new Error('没有需要校验的章节');
+    }
+    const job = auditJobs.create({
+      workspacePath,
+      files,
+      concurrency: Math.min(Math.max(1, concurrency | 0), MAX_CONCURRENCY)
+    });
+    this.run(job.id);
+    return job;
+  }
+
+  /**
+   * 继续暂停的任务
+   */
+  resume(jobId) {
+    const job = auditJobs.getById(jobId);
+    if (!job) {
+      throw new Error('校验任务不存在');
+    }
+    if (this.active.has(jobId)) {
+      // 暂停请求尚未生效时继续，撤销暂停即可
+      const state = this.active.get(jobId);
+      if (state.stopping === 'paused') state.stopping = null;
+      return auditJobs.getById(jobId);
+    }
+    if (job.status !== 'paused') {
+      throw new Error(`任务当前状态为 ${job.status}，无法继续`);
+    }
+    this.run(jobId);
+    return auditJobs.getById(jobId);
+  }
+
+  /**
+   * 暂停任务：正在校验的章节完成后停止
+   */
+  pause(jobId) {
+    const state = this.active.get(jobId);
+    if (!state) {
+      throw new Error('任务未在执行');
+    }
+    state.stopping = 'paused';
+    this.emitProgress(jobId);
+    return auditJobs.getById(jobId);
+  }
+
+  /**
+   * 取消任务：未开始的章节不再校验
+   */
+  cancel(jobId) {
+    const state = this.active.get(jobId);
+    if (state) {
+      state.stopping = 'cancelled';
+      this.emitProgress(jobId);
+      return auditJobs.getById(jobId);
+    }
+
+    const job = auditJobs.getById(jobId);
+    if (!job) {
+      throw new Error('校验任务不存在');
+    }
+    if (['completed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+    auditJobs.cancelPendingItems(jobId);
+    const report = buildAuditReport(jobId, this.getTerms(job.workspace_path));
+    const cancelled = auditJobs.setStatus(jobId, 'cancelled', { report });
+    this.onProgress({ ...cancelled, stopping: null, current: [] });
+    return cancelled;
+  }
+
+  /**
+   * 等待任务停止（完成、暂停或取消），任务未在执行时立即返回
+   * @returns {Promise<Object|null>} 停止后的任务
+   */
+  wait(jobId) {
+    const state = this.active.get(jobId);
+    return state ? state.done : Promise.resolve(auditJobs.getById(jobId));
+  }
+
+  run(jobId) {
+    const job = auditJobs.setStatus(jobId, 'running');
+    const state = { stopping: null, current: new Set(), done: null };
+    this.active.set(jobId, state);
+    this.emitProgress(jobId);
+
+    const workers = Array.from({ length: job.concurrency || 1 }, () => this.work(job, state));
+    state.done = Promise.all(workers)
+      .then(() => this.finish(jobId, state))
+      .catch(err => {
+        console.error(`校验任务 ${jobId} 执行失败:`, err);
+        if (!this.closed) {
+          auditJobs.setStatus(jobId, 'failed', { error: err.message });
+        }
+      })
+      .then(() => {
+        this.active.delete(jobId);
+        if (this.closed) return null;
+        this.emitProgress(jobId);
+        return auditJobs.getById(jobId);
+      });
+    return state.done;
+  }
+
+  async work(job, state) {
+    while (!state.stopping && !this.closed) {
+      const item = auditJobs.claimNextItem(job.id);
+      if (!item) return;
+
+      state.current.add(item.file_path);
+      this.emitProgress(job.id);
+
+      let outcome;
+      try {
+        const { resultId, issueCount } = await this.checkFile(item.file_path, job);
+        outcome = { status: 'done', resultId, issueCount };
+      } catch (err) {
+        console.error(`校验 ${item.file_path} 失败:`, err);
+        outcome = { status: 'failed', error: err.message };
+      }
+
+      state.current.delete(item.file_path);
+      // 应用退出时数据库已关闭，章节保持 running，下次启动时退回待校验
+      if (this.closed) return;
+      auditJobs.finishItem(item.id, outcome);
+      this.emitProgress(job.id);
+    }
+  }
+
+  finish(jobId, state) {
+    if (this.closed) return;
+
+    if (state.stopping === 'paused') {
+      auditJobs.setStatus(jobId, 'paused');
+      return;
+    }
+    if (state.stopping === 'cancelled') {
+      auditJobs.cancelPendingItems(jobId);
+    }
+
+    // 任务已被删除时不再生成报告
+    const job = auditJobs.getById(jobId);
+    if (!job) return;
+    const report = buildAuditReport(jobId, this.getTerms(job.workspace_path));
+    auditJobs.setStatus(jobId, state.stopping === 'cancelled' ? 'cancelled' : 'completed', { report });
+  }
+
+  emitProgress(jobId) {
+    const job = auditJobs.getById(jobId);
+    if (!job) return;
+    const state = this.active.get(jobId);
+    this.onProgress({
+      ...job,
+      stopping: state ? state.stopping : null,
+      current: state ? [...state.current] : []
+    });
+  }
+
+  /**
+   * 应用退出前调用：停止领取新章节，把执行中的任务标记为暂停
+   */
+  shutdown() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const state of this.active.values()) {
+      state.stopping = 'paused';
+    }
+    auditJobs.pauseInterrupted();
+  }
+}
+
+module.exports = {
+  AuditJobRunner,
+  groupIssues,
+  buildAuditReport,
+  getChapterLabel
+};
@@ -0,0 +1,168 @@
+/**
+ * Consistency Report - 一致性校验的结构化输出
+ *
+ * LLM 按约定的 JSON 格式输出问题列表，这里负责解析、校验和定位：
+ * - 问题类型、严重程度不在枚举内时归为 other / warning
+ * - LLM 给出的字符偏移量不可靠，以引用原文（quote）在待检查文本中的位置为准，
+ *   原文出现多次时取离 LLM 给出的偏移量最近的一处；找不到时偏移量为空（问题仍保留，只是无法在编辑器中标注）
+ * - 证据只保留本次实际提供给 LLM 的文本块 ID
+ */
+
+const { safeParseJSON } = require('../utils/jsonParser');
+
+const ISSUE_TYPES = {
+  timeline: '时间冲突',
+  character: '人物冲突',
+  world: '世界观冲突',
+  plot: '情节合理性',
+  contradiction: '前后矛盾',
+  other: '其他'
+};
+
+const SEVERITIES = {
+  error: '严重',
+  warning: '警告',
+  info: '提示'
+};
+
+// 追加在校验提示词末尾的输出格式说明
+const OUTPUT_INSTRUCTIONS = `请只输出 JSON，用 <json></json> 包裹，不要输出其他内容。格式如下：
+
+<json>
+{
+  "summary": "总体评价（一两句话）",
+  "issues": [
+    {
+      "type": "问题类型，取值：${Object.keys(ISSUE_TYPES).join(' / ')}",
+      "severity": "严重程度，取值：error（明显矛盾）/ warning（可能有问题）/ info（建议）",
+      "quote": "待检查文本中有问题的原文片段，必须逐字照抄，尽量短",
+      "start": "quote 在待检查文本中的起始字符位置（从 0 开始）",
+      "description": "具体描述问题",
+      "suggestion": "用于替换 quote 的修改后文本；只需删除时填空字符串，无法给出替换文本时填 null",
+      "evidence": ["作为依据的相关内容片段 ID（即【片段 ID】中的数字），没有则为空数组"]
+    }
+  ],
+  "strengths": ["文本中做得好的地方"]
+}
+</json>
+
+没有发现问题时 issues 为空数组。请务必基于提供的设定和相关内容进行判断，信息不足时不要臆造问题。`;
+
+/**
+ * 在文本中定位引用的原文
+ * @param {string} text - 待检查文本
+ * @param {string} quote - 引用的原文
+ * @param {number|null} hint - LLM 给出的起始位置
+ * @returns {{start: number, end: number}|null}
+ */
+function locateQuote(text, quote, hint = null) {
+  if (!quote) return null;
+
+  // LLM 常在引用两端多加引号或空白
+  const candidates = [quote, quote.trim(), quote.trim().replace(/^["“「『]|["”」』]$/g, '')];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+
+    const positions = [];
+    let from = 0;
+    while (true) {
+      const at = text.indexOf(candidate, from);
+      if (at === -1) break;
+      positions.push(at);
+      from = at + 1;
+    }
+    if (positions.length === 0) continue;
+
+    const start = Number.isInteger(hint)
+      ? positions.reduce((best, at) => (Math.abs(at - hint) < Math.abs(best - hint) ? at : best))
+      : positions[0];
+    return { start, end: start + candidate.length };
+  }
+  return null;
+}
+
+/**
+ * 解析 LLM 输出的校验报告
+ * @param {string} responseText - LLM 原始输出
+ * @param {string} checkedText - 待检查文本
+ * @param {Object} options
+ * @param {number} options.baseOffset - 待检查文本在文件中的起始偏移量（选中片段校验时不为 0）
+ * @param {number[]} options.evidenceIds - 本次提供给 LLM 的文本块 ID
+ * @returns {{summary: string, strengths: string[], issues: Array}|null} 不符合格式时返回 null
+ */
+function parseReport(responseText, checkedText, { baseOffset = 0, evidenceIds = [] } = {}) {
+  let data;
+  try {
+    data = safeParseJSON(responseText);
+  } catch (err) {
+    console.warn('一致性校验结果不是有效的 JSON:', err.message);
+    return null;
+  }
+  if (!data || !Array.isArray(data.issues)) {
+    return null;
+  }
+
+  const knownIds = new Set(evidenceIds);
+  const issues = data.issues
+    .filter(issue => issue && typeof issue === 'object' && (issue.description || issue.quote))
+    .map(issue => {
+      const quote = String(issue.quote || '');
+      const hint = Number.parseInt(issue.start, 10);
+      const location = locateQuote(checkedText, quote, Number.isNaN(hint) ? null : hint);
+      const evidence = (Array.isArray(issue.evidence) ? issue.evidence : [])
+        .map(id => Number.parseInt(id, 10))
+        .filter(id => knownIds.has(id));
+
+      return {
+        type: ISSUE_TYPES[issue.type] ? issue.type : 'other',
+        severity: SEVERITIES[issue.severity] ? issue.severity : 'warning',
+        quote: location ? checkedText.slice(location.start, location.end) : quote,
+        start: location ? baseOffset + location.start : null,
+        end: location ? baseOffset + location.end : null,
+        description: String(issue.description || ''),
+        suggestion: typeof issue.suggestion === 'string' ? issue.suggestion : null,
+        evidenceIds: [...new Set(evidence)]
+      };
+    });
+
+  return {
+    summary: String(data.summary || ''),
+    strengths: Array.isArray(data.strengths) ? data.strengths.map(String) : [],
+    issues
+  };
+}
+
+/**
+ * 把结构化报告渲染为 Markdown（用于校验历史、批量校验等只展示文本的地方）
+ */
+function formatReportMarkdown(report) {
+  let markdown = `## 检查结果\n\n【总体评价】\n${report.summary || '（无）'}\n\n【发现的问题】\n`;
+
+  if (report.issues.length === 0) {
+    markdown += '未发现明显问题\n';
+  }
+  report.issues.forEach((issue, idx) => {
+    markdown += `\n${idx + 1}. 问题类型：${ISSUE_TYPES[issue.type]}（${SEVERITIES[issue.severity]}）\n`;
+    if (issue.quote) {
+      markdown += `   - 原文：「${issue.quote}」\n`;
+    }
+    markdown += `   - 具体描述：${issue.description}\n`;
+    if (issue.suggestion !== null) {
+      markdown += `   - 建议修改：${issue.suggestion || '（删除）'}\n`;
+    }
+  });
+
+  if (report.strengths.length > 0) {
+    markdown += `\n【优点】\n${report.strengths.map(item => `- ${item}`).join('\n')}\n`;
+  }
+  return markdown;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  SEVERITIES,
+  OUTPUT_INSTRUCTIONS,
+  locateQuote,
+  parseReport,
+  formatReportMarkdown
+};
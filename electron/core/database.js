@@ -1,12 +1,17 @@
 const Database = require('better-sqlite3');
 const path = require('path');
-const { app } = require('electron');
 
 let db = null;
+// 数据库所在目录：Electron 中为 userData，命令行等非 Electron 环境通过 setUserDataPath 指定
+let userDataPathOverride = null;
+
+function setUserDataPath(dir) {
+  userDataPathOverride = dir;
+}
 
 // 初始化数据库
 function initDatabase() {
-  const userDataPath = app.getPath('userData');
+  const userDataPath = userDataPathOverride || require('electron').app.getPath('userData');
   const dbPath = path.join(userDataPath, 'novel-ide.db');
   
   console.log('数据库路径:', dbPath);
@@ -40,6 +45,30 @@ function initDatabase() {
   } catch (e) {
     // 字段已存在，忽略错误
   }
+  try {
+    // 备用顺序：0 表示不参与故障切换，数字越小越优先
+    db.exec(`ALTER TABLE llm_models ADD COLUMN fallback_priority INTEGER DEFAULT 0`);
+  } catch (e) {
+    // 字段已存在，忽略错误
+  }
+  try {
+    // 输入单价（每百万 token）
+    db.exec(`ALTER TABLE llm_models ADD COLUMN input_price REAL DEFAULT 0`);
+  } catch (e) {
+    // 字段已存在，忽略错误
+  }
+  try {
+    // 输出单价（每百万 token）
+    db.exec(`ALTER TABLE llm_models ADD COLUMN output_price REAL DEFAULT 0`);
+  } catch (e) {
+    // 字段已存在，忽略错误
+  }
+  try {
+    // 接口提供方：openai（OpenAI 兼容）、anthropic、ollama
+    db.exec(`ALTER TABLE llm_models ADD COLUMN provider TEXT DEFAULT 'openai'`);
+  } catch (e) {
+    // 字段已存在，忽略错误
+  }
   
   // 创建 Embedding 模型配置表（用于向量化）
   db.exec(`
@@ -54,6 +83,11 @@ function initDatabase() {
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  try {
+    db.exec(`ALTER TABLE embedding_models ADD COLUMN provider TEXT DEFAULT 'openai'`);
+  } catch (e) {
+    // 字段已存在，忽略错误
+  }
   
   // 创建设置表
   db.exec(`
@@ -75,18 +109,29 @@ function initDatabase() {
     )
   `);
   
-  // 创建向量索引表（用于存储文本块的向量）
+  // 创建向量索引表（用于存储文本块的向量，embedding 为 Float32 二进制）
+  // 按工作区和 Embedding 模型区分，不同小说、不同模型的向量互不混用
+  db.exec(`CREATE TABLE IF NOT EXISTS vector_index (${VECTOR_INDEX_COLUMNS})`);
+  migrateVectorIndex();
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_vector_index_scope ON vector_index(workspace_path, embedding_model_id)`);
+  
+  // 创建 LLM 用量表（每次调用一行，费用按调用时的单价计算）
   db.exec(`
-    CREATE TABLE IF NOT EXISTS vector_index (
+    CREATE TABLE IF NOT EXISTS llm_usage (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      file_path TEXT NOT NULL,
-      chunk_index INTEGER NOT NULL,
-      chunk_text TEXT NOT NULL,
-      embedding TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(file_path, chunk_index)
+      workspace_path TEXT,
+      chapter_number INTEGER,
+      skill TEXT,
+      model_id INTEGER,
+      model TEXT NOT NULL,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      cost REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_llm_usage_workspace ON llm_usage(workspace_path, created_at)`);
   
   // 创建校验结果表（用于存储一致性校验历史）
   db.exec(`
@@ -101,11 +146,144 @@ function initDatabase() {
     )
   `);
   
+  // 创建校验问题表（结构化的一致性问题，一行一个问题，偏移量相对于校验时的文件内容）
+  // status: open（待处理）/ applied（已应用建议）/ dismissed（已忽略）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS consistency_issues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      result_id INTEGER NOT NULL,
+      workspace_path TEXT,
+      file_path TEXT,
+      type TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      quote TEXT NOT NULL,
+      start_offset INTEGER,
+      end_offset INTEGER,
+      description TEXT NOT NULL,
+      suggestion TEXT,
+      evidence_ids TEXT,
+      status TEXT DEFAULT 'open',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_consistency_issues_file ON consistency_issues(file_path, status)`);
+  
+  // 创建全书校验任务表（主进程中按章节执行，可暂停/继续，应用重启后可恢复）
+  // status: pending / running / paused / completed / cancelled / failed
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workspace_path TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      concurrency INTEGER DEFAULT 2,
+      report TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    )
+  `);
+  
+  // 创建校验任务的章节表（一个文件一行）
+  // status: pending / running / done / failed / cancelled
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_job_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      file_path TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      result_id INTEGER,
+      issue_count INTEGER DEFAULT 0,
+      error TEXT,
+      started_at DATETIME,
+      finished_at DATETIME
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_job_items_job ON audit_job_items(job_id, status, position)`);
+  
   console.log('数据库初始化完成');
   
   return db;
 }
 
+// 向量索引表结构
+// embedding_model_id 为 0 表示迁移前无法确定生成模型的旧数据
+const VECTOR_INDEX_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workspace_path TEXT NOT NULL,
+  embedding_model_id INTEGER NOT NULL DEFAULT 0,
+  file_path TEXT NOT NULL,
+  chunk_index INTEGER NOT NULL,
+  chunk_text TEXT NOT NULL,
+  content_hash TEXT,
+  embedding BLOB NOT NULL,
+  dimension INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(embedding_model_id, file_path, chunk_index)
+`;
+
+// 向量 <-> Float32 二进制
+function toEmbeddingBlob(embedding) {
+  const floats = embedding instanceof Float32Array ? embedding : Float32Array.from(embedding);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+function fromEmbeddingBlob(blob) {
+  // 复制一份，保证 Float32Array 的内存对齐
+  return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+// 旧版本的向量索引表没有工作区和模型字段（更早的版本 embedding 还是 JSON 文本），
+// 重建表并转换数据（只执行一次）：
+// - 工作区按历史记录中最长的路径前缀推断，找不到时使用文件所在目录
+// - 模型记为迁移时的默认 Embedding 模型（旧数据都是用它生成的可能性最大）
+function migrateVectorIndex() {
+  const columns = db.prepare('PRAGMA table_info(vector_index)').all();
+  if (columns.some(c => c.name === 'embedding_model_id')) {
+    return;
+  }
+  
+  console.log('迁移向量索引：增加工作区和 Embedding 模型字段...');
+  const isJson = columns.find(c => c.name === 'embedding').type.toUpperCase() !== 'BLOB';
+  const rows = db.prepare('SELECT * FROM vector_index').all();
+  const workspaces = db.prepare('SELECT path FROM workspace_history').all()
+    .map(row => row.path)
+    .sort((a, b) => b.length - a.length);
+  const defaultModel = db.prepare('SELECT id FROM embedding_models WHERE is_default = 1').get();
+  const modelId = defaultModel ? defaultModel.id : 0;
+  
+  const migrate = db.transaction(() => {
+    db.exec(`CREATE TABLE vector_index_new (${VECTOR_INDEX_COLUMNS})`);
+    const insert = db.prepare(`
+      INSERT INTO vector_index_new (id, workspace_path, embedding_model_id, file_path, chunk_index, chunk_text, content_hash, embedding, dimension, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const row of rows) {
+      let blob = row.embedding;
+      let dimension = row.dimension;
+      if (isJson) {
+        let embedding;
+        try {
+          embedding = JSON.parse(row.embedding);
+        } catch (e) {
+          continue; // 损坏的记录直接丢弃，重建索引时会重新生成
+        }
+        blob = toEmbeddingBlob(embedding);
+        dimension = embedding.length;
+      }
+      const workspacePath = workspaces.find(ws => row.file_path.startsWith(ws)) || path.dirname(row.file_path);
+      insert.run(row.id, workspacePath, modelId, row.file_path, row.chunk_index, row.chunk_text, row.content_hash || null, blob, dimension, row.created_at);
+    }
+    db.exec('DROP TABLE vector_index');
+    db.exec('ALTER TABLE vector_index_new RENAME TO vector_index');
+  });
+  migrate();
+  
+  console.log(`向量索引迁移完成，共 ${rows.length} 条`);
+}
+
 // 获取数据库实例
 function getDatabase() {
   if (!db) {
@@ -134,8 +312,25 @@ const llmModels = {
     return db.prepare('SELECT * FROM llm_models WHERE is_default = 1').get();
   },
   
+  // 获取故障切换链：首选模型（指定 ID 或默认模型）+ 按备用顺序排列的其他模型
+  getFallbackChain(primaryId = null) {
+    const db = getDatabase();
+    const primary = primaryId ? this.getById(primaryId) : this.getDefault();
+    const fallbacks = db.prepare(
+      'SELECT * FROM llm_models WHERE fallback_priority > 0 ORDER BY fallback_priority ASC, id ASC'
+    ).all();
+    
+    const chain = primary ? [primary] : [];
+    for (const model of fallbacks) {
+      if (!primary || model.id !== primary.id) {
+        chain.push(model);
+      }
+    }
+    return chain;
+  },
+  
   // 添加模型
-  add({ name, apiKey, baseUrl, model, maxTokens = 2000, temperature = 0.7, isDefault = false }) {
+  add({ name, apiKey, baseUrl, model, provider = 'openai', maxTokens = 2000, temperature = 0.7, isDefault = false, fallbackPriority = 0, inputPrice = 0, outputPrice = 0 }) {
     const db = getDatabase();
     
     // 如果设置为默认，先取消其他模型的默认状态
@@ -144,16 +339,18 @@ const llmModels = {
     }
     
     const result = db.prepare(`
-      INSERT INTO llm_models (name, api_key, base_url, model, max_tokens, temperature, is_default)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(name, apiKey, baseUrl, model, maxTokens, temperature, isDefault ? 1 : 0);
+      INSERT INTO llm_models (name, api_key, base_url, model, provider, max_tokens, temperature, is_default, fallback_priority, input_price, output_price)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(name, apiKey || '', baseUrl, model, provider || 'openai', maxTokens, temperature, isDefault ? 1 : 0, fallbackPriority || 0, inputPrice || 0, outputPrice || 0);
     
     return result.lastInsertRowid;
   },
   
   // 更新模型
-  update(id, { name, apiKey, baseUrl, model, maxTokens = 2000, temperature = 0.7, isDefault }) {
+  update(id, { name, apiKey, baseUrl, model, provider = 'openai', maxTokens = 2000, temperature = 0.7, isDefault, fallbackPriority, inputPrice, outputPrice }) {
     const db = getDatabase();
+    // 备用顺序和单价未传入时保留原值（部分设置界面不提交这些字段）
+    const existing = this.getById(id) || {};
     
     // 如果设置为默认，先取消其他模型的默认状态
     if (isDefault) {
@@ -162,9 +359,9 @@ const llmModels = {
     
     db.prepare(`
       UPDATE llm_models 
-      SET name = ?, api_key = ?, base_url = ?, model = ?, max_tokens = ?, temperature = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, api_key = ?, base_url = ?, model = ?, provider = ?, max_tokens = ?, temperature = ?, is_default = ?, fallback_priority = ?, input_price = ?, output_price = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(name, apiKey, baseUrl, model, maxTokens, temperature, isDefault ? 1 : 0, id);
+    `).run(name, apiKey || '', baseUrl, model, provider || 'openai', maxTokens, temperature, isDefault ? 1 : 0, fallbackPriority ?? existing.fallback_priority ?? 0, inputPrice ?? existing.input_price ?? 0, outputPrice ?? existing.output_price ?? 0, id);
     
     return true;
   },
@@ -269,7 +466,7 @@ const embeddingModels = {
   },
   
   // 添加模型
-  add({ name, apiKey, baseUrl, model, isDefault = false }) {
+  add({ name, apiKey, baseUrl, model, provider = 'openai', isDefault = false }) {
     const db = getDatabase();
     
     // 如果设置为默认，先取消其他模型的默认状态
@@ -278,15 +475,15 @@ const embeddingModels = {
     }
     
     const result = db.prepare(`
-      INSERT INTO embedding_models (name, api_key, base_url, model, is_default)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(name, apiKey, baseUrl, model, isDefault ? 1 : 0);
+      INSERT INTO embedding_models (name, api_key, base_url, model, provider, is_default)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(name, apiKey || '', baseUrl, model, provider || 'openai', isDefault ? 1 : 0);
     
     return result.lastInsertRowid;
   },
   
   // 更新模型
-  update(id, { name, apiKey, baseUrl, model, isDefault }) {
+  update(id, { name, apiKey, baseUrl, model, provider = 'openai', isDefault }) {
     const db = getDatabase();
     
     // 如果设置为默认，先取消其他模型的默认状态
@@ -296,9 +493,9 @@ const embeddingModels = {
     
     db.prepare(`
       UPDATE embedding_models 
-      SET name = ?, api_key = ?, base_url = ?, model = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, api_key = ?, base_url = ?, model = ?, provider = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(name, apiKey, baseUrl, model, isDefault ? 1 : 0, id);
+    `).run(name, apiKey || '', baseUrl, model, provider || 'openai', isDefault ? 1 : 0, id);
     
     return true;
   },
@@ -320,54 +517,155 @@ const embeddingModels = {
 };
 
 // 向量索引相关操作
+// 查询都限定在 (workspace_path, embedding_model_id) 范围内
 const vectorIndex = {
-  // 添加或更新文本块的向量
-  addOrUpdate(filePath, chunkIndex, chunkText, embedding) {
+  /**
+   * 添加或更新文本块的向量，返回行 ID
+   * @param {Object} chunk - { workspacePath, modelId, filePath, chunkIndex, chunkText, embedding, contentHash }
+   */
+  addOrUpdate({ workspacePath, modelId, filePath, chunkIndex, chunkText, embedding, contentHash = null }) {
     const db = getDatabase();
-    const embeddingJson = JSON.stringify(embedding);
+    const blob = toEmbeddingBlob(embedding);
     db.prepare(`
-      INSERT INTO vector_index (file_path, chunk_index, chunk_text, embedding)
-      VALUES (?, ?, ?, ?)
-      ON CONFLICT(file_path, chunk_index) DO UPDATE SET 
+      INSERT INTO vector_index (workspace_path, embedding_model_id, file_path, chunk_index, chunk_text, content_hash, embedding, dimension)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(embedding_model_id, file_path, chunk_index) DO UPDATE SET 
+        workspace_path = ?,
         chunk_text = ?,
+        content_hash = ?,
         embedding = ?,
+        dimension = ?,
         created_at = CURRENT_TIMESTAMP
-    `).run(filePath, chunkIndex, chunkText, embeddingJson, chunkText, embeddingJson);
-    return true;
+    `).run(
+      workspacePath, modelId, filePath, chunkIndex, chunkText, contentHash, blob, embedding.length,
+      workspacePath, chunkText, contentHash, blob, embedding.length
+    );
+    const row = db.prepare(`
+      SELECT id FROM vector_index WHERE embedding_model_id = ? AND file_path = ? AND chunk_index = ?
+    `).get(modelId, filePath, chunkIndex);
+    return row.id;
   },
   
-  // 获取某个文件的所有向量
-  getByFile(filePath) {
+  // 获取某个文件的向量（指定模型时只返回该模型生成的向量）
+  getByFile(filePath, modelId = null) {
     const db = getDatabase();
-    const rows = db.prepare('SELECT * FROM vector_index WHERE file_path = ? ORDER BY chunk_index').all(filePath);
+    const rows = modelId === null
+      ? db.prepare('SELECT * FROM vector_index WHERE file_path = ? ORDER BY embedding_model_id, chunk_index').all(filePath)
+      : db.prepare('SELECT * FROM vector_index WHERE file_path = ? AND embedding_model_id = ? ORDER BY chunk_index').all(filePath, modelId);
     return rows.map(row => ({
       ...row,
-      embedding: JSON.parse(row.embedding)
+      embedding: fromEmbeddingBlob(row.embedding)
     }));
   },
   
-  // 删除某个文件的所有向量
+  // 工作区内已建立向量的文件（所有模型）
+  getFilePaths(workspacePath) {
+    const db = getDatabase();
+    return db.prepare('SELECT DISTINCT file_path FROM vector_index WHERE workspace_path = ? ORDER BY file_path')
+      .all(workspacePath)
+      .map(row => row.file_path);
+  },
+  
+  // 删除某个文件的所有向量（所有模型），返回被删除的行 ID（用于同步 ANN 索引）
   deleteByFile(filePath) {
     const db = getDatabase();
+    const ids = db.prepare('SELECT id FROM vector_index WHERE file_path = ?').all(filePath).map(row => row.id);
     db.prepare('DELETE FROM vector_index WHERE file_path = ?').run(filePath);
-    return true;
+    return ids;
   },
   
-  // 删除某个工作区的所有向量（文件路径以工作区路径开头）
+  // 删除某个文件中序号 >= fromIndex 的文本块（文件变短时清理多余的块），返回被删除的行 ID
+  deleteChunksFrom(filePath, modelId, fromIndex) {
+    const db = getDatabase();
+    const ids = db.prepare(`
+      SELECT id FROM vector_index WHERE file_path = ? AND embedding_model_id = ? AND chunk_index >= ?
+    `).all(filePath, modelId, fromIndex).map(row => row.id);
+    db.prepare('DELETE FROM vector_index WHERE file_path = ? AND embedding_model_id = ? AND chunk_index >= ?').run(filePath, modelId, fromIndex);
+    return ids;
+  },
+  
+  // 某个工作区的向量数量（不指定模型时统计所有模型）
+  countByWorkspace(workspacePath, modelId = null) {
+    const db = getDatabase();
+    const row = modelId === null
+      ? db.prepare('SELECT COUNT(*) AS count FROM vector_index WHERE workspace_path = ?').get(workspacePath)
+      : db.prepare('SELECT COUNT(*) AS count FROM vector_index WHERE workspace_path = ? AND embedding_model_id = ?').get(workspacePath, modelId);
+    return row.count;
+  },
+  
+  // 工作区内各 Embedding 模型的向量数量和维度
+  getModelStats(workspacePath) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT embedding_model_id AS modelId, COUNT(*) AS count, MAX(dimension) AS dimension
+      FROM vector_index WHERE workspace_path = ?
+      GROUP BY embedding_model_id
+    `).all(workspacePath);
+  },
+  
+  // 删除某个工作区的所有向量
   deleteByWorkspace(workspacePath) {
     const db = getDatabase();
-    // 使用 LIKE 查询删除所有以工作区路径开头的文件
-    db.prepare('DELETE FROM vector_index WHERE file_path LIKE ?').run(workspacePath + '%');
+    db.prepare('DELETE FROM vector_index WHERE workspace_path = ?').run(workspacePath);
+    return true;
+  },
+  
+  // 删除某个 Embedding 模型生成的所有向量（删除模型配置时调用）
+  deleteByModel(modelId) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM vector_index WHERE embedding_model_id = ?').run(modelId);
     return true;
   },
   
-  // 获取所有向量（用于搜索）
+  // 获取某个工作区、某个模型的所有向量（用于重建 ANN 索引）
+  getByScope(workspacePath, modelId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT id, embedding FROM vector_index WHERE workspace_path = ? AND embedding_model_id = ? ORDER BY id
+    `).all(workspacePath, modelId);
+    return rows.map(row => ({
+      id: row.id,
+      embedding: fromEmbeddingBlob(row.embedding)
+    }));
+  },
+  
+  // 获取某个工作区、某个模型的所有文本块（不含向量，用于建立关键词索引）
+  getTextsByScope(workspacePath, modelId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT id, chunk_text FROM vector_index WHERE workspace_path = ? AND embedding_model_id = ? ORDER BY id
+    `).all(workspacePath, modelId);
+  },
+  
+  // 按行 ID 获取文本块（不含向量）
+  getChunksByIds(ids) {
+    if (!ids || ids.length === 0) {
+      return [];
+    }
+    const db = getDatabase();
+    const placeholders = ids.map(() => '?').join(', ');
+    return db.prepare(`
+      SELECT id, file_path, chunk_index, chunk_text FROM vector_index WHERE id IN (${placeholders})
+    `).all(...ids);
+  },
+  
+  // 向量数据的版本戳（行数、最大 ID、最后更新时间），用于判断持久化的 ANN 索引是否过期
+  getScopeStamp(workspacePath, modelId) {
+    const db = getDatabase();
+    const row = db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(MAX(id), 0) AS maxId, COALESCE(MAX(created_at), '') AS lastUpdated
+      FROM vector_index WHERE workspace_path = ? AND embedding_model_id = ?
+    `).get(workspacePath, modelId);
+    return `${row.count}:${row.maxId}:${row.lastUpdated}`;
+  },
+  
+  // 获取所有向量
   getAll() {
     const db = getDatabase();
-    const rows = db.prepare('SELECT * FROM vector_index ORDER BY file_path, chunk_index').all();
+    const rows = db.prepare('SELECT * FROM vector_index ORDER BY workspace_path, file_path, chunk_index').all();
     return rows.map(row => ({
       ...row,
-      embedding: JSON.parse(row.embedding)
+      embedding: fromEmbeddingBlob(row.embedding)
     }));
   },
   
@@ -427,9 +725,10 @@ const consistencyResults = {
     }));
   },
   
-  // 删除指定校验结果
+  // 删除指定校验结果（连同其问题）
   delete(id) {
     const db = getDatabase();
+    db.prepare('DELETE FROM consistency_issues WHERE result_id = ?').run(id);
     db.prepare('DELETE FROM consistency_results WHERE id = ?').run(id);
     return true;
   },
@@ -437,6 +736,7 @@ const consistencyResults = {
   // 清空所有校验结果
   clear() {
     const db = getDatabase();
+    db.prepare('DELETE FROM consistency_issues').run();
     db.prepare('DELETE FROM consistency_results').run();
     return true;
   },
@@ -444,11 +744,297 @@ const consistencyResults = {
   // 删除某个工作区的所有校验结果
   deleteByWorkspace(workspacePath) {
     const db = getDatabase();
+    db.prepare('DELETE FROM consistency_issues WHERE workspace_path = ?').run(workspacePath);
     db.prepare('DELETE FROM consistency_results WHERE workspace_path = ?').run(workspacePath);
     return true;
   }
 };
 
+// 一致性问题相关操作
+function parseIssueRow(row) {
+  return {
+    ...row,
+    evidence_ids: row.evidence_ids ? JSON.parse(row.evidence_ids) : []
+  };
+}
+
+const consistencyIssues = {
+  // 批量添加某次校验的问题，返回带 ID 的问题行
+  addMany(resultId, { workspacePath, filePath }, issues) {
+    const db = getDatabase();
+    const insert = db.prepare(`
+      INSERT INTO consistency_issues (result_id, workspace_path, file_path, type, severity, quote, start_offset, end_offset, description, suggestion, evidence_ids)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const ids = db.transaction(() => issues.map(issue => insert.run(
+      resultId,
+      workspacePath || null,
+      filePath || null,
+      issue.type,
+      issue.severity,
+      issue.quote,
+      issue.start,
+      issue.end,
+      issue.description,
+      issue.suggestion || null,
+      JSON.stringify(issue.evidenceIds || [])
+    ).lastInsertRowid))();
+    return ids.map(id => this.getById(id));
+  },
+  
+  getById(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM consistency_issues WHERE id = ?').get(id);
+    return row ? parseIssueRow(row) : null;
+  },
+  
+  // 获取某次校验的问题
+  getByResult(resultId) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM consistency_issues WHERE result_id = ? ORDER BY start_offset').all(resultId).map(parseIssueRow);
+  },
+  
+  // 获取某个文件的问题（status 为空时返回全部）
+  getByFile(filePath, status = null) {
+    const db = getDatabase();
+    const rows = status
+      ? db.prepare('SELECT * FROM consistency_issues WHERE file_path = ? AND status = ? ORDER BY start_offset').all(filePath, status)
+      : db.prepare('SELECT * FROM consistency_issues WHERE file_path = ? ORDER BY start_offset').all(filePath);
+    return rows.map(parseIssueRow);
+  },
+  
+  // 更新问题状态（open / applied / dismissed）
+  setStatus(id, status) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE consistency_issues
+      SET status = ?, resolved_at = CASE WHEN ? = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `).run(status, status, id);
+    return this.getById(id);
+  }
+};
+
+// 全书校验任务相关操作
+function parseJobRow(row) {
+  return {
+    ...row,
+    report: row.report ? JSON.parse(row.report) : null
+  };
+}
+
+const auditJobs = {
+  // 创建任务，files 按校验顺序排列
+  create({ workspacePath, files, concurrency = 2 }) {
+    const db = getDatabase();
+    const insertItem = db.prepare('INSERT INTO audit_job_items (job_id, file_path, position) VALUES (?, ?, ?)');
+    const jobId = db.transaction(() => {
+      const id = db.prepare('INSERT INTO audit_jobs (workspace_path, concurrency) VALUES (?, ?)').run(workspacePath, concurrency).lastInsertRowid;
+      files.forEach((filePath, position) => insertItem.run(id, filePath, position));
+      return id;
+    })();
+    return this.getById(jobId);
+  },
+  
+  // 获取任务（附带各状态的章节数）
+  getById(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM audit_jobs WHERE id = ?').get(id);
+    if (!row) return null;
+    
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    for (const { status, count } of db.prepare('SELECT status, COUNT(*) AS count FROM audit_job_items WHERE job_id = ? GROUP BY status').all(id)) {
+      counts[status] = count;
+    }
+    return {
+      ...parseJobRow(row),
+      counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+    };
+  },
+  
+  // 获取工作区最近的任务
+  getByWorkspace(workspacePath, limit = 20) {
+    const db = getDatabase();
+    return db.prepare('SELECT id FROM audit_jobs WHERE workspace_path = ? ORDER BY id DESC LIMIT ?')
+      .all(workspacePath, limit)
+      .map(row => this.getById(row.id));
+  },
+  
+  // 更新任务状态（完成、取消、失败时记录结束时间）
+  setStatus(id, status, { report, error } = {}) {
+    const db = getDatabase();
+    const finished = ['completed', 'cancelled', 'failed'].includes(status);
+    db.prepare(`
+      UPDATE audit_jobs
+      SET status = ?, report = COALESCE(?, report), error = ?, updated_at = CURRENT_TIMESTAMP,
+          finished_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE id = ?
+    `).run(status, report ? JSON.stringify(report) : null, error || null, finished ? 1 : 0, id);
+    return this.getById(id);
+  },
+  
+  // 领取下一个待校验的章节（标记为 running）
+  claimNextItem(jobId) {
+    const db = getDatabase();
+    const item = db.prepare(`SELECT * FROM audit_job_items WHERE job_id = ? AND status = 'pending' ORDER BY position LIMIT 1`).get(jobId);
+    if (!item) return null;
+    db.prepare(`UPDATE audit_job_items SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?`).run(item.id);
+    return { ...item, status: 'running' };
+  },
+  
+  // 记录章节的校验结果
+  finishItem(itemId, { status, resultId = null, issueCount = 0, error = null }) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE audit_job_items
+      SET status = ?, result_id = ?, issue_count = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, resultId, issueCount, error, itemId);
+  },
+  
+  getItems(jobId) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM audit_job_items WHERE job_id = ? ORDER BY position').all(jobId);
+  },
+  
+  // 获取任务中所有章节的校验问题（附带所在章节的排序）
+  getIssues(jobId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT ci.*, ai.position
+      FROM consistency_issues ci
+      JOIN audit_job_items ai ON ai.result_id = ci.result_id
+      WHERE ai.job_id = ?
+      ORDER BY ai.position, ci.start_offset
+    `).all(jobId).map(parseIssueRow);
+  },
+  
+  // 取消所有未开始的章节
+  cancelPendingItems(jobId) {
+    const db = getDatabase();
+    db.prepare(`UPDATE audit_job_items SET status = 'cancelled' WHERE job_id = ? AND status = 'pending'`).run(jobId);
+  },
+  
+  // 把执行中断的任务标记为暂停，执行到一半的章节退回待校验（启动或退出时调用）
+  pauseInterrupted() {
+    const db = getDatabase();
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE audit_job_items SET status = 'pending', started_at = NULL
+        WHERE status = 'running' AND job_id IN (SELECT id FROM audit_jobs WHERE status IN ('pending', 'running'))
+      `).run();
+      db.prepare(`UPDATE audit_jobs SET status = 'paused', updated_at = CURRENT_TIMESTAMP WHERE status IN ('pending', 'running')`).run();
+    })();
+  },
+  
+  // 删除任务（章节的校验结果保留在校验历史中）
+  delete(id) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM audit_job_items WHERE job_id = ?').run(id);
+    db.prepare('DELETE FROM audit_jobs WHERE id = ?').run(id);
+    return true;
+  }
+};
+
+// LLM 用量相关操作
+const llmUsage = {
+  // 记录一次调用的用量，费用 = token 数 × 每百万 token 单价
+  add({ workspacePath, chapterNumber, skill, modelId, model, promptTokens = 0, completionTokens = 0, totalTokens, inputPrice = 0, outputPrice = 0 }) {
+    const db = getDatabase();
+    const cost = (promptTokens * (inputPrice || 0) + completionTokens * (outputPrice || 0)) / 1000000;
+    const result = db.prepare(`
+      INSERT INTO llm_usage (workspace_path, chapter_number, skill, model_id, model, prompt_tokens, completion_tokens, total_tokens, cost)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      workspacePath || null,
+      Number.isInteger(chapterNumber) ? chapterNumber : null,
+      skill || null,
+      modelId || null,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens ?? promptTokens + completionTokens,
+      cost
+    );
+    return result.lastInsertRowid;
+  },
+  
+  // 按天汇总（days 为最近天数，不传则不限）
+  getTotalsByDay(workspacePath = null, days = null) {
+    const db = getDatabase();
+    const { where, params } = buildUsageFilter(workspacePath, days);
+    return db.prepare(`
+      SELECT date(created_at, 'localtime') AS day, ${USAGE_TOTALS}
+      FROM llm_usage ${where}
+      GROUP BY day ORDER BY day DESC
+    `).all(...params);
+  },
+  
+  // 按章节汇总（未关联章节的调用归为 chapter_number = null）
+  getTotalsByChapter(workspacePath = null, days = null) {
+    const db = getDatabase();
+    const { where, params } = buildUsageFilter(workspacePath, days);
+    return db.prepare(`
+      SELECT chapter_number, ${USAGE_TOTALS}
+      FROM llm_usage ${where}
+      GROUP BY chapter_number ORDER BY chapter_number IS NULL, chapter_number ASC
+    `).all(...params);
+  },
+  
+  // 按技能汇总（按费用和 token 数倒序，最耗预算的在前）
+  getTotalsBySkill(workspacePath = null, days = null) {
+    const db = getDatabase();
+    const { where, params } = buildUsageFilter(workspacePath, days);
+    return db.prepare(`
+      SELECT COALESCE(skill, 'unknown') AS skill, ${USAGE_TOTALS}
+      FROM llm_usage ${where}
+      GROUP BY COALESCE(skill, 'unknown') ORDER BY cost DESC, total_tokens DESC
+    `).all(...params);
+  },
+  
+  // 总计
+  getSummary(workspacePath = null, days = null) {
+    const db = getDatabase();
+    const { where, params } = buildUsageFilter(workspacePath, days);
+    return db.prepare(`SELECT ${USAGE_TOTALS} FROM llm_usage ${where}`).get(...params);
+  },
+  
+  // 删除某个工作区的用量记录
+  deleteByWorkspace(workspacePath) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM llm_usage WHERE workspace_path = ?').run(workspacePath);
+    return true;
+  }
+};
+
+// 用量汇总的公共字段
+const USAGE_TOTALS = `
+  COUNT(*) AS calls,
+  COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+  COALESCE(SUM(total_tokens), 0) AS total_tokens,
+  COALESCE(SUM(cost), 0) AS cost
+`;
+
+// 构造用量查询的过滤条件
+function buildUsageFilter(workspacePath, days) {
+  const conditions = [];
+  const params = [];
+  if (workspacePath) {
+    conditions.push('workspace_path = ?');
+    params.push(workspacePath);
+  }
+  if (days) {
+    conditions.push(`created_at >= datetime('now', ?)`);
+    params.push(`-${Number(days)} days`);
+  }
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
 // 关闭数据库
 function closeDatabase() {
   if (db) {
@@ -459,6 +1045,7 @@ function closeDatabase() {
 
 module.exports = {
   initDatabase,
+  setUserDataPath,
   getDatabase,
   llmModels,
   embeddingModels,
@@ -466,6 +1053,9 @@ module.exports = {
   workspaceHistory,
   vectorIndex,
   consistencyResults,
+  consistencyIssues,
+  auditJobs,
+  llmUsage,
   closeDatabase
 };
 
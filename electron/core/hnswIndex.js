@@ -0,0 +1,500 @@
+/**
+ * HNSW Index - 分层可导航小世界图（近似最近邻索引，纯 JS 实现）
+ *
+ * 参考 Malkov & Yashunin, "Efficient and robust approximate nearest neighbor
+ * search using Hierarchical Navigable Small World graphs"
+ *
+ * - 只支持余弦相似度：插入时先归一化，距离 = 1 - 点积
+ * - 删除采用墓碑标记：被删除的节点仍参与图导航，但不会出现在结果中，
+ *   墓碑比例过高时由调用方调用 compact() 重建
+ * - serialize() / deserialize() 使用二进制格式，便于持久化到工作区
+ */
+
+const FORMAT_VERSION = 1;
+const MAGIC = 'HNSW';
+
+/**
+ * 可复现的伪随机数（mulberry32），保证同样的插入顺序得到同样的图
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 二叉堆（compare(a, b) < 0 表示 a 在堆顶方向）
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      const n = items.length;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < n && this.compare(items[left], items[best]) < 0) best = left;
+        if (right < n && this.compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+const nearestFirst = (a, b) => a.distance - b.distance;
+const farthestFirst = (a, b) => b.distance - a.distance;
+
+/**
+ * 归一化向量（返回新的 Float32Array）
+ */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) {
+    norm += out[i] * out[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) {
+      out[i] /= norm;
+    }
+  }
+  return out;
+}
+
+class HNSWIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimension - 向量维度
+   * @param {number} options.M - 每层最大邻居数（第 0 层为 2M）
+   * @param {number} options.efConstruction - 构建时的候选集大小
+   * @param {number} options.efSearch - 查询时的候选集大小（至少为 topK）
+   * @param {number} options.seed - 随机种子
+   */
+  constructor({ dimension, M = 16, efConstruction = 100, efSearch = 64, seed = 42 } = {}) {
+    if (!dimension || dimension <= 0) {
+      throw new Error('HNSW 索引需要指定向量维度');
+    }
+    this.dimension = dimension;
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.seed = seed;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.random = createRandom(seed);
+
+    // 按内部槽位存储：槽位只增不减，删除只打墓碑
+    this.vectors = [];      // Float32Array（已归一化）
+    this.labels = [];       // 外部 ID
+    this.levels = [];       // 节点最高层
+    this.neighbors = [];    // neighbors[slot][level] = 槽位数组
+    this.deleted = [];      // 墓碑标记
+    this.labelToSlot = new Map();
+
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+
+    // 访问标记：用递增的代号代替每次新建 Set
+    this.visitedMarks = new Uint32Array(0);
+    this.visitedGeneration = 0;
+  }
+
+  /** 有效节点数 */
+  get size() {
+    return this.labels.length - this.deletedCount;
+  }
+
+  /** 墓碑占比 */
+  get deletedRatio() {
+    return this.labels.length === 0 ? 0 : this.deletedCount / this.labels.length;
+  }
+
+  has(label) {
+    return this.labelToSlot.has(label);
+  }
+
+  distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return 1 - dot;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * 添加或替换向量
+   * @param {number} label - 外部 ID（如 vector_index 的行 ID）
+   * @param {number[]|Float32Array} vector - 向量
+   */
+  add(label, vector) {
+    if (vector.length !== this.dimension) {
+      throw new Error(`向量维度不匹配：索引为 ${this.dimension}，传入 ${vector.length}`);
+    }
+    if (this.labelToSlot.has(label)) {
+      this.remove(label);
+    }
+
+    const slot = this.labels.length;
+    const level = this.randomLevel();
+    const normalized = normalize(vector);
+
+    this.vectors.push(normalized);
+    this.labels.push(label);
+    this.levels.push(level);
+    this.deleted.push(false);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+    this.labelToSlot.set(label, slot);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    // 从顶层贪心下降到 level + 1 层
+    let current = this.entryPoint;
+    let currentDistance = this.distance(normalized, this.vectors[current]);
+    for (let l = this.maxLevel; l > level; l--) {
+      ({ slot: current, distance: currentDistance } = this.greedyClosest(normalized, current, currentDistance, l));
+    }
+
+    // 在 min(level, maxLevel) 及以下各层建立连接
+    let entryPoints = [{ slot: current, distance: currentDistance }];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(normalized, entryPoints, this.efConstruction, l);
+      const maxConnections = l === 0 ? this.maxM0 : this.M;
+      const selected = this.selectNeighbors(candidates, this.M);
+
+      this.neighbors[slot][l] = selected.map(c => c.slot);
+      for (const { slot: neighbor } of selected) {
+        const links = this.neighbors[neighbor][l];
+        links.push(slot);
+        if (links.length > maxConnections) {
+          this.shrinkConnections(neighbor, l, maxConnections);
+        }
+      }
+      entryPoints = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * 删除向量（墓碑标记）
+   * @returns {boolean} 是否存在并被删除
+   */
+  remove(label) {
+    const slot = this.labelToSlot.get(label);
+    if (slot === undefined) {
+      return false;
+    }
+    this.labelToSlot.delete(label);
+    this.deleted[slot] = true;
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * 查询最相似的 k 个向量
+   * @param {number[]|Float32Array} query - 查询向量
+   * @param {number} k - 返回数量
+   * @param {number} ef - 候选集大小（默认 efSearch）
+   * @returns {Array<{label: number, score: number}>} 按相似度降序
+   */
+  search(query, k = 5, ef = this.efSearch) {
+    if (this.size === 0) {
+      return [];
+    }
+    if (query.length !== this.dimension) {
+      throw new Error(`查询向量维度不匹配：索引为 ${this.dimension}，传入 ${query.length}`);
+    }
+
+    const normalized = normalize(query);
+    let current = this.entryPoint;
+    let currentDistance = this.distance(normalized, this.vectors[current]);
+    for (let l = this.maxLevel; l > 0; l--) {
+      ({ slot: current, distance: currentDistance } = this.greedyClosest(normalized, current, currentDistance, l));
+    }
+
+    // 墓碑节点会占用候选位置，按比例放大 ef
+    const effectiveEf = Math.ceil(Math.max(ef, k) / Math.max(0.1, 1 - this.deletedRatio));
+    const candidates = this.searchLayer(normalized, [{ slot: current, distance: currentDistance }], effectiveEf, 0);
+
+    return candidates
+      .filter(c => !this.deleted[c.slot])
+      .slice(0, k)
+      .map(c => ({ label: this.labels[c.slot], score: 1 - c.distance }));
+  }
+
+  /**
+   * 在某一层上贪心移动到离 query 最近的节点
+   */
+  greedyClosest(query, start, startDistance, level) {
+    let current = start;
+    let currentDistance = startDistance;
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const neighbor of this.neighbors[current][level] || []) {
+        const d = this.distance(query, this.vectors[neighbor]);
+        if (d < currentDistance) {
+          current = neighbor;
+          currentDistance = d;
+          changed = true;
+        }
+      }
+    }
+    return { slot: current, distance: currentDistance };
+  }
+
+  /**
+   * 在某一层上做 ef 宽度的最佳优先搜索
+   * @returns {Array<{slot, distance}>} 按距离升序
+   */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = this.nextVisitedMarks();
+    const generation = this.visitedGeneration;
+    const candidates = new BinaryHeap(nearestFirst);
+    const results = new BinaryHeap(farthestFirst);
+
+    for (const entry of entryPoints) {
+      if (visited[entry.slot] === generation) continue;
+      visited[entry.slot] = generation;
+      candidates.push(entry);
+      results.push(entry);
+      if (results.size > ef) results.pop();
+    }
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (results.size >= ef && closest.distance > results.peek().distance) {
+        break;
+      }
+      for (const neighbor of this.neighbors[closest.slot][level] || []) {
+        if (visited[neighbor] === generation) continue;
+        visited[neighbor] = generation;
+        const d = this.distance(query, this.vectors[neighbor]);
+        if (results.size < ef || d < results.peek().distance) {
+          const item = { slot: neighbor, distance: d };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(nearestFirst);
+  }
+
+  nextVisitedMarks() {
+    if (this.visitedMarks.length < this.labels.length) {
+      this.visitedMarks = new Uint32Array(Math.max(1024, this.labels.length * 2));
+      this.visitedGeneration = 0;
+    }
+    this.visitedGeneration++;
+    if (this.visitedGeneration === 0xFFFFFFFF) {
+      this.visitedMarks.fill(0);
+      this.visitedGeneration = 1;
+    }
+    return this.visitedMarks;
+  }
+
+  /**
+   * 启发式选邻居：候选离 query 比离已选邻居都近时才保留，保持图的连通性和方向多样性
+   * 被过滤掉的候选不再补回，邻居列表留有空位可以减少后续的 shrinkConnections
+   * @param {Array<{slot, distance}>} candidates - 按距离升序
+   */
+  selectNeighbors(candidates, m) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+      let keep = true;
+      for (const chosen of selected) {
+        if (this.distance(this.vectors[candidate.slot], this.vectors[chosen.slot]) < candidate.distance) {
+          keep = false;
+          break;
+        }
+      }
+      if (keep) {
+        selected.push(candidate);
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * 邻居数超过上限时重新挑选
+   */
+  shrinkConnections(slot, level, maxConnections) {
+    const base = this.vectors[slot];
+    const candidates = this.neighbors[slot][level]
+      .map(neighbor => ({ slot: neighbor, distance: this.distance(base, this.vectors[neighbor]) }))
+      .sort(nearestFirst);
+    this.neighbors[slot][level] = this.selectNeighbors(candidates, maxConnections).map(c => c.slot);
+  }
+
+  /**
+   * 去掉墓碑节点，按原插入顺序重建索引
+   * @returns {HNSWIndex} 新索引
+   */
+  compact() {
+    const rebuilt = new HNSWIndex({
+      dimension: this.dimension,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      seed: this.seed
+    });
+    for (let slot = 0; slot < this.labels.length; slot++) {
+      if (!this.deleted[slot]) {
+        rebuilt.add(this.labels[slot], this.vectors[slot]);
+      }
+    }
+    return rebuilt;
+  }
+
+  /**
+   * 序列化为二进制：MAGIC(4) + 头部长度(4) + JSON 头部 + Float32 向量块
+   * @param {Object} meta - 附加信息（由调用方使用，如数据版本戳）
+   * @returns {Buffer}
+   */
+  serialize(meta = {}) {
+    const header = Buffer.from(JSON.stringify({
+      version: FORMAT_VERSION,
+      dimension: this.dimension,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      seed: this.seed,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      labels: this.labels,
+      levels: this.levels,
+      neighbors: this.neighbors,
+      deleted: this.deleted.reduce((slots, isDeleted, slot) => {
+        if (isDeleted) slots.push(slot);
+        return slots;
+      }, []),
+      meta
+    }), 'utf8');
+
+    const vectorBytes = this.labels.length * this.dimension * 4;
+    const buffer = Buffer.alloc(8 + header.length + vectorBytes);
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt32LE(header.length, 4);
+    header.copy(buffer, 8);
+
+    let offset = 8 + header.length;
+    for (const vector of this.vectors) {
+      Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).copy(buffer, offset);
+      offset += vector.byteLength;
+    }
+    return buffer;
+  }
+
+  /**
+   * 从二进制恢复索引
+   * @param {Buffer} buffer
+   * @returns {{ index: HNSWIndex, meta: Object }}
+   */
+  static deserialize(buffer) {
+    if (buffer.length < 8 || buffer.toString('ascii', 0, 4) !== MAGIC) {
+      throw new Error('不是有效的 HNSW 索引文件');
+    }
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+    if (header.version !== FORMAT_VERSION) {
+      throw new Error(`不支持的 HNSW 索引版本: ${header.version}`);
+    }
+
+    const index = new HNSWIndex({
+      dimension: header.dimension,
+      M: header.M,
+      efConstruction: header.efConstruction,
+      efSearch: header.efSearch,
+      seed: header.seed
+    });
+    const count = header.labels.length;
+    const expectedLength = 8 + headerLength + count * header.dimension * 4;
+    if (buffer.length !== expectedLength) {
+      throw new Error('HNSW 索引文件已损坏（长度不符）');
+    }
+
+    let offset = 8 + headerLength;
+    for (let slot = 0; slot < count; slot++) {
+      const bytes = buffer.subarray(offset, offset + header.dimension * 4);
+      // 复制一份，保证 Float32Array 的内存对齐
+      index.vectors.push(new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)));
+      offset += header.dimension * 4;
+    }
+
+    index.labels = header.labels;
+    index.levels = header.levels;
+    index.neighbors = header.neighbors;
+    index.deleted = new Array(count).fill(false);
+    for (const slot of header.deleted) {
+      index.deleted[slot] = true;
+    }
+    index.deletedCount = header.deleted.length;
+    for (let slot = 0; slot < count; slot++) {
+      if (!index.deleted[slot]) {
+        index.labelToSlot.set(index.labels[slot], slot);
+      }
+    }
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    // 继续插入时使用不同的随机序列
+    index.random = createRandom(header.seed + count);
+
+    return { index, meta: header.meta || {} };
+  }
+}
+
+module.exports = HNSWIndex;
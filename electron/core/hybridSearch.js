@@ -0,0 +1,124 @@
+/**
+ * Hybrid Search - 关键词（BM25）+ 向量的混合检索
+ *
+ * 两路召回各取若干候选，用倒数排名融合（Reciprocal Rank Fusion）合并：
+ *   score(d) = Σ 1 / (k + rank_i(d))
+ * 只看名次不看原始分数，BM25 分数和余弦相似度不需要归一化到同一量纲。
+ *
+ * 关键词索引建立在与向量检索相同的范围（工作区 + Embedding 模型）的文本块上，
+ * 在内存中缓存，数据库版本戳或专有名词表变化时重建。
+ */
+
+const { vectorIndex } = require('./database');
+const vectorSearch = require('./vectorSearch');
+const { BM25Index } = require('./keywordIndex');
+
+// RRF 常数，原论文推荐值
+const RRF_K = 60;
+// 每一路召回的候选数 = topK * CANDIDATE_FACTOR
+const CANDIDATE_FACTOR = 4;
+
+// scopeKey -> { index, stamp, termsKey }
+const keywordIndexes = new Map();
+
+/**
+ * 倒数排名融合
+ * @param {Array<Array<number|string>>} rankings - 多路召回结果（按名次排列的 ID）
+ * @param {number} k - RRF 常数
+ * @returns {Array<{id, score}>} 按融合得分降序
+ */
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((id, rank) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, score]) => ({ id, score }));
+}
+
+/**
+ * 获取（必要时重建）关键词索引
+ */
+function getKeywordIndex(workspaceRoot, modelId, terms) {
+  const key = `${modelId}:${workspaceRoot}`;
+  const stamp = vectorIndex.getScopeStamp(workspaceRoot, modelId);
+  const termsKey = [...terms].sort().join('\n');
+
+  const cached = keywordIndexes.get(key);
+  if (cached && cached.stamp === stamp && cached.termsKey === termsKey) {
+    return cached.index;
+  }
+
+  const index = new BM25Index({ terms });
+  for (const row of vectorIndex.getTextsByScope(workspaceRoot, modelId)) {
+    index.add(row.id, row.chunk_text);
+  }
+  keywordIndexes.set(key, { index, stamp, termsKey });
+  return index;
+}
+
+/**
+ * 混合检索
+ * @param {string} queryText - 查询文本
+ * @param {number[]|null} queryEmbedding - 查询向量（为空时只做关键词检索）
+ * @param {number} topK - 返回数量
+ * @param {Object} options
+ * @param {string} options.workspaceRoot - 工作区路径
+ * @param {number} options.modelId - Embedding 模型 ID
+ * @param {string[]} options.terms - 专有名词（人名、地名、功法名等）
+ * @returns {Array<{id, filePath, chunkIndex, text, score, similarity, sources, matchedTerms}>}
+ */
+function search(queryText, queryEmbedding, topK = 5, { workspaceRoot, modelId, terms = [] } = {}) {
+  if (!workspaceRoot || modelId === undefined || modelId === null) {
+    return [];
+  }
+
+  const candidateCount = topK * CANDIDATE_FACTOR;
+
+  const vectorHits = queryEmbedding
+    ? vectorSearch.search(queryEmbedding, candidateCount, { workspaceRoot, modelId })
+    : [];
+  const keywordHits = getKeywordIndex(workspaceRoot, modelId, terms).search(queryText, candidateCount);
+
+  const fused = reciprocalRankFusion([
+    vectorHits.map(hit => hit.id),
+    keywordHits.map(hit => hit.id)
+  ]).slice(0, topK);
+  if (fused.length === 0) {
+    return [];
+  }
+
+  const vectorById = new Map(vectorHits.map(hit => [hit.id, hit]));
+  const keywordById = new Map(keywordHits.map(hit => [hit.id, hit]));
+  const chunks = new Map(vectorIndex.getChunksByIds(fused.map(hit => hit.id)).map(row => [row.id, row]));
+
+  return fused
+    .filter(hit => chunks.has(hit.id))
+    .map(hit => {
+      const chunk = chunks.get(hit.id);
+      const vectorHit = vectorById.get(hit.id);
+      const keywordHit = keywordById.get(hit.id);
+      const sources = [];
+      if (vectorHit) sources.push('vector');
+      if (keywordHit) sources.push('keyword');
+      return {
+        id: chunk.id,
+        filePath: chunk.file_path,
+        chunkIndex: chunk.chunk_index,
+        text: chunk.chunk_text,
+        score: hit.score.toFixed(4),
+        similarity: vectorHit ? vectorHit.similarity : null,
+        sources,
+        matchedTerms: keywordHit ? [...new Set(keywordHit.matchedTerms)] : []
+      };
+    });
+}
+
+module.exports = {
+  search,
+  reciprocalRankFusion,
+  RRF_K
+};
@@ -0,0 +1,188 @@
+/**
+ * Keyword Index - 本地全文检索（BM25，纯 JS 实现）
+ *
+ * - 中文按相邻两字（bigram）切分，孤立的单字保留为单字；英文、数字按词切分并转小写
+ * - 另外支持"词条"：人名、地名、功法名等专有名词整体作为一个词项，
+ *   保证原文中出现的名称被精确命中（只靠二元组时，三字以上的名称区分度不够）
+ */
+
+// CJK 统一表意文字（含扩展 A 和兼容区）
+const CJK_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const WORD_PATTERN = /[a-z0-9]+/g;
+// 词条词项的前缀，避免与普通词项冲突
+const TERM_PREFIX = '#';
+// 词条命中的权重
+const TERM_BOOST = 2;
+
+/**
+ * 切分文本为词项
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const tokens = [];
+  const lower = text.toLowerCase();
+
+  for (const run of lower.match(CJK_PATTERN) || []) {
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      tokens.push(run.slice(i, i + 2));
+    }
+  }
+
+  for (const word of lower.match(WORD_PATTERN) || []) {
+    tokens.push(word);
+  }
+
+  return tokens;
+}
+
+/**
+ * 找出文本中出现的词条（较长的词条优先，被更长词条覆盖的位置不重复计数）
+ * @param {string} text
+ * @param {string[]} terms - 按长度降序排列的词条
+ * @returns {string[]} 每次出现记一次
+ */
+function findTerms(text, terms) {
+  if (!text || terms.length === 0) return [];
+  const found = [];
+  const covered = new Uint8Array(text.length);
+
+  for (const term of terms) {
+    let from = 0;
+    while (true) {
+      const at = text.indexOf(term, from);
+      if (at === -1) break;
+      if (!covered[at]) {
+        found.push(term);
+        covered.fill(1, at, at + term.length);
+      }
+      from = at + term.length;
+    }
+  }
+  return found;
+}
+
+class BM25Index {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.terms - 专有名词词条
+   * @param {number} options.k1 - 词频饱和参数
+   * @param {number} options.b - 文档长度归一化参数
+   */
+  constructor({ terms = [], k1 = 1.2, b = 0.75 } = {}) {
+    this.terms = [...new Set(terms)].filter(Boolean).sort((x, y) => y.length - x.length);
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // 词项 -> Map(docId -> 词频)
+    this.docLengths = new Map(); // docId -> 词项数
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docLengths.size;
+  }
+
+  // 文本 -> 词项（含词条）
+  analyze(text) {
+    const tokens = tokenize(text);
+    for (const term of findTerms(text, this.terms)) {
+      tokens.push(TERM_PREFIX + term);
+    }
+    return tokens;
+  }
+
+  /**
+   * 添加文档
+   * @param {number|string} id
+   * @param {string} text
+   */
+  add(id, text) {
+    if (this.docLengths.has(id)) {
+      this.remove(id);
+    }
+
+    const tokens = this.analyze(text);
+    const counts = new Map();
+    for (const token of tokens) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    for (const [token, count] of counts) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+      }
+      this.postings.get(token).set(id, count);
+    }
+
+    this.docLengths.set(id, tokens.length);
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const length = this.docLengths.get(id);
+    if (length === undefined) return false;
+
+    for (const [token, docs] of this.postings) {
+      if (docs.delete(id) && docs.size === 0) {
+        this.postings.delete(token);
+      }
+    }
+    this.docLengths.delete(id);
+    this.totalLength -= length;
+    return true;
+  }
+
+  /**
+   * 查询
+   * @param {string} query - 查询文本
+   * @param {number} topK - 返回数量
+   * @returns {Array<{id, score, matchedTerms: string[]}>} 按得分降序
+   */
+  search(query, topK = 10) {
+    const docCount = this.docLengths.size;
+    if (docCount === 0) return [];
+
+    const queryCounts = new Map();
+    for (const token of this.analyze(query)) {
+      queryCounts.set(token, (queryCounts.get(token) || 0) + 1);
+    }
+
+    const avgLength = this.totalLength / docCount;
+    const scores = new Map();
+    const matched = new Map();
+
+    for (const [token, queryCount] of queryCounts) {
+      const docs = this.postings.get(token);
+      if (!docs) continue;
+
+      const idf = Math.log(1 + (docCount - docs.size + 0.5) / (docs.size + 0.5));
+      const isTerm = token.startsWith(TERM_PREFIX);
+      // 查询中重复出现的词项按对数加权，避免长查询被个别高频二元组主导
+      const weight = (isTerm ? TERM_BOOST : 1) * (1 + Math.log(queryCount));
+
+      for (const [id, tf] of docs) {
+        const norm = tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * this.docLengths.get(id) / avgLength));
+        scores.set(id, (scores.get(id) || 0) + weight * idf * norm);
+        if (isTerm) {
+          if (!matched.has(id)) matched.set(id, []);
+          matched.get(id).push(token.slice(TERM_PREFIX.length));
+        }
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([id, score]) => ({ id, score, matchedTerms: matched.get(id) || [] }));
+  }
+}
+
+module.exports = {
+  BM25Index,
+  tokenize,
+  findTerms
+};
@@ -1,112 +1,597 @@
 const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('../utils/logger');
+const { getProvider } = require('./providers');
+
+// 用量统计：由主进程注册记录函数，调用方通过上下文标注工作区 / 章节 / 技能
+const usageContext = new AsyncLocalStorage();
+let usageRecorder = null;
+
+/**
+ * 注册 token 用量记录函数
+ * @param {Function|null} recorder - ({ usage, config, tag }) => void
+ */
+function setUsageRecorder(recorder) {
+  usageRecorder = recorder;
+}
+
+/**
+ * 在指定的用量标注下执行 fn，期间所有 LLM 调用都会带上这些标注
+ * 嵌套调用时内层标注覆盖外层同名字段
+ * @param {Object} tag - { workspace, chapter, skill }
+ * @param {Function} fn - 要执行的（异步）函数
+ */
+function withUsageContext(tag, fn) {
+  const parent = usageContext.getStore() || {};
+  return usageContext.run({ ...parent, ...tag }, fn);
+}
+
+/**
+ * 当前的用量标注（{ workspace, chapter, skill }，不在标注下时为空对象）
+ */
+function getUsageContext() {
+  return usageContext.getStore() || {};
+}
+
+/**
+ * 上报一次调用的用量（记录失败不影响 LLM 调用本身）
+ */
+function reportUsage(config, usage, options) {
+  if (!usageRecorder || !usage) {
+    return;
+  }
+  const tag = { ...(usageContext.getStore() || {}), ...(options.usageTag || {}) };
+  try {
+    usageRecorder({ usage, config, tag });
+  } catch (error) {
+    console.error('记录 LLM 用量失败:', error.message);
+  }
+}
+
+// 默认重试策略：指数退避 + 随机抖动
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,       // 单个模型的最大重试次数（不含首次请求）
+  baseDelay: 1000,     // 首次重试的基础等待时间（毫秒）
+  maxDelay: 30000,     // 单次等待的上限（毫秒）
+  maxRetryAfter: 120000 // 服务端 Retry-After 的最长接受时间（毫秒）
+};
 
 /**
- * 调用 OpenAI 兼容的 API
+ * 等待 ms 毫秒，signal 中止时提前结束
+ * @returns {Promise<boolean>} 是否等满（false 表示被中止）
+ */
+function sleep(ms, signal = null) {
+  if (signal?.aborted) {
+    return Promise.resolve(false);
+  }
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 用户取消（options.signal 中止）时抛出的错误
+ */
+function createCancelledError(attempts) {
+  const error = new Error('用户取消了操作');
+  error.retryable = false;
+  error.cancelled = true;
+  error.attempts = attempts;
+  return error;
+}
+
+/**
+ * 判断错误是否值得重试：429、5xx、网络错误和超时
+ * @param {Error} error - axios 抛出的错误
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (axios.isCancel(error)) {
+    return false;
+  }
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+  // 请求已发出但没有响应（连接失败、超时等）
+  return !!error.request || error.code === 'ECONNABORTED';
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {Error} error - axios 抛出的错误
+ * @returns {number|null} 需要等待的毫秒数
+ */
+function getRetryAfterMs(error) {
+  const value = error.response?.headers?.['retry-after'];
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间
+ * 优先遵守 Retry-After，否则使用指数退避并在 [delay/2, delay] 之间随机抖动
+ * @param {number} attempt - 重试序号（从 1 开始）
+ * @param {Object} retryOptions - 重试配置
+ * @param {number|null} retryAfterMs - 服务端要求的等待时间
+ * @returns {number} 毫秒
+ */
+function computeBackoffDelay(attempt, retryOptions, retryAfterMs = null) {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, retryOptions.maxRetryAfter);
+  }
+  const exponential = Math.min(retryOptions.baseDelay * Math.pow(2, attempt - 1), retryOptions.maxDelay);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * 把 axios 错误转换为可读的错误信息
+ */
+function formatLLMError(error, baseUrl, adapter) {
+  if (error.response) {
+    // 服务器返回错误（各提供方的错误体格式不同）
+    const detail = adapter ? adapter.getErrorMessage(error.response.data) : null;
+    return `API Error: ${error.response.status} - ${detail || error.message}`;
+  } else if (error.request) {
+    // 请求已发送但没有收到响应
+    return `Network Error: 无法连接到 API (${baseUrl})`;
+  }
+  // 其他错误
+  return `Error: ${error.message}`;
+}
+
+/**
+ * 统一的采样参数（各适配器再转换为自己的字段名）
+ */
+function getSamplingParams(options) {
+  return {
+    temperature: options.temperature || 0.7,
+    maxTokens: options.maxTokens || 2000
+  };
+}
+
+/**
+ * 发送一次对话请求（不重试），请求和响应格式由 config.provider 对应的适配器决定
  * @param {Object} config - 模型配置
- * @param {Array} messages - 消息列表
+ * @param {Array} messages - 消息列表（OpenAI 格式）
  * @param {Object} options - 其他选项
- * @returns {Promise<string>} - 返回 AI 回复
+ * @param {Object} meta - 日志信息（attempt、provider）
+ * @returns {Promise<string>}
  */
-async function callLLM(config, messages, options = {}) {
-  const { baseUrl, apiKey, model } = config;
+async function requestOnce(config, messages, options, meta) {
+  const { baseUrl, model } = config;
   const startTime = Date.now();
-  
-  // 准备请求数据
-  const requestData = {
-    model: model,
-    messages: messages,
-    temperature: options.temperature || 0.7,
-    max_tokens: options.maxTokens || 2000,
-    stream: false
+  const params = getSamplingParams(options);
+  let adapter = null;
+
+  const logRequest = {
+    model,
+    baseUrl,
+    messages,
+    temperature: params.temperature,
+    maxTokens: params.maxTokens,
+    attempt: meta.attempt,
+    provider: meta.provider
   };
   
   try {
+    adapter = getProvider(config.provider);
+    const request = adapter.buildChatRequest(config, messages, params, false);
     const response = await axios.post(
-      `${baseUrl}/chat/completions`,
-      requestData,
+      request.url,
+      request.body,
       {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
+        headers: request.headers,
+        signal: options.signal,
         timeout: options.timeout || 6000000 // 60秒超时
       }
     );
     
     const duration = Date.now() - startTime;
+    const { content, usage } = adapter.parseChatResponse(response.data);
     
-    if (response.data && response.data.choices && response.data.choices.length > 0) {
-      const content = response.data.choices[0].message.content;
-      const usage = response.data.usage || null;
-      
+    if (content !== null) {
       // 记录成功的请求
-      logger.logLLMRequest(
-        {
-          model,
-          baseUrl,
-          messages,
-          temperature: requestData.temperature,
-          maxTokens: requestData.max_tokens
-        },
-        {
-          success: true,
-          content,
-          usage
-        },
-        duration
-      );
+      logger.logLLMRequest(logRequest, { success: true, content, usage }, duration);
+      reportUsage(config, usage, options);
       
       return content;
-    } else {
-      throw new Error('Invalid response from LLM API');
     }
+
+    const invalidError = new Error('Invalid response from LLM API');
+    invalidError.retryable = false;
+    throw invalidError;
   } catch (error) {
     const duration = Date.now() - startTime;
-    let errorMessage = '';
+    const errorMessage = error.retryable === false || !adapter
+      ? `Error: ${error.message}`
+      : formatLLMError(error, baseUrl, adapter);
+    
+    // 记录失败的请求
+    logger.logLLMRequest(logRequest, { success: false, error: errorMessage }, duration);
     
-    if (error.response) {
-      // 服务器返回错误
-      errorMessage = `API Error: ${error.response.status} - ${error.response.data?.error?.message || error.message}`;
-    } else if (error.request) {
-      // 请求已发送但没有收到响应
+    const wrapped = new Error(errorMessage);
+    wrapped.retryable = error.retryable === false || !adapter ? false : isRetryableError(error);
+    wrapped.retryAfterMs = getRetryAfterMs(error);
+    wrapped.status = error.response?.status || null;
+    wrapped.cancelled = axios.isCancel(error);
+    throw wrapped;
+  }
+}
+
+/**
+ * 对同一个模型按退避策略重试 request（429、5xx、网络错误时重试）
+ * 流式请求已输出部分内容时不再重试，避免重复推送
+ * @param {Object} config - 模型配置
+ * @param {Object} options - 调用选项（retry、onRetry、signal）
+ * @param {Function} request - 发送一次请求 ({ attempt, provider }) => Promise
+ */
+async function withRetry(config, options, request) {
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...(options.retry || {}) };
+  const provider = config.name || config.model;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      return await request({ attempt, provider });
+    } catch (error) {
+      const canRetry = error.retryable && !error.cancelled && !error.partialContent &&
+        !options.signal?.aborted && attempt <= retryOptions.maxRetries;
+      if (!canRetry) {
+        if (!error.cancelled) {
+          console.error('LLM API 调用失败:', error.message);
+        }
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = computeBackoffDelay(attempt, retryOptions, error.retryAfterMs);
+      console.warn(`⚠️ [LLM] ${provider} 第${attempt}次请求失败（${error.message}），${delay}ms 后重试`);
+      if (options.onRetry) {
+        options.onRetry({ attempt, delay, error: error.message, provider });
+      }
+      // 等待期间用户取消时不再重试
+      if (!(await sleep(delay, options.signal))) {
+        throw createCancelledError(attempt);
+      }
+    }
+  }
+}
+
+/**
+ * 按顺序对多个模型调用 call：当前模型重试耗尽后切换到下一个备用模型
+ * 用户取消或流式请求已输出部分内容时不再切换
+ * @param {Array<Object>} configs - 有序的模型配置列表（第一个为首选模型）
+ * @param {Object} options - 调用选项（signal）
+ * @param {Function} call - 调用单个模型 (config) => Promise
+ */
+async function withFallback(configs, options, call) {
+  const chain = (configs || []).filter(Boolean);
+  if (chain.length === 0) {
+    throw new Error('未找到可用的模型配置');
+  }
+
+  const failures = [];
+  let lastError = null;
+  for (let i = 0; i < chain.length; i++) {
+    const config = chain[i];
+    try {
+      const content = await call(config);
+      if (i > 0) {
+        logger.logAgent('LLM 已切换到备用模型', { provider: config.name || config.model, fallbackIndex: i });
+      }
+      return content;
+    } catch (error) {
+      lastError = error;
+      failures.push(`${config.name || config.model}: ${error.message}`);
+      // 用户取消时不再尝试其他模型
+      if (error.cancelled || options.signal?.aborted || error.partialContent) {
+        throw error;
+      }
+      if (i < chain.length - 1) {
+        console.warn(`⚠️ [LLM] ${config.name || config.model} 不可用，切换到备用模型 ${chain[i + 1].name || chain[i + 1].model}`);
+      }
+    }
+  }
+
+  if (chain.length === 1) {
+    throw lastError;
+  }
+  throw new Error(`所有模型均调用失败：${failures.join('；')}`);
+}
+
+/**
+ * 调用 LLM API（429、5xx、网络错误时按退避策略重试）
+ * @param {Object} config - 模型配置
+ * @param {Array} messages - 消息列表
+ * @param {Object} options - 其他选项
+ * @param {Object} options.retry - 重试配置，覆盖 DEFAULT_RETRY_OPTIONS
+ * @param {Function} options.onRetry - 每次重试前回调 ({ attempt, delay, error, provider })
+ * @param {Object} options.usageTag - 用量标注（workspace、chapter、skill），覆盖 withUsageContext 的值
+ * @param {AbortSignal} options.signal - 取消请求，也会中断重试前的等待
+ * @returns {Promise<string>} - 返回 AI 回复
+ */
+async function callLLM(config, messages, options = {}) {
+  return withRetry(config, options, meta => requestOnce(config, messages, options, meta));
+}
+
+/**
+ * 按顺序尝试多个模型：当前模型重试耗尽后切换到下一个备用模型
+ * @param {Array<Object>} configs - 有序的模型配置列表（第一个为首选模型）
+ * @param {Array} messages - 消息列表
+ * @param {Object} options - 其他选项（同 callLLM）
+ * @returns {Promise<string>} - 返回 AI 回复
+ */
+async function callLLMWithFallback(configs, messages, options = {}) {
+  return withFallback(configs, options, config => callLLM(config, messages, options));
+}
+
+/**
+ * 发送一次流式请求（不重试，OpenAI / Anthropic 为 SSE，Ollama 为逐行 JSON）
+ * @param {Object} config - 模型配置
+ * @param {Array} messages - 消息列表
+ * @param {Function} onChunk - 每收到一段增量文本时回调 (delta, fullContent)
+ * @param {Object} options - 其他选项（temperature、maxTokens、timeout、signal）
+ * @param {Object} meta - 日志信息（attempt、provider）
+ * @returns {Promise<string>} - 返回完整的 AI 回复
+ */
+async function streamOnce(config, messages, onChunk, options, meta) {
+  const { baseUrl, model } = config;
+  const startTime = Date.now();
+  const params = getSamplingParams(options);
+
+  const logRequest = {
+    model,
+    baseUrl,
+    messages,
+    temperature: params.temperature,
+    maxTokens: params.maxTokens,
+    attempt: meta.attempt,
+    provider: meta.provider
+  };
+
+  let content = '';
+  let usage = null;
+  let adapter = null;
+  let onAbort = null;
+
+  try {
+    adapter = getProvider(config.provider);
+    const request = adapter.buildChatRequest(config, messages, params, true);
+    const response = await axios.post(
+      request.url,
+      request.body,
+      {
+        headers: request.headers,
+        responseType: 'stream',
+        signal: options.signal,
+        timeout: options.timeout || 6000000
+      }
+    );
+
+    await new Promise((resolve, reject) => {
+      const stream = response.data;
+      let buffer = '';
+      let finished = false;
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        resolve();
+      };
+
+      const fail = (err) => {
+        if (finished) return;
+        finished = true;
+        stream.destroy();
+        reject(err);
+      };
+
+      // 解析一行数据：增量文本、用量（部分提供方分多次返回）和结束标记
+      const handleLine = (line) => {
+        const event = adapter.parseStreamLine(line);
+        if (!event) return;
+
+        if (event.usage) {
+          usage = { ...(usage || {}), ...event.usage };
+        }
+
+        if (event.delta) {
+          content += event.delta;
+          if (onChunk) {
+            onChunk(event.delta, content);
+          }
+        }
+
+        if (event.done) {
+          finish();
+        }
+      };
+
+      // 使用字符串解码，避免多字节中文字符被拆在两个数据块之间
+      stream.setEncoding('utf8');
+
+      stream.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        // 最后一段可能是不完整的行，留到下一次
+        buffer = lines.pop();
+        try {
+          for (const line of lines) {
+            handleLine(line);
+          }
+        } catch (err) {
+          fail(err);
+        }
+      });
+
+      stream.on('end', () => {
+        try {
+          if (buffer) {
+            handleLine(buffer);
+          }
+          finish();
+        } catch (err) {
+          fail(err);
+        }
+      });
+
+      stream.on('error', (err) => {
+        if (!finished) {
+          finished = true;
+          reject(err);
+        }
+      });
+
+      // 中途取消：销毁底层连接
+      if (options.signal) {
+        onAbort = () => fail(new Error('用户取消了操作'));
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    const duration = Date.now() - startTime;
+
+    if (usage && usage.total_tokens === undefined) {
+      usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+
+    logger.logLLMRequest(logRequest, { success: true, content, usage }, duration);
+    reportUsage(config, usage, options);
+
+    return content;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    let errorMessage = '';
+
+    if (options.signal?.aborted || axios.isCancel(error)) {
+      errorMessage = '用户取消了操作';
+    } else if (!adapter) {
+      errorMessage = `Error: ${error.message}`;
+    } else if (error.response) {
+      // 流式模式下错误响应体也是流，无法直接读取 error.message；丢弃响应体，释放连接
+      error.response.data?.destroy?.();
+      errorMessage = `API Error: ${error.response.status} - ${error.message}`;
+    } else if (error.request && !content) {
       errorMessage = `Network Error: 无法连接到 API (${baseUrl})`;
     } else {
-      // 其他错误
       errorMessage = `Error: ${error.message}`;
     }
-    
-    // 记录失败的请求
+
     logger.logLLMRequest(
-      {
-        model,
-        baseUrl,
-        messages,
-        temperature: requestData.temperature,
-        maxTokens: requestData.max_tokens
-      },
+      logRequest,
       {
         success: false,
+        content: content || null,
         error: errorMessage
       },
       duration
     );
-    
-    console.error('LLM API 调用失败:', errorMessage);
-    throw new Error(errorMessage);
+
+    const err = new Error(errorMessage);
+    err.partialContent = content;
+    err.cancelled = errorMessage === '用户取消了操作';
+    // 只有还没收到内容的请求值得重试（withRetry 会检查 partialContent）
+    err.retryable = !!adapter && !err.cancelled && isRetryableError(error);
+    err.retryAfterMs = getRetryAfterMs(error);
+    err.status = error.response?.status || null;
+    throw err;
+  } finally {
+    // 同一个 signal 可能被多次调用复用，结束后移除监听，避免累积
+    if (onAbort) {
+      options.signal.removeEventListener('abort', onAbort);
+    }
   }
 }
 
 /**
- * 流式调用 LLM（暂未实现，预留接口）
+ * 流式调用 LLM，收到第一段内容之前按退避策略重试（同 callLLM）
+ * @param {Object} config - 模型配置
+ * @param {Array} messages - 消息列表
+ * @param {Function} onChunk - 每收到一段增量文本时回调 (delta, fullContent)
+ * @param {Object} options - 其他选项（同 callLLM，另有 timeout）
+ * @returns {Promise<string>} - 返回完整的 AI 回复；失败时错误的 partialContent 为已收到的内容
  */
 async function callLLMStream(config, messages, onChunk, options = {}) {
-  // TODO: 实现流式响应
-  throw new Error('Stream mode not implemented yet');
+  return withRetry(config, options, meta => streamOnce(config, messages, onChunk, options, meta));
+}
+
+/**
+ * 流式调用 LLM 并按顺序尝试多个模型：收到第一段内容之前失败时重试，重试耗尽后切换到下一个备用模型
+ * @param {Array<Object>} configs - 有序的模型配置列表（第一个为首选模型）
+ * @param {Array} messages - 消息列表
+ * @param {Function} onChunk - 每收到一段增量文本时回调 (delta, fullContent)
+ * @param {Object} options - 其他选项（同 callLLMStream）
+ * @returns {Promise<string>} - 返回完整的 AI 回复
+ */
+async function callLLMStreamWithFallback(configs, messages, onChunk, options = {}) {
+  return withFallback(configs, options, config => callLLMStream(config, messages, onChunk, options));
+}
+
+/**
+ * 获取文本的 embedding 向量
+ * @param {Object} config - 向量模型配置（baseUrl、apiKey、model、provider）
+ * @param {string} text - 文本
+ * @param {Object} options - 其他选项（timeout）
+ * @returns {Promise<number[]>}
+ */
+async function callEmbedding(config, text, options = {}) {
+  try {
+    const adapter = getProvider(config.provider);
+    const request = adapter.buildEmbeddingRequest(config, text);
+    const response = await axios.post(
+      request.url,
+      request.body,
+      {
+        headers: request.headers,
+        timeout: options.timeout || 6000000
+      }
+    );
+
+    const embedding = adapter.parseEmbeddingResponse(response.data);
+    if (embedding) {
+      return embedding;
+    }
+
+    throw new Error('Invalid embedding response');
+  } catch (err) {
+    throw new Error(`Embedding API 调用失败: ${err.message}`);
+  }
 }
 
 module.exports = {
   callLLM,
-  callLLMStream
+  callLLMWithFallback,
+  callLLMStream,
+  callLLMStreamWithFallback,
+  callEmbedding,
+  setUsageRecorder,
+  withUsageContext,
+  getUsageContext,
+  isRetryableError,
+  computeBackoffDelay,
+  DEFAULT_RETRY_OPTIONS
 };
 
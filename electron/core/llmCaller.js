@@ -0,0 +1,94 @@
+/**
+ * LLM Caller - Agent 使用的 LLM 调用函数和 token 用量记录（主进程与命令行共用）
+ *
+ * - createLLMCaller：约定为 ({ systemPrompt, userPrompt, temperature, maxTokens, topP, stream }) => { success, response | error }，
+ *   失败时按备用链重试和切换；传入 onChunk 时带 stream: true 的调用（如 write_chapter）改用流式响应，
+ *   流式响应在收到第一段内容之前同样重试和切换
+ * - createUsageRecorder：把 llm.js 上报的用量写入数据库的 llm_usage
+ */
+
+const { callLLMWithFallback, callLLMStreamWithFallback } = require('./llm');
+
+// 读取重试配置（设置项 llmRetry，JSON 格式），未配置时使用默认值
+function getRetryOptions(settings) {
+  try {
+    const raw = settings ? settings.get('llmRetry') : null;
+    return raw ? JSON.parse(raw) : {};
+  } catch (err) {
+    console.warn('⚠️ 解析重试配置失败，使用默认值:', err.message);
+    return {};
+  }
+}
+
+/**
+ * 创建 LLM 调用函数
+ * @param {Object} options
+ * @param {Function} options.getChain - 返回模型调用链（首选模型在前），每次调用时读取
+ * @param {Object} options.settings - 设置项（读取 llmRetry）
+ * @param {Function} options.onChunk - 可选，流式输出的增量回调 (delta, fullContent)
+ * @param {AbortSignal} options.signal - 可选，取消调用
+ */
+function createLLMCaller({ getChain, settings = null, onChunk = null, signal = undefined }) {
+  return async ({ systemPrompt, userPrompt, temperature, maxTokens, topP, stream }) => {
+    try {
+      const chain = getChain();
+      if (chain.length === 0) {
+        throw new Error('未找到可用的模型配置');
+      }
+
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ];
+
+      const callOptions = {
+        temperature: temperature || 0.3,
+        maxTokens: maxTokens || 2000,
+        topP: topP || 0.95,
+        retry: getRetryOptions(settings),
+        signal
+      };
+
+      const response = stream && onChunk
+        ? await callLLMStreamWithFallback(chain, messages, onChunk, callOptions)
+        : await callLLMWithFallback(chain, messages, callOptions);
+
+      return { success: true, response };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+}
+
+/**
+ * 创建 token 用量记录函数（供 setUsageRecorder 使用），费用按模型配置的单价计算
+ * @param {Object} database - { llmModels, llmUsage }
+ * @param {Function} getDefaultWorkspace - 未显式标注工作区时使用的工作区
+ */
+function createUsageRecorder({ llmModels, llmUsage }, getDefaultWorkspace = () => null) {
+  return ({ usage, config, tag }) => {
+    const model = config.id
+      ? llmModels.getById(config.id)
+      : llmModels.getAll().find(m => m.model === config.model && m.base_url === config.baseUrl);
+    const chapterNumber = parseInt(tag.chapter, 10);
+
+    llmUsage.add({
+      workspacePath: tag.workspace || getDefaultWorkspace() || null,
+      chapterNumber: Number.isNaN(chapterNumber) ? null : chapterNumber,
+      skill: tag.skill,
+      modelId: model ? model.id : null,
+      model: config.model,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens,
+      inputPrice: model ? model.input_price : 0,
+      outputPrice: model ? model.output_price : 0
+    });
+  };
+}
+
+module.exports = {
+  getRetryOptions,
+  createLLMCaller,
+  createUsageRecorder
+};
@@ -0,0 +1,179 @@
+/**
+ * Anthropic Messages API 适配器
+ * 对话：POST {baseUrl}/messages（baseUrl 形如 https://api.anthropic.com/v1）
+ *
+ * 与 OpenAI 的差异：
+ * - system 提示词不能放在 messages 里，需要提升到顶层 system 字段
+ * - messages 只允许 user / assistant，且相邻消息角色不能相同
+ * - 认证使用 x-api-key 头，并且必须带 anthropic-version
+ * - 不提供 embedding 接口
+ */
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+function buildHeaders(config, stream = false) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-api-key': config.apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+  if (stream) {
+    headers['Accept'] = 'text/event-stream';
+  }
+  return headers;
+}
+
+/**
+ * 把 OpenAI 格式的消息转换为 Messages API 格式
+ * @param {Array} messages - [{ role: 'system'|'user'|'assistant', content }]
+ * @returns {{ system: string, messages: Array }}
+ */
+function convertMessages(messages) {
+  const systemParts = [];
+  const converted = [];
+
+  for (const msg of messages || []) {
+    if (!msg || !msg.content) continue;
+
+    if (msg.role === 'system') {
+      systemParts.push(msg.content);
+      continue;
+    }
+
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const last = converted[converted.length - 1];
+    if (last && last.role === role) {
+      // 相邻的同角色消息合并为一条
+      last.content += `\n\n${msg.content}`;
+    } else {
+      converted.push({ role, content: msg.content });
+    }
+  }
+
+  const system = systemParts.join('\n\n');
+
+  // 只有 system 提示词时，作为用户消息发送（messages 不能为空）
+  if (converted.length === 0 && system) {
+    return { system: '', messages: [{ role: 'user', content: system }] };
+  }
+
+  // 第一条消息必须是 user
+  if (converted.length > 0 && converted[0].role !== 'user') {
+    converted.unshift({ role: 'user', content: '请继续。' });
+  }
+
+  return { system, messages: converted };
+}
+
+/**
+ * 把 Messages API 的用量转换为 OpenAI 格式（prompt_tokens / completion_tokens）
+ * 流式响应中输入、输出 token 分两个事件返回，这里只转换出现的字段，
+ * total_tokens 由调用方在合并后计算
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const normalized = {};
+  if (usage.input_tokens !== undefined) {
+    normalized.prompt_tokens = usage.input_tokens;
+  }
+  if (usage.output_tokens !== undefined) {
+    normalized.completion_tokens = usage.output_tokens;
+  }
+  return normalized;
+}
+
+/**
+ * 构造对话请求
+ */
+function buildChatRequest(config, messages, params, stream = false) {
+  const { system, messages: converted } = convertMessages(messages);
+  const body = {
+    model: config.model,
+    messages: converted,
+    max_tokens: params.maxTokens,
+    // Messages API 的 temperature 范围是 0~1
+    temperature: Math.min(params.temperature, 1),
+    stream
+  };
+  if (system) {
+    body.system = system;
+  }
+  return {
+    url: `${config.baseUrl}/messages`,
+    headers: buildHeaders(config, stream),
+    body
+  };
+}
+
+/**
+ * 解析非流式对话响应：content 为内容块数组，只取文本块
+ */
+function parseChatResponse(data) {
+  if (data && Array.isArray(data.content)) {
+    const content = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = normalizeUsage(data.usage);
+    if (usage) {
+      usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+    return { content, usage };
+  }
+  return { content: null, usage: null };
+}
+
+/**
+ * 解析一行 SSE 数据
+ * message_start 带输入 token 数，content_block_delta 带增量文本，
+ * message_delta 带输出 token 数，message_stop 表示结束
+ */
+function parseStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('data:')) return null;
+
+  let data;
+  try {
+    data = JSON.parse(trimmed.slice(5).trim());
+  } catch (e) {
+    return null;
+  }
+
+  switch (data.type) {
+    case 'message_start':
+      return { usage: normalizeUsage(data.message?.usage) };
+    case 'content_block_delta':
+      return { delta: data.delta?.type === 'text_delta' ? data.delta.text : '' };
+    case 'message_delta':
+      return { usage: normalizeUsage(data.usage) };
+    case 'message_stop':
+      return { done: true };
+    case 'error':
+      throw new Error(data.error?.message || 'Anthropic 流式响应错误');
+    default:
+      return null;
+  }
+}
+
+function buildEmbeddingRequest() {
+  throw new Error('Anthropic 不提供 embedding 接口，请为向量化配置其他提供方');
+}
+
+function parseEmbeddingResponse() {
+  return null;
+}
+
+function getErrorMessage(data) {
+  return data?.error?.message || null;
+}
+
+module.exports = {
+  name: 'anthropic',
+  buildChatRequest,
+  parseChatResponse,
+  parseStreamLine,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getErrorMessage,
+  convertMessages
+};
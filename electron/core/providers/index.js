@@ -0,0 +1,38 @@
+/**
+ * LLM / Embedding 提供方适配器注册表
+ * 每个适配器负责把统一的调用参数转换为对应 API 的请求，并把响应转换回 OpenAI 格式
+ */
+
+const openai = require('./openai');
+const anthropic = require('./anthropic');
+const ollama = require('./ollama');
+
+const PROVIDERS = {
+  openai,
+  anthropic,
+  ollama
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * 获取提供方适配器（未配置时使用 OpenAI 兼容接口）
+ * @param {string} name - 提供方名称
+ * @returns {Object} 适配器
+ */
+function getProvider(name) {
+  if (!name) {
+    return PROVIDERS[DEFAULT_PROVIDER];
+  }
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`不支持的模型提供方: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getProvider,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  DEFAULT_PROVIDER
+};
@@ -0,0 +1,132 @@
+/**
+ * Ollama 本地模型适配器
+ * 对话：POST {baseUrl}/api/chat（baseUrl 形如 http://localhost:11434）
+ * 向量：POST {baseUrl}/api/embeddings
+ *
+ * 与 OpenAI 的差异：
+ * - 采样参数放在 options 里，最大输出长度叫 num_predict
+ * - 流式响应是逐行 JSON（NDJSON），不是 SSE
+ * - 用量字段为 prompt_eval_count / eval_count
+ * - 本地服务默认不需要 API Key，配置了才带 Authorization 头（用于反向代理）
+ */
+
+function buildHeaders(config) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+  return headers;
+}
+
+function normalizeUsage(data) {
+  if (!data || (data.prompt_eval_count === undefined && data.eval_count === undefined)) {
+    return null;
+  }
+  const prompt = data.prompt_eval_count || 0;
+  const completion = data.eval_count || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion
+  };
+}
+
+/**
+ * 构造对话请求
+ */
+function buildChatRequest(config, messages, params, stream = false) {
+  return {
+    url: `${config.baseUrl}/api/chat`,
+    headers: buildHeaders(config),
+    body: {
+      model: config.model,
+      messages,
+      stream,
+      options: {
+        temperature: params.temperature,
+        num_predict: params.maxTokens
+      }
+    }
+  };
+}
+
+/**
+ * 解析非流式对话响应：{ message: { role, content }, prompt_eval_count, eval_count }
+ */
+function parseChatResponse(data) {
+  if (data && data.message && typeof data.message.content === 'string') {
+    return {
+      content: data.message.content,
+      usage: normalizeUsage(data)
+    };
+  }
+  return { content: null, usage: null };
+}
+
+/**
+ * 解析一行 NDJSON：每行是一个完整的 JSON 对象，最后一行 done 为 true 并带用量
+ */
+function parseStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (e) {
+    return null;
+  }
+
+  if (data.error) {
+    throw new Error(data.error);
+  }
+
+  return {
+    delta: data.message?.content || '',
+    usage: data.done ? normalizeUsage(data) : null,
+    done: !!data.done
+  };
+}
+
+/**
+ * 构造向量请求
+ */
+function buildEmbeddingRequest(config, text) {
+  return {
+    url: `${config.baseUrl}/api/embeddings`,
+    headers: buildHeaders(config),
+    body: {
+      model: config.model,
+      prompt: text
+    }
+  };
+}
+
+/**
+ * 解析向量响应：{ embedding: number[] }
+ */
+function parseEmbeddingResponse(data) {
+  if (data && Array.isArray(data.embedding) && data.embedding.length > 0) {
+    return data.embedding;
+  }
+  return null;
+}
+
+/**
+ * Ollama 的错误响应体为 { error: "..." }
+ */
+function getErrorMessage(data) {
+  return typeof data?.error === 'string' ? data.error : null;
+}
+
+module.exports = {
+  name: 'ollama',
+  buildChatRequest,
+  parseChatResponse,
+  parseStreamLine,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getErrorMessage
+};
@@ -0,0 +1,126 @@
+/**
+ * OpenAI 兼容接口适配器
+ * 对话：POST {baseUrl}/chat/completions
+ * 向量：POST {baseUrl}/embeddings
+ */
+
+function buildHeaders(config, stream = false) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${config.apiKey}`
+  };
+  if (stream) {
+    headers['Accept'] = 'text/event-stream';
+  }
+  return headers;
+}
+
+/**
+ * 构造对话请求
+ * @param {Object} config - 模型配置（baseUrl、apiKey、model）
+ * @param {Array} messages - OpenAI 格式的消息列表
+ * @param {Object} params - { temperature, maxTokens }
+ * @param {boolean} stream - 是否流式
+ * @returns {{ url: string, headers: Object, body: Object }}
+ */
+function buildChatRequest(config, messages, params, stream = false) {
+  const body = {
+    model: config.model,
+    messages,
+    temperature: params.temperature,
+    max_tokens: params.maxTokens,
+    stream
+  };
+  if (stream) {
+    // 请求在最后一个数据块中返回 token 用量
+    body.stream_options = { include_usage: true };
+  }
+  return {
+    url: `${config.baseUrl}/chat/completions`,
+    headers: buildHeaders(config, stream),
+    body
+  };
+}
+
+/**
+ * 解析非流式对话响应
+ * @returns {{ content: string|null, usage: Object|null }}
+ */
+function parseChatResponse(data) {
+  if (data && data.choices && data.choices.length > 0) {
+    return {
+      content: data.choices[0].message.content,
+      usage: data.usage || null
+    };
+  }
+  return { content: null, usage: null };
+}
+
+/**
+ * 解析一行 SSE 数据：只处理 "data:" 行，"[DONE]" 表示结束
+ * @returns {{ delta?: string, usage?: Object, done?: boolean }|null}
+ */
+function parseStreamLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('data:')) return null;
+
+  const payload = trimmed.slice(5).trim();
+  if (payload === '[DONE]') {
+    return { done: true };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (e) {
+    // 不完整或非 JSON 的行直接忽略
+    return null;
+  }
+
+  return {
+    delta: data.choices?.[0]?.delta?.content || '',
+    usage: data.usage || null
+  };
+}
+
+/**
+ * 构造向量请求
+ */
+function buildEmbeddingRequest(config, text) {
+  return {
+    url: `${config.baseUrl}/embeddings`,
+    headers: buildHeaders(config),
+    body: {
+      input: text,
+      model: config.model || 'text-embedding-ada-002'
+    }
+  };
+}
+
+/**
+ * 解析向量响应
+ * @returns {number[]|null}
+ */
+function parseEmbeddingResponse(data) {
+  if (data && data.data && data.data[0]) {
+    return data.data[0].embedding;
+  }
+  return null;
+}
+
+/**
+ * 从错误响应体中取出错误信息
+ */
+function getErrorMessage(data) {
+  return data?.error?.message || null;
+}
+
+module.exports = {
+  name: 'openai',
+  buildChatRequest,
+  parseChatResponse,
+  parseStreamLine,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getErrorMessage
+};
@@ -0,0 +1,283 @@
+/**
+ * Vector Indexer - 工作区文本的增量向量化
+ *
+ * - 文本按段落分块，每块记录内容哈希：哈希未变的块直接跳过，
+ *   只是换了位置的块复用已有向量，只有新内容才调用 Embedding 接口
+ * - 文件监听器报告的保存事件进入防抖队列，在后台逐个文件重新索引
+ * - 全量构建时删除已不在工作区中（被删除、重命名或不再参与索引）的文件的向量
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FileScanner = require('../agent/modules/context/fileScanner');
+const vectorSearch = require('./vectorSearch');
+const { vectorIndex } = require('./database');
+
+const CHUNK_SIZE = 500;
+// 保存后等待多久再重新索引（连续保存只处理最后一次）
+const REINDEX_DELAY = 2000;
+
+// 只用来复用章节文件名识别规则
+const chapterMatcher = new FileScanner(null);
+
+// 文本分块函数
+function splitTextIntoChunks(text, chunkSize = 500) {
+  const chunks = [];
+  let currentChunk = '';
+  
+  // 按段落分割
+  const paragraphs = text.split(/\n\n+/);
+  
+  for (const para of paragraphs) {
+    if (!para.trim()) continue;
+    
+    // 如果当前块加上这个段落不超过限制，就加入当前块
+    if (currentChunk.length + para.length <= chunkSize) {
+      currentChunk += (currentChunk ? '\n\n' : '') + para;
+    } else {
+      // 否则，保存当前块并开始新块
+      if (currentChunk) {
+        chunks.push(currentChunk.trim());
+      }
+      
+      // 如果单个段落太长，进一步分割
+      if (para.length > chunkSize) {
+        const sentences = para.match(/[^。！？.!?]+[。！？.!?]+/g) || [para];
+        let tempChunk = '';
+        
+        for (const sent of sentences) {
+          if (tempChunk.length + sent.length <= chunkSize) {
+            tempChunk += sent;
+          } else {
+            if (tempChunk) {
+              chunks.push(tempChunk.trim());
+            }
+            tempChunk = sent;
+          }
+        }
+        
+        if (tempChunk) {
+          currentChunk = tempChunk;
+        }
+      } else {
+        currentChunk = para;
+      }
+    }
+  }
+  
+  // 添加最后一个块
+  if (currentChunk) {
+    chunks.push(currentChunk.trim());
+  }
+  
+  return chunks.filter(chunk => chunk.length > 0);
+}
+
+// 文本块内容哈希
+function hashChunk(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * 是否需要建立向量索引：所有 .txt 文件，以及 FileScanner 识别为章节的 .md 文件
+ * （设定、提示词等 .md 文档不参与）
+ */
+function isIndexableFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.txt') {
+    return true;
+  }
+  return ext === '.md' && chapterMatcher.isChapterFile(path.basename(filePath));
+}
+
+/**
+ * 增量索引单个文件
+ * @param {string} filePath - 文件路径
+ * @param {Object} target
+ * @param {string} target.workspacePath - 所属工作区
+ * @param {number} target.modelId - Embedding 模型 ID
+ * @param {Function} target.embed - async (text) => number[]
+ * @returns {Promise<{chunks, embedded, reused, unchanged, errors}>}
+ */
+async function indexFile(filePath, { workspacePath, modelId, embed }) {
+  const content = await fs.promises.readFile(filePath, 'utf-8');
+  const chunks = splitTextIntoChunks(content, CHUNK_SIZE);
+
+  // 只比较同一模型生成的向量，换模型后所有块都需要重新生成
+  const existing = vectorIndex.getByFile(filePath, modelId);
+  const hashAt = new Map(existing.map(row => [row.chunk_index, row.content_hash]));
+  const embeddingByHash = new Map();
+  for (const row of existing) {
+    if (row.content_hash) {
+      embeddingByHash.set(row.content_hash, row.embedding);
+    }
+  }
+
+  const stats = { chunks: chunks.length, embedded: 0, reused: 0, unchanged: 0, errors: [] };
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const hash = hashChunk(chunk);
+
+    if (hashAt.get(i) === hash) {
+      stats.unchanged++;
+      continue;
+    }
+
+    try {
+      let embedding = embeddingByHash.get(hash);
+      if (embedding) {
+        stats.reused++;
+      } else {
+        embedding = await embed(chunk);
+        stats.embedded++;
+      }
+      vectorSearch.addOrUpdate({
+        workspacePath,
+        modelId,
+        filePath,
+        chunkIndex: i,
+        chunkText: chunk,
+        embedding,
+        contentHash: hash
+      });
+    } catch (err) {
+      console.error(`为文件 ${filePath} 的块 ${i} 生成embedding失败:`, err);
+      stats.errors.push(`${path.basename(filePath)}[块${i}]: ${err.message}`);
+    }
+  }
+
+  // 文件变短时删除多余的块
+  vectorSearch.deleteChunksFrom(filePath, modelId, chunks.length);
+
+  return stats;
+}
+
+/**
+ * 删除工作区中不在 filePaths 里的文件的向量（所有模型）
+ * @param {string} workspacePath - 工作区
+ * @param {string[]} filePaths - 本次扫描到的可索引文件
+ * @returns {string[]} 被清理的文件
+ */
+function purgeMissingFiles(workspacePath, filePaths) {
+  const present = new Set(filePaths);
+  const missing = vectorIndex.getFilePaths(workspacePath).filter(filePath => !present.has(filePath));
+  for (const filePath of missing) {
+    vectorSearch.deleteByFile(filePath);
+  }
+  return missing;
+}
+
+/**
+ * 后台重新索引队列
+ * 同一文件在 delay 内的多次保存合并为一次；所有索引任务（包括手动全量构建）串行执行
+ */
+class ReindexQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getEmbedder - () => { modelId, embed }，未配置 Embedding 模型时返回 null
+   * @param {Function} options.onProgress - 进度回调
+   * @param {number} options.delay - 防抖时间（毫秒）
+   */
+  constructor({ getEmbedder, onProgress = () => {}, delay = REINDEX_DELAY }) {
+    this.getEmbedder = getEmbedder;
+    this.onProgress = onProgress;
+    this.delay = delay;
+    this.timers = new Map(); // filePath -> timer
+    this.ready = [];         // 防抖结束、等待处理的 { filePath, workspacePath }
+    this.draining = false;
+    this.chain = Promise.resolve();
+  }
+
+  /**
+   * 文件保存后调用
+   * @param {string} filePath - 文件路径
+   * @param {string} workspacePath - 所属工作区
+   */
+  schedule(filePath, workspacePath) {
+    if (this.timers.has(filePath)) {
+      clearTimeout(this.timers.get(filePath));
+    }
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      if (!this.ready.some(item => item.filePath === filePath)) {
+        this.ready.push({ filePath, workspacePath });
+      }
+      this.drain();
+    }, this.delay));
+  }
+
+  /**
+   * 与其他索引任务互斥地执行 fn
+   */
+  runExclusive(fn) {
+    const result = this.chain.then(fn);
+    this.chain = result.catch(() => {});
+    return result;
+  }
+
+  drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    this.runExclusive(async () => {
+      let current = 0;
+      while (this.ready.length > 0) {
+        const { filePath, workspacePath } = this.ready.shift();
+        const total = current + 1 + this.ready.length;
+        current++;
+
+        try {
+          if (!fs.existsSync(filePath)) {
+            // 文件被删除或重命名
+            vectorSearch.deleteByFile(filePath);
+            continue;
+          }
+
+          const embedder = this.getEmbedder();
+          if (!embedder) continue;
+
+          const stats = await indexFile(filePath, { workspacePath, ...embedder });
+          this.onProgress({
+            current,
+            total,
+            file: path.basename(filePath),
+            background: true,
+            embedded: stats.embedded,
+            reused: stats.reused,
+            errors: stats.errors.length > 0 ? stats.errors : undefined
+          });
+        } catch (err) {
+          console.error(`后台重新索引 ${filePath} 失败:`, err);
+        }
+      }
+    }).finally(() => {
+      this.draining = false;
+      // 处理期间新到的文件
+      if (this.ready.length > 0) {
+        this.drain();
+      }
+    });
+  }
+
+  /**
+   * 取消所有未开始的任务（切换工作区时调用）
+   */
+  clear() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.ready = [];
+  }
+}
+
+module.exports = {
+  splitTextIntoChunks,
+  hashChunk,
+  isIndexableFile,
+  indexFile,
+  purgeMissingFiles,
+  ReindexQueue
+};
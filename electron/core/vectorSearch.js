@@ -0,0 +1,330 @@
+/**
+ * Vector Search - 工作区向量检索
+ *
+ * 向量本身存放在 SQLite（vector_index 表，Float32 二进制），按工作区和 Embedding 模型区分。
+ * 每个（工作区, 模型）额外维护一份 HNSW 近似最近邻索引（以行 ID 为标签），
+ * 持久化到 <workspace>/.novel-agent/vector-index-<模型ID>.hnsw。
+ *
+ * - 索引文件里记录数据库的版本戳，加载或查询时版本戳不一致就从数据库重建
+ * - 通过本模块写入/删除向量时，同步增量更新已加载的索引，并延迟写盘
+ * - 查询只在当前工作区、当前模型的向量中进行；维度不一致时不返回结果并给出提示
+ */
+
+const fs = require('fs');
+const path = require('path');
+const HNSWIndex = require('./hnswIndex');
+const { vectorIndex } = require('./database');
+
+const INDEX_DIR = '.novel-agent';
+const SAVE_DELAY = 3000;
+// 墓碑占比超过该值时压缩索引
+const COMPACT_RATIO = 0.3;
+
+// scopeKey -> { workspaceRoot, modelId, index, stamp, saveTimer }
+const scopes = new Map();
+
+function getScopeKey(workspaceRoot, modelId) {
+  return `${modelId}:${workspaceRoot}`;
+}
+
+function getIndexPath(workspaceRoot, modelId) {
+  return path.join(workspaceRoot, INDEX_DIR, `vector-index-${modelId}.hnsw`);
+}
+
+/**
+ * 从数据库重建索引
+ * 同一模型的向量维度应当一致；配置被改成了其他模型时，以最新写入的向量维度为准
+ */
+function buildFromDatabase(scope) {
+  const rows = vectorIndex.getByScope(scope.workspaceRoot, scope.modelId);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const dimension = rows[rows.length - 1].embedding.length;
+  const index = new HNSWIndex({ dimension });
+  let skipped = 0;
+  for (const row of rows) {
+    if (row.embedding.length === dimension) {
+      index.add(row.id, row.embedding);
+    } else {
+      skipped++;
+    }
+  }
+  if (skipped > 0) {
+    console.warn(`向量索引中有 ${skipped} 条向量维度与最新向量不一致，已跳过，请重建索引`);
+  }
+  return index;
+}
+
+/**
+ * 加载索引（优先读取持久化文件，过期或损坏时重建）
+ */
+function loadScope(workspaceRoot, modelId) {
+  const key = getScopeKey(workspaceRoot, modelId);
+  const existing = scopes.get(key);
+  if (existing) {
+    return existing;
+  }
+
+  const scope = {
+    workspaceRoot,
+    modelId,
+    index: null,
+    stamp: vectorIndex.getScopeStamp(workspaceRoot, modelId),
+    saveTimer: null
+  };
+
+  const indexPath = getIndexPath(workspaceRoot, modelId);
+  if (fs.existsSync(indexPath)) {
+    try {
+      const { index, meta } = HNSWIndex.deserialize(fs.readFileSync(indexPath));
+      if (meta.stamp === scope.stamp) {
+        scope.index = index;
+      }
+    } catch (err) {
+      console.warn('读取向量索引文件失败，将从数据库重建:', err.message);
+    }
+  }
+
+  scopes.set(key, scope);
+
+  if (!scope.index) {
+    const startTime = Date.now();
+    scope.index = buildFromDatabase(scope);
+    if (scope.index) {
+      console.log(`已重建工作区向量索引：${scope.index.size} 条，耗时 ${Date.now() - startTime}ms`);
+      scheduleSave(scope);
+    }
+  }
+  return scope;
+}
+
+// 延迟写盘，避免批量写入时反复序列化
+function scheduleSave(scope) {
+  // 写入后版本戳会变化，保存时重新读取
+  scope.stamp = null;
+  if (scope.saveTimer) {
+    clearTimeout(scope.saveTimer);
+  }
+  scope.saveTimer = setTimeout(() => saveScope(scope), SAVE_DELAY);
+}
+
+function saveScope(scope) {
+  if (scope.saveTimer) {
+    clearTimeout(scope.saveTimer);
+    scope.saveTimer = null;
+  }
+
+  try {
+    scope.stamp = vectorIndex.getScopeStamp(scope.workspaceRoot, scope.modelId);
+    const indexPath = getIndexPath(scope.workspaceRoot, scope.modelId);
+    if (!scope.index) {
+      if (fs.existsSync(indexPath)) {
+        fs.unlinkSync(indexPath);
+      }
+      return;
+    }
+
+    if (scope.index.deletedRatio > COMPACT_RATIO) {
+      scope.index = scope.index.compact();
+    }
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, scope.index.serialize({ stamp: scope.stamp }));
+  } catch (err) {
+    console.error('保存向量索引失败:', err);
+  }
+}
+
+/**
+ * 添加或更新文本块的向量
+ * @param {Object} chunk - { workspacePath, modelId, filePath, chunkIndex, chunkText, embedding, contentHash }
+ * @returns {number} 行 ID
+ */
+function addOrUpdate(chunk) {
+  const id = vectorIndex.addOrUpdate(chunk);
+
+  const scope = scopes.get(getScopeKey(chunk.workspacePath, chunk.modelId));
+  if (scope) {
+    if (!scope.index) {
+      scope.index = new HNSWIndex({ dimension: chunk.embedding.length });
+    }
+    if (scope.index.dimension === chunk.embedding.length) {
+      scope.index.add(id, chunk.embedding);
+    } else {
+      // 模型配置被改成了维度不同的模型，旧图已不可用，下次查询时从数据库重建
+      scope.index = null;
+    }
+    scheduleSave(scope);
+  }
+  return id;
+}
+
+// 把删除同步到已加载的索引（行 ID 全局唯一，逐个索引尝试即可）
+function removeFromIndexes(ids) {
+  if (ids.length === 0) return;
+  for (const scope of scopes.values()) {
+    if (!scope.index) continue;
+    let removed = false;
+    for (const id of ids) {
+      removed = scope.index.remove(id) || removed;
+    }
+    if (removed) {
+      scheduleSave(scope);
+    }
+  }
+}
+
+/**
+ * 删除某个文件的所有向量
+ */
+function deleteByFile(filePath) {
+  const ids = vectorIndex.deleteByFile(filePath);
+  removeFromIndexes(ids);
+  return ids;
+}
+
+/**
+ * 删除某个文件中序号 >= fromIndex 的文本块
+ */
+function deleteChunksFrom(filePath, modelId, fromIndex) {
+  const ids = vectorIndex.deleteChunksFrom(filePath, modelId, fromIndex);
+  removeFromIndexes(ids);
+  return ids;
+}
+
+// 丢弃满足条件的已加载索引，并删除持久化文件
+function dropScopes(predicate) {
+  for (const scope of scopes.values()) {
+    if (predicate(scope)) {
+      scope.index = null;
+      saveScope(scope);
+    }
+  }
+}
+
+/**
+ * 删除工作区的所有向量
+ */
+function deleteByWorkspace(workspaceRoot) {
+  vectorIndex.deleteByWorkspace(workspaceRoot);
+  dropScopes(scope => scope.workspaceRoot === workspaceRoot);
+  return true;
+}
+
+/**
+ * 删除某个 Embedding 模型生成的所有向量
+ */
+function deleteByModel(modelId) {
+  vectorIndex.deleteByModel(modelId);
+  dropScopes(scope => scope.modelId === modelId);
+  return true;
+}
+
+/**
+ * 清空所有向量
+ */
+function clear() {
+  vectorIndex.clear();
+  dropScopes(() => true);
+  return true;
+}
+
+/**
+ * 工作区的索引状态（用于在检索前提示模型或维度不一致）
+ * @returns {{ chunks: number, dimension: number|null, otherModelChunks: number }}
+ */
+function getIndexStatus(workspaceRoot, modelId) {
+  const stats = vectorIndex.getModelStats(workspaceRoot);
+  const current = stats.find(stat => stat.modelId === modelId);
+  return {
+    chunks: current ? current.count : 0,
+    dimension: current ? current.dimension : null,
+    otherModelChunks: stats
+      .filter(stat => stat.modelId !== modelId)
+      .reduce((sum, stat) => sum + stat.count, 0)
+  };
+}
+
+/**
+ * 在工作区内搜索最相关的文本块
+ * @param {number[]} queryEmbedding - 查询向量
+ * @param {number} topK - 返回数量
+ * @param {Object} scope - { workspaceRoot, modelId }
+ * @returns {Array<{id, filePath, chunkIndex, text, similarity}>}
+ */
+function search(queryEmbedding, topK = 5, { workspaceRoot, modelId } = {}) {
+  if (!workspaceRoot || modelId === undefined || modelId === null) {
+    return [];
+  }
+
+  const scope = loadScope(workspaceRoot, modelId);
+
+  // 有其他途径改动过数据库（版本戳不一致），或者索引因维度变化被丢弃时，重建索引
+  const stamp = vectorIndex.getScopeStamp(workspaceRoot, modelId);
+  if (!scope.index || (scope.stamp !== null && scope.stamp !== stamp)) {
+    scope.index = buildFromDatabase(scope);
+    if (scope.index) {
+      scheduleSave(scope);
+    }
+  }
+  scope.stamp = stamp;
+
+  if (!scope.index) {
+    return [];
+  }
+  if (scope.index.dimension !== queryEmbedding.length) {
+    console.warn(`查询向量维度（${queryEmbedding.length}）与索引维度（${scope.index.dimension}）不一致，请重建索引`);
+    return [];
+  }
+
+  const hits = scope.index.search(queryEmbedding, topK);
+  if (hits.length === 0) {
+    return [];
+  }
+
+  const chunks = new Map(vectorIndex.getChunksByIds(hits.map(hit => hit.label)).map(row => [row.id, row]));
+  return hits
+    .filter(hit => chunks.has(hit.label))
+    .map(hit => {
+      const chunk = chunks.get(hit.label);
+      return {
+        id: chunk.id,
+        filePath: chunk.file_path,
+        chunkIndex: chunk.chunk_index,
+        text: chunk.chunk_text,
+        similarity: hit.score.toFixed(4)
+      };
+    });
+}
+
+/**
+ * 预加载索引（可选，首次查询时也会自动加载），返回索引中的向量数
+ */
+function openWorkspace(workspaceRoot, modelId) {
+  return loadScope(workspaceRoot, modelId).index?.size || 0;
+}
+
+/**
+ * 立即写盘所有待保存的索引（退出前调用）
+ */
+function flush() {
+  for (const scope of scopes.values()) {
+    if (scope.saveTimer) {
+      saveScope(scope);
+    }
+  }
+}
+
+module.exports = {
+  addOrUpdate,
+  deleteByFile,
+  deleteChunksFrom,
+  deleteByWorkspace,
+  deleteByModel,
+  clear,
+  search,
+  getIndexStatus,
+  openWorkspace,
+  flush
+};
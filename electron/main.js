@@ -1,21 +1,127 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { initDatabase, llmModels, embeddingModels, settings, workspaceHistory, vectorIndex, consistencyResults, closeDatabase } = require('./core/database');
-const { callLLM } = require('./core/llm');
+const { initDatabase, llmModels, embeddingModels, settings, workspaceHistory, vectorIndex, consistencyResults, consistencyIssues, auditJobs, llmUsage, closeDatabase } = require('./core/database');
+const { callLLMWithFallback, callLLMStreamWithFallback, callEmbedding, setUsageRecorder, withUsageContext } = require('./core/llm');
+const { getRetryOptions, createLLMCaller, createUsageRecorder } = require('./core/llmCaller');
+const vectorSearch = require('./core/vectorSearch');
+const hybridSearch = require('./core/hybridSearch');
+const consistencyReport = require('./core/consistencyReport');
+const { isIndexableFile, indexFile, purgeMissingFiles, ReindexQueue } = require('./core/vectorIndexer');
+const { AuditJobRunner } = require('./core/auditRunner');
+const { RuleWorkbench } = require('./rules/ruleWorkbench');
 
 // Novel Agent 和记忆系统
 const AgentOrchestrator = require('./agent/orchestrator');
 const MemoryManager = require('./memory');
+const { setWorkspaceTrusted } = require('./agent/skills/core/skillPluginLoader');
 
 let mainWindow;
 let currentAgent = null; // 当前工作区的 Agent 实例
 let currentMemory = null; // 当前工作区的 Memory 实例
 let fileWatcher = null; // 文件监听器
 let watchedWorkspaceRoot = null; // 当前监听的工作区路径
+const activeStreams = new Map(); // 进行中的流式请求：requestId -> AbortController
+const AGENT_STREAM_ID = 'novelAgent'; // Agent 执行时流式输出使用的 requestId
+
+// 后台重新索引：文件保存后增量更新向量索引，进度通过 vector:indexProgress 推送
+const reindexQueue = new ReindexQueue({
+  getEmbedder: () => {
+    const model = embeddingModels.getDefault();
+    return model ? { modelId: model.id, embed: text => getEmbedding(model, text) } : null;
+  },
+  onProgress: (progress) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('vector:indexProgress', progress);
+    }
+  }
+});
+
+// 全书校验：在主进程中逐章校验，进度通过 audit:progress 推送
+const auditRunner = new AuditJobRunner({
+  checkFile: async (filePath, job) => {
+    const text = await fs.promises.readFile(filePath, 'utf-8');
+    if (!text.trim()) {
+      return { resultId: null, issueCount: 0 };
+    }
+    const { resultId, report } = await runConsistencyCheck({
+      text,
+      workspaceRoot: job.workspace_path,
+      filePath,
+      skill: 'consistency_audit'
+    });
+    return { resultId, issueCount: report ? report.issues.length : 0 };
+  },
+  getTerms: workspacePath => getEntityTerms(workspacePath),
+  onProgress: (job) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('audit:progress', job);
+    }
+  }
+});
+
+// 规则变化后重新加载 Agent 的规则并运行期望用例，结果通过 rules:goldenResults 推送
+const RULE_REGRESSION_DELAY = 800;
+let ruleRegressionTimer = null;
+
+function getRuleWorkbench(workspaceRoot) {
+  return new RuleWorkbench({
+    workspaceRoot,
+    defaultRulesPath: path.join(app.getAppPath(), 'rules/default-dsl-rules.json')
+  });
+}
+
+function scheduleRuleRegression(workspaceRoot) {
+  clearTimeout(ruleRegressionTimer);
+  ruleRegressionTimer = setTimeout(async () => {
+    ruleRegressionTimer = null;
+    try {
+      const workbench = getRuleWorkbench(workspaceRoot);
+      if (currentAgent && currentAgent.dslRuleEngine && currentAgent.workspaceRoot === workspaceRoot) {
+        await currentAgent.dslRuleEngine.loadRules(
+          workbench.defaultRulesPath,
+          workbench.customRulesPath,
+          await workbench.packs.getEnabledPacks()
+        );
+      }
+      // 自动回归只做本地求值，不调用 LLM
+      const golden = await workbench.runGoldenTests();
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('rules:goldenResults', { workspaceRoot, ...golden });
+      }
+    } catch (err) {
+      console.error('规则回归测试失败:', err);
+    }
+  }, RULE_REGRESSION_DELAY);
+}
 
 const isDev = !app.isPackaged;
 
+// 将数据库中的模型记录转换为 callLLM / callEmbedding 使用的配置
+function toLLMConfig(model) {
+  return {
+    id: model.id,
+    name: model.name,
+    provider: model.provider || 'openai',
+    baseUrl: model.base_url,
+    apiKey: model.api_key,
+    model: model.model
+  };
+}
+
+// 模型配置是否完整（Ollama 本地服务不需要 API Key）
+function isModelConfigured(model) {
+  if (!model || !model.base_url || !model.model) {
+    return false;
+  }
+  return model.provider === 'ollama' || !!model.api_key;
+}
+
+// 获取模型调用链（首选模型 + 备用模型），用于失败时自动切换
+function getLLMConfigChain(modelId = null) {
+  return llmModels.getFallbackChain(modelId).map(toLLMConfig);
+}
+
 // 文件监听器函数
 function startFileWatcher(workspaceRoot) {
   // 如果已经有监听器在运行，先停止它
@@ -32,9 +138,24 @@ function startFileWatcher(workspaceRoot) {
     // 使用 Node.js 的 fs.watch 监听文件变化
     // 注意：这里只是简单实现，如果需要更强大的功能可以使用 chokidar
     fileWatcher = fs.watch(workspaceRoot, { recursive: true }, (eventType, filename) => {
-      if (filename) {
-        // 文件变化时的处理逻辑（可以根据需要添加）
-        console.log(`文件变化: ${eventType} - ${filename}`);
+      if (!filename) return;
+      
+      // 跳过隐藏目录（包括 .novel-agent 下的索引文件）
+      if (filename.split(/[\\/]/).some(part => part.startsWith('.'))) return;
+      
+      // 自定义规则或规则包变化（包括在编辑器中直接修改）后重新运行期望用例
+      const relative = filename.split(/[\\/]/).join('/');
+      if (relative === 'rules/dsl-rules.json' || relative === 'rules/rule-packs.json' || relative.startsWith('rules/packs/')) {
+        scheduleRuleRegression(workspaceRoot);
+        return;
+      }
+      
+      const filePath = path.join(workspaceRoot, filename);
+      if (!isIndexableFile(filePath)) return;
+      
+      // 只有建立过向量索引的工作区才在后台自动更新，避免未经用户同意调用 Embedding 接口
+      if (vectorIndex.countByWorkspace(workspaceRoot) > 0) {
+        reindexQueue.schedule(filePath, workspaceRoot);
       }
     });
     
@@ -48,6 +169,7 @@ function startFileWatcher(workspaceRoot) {
 }
 
 function stopFileWatcher() {
+  reindexQueue.clear();
   if (fileWatcher) {
     try {
       fileWatcher.close();
@@ -60,142 +182,32 @@ function stopFileWatcher() {
   }
 }
 
-// 文本分块函数
-function splitTextIntoChunks(text, chunkSize = 500) {
-  const chunks = [];
-  let currentChunk = '';
-  
-  // 按段落分割
-  const paragraphs = text.split(/\n\n+/);
-  
-  for (const para of paragraphs) {
-    if (!para.trim()) continue;
-    
-    // 如果当前块加上这个段落不超过限制，就加入当前块
-    if (currentChunk.length + para.length <= chunkSize) {
-      currentChunk += (currentChunk ? '\n\n' : '') + para;
-    } else {
-      // 否则，保存当前块并开始新块
-      if (currentChunk) {
-        chunks.push(currentChunk.trim());
-      }
-      
-      // 如果单个段落太长，进一步分割
-      if (para.length > chunkSize) {
-        const sentences = para.match(/[^。！？.!?]+[。！？.!?]+/g) || [para];
-        let tempChunk = '';
-        
-        for (const sent of sentences) {
-          if (tempChunk.length + sent.length <= chunkSize) {
-            tempChunk += sent;
-          } else {
-            if (tempChunk) {
-              chunks.push(tempChunk.trim());
-            }
-            tempChunk = sent;
-          }
-        }
-        
-        if (tempChunk) {
-          currentChunk = tempChunk;
-        }
-      } else {
-        currentChunk = para;
-      }
-    }
-  }
-  
-  // 添加最后一个块
-  if (currentChunk) {
-    chunks.push(currentChunk.trim());
-  }
-  
-  return chunks.filter(chunk => chunk.length > 0);
-}
-
-// 获取文本的 embedding 向量
+// 获取文本的 embedding 向量（请求格式由模型的 provider 决定）
 async function getEmbedding(model, text) {
-  const axios = require('axios');
-  
-  try {
-    // 使用OpenAI兼容的embedding API
-    const response = await axios.post(
-      `${model.base_url}/embeddings`,
-      {
-        input: text,
-        model: model.model || 'text-embedding-ada-002'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${model.api_key}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 6000000
-      }
-    );
-    
-    if (response.data && response.data.data && response.data.data[0]) {
-      return response.data.data[0].embedding;
-    }
-    
-    throw new Error('Invalid embedding response');
-  } catch (err) {
-    throw new Error(`Embedding API 调用失败: ${err.message}`);
-  }
+  return await callEmbedding(toLLMConfig(model), text);
 }
 
-// 计算向量余弦相似度
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) {
-    return 0;
-  }
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  
-  normA = Math.sqrt(normA);
-  normB = Math.sqrt(normB);
-  
-  if (normA === 0 || normB === 0) {
-    return 0;
+// 当前工作区记忆中的专有名词（人名、地名、功法名等），用于关键词检索
+function getEntityTerms(workspaceRoot) {
+  if (currentMemory && currentMemory.workspaceRoot === workspaceRoot) {
+    try {
+      return currentMemory.getEntityTerms();
+    } catch (err) {
+      console.warn('获取专有名词失败:', err.message);
+    }
   }
-  
-  return dotProduct / (normA * normB);
+  return [];
 }
 
-// 搜索最相关的文本块
-async function searchSimilarChunks(queryEmbedding, topK = 5) {
+// 在工作区内检索最相关的文本块：关键词（BM25）与向量两路召回按 RRF 融合
+// queryEmbedding 为空时只做关键词检索
+async function searchRelatedChunks(queryText, queryEmbedding, topK = 5, workspaceRoot = null, embeddingModelId = null) {
   try {
-    const allVectors = vectorIndex.getAll();
-    
-    if (allVectors.length === 0) {
-      return [];
-    }
-    
-    // 计算相似度
-    const similarities = allVectors.map(vector => ({
-      ...vector,
-      similarity: cosineSimilarity(queryEmbedding, vector.embedding)
-    }));
-    
-    // 按相似度排序并返回 topK 个结果
-    return similarities
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, topK)
-      .map(({ id, file_path, chunk_index, chunk_text, similarity }) => ({
-        id,
-        filePath: file_path,
-        chunkIndex: chunk_index,
-        text: chunk_text,
-        similarity: similarity.toFixed(4)
-      }));
+    return hybridSearch.search(queryText, queryEmbedding, topK, {
+      workspaceRoot,
+      modelId: embeddingModelId,
+      terms: getEntityTerms(workspaceRoot)
+    });
   } catch (err) {
     console.error('搜索相似文本块失败:', err);
     return [];
@@ -229,6 +241,166 @@ function walkDirForAllFiles(dir, results = []) {
   return results;
 }
 
+// 一致性校验：检索相关内容后调用 LLM，结构化结果和问题保存到数据库
+// baseOffset：待检查文本在文件中的起始偏移量，用于把问题定位到文件中的位置
+// 失败时抛出错误；返回的 resultId 在保存失败时为 null
+async function runConsistencyCheck({ text, workspaceRoot, filePath, baseOffset = 0, skill = 'consistency_check' }) {
+  // 1. 获取 Embedding 模型
+  const embeddingModel = embeddingModels.getDefault();
+  if (!embeddingModel) {
+    throw new Error('未配置 Embedding 模型，请先在设置中添加');
+  }
+  
+  // 2. 获取 LLM 模型
+  const llmModel = llmModels.getDefault();
+  if (!llmModel) {
+    throw new Error('未配置 LLM 模型，请先在设置中添加');
+  }
+  
+  // 3. 生成文本的 embedding
+  const queryEmbedding = await getEmbedding(embeddingModel, text);
+  
+  // 4. 搜索相关内容（从向量索引中）
+  let similarChunks = [];
+  let warning = null;
+  if (workspaceRoot) {
+    const indexStatus = vectorSearch.getIndexStatus(workspaceRoot, embeddingModel.id);
+    if (indexStatus.chunks === 0 && indexStatus.otherModelChunks > 0) {
+      warning = '当前默认 Embedding 模型还没有为这个工作区建立向量索引（已有索引由其他模型生成），本次未检索相关内容，请重建向量索引';
+    } else {
+      let searchEmbedding = queryEmbedding;
+      if (indexStatus.dimension && indexStatus.dimension !== queryEmbedding.length) {
+        warning = `向量维度不一致（索引 ${indexStatus.dimension} 维，当前模型 ${queryEmbedding.length} 维），本次只按关键词检索相关内容，请重建向量索引`;
+        searchEmbedding = null;
+      }
+      similarChunks = await searchRelatedChunks(text, searchEmbedding, 5, workspaceRoot, embeddingModel.id);
+    }
+  }
+  
+  // 5. 读取 MD 提示文件（如果有）
+  let promptContent = '';
+  if (workspaceRoot) {
+    const items = walkDirForAllFiles(workspaceRoot);
+    const mdFile = items.find(item => {
+      if (item.type !== 'file') return false;
+      const name = path.basename(item.path).toLowerCase();
+      return name.endsWith('.md') && (
+        name.includes('prompt') || 
+        name.includes('提示') || 
+        name.includes('设定') || 
+        name.includes('世界观')
+      );
+    });
+    
+    if (mdFile) {
+      try {
+        promptContent = await fs.promises.readFile(mdFile.path, 'utf-8');
+      } catch (e) {
+        console.error('读取提示文件失败:', e);
+      }
+    }
+  }
+  
+  // 6. 构建校验提示词
+  let checkPrompt = `你是一个专业的小说创作顾问，负责检查文本的一致性。请仔细分析以下内容，找出可能存在的问题：
+
+【待检查的文本】
+${text}
+
+`;
+  
+  if (promptContent) {
+    checkPrompt += `【世界观和设定】
+${promptContent}
+
+`;
+  }
+  
+  if (similarChunks.length > 0) {
+    checkPrompt += `【相关的已有内容】（从整个作品中检索到的相关段落）
+${similarChunks.map(chunk => 
+  `【片段 ${chunk.id}】来自 ${path.basename(chunk.filePath)}${chunk.matchedTerms.length > 0 ? `（提及：${chunk.matchedTerms.join('、')}）` : ''}:\n${chunk.text}\n`
+).join('\n')}
+
+`;
+  }
+  
+  checkPrompt += `请从以下几个方面进行一致性校验：
+
+1. **时间冲突**：检查时间线是否合理，是否有前后矛盾的时间描述
+2. **人物冲突**：检查人物性格、能力、背景是否与设定一致，是否出现了不该出现的人物
+3. **世界观冲突**：检查是否符合世界观设定，是否出现了不该有的事物或技术
+4. **情节合理性**：检查情节发展是否合理，是否有逻辑漏洞
+5. **前后矛盾**：检查是否与之前的内容存在矛盾
+
+${consistencyReport.OUTPUT_INSTRUCTIONS}`;
+  
+  // 7. 调用 LLM 进行分析
+  const response = await callLLMWithFallback(
+    getLLMConfigChain(llmModel.id),
+    [
+      { role: 'system', content: '你是一个专业的小说创作顾问，擅长一致性校验和内容审查。' },
+      { role: 'user', content: checkPrompt }
+    ],
+    {
+      temperature: 0.3,
+      maxTokens: 2000,
+      retry: getRetryOptions(settings),
+      usageTag: { workspace: workspaceRoot, skill }
+    }
+  );
+  
+  // 解析结构化结果；不符合格式时保留原始文本
+  const report = consistencyReport.parseReport(response, text, {
+    baseOffset,
+    evidenceIds: similarChunks.map(c => c.id)
+  });
+  
+  const contextInfo = {
+    hasPromptFile: !!promptContent,
+    relatedChunksCount: similarChunks.length,
+    structured: !!report,
+    similarChunks: similarChunks.map(c => ({
+      id: c.id,
+      file: path.basename(c.filePath),
+      similarity: c.similarity,
+      score: c.score,
+      sources: c.sources,
+      matchedTerms: c.matchedTerms
+    }))
+  };
+  
+  const resultText = report ? consistencyReport.formatReportMarkdown(report) : response;
+  
+  // 8. 保存校验结果和问题到数据库
+  let issues = report ? report.issues : [];
+  let resultId = null;
+  try {
+    resultId = consistencyResults.add({
+      workspacePath: workspaceRoot || null,
+      filePath: filePath || null,
+      checkedText: text.length > 1000 ? text.substring(0, 1000) + '...' : text, // 限制保存的文本长度
+      result: resultText,
+      contextInfo: contextInfo
+    });
+    if (issues.length > 0) {
+      issues = consistencyIssues.addMany(resultId, { workspacePath: workspaceRoot, filePath }, issues);
+    }
+  } catch (dbErr) {
+    // 未保存的问题没有 ID，无法标注和处理，只在报告文本中展示
+    issues = [];
+    console.error('保存校验结果到数据库失败:', dbErr);
+  }
+  
+  return {
+    resultId,
+    result: resultText,
+    report: report ? { summary: report.summary, strengths: report.strengths, issues } : null,
+    contextInfo: contextInfo,
+    warning
+  };
+}
+
 // 检查并创建 prompt.md 文件（如果不存在相关文件）
 async function ensurePromptFile(workspaceRoot) {
   try {
@@ -348,6 +520,10 @@ function createWindow() {
 app.whenReady().then(() => {
   // 初始化数据库
   initDatabase();
+  // 未显式标注工作区时归到当前打开的工作区
+  setUsageRecorder(createUsageRecorder({ llmModels, llmUsage }, () => currentAgent?.workspaceRoot || currentMemory?.workspaceRoot || null));
+  // 上次退出或崩溃时未完成的校验任务标记为暂停，由用户决定是否继续
+  auditJobs.pauseInterrupted();
   
   createWindow();
 
@@ -577,20 +753,108 @@ app.whenReady().then(() => {
   // 调用 LLM API
   ipcMain.handle('llm:chat', async (event, { modelId, messages, options }) => {
     try {
-      const model = modelId ? llmModels.getById(modelId) : llmModels.getDefault();
+      const chain = getLLMConfigChain(modelId);
       
-      if (!model) {
+      if (chain.length === 0) {
         return { success: false, error: '未找到可用的模型配置' };
       }
       
-      const config = {
-        baseUrl: model.base_url,
-        apiKey: model.api_key,
-        model: model.model
-      };
+      const response = await withUsageContext({ skill: 'chat' }, () =>
+        callLLMWithFallback(chain, messages, { ...options, retry: getRetryOptions(settings) })
+      );
+      return { success: true, response };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 流式调用 LLM API（增量文本通过 llm:chunk 事件推送给渲染进程）
+  ipcMain.handle('llm:chatStream', async (event, { requestId, modelId, messages, options }) => {
+    const controller = new AbortController();
+    activeStreams.set(requestId, controller);
+    
+    const sendChunk = (payload) => {
+      if (event.sender && !event.sender.isDestroyed()) {
+        event.sender.send('llm:chunk', { requestId, ...payload });
+      }
+    };
+    
+    try {
+      const chain = getLLMConfigChain(modelId);
+      
+      if (chain.length === 0) {
+        return { success: false, error: '未找到可用的模型配置' };
+      }
       
-      const response = await callLLM(config, messages, options);
+      // 收到第一段内容之前失败时重试并切换备用模型，之后失败返回已收到的内容
+      const response = await callLLMStreamWithFallback(
+        chain,
+        messages,
+        (delta) => sendChunk({ delta, done: false }),
+        { ...options, retry: getRetryOptions(settings), signal: controller.signal, usageTag: { skill: 'chat' } }
+      );
       return { success: true, response };
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message,
+        cancelled: controller.signal.aborted,
+        partial: err.partialContent || ''
+      };
+    } finally {
+      activeStreams.delete(requestId);
+      sendChunk({ delta: '', done: true });
+    }
+  });
+  
+  // 取消流式调用
+  ipcMain.handle('llm:cancelStream', async (event, requestId) => {
+    const controller = activeStreams.get(requestId);
+    if (controller) {
+      controller.abort();
+      activeStreams.delete(requestId);
+    }
+    return { success: true };
+  });
+
+  // ========== LLM 用量统计 ==========
+  // 参数均可选：workspacePath 为空时统计全部工作区，days 为空时不限时间
+  
+  // 按天汇总
+  ipcMain.handle('usage:getByDay', async (event, { workspacePath, days } = {}) => {
+    try {
+      const rows = llmUsage.getTotalsByDay(workspacePath, days);
+      return { success: true, data: rows };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 按章节汇总
+  ipcMain.handle('usage:getByChapter', async (event, { workspacePath, days } = {}) => {
+    try {
+      const rows = llmUsage.getTotalsByChapter(workspacePath, days);
+      return { success: true, data: rows };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 按技能汇总
+  ipcMain.handle('usage:getBySkill', async (event, { workspacePath, days } = {}) => {
+    try {
+      const rows = llmUsage.getTotalsBySkill(workspacePath, days);
+      return { success: true, data: rows };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 总计
+  ipcMain.handle('usage:getSummary', async (event, { workspacePath, days } = {}) => {
+    try {
+      const summary = llmUsage.getSummary(workspacePath, days);
+      return { success: true, data: summary };
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -642,6 +906,8 @@ app.whenReady().then(() => {
   ipcMain.handle('embedding:delete', async (event, id) => {
     try {
       embeddingModels.delete(id);
+      // 该模型生成的向量不再可用
+      vectorSearch.deleteByModel(id);
       return { success: true };
     } catch (err) {
       return { success: false, error: err.message };
@@ -652,6 +918,17 @@ app.whenReady().then(() => {
   ipcMain.handle('embedding:setDefault', async (event, id) => {
     try {
       embeddingModels.setDefault(id);
+      
+      // 当前工作区已建立过索引、但新模型还没有向量时，在后台用新模型重新索引
+      const workspaceRoot = watchedWorkspaceRoot;
+      if (workspaceRoot &&
+          vectorIndex.countByWorkspace(workspaceRoot) > 0 &&
+          vectorIndex.countByWorkspace(workspaceRoot, id) === 0) {
+        walkDirForAllFiles(workspaceRoot)
+          .filter(item => item.type === 'file' && isIndexableFile(item.path))
+          .forEach(item => reindexQueue.schedule(item.path, workspaceRoot));
+        return { success: true, reindexing: true };
+      }
       return { success: true };
     } catch (err) {
       return { success: false, error: err.message };
@@ -725,10 +1002,22 @@ app.whenReady().then(() => {
   // ========== 向量索引管理 ==========
   
   // 添加或更新向量索引
-  ipcMain.handle('vector:addOrUpdate', async (event, { filePath, chunkIndex, chunkText, embedding }) => {
+  ipcMain.handle('vector:addOrUpdate', async (event, { workspacePath, embeddingModelId, filePath, chunkIndex, chunkText, embedding }) => {
     try {
-      vectorIndex.addOrUpdate(filePath, chunkIndex, chunkText, embedding);
-      return { success: true };
+      const workspace = workspacePath || watchedWorkspaceRoot;
+      const model = embeddingModelId ? embeddingModels.getById(embeddingModelId) : embeddingModels.getDefault();
+      if (!workspace || !model) {
+        return { success: false, error: '缺少工作区或 Embedding 模型，无法写入向量索引' };
+      }
+      const id = vectorSearch.addOrUpdate({
+        workspacePath: workspace,
+        modelId: model.id,
+        filePath,
+        chunkIndex,
+        chunkText,
+        embedding
+      });
+      return { success: true, id };
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -747,7 +1036,7 @@ app.whenReady().then(() => {
   // 删除文件的向量索引
   ipcMain.handle('vector:deleteByFile', async (event, filePath) => {
     try {
-      vectorIndex.deleteByFile(filePath);
+      vectorSearch.deleteByFile(filePath);
       return { success: true };
     } catch (err) {
       return { success: false, error: err.message };
@@ -757,13 +1046,24 @@ app.whenReady().then(() => {
   // 删除工作区的所有向量索引
   ipcMain.handle('vector:deleteByWorkspace', async (event, workspacePath) => {
     try {
-      vectorIndex.deleteByWorkspace(workspacePath);
+      vectorSearch.deleteByWorkspace(workspacePath);
       return { success: true };
     } catch (err) {
       return { success: false, error: err.message };
     }
   });
   
+  // 获取工作区的索引状态（当前默认模型的向量数、维度，以及其他模型的向量数）
+  ipcMain.handle('vector:getStatus', async (event, workspacePath) => {
+    try {
+      const model = embeddingModels.getDefault();
+      const status = vectorSearch.getIndexStatus(workspacePath, model ? model.id : null);
+      return { success: true, status };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
   // 获取所有向量索引
   ipcMain.handle('vector:getAll', async () => {
     try {
@@ -777,7 +1077,7 @@ app.whenReady().then(() => {
   // 清空所有向量索引
   ipcMain.handle('vector:clear', async () => {
     try {
-      vectorIndex.clear();
+      vectorSearch.clear();
       return { success: true };
     } catch (err) {
       return { success: false, error: err.message };
@@ -820,165 +1120,101 @@ app.whenReady().then(() => {
   });
 
   // 一致性校验
-  ipcMain.handle('consistency:check', async (event, { text, workspaceRoot, filePath }) => {
+  ipcMain.handle('consistency:check', async (event, { text, workspaceRoot, filePath, baseOffset = 0 }) => {
     try {
-      // 1. 获取 Embedding 模型
-      const embeddingModel = embeddingModels.getDefault();
-      if (!embeddingModel) {
-        return { success: false, error: '未配置 Embedding 模型，请先在设置中添加' };
-      }
-      
-      // 2. 获取 LLM 模型
-      const llmModel = llmModels.getDefault();
-      if (!llmModel) {
-        return { success: false, error: '未配置 LLM 模型，请先在设置中添加' };
-      }
-      
-      // 3. 生成文本的 embedding
-      const queryEmbedding = await getEmbedding(embeddingModel, text);
-      
-      // 4. 搜索相关内容（从向量索引中）
-      const similarChunks = await searchSimilarChunks(queryEmbedding, 5);
-      
-      // 5. 读取 MD 提示文件（如果有）
-      let promptContent = '';
-      if (workspaceRoot) {
-        const items = walkDirForAllFiles(workspaceRoot);
-        const mdFile = items.find(item => {
-          if (item.type !== 'file') return false;
-          const name = path.basename(item.path).toLowerCase();
-          return name.endsWith('.md') && (
-            name.includes('prompt') || 
-            name.includes('提示') || 
-            name.includes('设定') || 
-            name.includes('世界观')
-          );
-        });
-        
-        if (mdFile) {
-          try {
-            promptContent = await fs.promises.readFile(mdFile.path, 'utf-8');
-          } catch (e) {
-            console.error('读取提示文件失败:', e);
-          }
-        }
-      }
-      
-      // 6. 构建校验提示词
-      let checkPrompt = `你是一个专业的小说创作顾问，负责检查文本的一致性。请仔细分析以下内容，找出可能存在的问题：
-
-【待检查的文本】
-${text}
-
-`;
-      
-      if (promptContent) {
-        checkPrompt += `【世界观和设定】
-${promptContent}
-
-`;
-      }
-      
-      if (similarChunks.length > 0) {
-        checkPrompt += `【相关的已有内容】（从整个作品中检索到的相关段落）
-${similarChunks.map((chunk, idx) => 
-  `${idx + 1}. 来自 ${path.basename(chunk.filePath)}:\n${chunk.text}\n`
-).join('\n')}
-
-`;
-      }
-      
-      checkPrompt += `请从以下几个方面进行一致性校验：
-
-1. **时间冲突**：检查时间线是否合理，是否有前后矛盾的时间描述
-2. **人物冲突**：检查人物性格、能力、背景是否与设定一致，是否出现了不该出现的人物
-3. **世界观冲突**：检查是否符合世界观设定，是否出现了不该有的事物或技术
-4. **情节合理性**：检查情节发展是否合理，是否有逻辑漏洞
-5. **前后矛盾**：检查是否与之前的内容存在矛盾
-
-请按以下格式输出：
-
-## 检查结果
-
-【总体评价】
-（简要说明整体一致性如何）
-
-【发现的问题】
-（如果有问题，请详细列出；如果没有问题，说明"未发现明显问题"）
-
-1. 问题类型：xxx
-   - 具体描述：xxx
-   - 建议修改：xxx
-
-【优点】
-（列出文本中做得好的地方）
-
-请务必基于提供的设定和相关内容进行判断，如果没有足够信息则说明"信息不足，无法判断"。`;
-      
-      // 7. 调用 LLM 进行分析
-      const config = {
-        baseUrl: llmModel.base_url,
-        apiKey: llmModel.api_key,
-        model: llmModel.model
-      };
-      
-      const response = await callLLM(
-        config,
-        [
-          { role: 'system', content: '你是一个专业的小说创作顾问，擅长一致性校验和内容审查。' },
-          { role: 'user', content: checkPrompt }
-        ],
-        { temperature: 0.3, maxTokens: 2000 }
-      );
-      
-      const contextInfo = {
-        hasPromptFile: !!promptContent,
-        relatedChunksCount: similarChunks.length,
-        similarChunks: similarChunks.map(c => ({
-          file: path.basename(c.filePath),
-          similarity: c.similarity
-        }))
-      };
-      
-      // 8. 保存校验结果到数据库
-      try {
-        consistencyResults.add({
-          workspacePath: workspaceRoot || null,
-          filePath: filePath || null,
-          checkedText: text.length > 1000 ? text.substring(0, 1000) + '...' : text, // 限制保存的文本长度
-          result: response,
-          contextInfo: contextInfo
-        });
-      } catch (dbErr) {
-        console.error('保存校验结果到数据库失败:', dbErr);
-      }
-      
-      return {
-        success: true,
-        result: response,
-        contextInfo: contextInfo
-      };
+      const { resultId, ...checkResult } = await runConsistencyCheck({ text, workspaceRoot, filePath, baseOffset });
+      return { success: true, ...checkResult };
     } catch (err) {
       return { success: false, error: err.message };
     }
   });
 
-  // ========== 校验结果管理 ==========
+  // ========== 全书校验任务 ==========
   
-  // 获取所有校验结果
-  ipcMain.handle('consistency:getAll', async () => {
+  // 创建并开始校验任务，files 按章节顺序排列
+  ipcMain.handle('audit:start', async (event, { workspaceRoot, files, concurrency }) => {
     try {
-      const results = consistencyResults.getAll();
-      return { success: true, results };
+      const job = auditRunner.start({ workspacePath: workspaceRoot, files, concurrency });
+      return { success: true, job };
     } catch (err) {
       return { success: false, error: err.message };
     }
   });
   
-  // 获取工作区的校验结果
-  ipcMain.handle('consistency:getByWorkspace', async (event, workspacePath) => {
+  ipcMain.handle('audit:pause', async (event, jobId) => {
     try {
-      const results = consistencyResults.getByWorkspace(workspacePath);
+      return { success: true, job: auditRunner.pause(jobId) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  ipcMain.handle('audit:resume', async (event, jobId) => {
+    try {
+      return { success: true, job: auditRunner.resume(jobId) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  ipcMain.handle('audit:cancel', async (event, jobId) => {
+    try {
+      return { success: true, job: auditRunner.cancel(jobId) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 获取工作区最近的校验任务
+  ipcMain.handle('audit:list', async (event, workspaceRoot) => {
+    try {
+      return { success: true, jobs: auditJobs.getByWorkspace(workspaceRoot) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 获取任务详情（含每个章节的状态）
+  ipcMain.handle('audit:get', async (event, jobId) => {
+    try {
+      const job = auditJobs.getById(jobId);
+      if (!job) {
+        return { success: false, error: '校验任务不存在' };
+      }
+      return { success: true, job, items: auditJobs.getItems(jobId) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  ipcMain.handle('audit:delete', async (event, jobId) => {
+    try {
+      auditRunner.cancel(jobId);
+      // 等正在校验的章节结束后再删除，避免任务收尾时找不到记录
+      await auditRunner.wait(jobId);
+      auditJobs.delete(jobId);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // ========== 校验结果管理 ==========
+  
+  // 获取所有校验结果
+  ipcMain.handle('consistency:getAll', async () => {
+    try {
+      const results = consistencyResults.getAll();
+      return { success: true, results };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 获取工作区的校验结果
+  ipcMain.handle('consistency:getByWorkspace', async (event, workspacePath) => {
+    try {
+      const results = consistencyResults.getByWorkspace(workspacePath);
       return { success: true, results };
     } catch (err) {
       return { success: false, error: err.message };
@@ -1004,8 +1240,34 @@ ${similarChunks.map((chunk, idx) =>
       return { success: false, error: err.message };
     }
   });
+  
+  // 获取某个文件的校验问题（status 为空时返回全部）
+  ipcMain.handle('consistency:getIssues', async (event, { filePath, status }) => {
+    try {
+      const issues = consistencyIssues.getByFile(filePath, status || null);
+      return { success: true, issues };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+  
+  // 更新校验问题状态：applied（已应用建议）/ dismissed（已忽略）/ open
+  ipcMain.handle('consistency:setIssueStatus', async (event, { id, status }) => {
+    try {
+      if (!['open', 'applied', 'dismissed'].includes(status)) {
+        return { success: false, error: `无效的问题状态: ${status}` };
+      }
+      const issue = consistencyIssues.setStatus(id, status);
+      if (!issue) {
+        return { success: false, error: '校验问题不存在' };
+      }
+      return { success: true, issue };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
 
-  // 构建工作区的向量索引
+  // 构建工作区的向量索引（增量：只为内容变化的文本块生成 embedding）
   ipcMain.handle('vector:buildIndex', async (event, { rootDir, embeddingModelId }) => {
     try {
       // 获取Embedding模型配置
@@ -1015,65 +1277,63 @@ ${similarChunks.map((chunk, idx) =>
         return { success: false, error: '未找到可用的 Embedding 模型配置，请先在设置中添加' };
       }
       
-      // 收集所有txt文件
+      // 收集所有 txt 文件和 md 章节文件
       const items = walkDirForAllFiles(rootDir);
-      const txtFiles = items
-        .filter(item => item.type === 'file' && item.path.toLowerCase().endsWith('.txt'))
+      const files = items
+        .filter(item => item.type === 'file' && isIndexableFile(item.path))
         .map(item => item.path);
       
-      if (txtFiles.length === 0) {
-        return { success: true, message: '没有找到txt文件', indexed: 0, total: 0 };
-      }
-      
-      let indexed = 0;
-      const errors = [];
-      
-      // 处理每个txt文件
-      for (const filePath of txtFiles) {
-        try {
-          // 读取文件内容
-          const content = await fs.promises.readFile(filePath, 'utf-8');
-          
-          // 分块（每500字符一块，可以调整）
-          const chunks = splitTextIntoChunks(content, 500);
-          
-          // 为每个块生成embedding
-          for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
+      // 与后台重新索引任务互斥执行
+      return await reindexQueue.runExclusive(async () => {
+        // 先加载工作区的 ANN 索引，后续写入会增量同步到索引中
+        vectorSearch.openWorkspace(rootDir, model.id);
+        
+        // 删除已不在工作区中的文件的向量（应用关闭期间删除或重命名的文件不会触发文件监听）
+        const removed = purgeMissingFiles(rootDir, files).length;
+        
+        if (files.length === 0) {
+          return { success: true, message: '没有找到可索引的文件', indexed: 0, total: 0, removed };
+        }
+        
+        let indexed = 0;
+        let embedded = 0;
+        let reused = 0;
+        const errors = [];
+        
+        for (const filePath of files) {
+          try {
+            const stats = await indexFile(filePath, {
+              workspacePath: rootDir,
+              modelId: model.id,
+              embed: text => getEmbedding(model, text)
+            });
+            embedded += stats.embedded;
+            reused += stats.reused;
+            errors.push(...stats.errors);
+            indexed++;
             
-            try {
-              // 调用embedding API
-              const embedding = await getEmbedding(model, chunk);
-              
-              // 存储到数据库
-              vectorIndex.addOrUpdate(filePath, i, chunk, embedding);
-            } catch (embErr) {
-              console.error(`为文件 ${filePath} 的块 ${i} 生成embedding失败:`, embErr);
-              errors.push(`${path.basename(filePath)}[块${i}]: ${embErr.message}`);
-            }
+            // 发送进度更新
+            mainWindow.webContents.send('vector:indexProgress', {
+              current: indexed,
+              total: files.length,
+              file: path.basename(filePath)
+            });
+          } catch (fileErr) {
+            console.error(`处理文件 ${filePath} 失败:`, fileErr);
+            errors.push(`${path.basename(filePath)}: ${fileErr.message}`);
           }
-          
-          indexed++;
-          
-          // 发送进度更新
-          mainWindow.webContents.send('vector:indexProgress', {
-            current: indexed,
-            total: txtFiles.length,
-            file: path.basename(filePath)
-          });
-          
-        } catch (fileErr) {
-          console.error(`处理文件 ${filePath} 失败:`, fileErr);
-          errors.push(`${path.basename(filePath)}: ${fileErr.message}`);
         }
-      }
-      
-      return {
-        success: true,
-        indexed,
-        total: txtFiles.length,
-        errors: errors.length > 0 ? errors : undefined
-      };
+        
+        return {
+          success: true,
+          indexed,
+          total: files.length,
+          embedded,
+          reused,
+          removed,
+          errors: errors.length > 0 ? errors : undefined
+        };
+      });
       
     } catch (err) {
       return { success: false, error: err.message };
@@ -1105,12 +1365,8 @@ ${similarChunks.map((chunk, idx) =>
       let llmConfig = null;
       try {
         const defaultModel = llmModels.getDefault();
-        if (defaultModel && defaultModel.base_url && defaultModel.api_key && defaultModel.model) {
-          llmConfig = {
-            baseUrl: defaultModel.base_url,
-            apiKey: defaultModel.api_key,
-            model: defaultModel.model
-          };
+        if (isModelConfigured(defaultModel)) {
+          llmConfig = toLLMConfig(defaultModel);
           console.log(`🤖 使用 LLM 模型进行智能提取: ${defaultModel.name || defaultModel.id}`);
         } else {
           console.log('ℹ️ LLM 模型配置不完整，跳过智能提取');
@@ -1332,12 +1588,8 @@ ${similarChunks.map((chunk, idx) =>
       let llmConfig = null;
       try {
         const defaultModel = llmModels.getDefault();
-        if (defaultModel && defaultModel.base_url && defaultModel.api_key && defaultModel.model) {
-          llmConfig = {
-            baseUrl: defaultModel.base_url,
-            apiKey: defaultModel.api_key,
-            model: defaultModel.model
-          };
+        if (isModelConfigured(defaultModel)) {
+          llmConfig = toLLMConfig(defaultModel);
         }
       } catch (err) {
         console.warn('⚠️ 获取 LLM 配置失败:', err.message);
@@ -1359,32 +1611,17 @@ ${similarChunks.map((chunk, idx) =>
             messages.push({ role: 'user', content: userPrompt });
           }
 
-          const response = await fetch(`${llmConfig.baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${llmConfig.apiKey}`
-            },
-            body: JSON.stringify({
-              model: llmConfig.model,
-              messages: messages,
-              temperature: temperature,
-              max_tokens: maxTokens
-            })
-          });
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error('LLM API 错误响应:', response.status, errorText);
-            return { 
-              success: false, 
-              error: `LLM API 错误: ${response.statusText} (${response.status})` 
-            };
-          }
+          const content = await callLLMWithFallback(
+            getLLMConfigChain(),
+            messages,
+            {
+              temperature,
+              maxTokens,
+              retry: getRetryOptions(settings),
+              usageTag: { workspace: currentMemory.workspaceRoot, skill: 'memory_update' }
+            }
+          );
 
-          const data = await response.json();
-          const content = data.choices[0]?.message?.content || '';
-          
           return { 
             success: true, 
             response: content 
@@ -1439,12 +1676,8 @@ ${similarChunks.map((chunk, idx) =>
       let llmConfig = null;
       try {
         const defaultModel = llmModels.getDefault();
-        if (defaultModel && defaultModel.base_url && defaultModel.api_key && defaultModel.model) {
-          llmConfig = {
-            baseUrl: defaultModel.base_url,
-            apiKey: defaultModel.api_key,
-            model: defaultModel.model
-          };
+        if (isModelConfigured(defaultModel)) {
+          llmConfig = toLLMConfig(defaultModel);
         }
       } catch (err) {
         console.warn('⚠️ 获取 LLM 配置失败:', err.message);
@@ -1494,30 +1727,6 @@ ${similarChunks.map((chunk, idx) =>
         return { success: false, error: '文件内容为空' };
       }
 
-      // 创建 LLM 调用函数
-      const llmCaller = async (messages, options = {}) => {
-        const response = await fetch(`${llmConfig.baseUrl}/chat/completions`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${llmConfig.apiKey}`
-          },
-          body: JSON.stringify({
-            model: llmConfig.model,
-            messages: messages,
-            temperature: options.temperature || 0.7,
-            max_tokens: options.max_tokens || 2000
-          })
-        });
-
-        if (!response.ok) {
-          throw new Error(`LLM API 错误: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0]?.message?.content || '';
-      };
-
       // 使用 IntelligentExtractor 分析章节
       const IntelligentExtractor = require('./memory/extractors/intelligentExtractor');
       const extractor = new IntelligentExtractor(
@@ -1593,6 +1802,39 @@ ${similarChunks.map((chunk, idx) =>
     }
   });
 
+  // 检测结算后被修改的章节
+  ipcMain.handle('memory:detectEditedChapters', async () => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      const edited = await currentMemory.detectEditedChapters();
+      return { success: true, edited };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 修改已结算章节后级联重新结算（chapterNumber 为空时处理所有检测到的修改）
+  ipcMain.handle('memory:cascadeRefinalize', async (event, { chapterNumber, reextract } = {}) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      if (chapterNumber === undefined || chapterNumber === null) {
+        const result = await currentMemory.cascadeEditedChapters({ reextract });
+        return { success: true, ...result };
+      }
+      const report = await currentMemory.cascadeRefinalize(chapterNumber, { reextract });
+      return { success: true, reports: [report] };
+    } catch (err) {
+      console.error('❌ 级联重新结算失败:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
   // 读取 ChapterExtract
   ipcMain.handle('memory:readExtract', async (event, chapterNumber) => {
     try {
@@ -1691,6 +1933,20 @@ ${similarChunks.map((chunk, idx) =>
     }
   });
 
+  // 获取伏笔回收排期
+  ipcMain.handle('memory:planForeshadowPayoffs', async (event, options) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      const plan = currentMemory.planForeshadowPayoffs(options || {});
+      return { success: true, plan };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
   // 搜索伏笔
   ipcMain.handle('memory:searchForeshadows', async (event, query) => {
     try {
@@ -1747,6 +2003,118 @@ ${similarChunks.map((chunk, idx) =>
     }
   });
 
+  // 获取第 N 章结束时的故事状态
+  ipcMain.handle('memory:getStateAsOf', async (event, chapterNumber) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      const state = currentMemory.getStateAsOf(chapterNumber);
+      return { success: true, state };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 获取人物关系图谱（asOfChapter 为空时为最新关系）
+  ipcMain.handle('memory:getRelationshipGraph', async (event, asOfChapter) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: true, graph: { nodes: [], edges: [] } };
+      }
+
+      const graph = currentMemory.getRelationshipGraph({ asOfChapter: asOfChapter ?? null });
+      return { success: true, graph };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 获取两个角色在某一章时的关系
+  ipcMain.handle('memory:getRelationshipAsOf', async (event, { characterA, characterB, chapter }) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: true, relationship: null };
+      }
+
+      const relationship = currentMemory.getRelationshipAsOf(characterA, characterB, chapter ?? null);
+      return { success: true, relationship };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 获取章节区间内的关系变化
+  ipcMain.handle('memory:getRelationshipChanges', async (event, options) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: true, changes: [] };
+      }
+
+      const changes = currentMemory.getRelationshipChanges(options || {});
+      return { success: true, changes };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 获取审核队列
+  ipcMain.handle('memory:getReviewQueue', async (event, options) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: true, items: [], stats: { total: 0, inferences: 0, borderline: 0 } };
+      }
+
+      const queue = currentMemory.getReviewQueue(options || {});
+      return { success: true, ...queue };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 确认审核项
+  ipcMain.handle('memory:confirmReviewItem', async (event, { itemId, edits }) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      const result = await currentMemory.confirmReviewItem(itemId, edits || {});
+      return { success: true, ...result };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 拒绝审核项
+  ipcMain.handle('memory:rejectReviewItem', async (event, itemId) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      const result = await currentMemory.rejectReviewItem(itemId);
+      return { success: true, ...result };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 修改审核项
+  ipcMain.handle('memory:editReviewItem', async (event, { itemId, changes }) => {
+    try {
+      if (!currentMemory || !currentMemory.initialized) {
+        return { success: false, error: '记忆系统未初始化' };
+      }
+
+      const result = await currentMemory.editReviewItem(itemId, changes || {});
+      return { success: true, ...result };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
   // 清理已结算的 extracts
   ipcMain.handle('memory:cleanFinalizedExtracts', async (event, { finalizedChapters, dryRun }) => {
     try {
@@ -1838,12 +2206,8 @@ ${similarChunks.map((chunk, idx) =>
         let llmConfig = null;
         try {
           const defaultModel = llmModels.getDefault();
-          if (defaultModel && defaultModel.base_url && defaultModel.api_key && defaultModel.model) {
-            llmConfig = {
-              baseUrl: defaultModel.base_url,
-              apiKey: defaultModel.api_key,
-              model: defaultModel.model
-            };
+          if (isModelConfigured(defaultModel)) {
+            llmConfig = toLLMConfig(defaultModel);
           }
         } catch (err) {
           console.warn('⚠️ 获取 LLM 配置失败:', err.message);
@@ -1862,12 +2226,8 @@ ${similarChunks.map((chunk, idx) =>
       let llmConfig = null;
       try {
         const defaultModel = llmModels.getDefault();
-        if (defaultModel && defaultModel.base_url && defaultModel.api_key && defaultModel.model) {
-          llmConfig = {
-            baseUrl: defaultModel.base_url,
-            apiKey: defaultModel.api_key,
-            model: defaultModel.model
-          };
+        if (isModelConfigured(defaultModel)) {
+          llmConfig = toLLMConfig(defaultModel);
         }
       } catch (err) {
         return { success: false, error: 'LLM 配置获取失败: ' + err.message };
@@ -1905,38 +2265,10 @@ ${similarChunks.map((chunk, idx) =>
 
   // ==================== Novel Agent 执行 IPC ====================
 
-  // LLM 调用包装器（供 Agent 使用）
-  const createLLMCaller = () => {
-    return async ({ systemPrompt, userPrompt, temperature, maxTokens, topP }) => {
-      try {
-        const model = llmModels.getDefault();
-        if (!model) {
-          throw new Error('未找到可用的模型配置');
-        }
-
-        const config = {
-          baseUrl: model.base_url,
-          apiKey: model.api_key,
-          model: model.model
-        };
-
-        const messages = [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ];
-
-        const response = await callLLM(config, messages, {
-          temperature: temperature || 0.3,
-          maxTokens: maxTokens || 2000,
-          topP: topP || 0.95
-        });
-
-        return { success: true, response };
-      } catch (err) {
-        return { success: false, error: err.message };
-      }
-    };
-  };
+  // LLM 调用包装器（供 Agent 使用，与命令行共用 core/llmCaller）
+  // onChunk：可选，传入后带 stream: true 的调用（如 write_chapter）会改用流式响应
+  const createAgentLLMCaller = (onChunk = null, signal = undefined) =>
+    createLLMCaller({ getChain: () => getLLMConfigChain(), settings, onChunk, signal });
 
   // 初始化 Novel Agent
   ipcMain.handle('novelAgent:init', async (event, workspaceRoot) => {
@@ -1963,6 +2295,19 @@ ${similarChunks.map((chunk, idx) =>
     }
   });
 
+  // 信任或取消信任工作区的 Skill 插件（.novel-agent/skills/*.js），重新初始化 Agent 后生效
+  ipcMain.handle('novelAgent:setSkillPluginsTrusted', async (event, workspaceRoot, trusted) => {
+    try {
+      if (!workspaceRoot) {
+        return { success: false, error: '工作区路径不能为空' };
+      }
+      setWorkspaceTrusted(settings, workspaceRoot, !!trusted);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
   // 执行 Agent 任务
   ipcMain.handle('novelAgent:execute', async (event, request) => {
     try {
@@ -1970,10 +2315,23 @@ ${similarChunks.map((chunk, idx) =>
         return { success: false, error: 'Agent 未初始化，请先初始化' };
       }
 
-      const llmCaller = createLLMCaller();
-      const result = await currentAgent.execute(request, llmCaller);
+      // Agent 的流式输出（如 write_chapter）使用固定的 requestId 推送
+      const controller = new AbortController();
+      activeStreams.set(AGENT_STREAM_ID, controller);
+      const llmCaller = createAgentLLMCaller((delta) => {
+        if (event.sender && !event.sender.isDestroyed()) {
+          event.sender.send('llm:chunk', { requestId: AGENT_STREAM_ID, delta, done: false });
+        }
+      }, controller.signal);
       
-      return result;
+      try {
+        return await currentAgent.execute(request, llmCaller);
+      } finally {
+        activeStreams.delete(AGENT_STREAM_ID);
+        if (event.sender && !event.sender.isDestroyed()) {
+          event.sender.send('llm:chunk', { requestId: AGENT_STREAM_ID, delta: '', done: true });
+        }
+      }
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -2015,6 +2373,13 @@ ${similarChunks.map((chunk, idx) =>
       }
 
       currentAgent.cancel();
+      
+      // 中断正在进行的流式生成
+      const controller = activeStreams.get(AGENT_STREAM_ID);
+      if (controller) {
+        controller.abort();
+        activeStreams.delete(AGENT_STREAM_ID);
+      }
       return { success: true };
     } catch (err) {
       return { success: false, error: err.message };
@@ -2042,7 +2407,7 @@ ${similarChunks.map((chunk, idx) =>
         return { success: false, error: 'Agent 未初始化，请先初始化' };
       }
 
-      const llmCaller = createLLMCaller();
+      const llmCaller = createAgentLLMCaller();
       const result = await currentAgent.continueExecution(options, llmCaller);
       
       return result;
@@ -2051,6 +2416,34 @@ ${similarChunks.map((chunk, idx) =>
     }
   });
 
+  // 列出保存了检查点的运行（包括应用退出或崩溃时中断的运行）
+  ipcMain.handle('novelAgent:listRuns', async () => {
+    try {
+      if (!currentAgent || !currentAgent.initialized) {
+        return { success: false, error: 'Agent 未初始化，请先初始化' };
+      }
+
+      const runs = await currentAgent.listRuns();
+      return { success: true, runs };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 从最后完成的 Skill 继续运行
+  ipcMain.handle('novelAgent:resumeRun', async (event, { taskId, options } = {}) => {
+    try {
+      if (!currentAgent || !currentAgent.initialized) {
+        return { success: false, error: 'Agent 未初始化，请先初始化' };
+      }
+
+      const llmCaller = createAgentLLMCaller();
+      return await currentAgent.resumeRun(taskId, options || {}, llmCaller);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
   // 应用更改并更新记忆
   ipcMain.handle('novelAgent:applyChangesAndUpdateMemory', async (event, options) => {
     try {
@@ -2058,7 +2451,7 @@ ${similarChunks.map((chunk, idx) =>
         return { success: false, error: 'Agent 未初始化，请先初始化' };
       }
 
-      const llmCaller = createLLMCaller();
+      const llmCaller = createAgentLLMCaller();
       const result = await currentAgent.applyChangesAndUpdateMemory(options, llmCaller);
       
       return result;
@@ -2069,7 +2462,172 @@ ${similarChunks.map((chunk, idx) =>
 
   // ==================== 规则管理 IPC ====================
   // 注意：旧的规则引擎 IPC 接口已删除，现在只使用 DSL 规则引擎
-  // DSL 规则引擎通过 Agent 内部使用，不提供独立的 IPC 接口
+  // 以下为 DSL 规则编写工具：校验、试运行、期望用例
+
+  // 获取默认规则、规则包和工作区自定义规则，以及自定义规则的校验结果
+  ipcMain.handle('rules:getRuleSets', async (event, workspaceRoot) => {
+    try {
+      const workbench = getRuleWorkbench(workspaceRoot);
+      const ruleSets = await workbench.getRuleSets();
+      const validation = await workbench.validate(ruleSets.customRules);
+      return { success: true, ...ruleSets, validation };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:validate', async (event, { workspaceRoot, ruleSet }) => {
+    try {
+      return { success: true, validation: await getRuleWorkbench(workspaceRoot).validate(ruleSet) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 保存自定义规则（校验不通过时不保存），保存后自动运行期望用例
+  ipcMain.handle('rules:saveRuleSet', async (event, { workspaceRoot, ruleSet }) => {
+    try {
+      const validation = await getRuleWorkbench(workspaceRoot).saveRuleSet(ruleSet);
+      if (validation.valid) {
+        scheduleRuleRegression(workspaceRoot);
+      }
+      return { success: validation.valid, validation, error: validation.valid ? undefined : '规则校验未通过' };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 试运行：customRules 为空时使用已保存的自定义规则；ruleId 为空时检查全部规则
+  ipcMain.handle('rules:dryRun', async (event, { workspaceRoot, customRules, ruleId, filePath, text, useLLM = false }) => {
+    try {
+      const result = await getRuleWorkbench(workspaceRoot).dryRun({
+        customRules,
+        ruleId,
+        filePath,
+        text,
+        useLLM,
+        llmCaller: useLLM ? createAgentLLMCaller() : null
+      });
+      return { success: true, ...result };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:getExpectations', async (event, workspaceRoot) => {
+    try {
+      return { success: true, expectations: await getRuleWorkbench(workspaceRoot).getExpectations() };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:saveExpectation', async (event, { workspaceRoot, expectation }) => {
+    try {
+      return { success: true, expectation: await getRuleWorkbench(workspaceRoot).saveExpectation(expectation) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:deleteExpectation', async (event, { workspaceRoot, id }) => {
+    try {
+      await getRuleWorkbench(workspaceRoot).deleteExpectation(id);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 手动运行期望用例；customRules 不为空时用未保存的自定义规则运行
+  ipcMain.handle('rules:runGoldenTests', async (event, { workspaceRoot, customRules, useLLM = false }) => {
+    try {
+      const golden = await getRuleWorkbench(workspaceRoot).runGoldenTests({
+        customRules,
+        useLLM,
+        llmCaller: useLLM ? createAgentLLMCaller() : null
+      });
+      return { success: true, ...golden };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 规则包：启用状态、级别覆盖和加载顺序保存在工作区 rules/rule-packs.json，修改后重新加载规则
+  ipcMain.handle('rules:setPackEnabled', async (event, { workspaceRoot, packId, enabled }) => {
+    try {
+      await getRuleWorkbench(workspaceRoot).packs.setEnabled(packId, enabled);
+      scheduleRuleRegression(workspaceRoot);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:setPackSeverity', async (event, { workspaceRoot, packId, ruleId, level }) => {
+    try {
+      await getRuleWorkbench(workspaceRoot).packs.setSeverity(packId, ruleId, level);
+      scheduleRuleRegression(workspaceRoot);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:reorderPacks', async (event, { workspaceRoot, packIds }) => {
+    try {
+      await getRuleWorkbench(workspaceRoot).packs.reorder(packIds);
+      scheduleRuleRegression(workspaceRoot);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 导入规则包（选择 JSON 文件，校验通过后复制到工作区 rules/packs）
+  ipcMain.handle('rules:importPack', async (event, workspaceRoot) => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [{ name: 'Rule Pack', extensions: ['json'] }]
+      });
+      if (result.canceled || !result.filePaths.length) return { success: false, canceled: true };
+
+      const imported = await getRuleWorkbench(workspaceRoot).importPack(result.filePaths[0]);
+      if (imported.valid) {
+        scheduleRuleRegression(workspaceRoot);
+      }
+      return { success: imported.valid, ...imported, error: imported.valid ? undefined : '规则包校验未通过' };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 导出规则包为单个 JSON 文件（附带当前工作区的级别覆盖）
+  ipcMain.handle('rules:exportPack', async (event, { workspaceRoot, packId }) => {
+    try {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: `${packId}.json`,
+        filters: [{ name: 'Rule Pack', extensions: ['json'] }]
+      });
+      if (result.canceled || !result.filePath) return { success: false, canceled: true };
+
+      await getRuleWorkbench(workspaceRoot).exportPack(packId, result.filePath);
+      return { success: true, filePath: result.filePath };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('rules:removePack', async (event, { workspaceRoot, packId }) => {
+    try {
+      await getRuleWorkbench(workspaceRoot).packs.remove(packId);
+      scheduleRuleRegression(workspaceRoot);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
 
   // ==================== 设置管理 IPC ====================
   
@@ -2151,8 +2709,21 @@ ${similarChunks.map((chunk, idx) =>
   });
 });
 
+// 应用退出时调用，只在第一次时生效（macOS 关闭最后一个窗口不会退出，校验任务继续执行）
+function shutdownAuditRunner() {
+  try {
+    auditRunner.shutdown();
+  } catch (err) {
+    console.error('暂停校验任务失败:', err);
+  }
+}
+
 app.on('window-all-closed', () => {
   stopFileWatcher(); // 停止文件监听
+  vectorSearch.flush(); // 写盘未保存的向量索引
+  if (process.platform !== 'darwin') {
+    shutdownAuditRunner(); // 暂停执行中的校验任务（需在关闭数据库之前）
+  }
   closeDatabase();
   if (process.platform !== 'darwin') {
     app.quit();
@@ -2160,6 +2731,8 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', () => {
+  vectorSearch.flush();
+  shutdownAuditRunner();
   closeDatabase();
 });
 
@@ -1,6 +1,10 @@
 /**
  * Character Memory - 人物记忆
  * 存储人物性格、当前状态、关系网等信息
+ *
+ * 关系以按章节记录的边保存在 relationship_edges 中（类型、强度、原文证据），
+ * 可以查询任意章节时两人的关系和某段章节内的关系变化；
+ * 角色上的 relationships[对方] 只是最新一条边的快照
  */
 
 const fs = require('fs').promises;
@@ -24,6 +28,10 @@ class CharacterMemory {
       try {
         const content = await fs.readFile(this.memoryFile, 'utf-8');
         this.data = JSON.parse(content);
+        if (!Array.isArray(this.data.relationship_edges)) {
+          this.migrateRelationships();
+          await this.save();
+        }
         console.log('✅ 加载人物记忆成功');
       } catch (e) {
         console.log('📝 创建新的人物记忆');
@@ -43,10 +51,31 @@ class CharacterMemory {
     return {
       version: '1.0',
       last_updated: new Date().toISOString(),
-      characters: {}
+      characters: {},
+      relationship_edges: []
     };
   }
 
+  /**
+   * 旧版数据只有 relationships[对方]，转换为边（没有章节号的视为开篇前已有的关系）
+   */
+  migrateRelationships() {
+    this.data.relationship_edges = [];
+    for (const char of Object.values(this.data.characters || {})) {
+      for (const [target, relationship] of Object.entries(char.relationships || {})) {
+        if (!relationship || typeof relationship !== 'object') continue;
+        this.data.relationship_edges.push(this.buildRelationshipEdge(char.name, target, {
+          ...relationship,
+          type: relationship.type || relationship.relation || relationship.description,
+          origin: 'migrated'
+        }));
+      }
+    }
+    if (this.data.relationship_edges.length > 0) {
+      console.log(`🔄 已将 ${this.data.relationship_edges.length} 条旧版角色关系转换为关系边`);
+    }
+  }
+
   /**
    * 添加角色（如果已存在同名角色，则返回现有角色的ID）
    */
@@ -338,6 +367,53 @@ class CharacterMemory {
     return trajectory;
   }
 
+  /**
+   * 第 N 章结束时角色的状态：取不晚于该章的最后一次状态迁移，
+   * 没有这样的记录时取该章之后第一次迁移前的状态（都没有章节号时返回当前状态）
+   */
+  getCharacterStateAsOf(charIdOrName, chapterNumber) {
+    const char = this.getCharacter(charIdOrName);
+    if (!char) {
+      return null;
+    }
+
+    const records = (char.state_history || []).filter(record => record.chapter !== null && record.chapter !== undefined);
+    const before = records.filter(record => record.chapter <= chapterNumber);
+    if (before.length > 0) {
+      return before.reduce((latest, record) => (record.chapter >= latest.chapter ? record : latest)).to;
+    }
+    const after = records.filter(record => record.chapter > chapterNumber);
+    if (after.length > 0) {
+      return after.reduce((earliest, record) => (record.chapter < earliest.chapter ? record : earliest)).from;
+    }
+    return char.current_state;
+  }
+
+  /**
+   * 第 N 章结束时的全部角色（状态、关系快照、历史事件都截至该章）
+   */
+  getCharactersAsOf(chapterNumber) {
+    const isVisible = item => item.chapter === null || item.chapter === undefined || item.chapter <= chapterNumber;
+
+    return this.getAllCharacters().map(char => {
+      const relationships = {};
+      for (const edge of this.data.relationship_edges.filter(isVisible)) {
+        if (edge.source !== char.name && edge.target !== char.name) continue;
+        const other = edge.source === char.name ? edge.target : edge.source;
+        const latest = this.getRelationshipAsOf(char.name, other, chapterNumber);
+        relationships[other] = { type: latest.type, intensity: latest.intensity, evidence: latest.evidence, chapter: latest.chapter };
+      }
+
+      return {
+        ...char,
+        current_state: this.getCharacterStateAsOf(char.name, chapterNumber),
+        relationships,
+        history: (char.history || []).filter(isVisible),
+        state_history: (char.state_history || []).filter(isVisible)
+      };
+    });
+  }
+
   /**
    * 添加角色历史事件（如果角色不存在，先创建角色）
    */
@@ -363,8 +439,76 @@ class CharacterMemory {
     console.log(`✅ 添加角色历史: ${char.name} - ${event.event}`);
   }
 
+  // ==================== 角色关系 ====================
+
+  buildRelationshipEdge(source, target, relationship) {
+    const chapter = Number.isFinite(Number(relationship.chapter)) && relationship.chapter !== null
+      ? Number(relationship.chapter)
+      : null;
+    const intensity = Number(relationship.intensity);
+    return {
+      id: relationship.id || `rel_${chapter ?? 0}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      source,
+      target,
+      type: relationship.type || 'unknown',
+      intensity: Number.isFinite(intensity) ? Math.max(0, Math.min(1, intensity)) : null,
+      evidence: relationship.evidence || '',
+      chapter,
+      origin: relationship.origin || 'manual',
+      recorded_at: new Date().toISOString()
+    };
+  }
+
+  pairKey(a, b) {
+    return JSON.stringify([a, b].sort());
+  }
+
+  isPair(edge, a, b) {
+    return (edge.source === a && edge.target === b) || (edge.source === b && edge.target === a);
+  }
+
   /**
-   * 更新角色关系
+   * 关系边按章节排序（同一章内保持记录顺序，没有章节号的排在最前）
+   */
+  sortEdges(edges) {
+    return edges
+      .map((edge, index) => ({ edge, index }))
+      .sort((x, y) => (x.edge.chapter ?? 0) - (y.edge.chapter ?? 0) || x.index - y.index)
+      .map(item => item.edge);
+  }
+
+  resolveName(charIdOrName) {
+    return this.getCharacter(charIdOrName)?.name || charIdOrName;
+  }
+
+  /**
+   * 同步角色上的关系快照（双方各自的 relationships[对方] 为最新一条边）
+   */
+  refreshRelationshipSnapshot(a, b) {
+    const latest = this.getRelationshipAsOf(a, b, null);
+    for (const [self, other] of [[a, b], [b, a]]) {
+      const char = this.getCharacter(self);
+      if (!char) continue;
+      char.relationships = char.relationships || {};
+      if (latest) {
+        char.relationships[other] = {
+          type: latest.type,
+          intensity: latest.intensity,
+          chapter: latest.chapter,
+          updated_at: latest.recorded_at
+        };
+      } else {
+        delete char.relationships[other];
+      }
+    }
+  }
+
+  /**
+   * 记录角色关系（追加一条关系边，不覆盖此前的关系）
+   * @param {string} charIdOrName - 角色ID或名称
+   * @param {string} targetChar - 对方角色名称
+   * @param {Object} relationship - { type, intensity (0~1), evidence, chapter, id?, origin? }
+   * @returns {Object} 新的关系边
    */
   async updateRelationship(charIdOrName, targetChar, relationship) {
     const char = this.getCharacter(charIdOrName);
@@ -372,14 +516,157 @@ class CharacterMemory {
       throw new Error(`角色不存在: ${charIdOrName}`);
     }
 
-    char.relationships[targetChar] = {
-      ...relationship,
-      updated_at: new Date().toISOString()
-    };
+    const target = this.resolveName(targetChar);
+    const edge = this.buildRelationshipEdge(char.name, target, relationship);
+    this.data.relationship_edges.push(edge);
+    this.refreshRelationshipSnapshot(char.name, target);
 
     this.data.last_updated = new Date().toISOString();
     await this.save();
-    console.log(`✅ 更新角色关系: ${char.name} ↔ ${targetChar}`);
+    console.log(`✅ 更新角色关系: ${char.name} ↔ ${target}（${edge.type}${edge.chapter ? `，第${edge.chapter}章` : ''}）`);
+    return edge;
+  }
+
+  /**
+   * 删除关系边（回滚章节结算时使用）
+   */
+  async removeRelationshipEdge(edgeId) {
+    const edge = this.data.relationship_edges.find(item => item.id === edgeId);
+    if (!edge) return false;
+
+    this.data.relationship_edges = this.data.relationship_edges.filter(item => item.id !== edgeId);
+    this.refreshRelationshipSnapshot(edge.source, edge.target);
+    this.data.last_updated = new Date().toISOString();
+    await this.save();
+    return true;
+  }
+
+  /**
+   * 删除结算时为关系自动创建的角色（回滚该关系时使用）
+   * 角色已有其他关系边或历史记录时保留
+   * @returns {boolean} 是否删除
+   */
+  async removeAutoCreatedCharacter(charId) {
+    const char = this.data.characters[charId];
+    if (!char) return false;
+
+    const inUse = this.data.relationship_edges.some(edge => edge.source === char.name || edge.target === char.name) ||
+      (char.history || []).length > 0 ||
+      (char.state_history || []).length > 0;
+    if (inUse) return false;
+
+    delete this.data.characters[charId];
+    this.data.last_updated = new Date().toISOString();
+    await this.save();
+    console.log(`✅ 已删除自动创建的角色: ${char.name}`);
+    return true;
+  }
+
+  /**
+   * 删除某一章记录的所有关系边（章节重写时使用）
+   * @returns {number} 删除的数量
+   */
+  async removeRelationshipsByChapter(chapterNumber) {
+    const removed = this.data.relationship_edges.filter(edge => edge.chapter === chapterNumber);
+    if (removed.length === 0) return 0;
+
+    this.data.relationship_edges = this.data.relationship_edges.filter(edge => edge.chapter !== chapterNumber);
+    for (const edge of removed) {
+      this.refreshRelationshipSnapshot(edge.source, edge.target);
+    }
+    this.data.last_updated = new Date().toISOString();
+    await this.save();
+    console.log(`✅ 已删除第${chapterNumber}章的 ${removed.length} 条关系记录`);
+    return removed.length;
+  }
+
+  /**
+   * 两个角色之间的全部关系记录（按章节排序）
+   */
+  getRelationshipHistory(a, b) {
+    const nameA = this.resolveName(a);
+    const nameB = this.resolveName(b);
+    return this.sortEdges(this.data.relationship_edges.filter(edge => this.isPair(edge, nameA, nameB)));
+  }
+
+  /**
+   * 截至某一章两个角色之间的关系
+   * @param {number|null} chapterNumber - 为空时返回最新关系
+   * @returns {Object|null} 关系边
+   */
+  getRelationshipAsOf(a, b, chapterNumber) {
+    const history = this.getRelationshipHistory(a, b)
+      .filter(edge => chapterNumber === null || chapterNumber === undefined || (edge.chapter ?? 0) <= chapterNumber);
+    return history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  /**
+   * 某段章节内的关系变化，每条记录附带此前的关系（previous）
+   * @param {Object} options - { fromChapter, toChapter, character }
+   */
+  getRelationshipChanges({ fromChapter = null, toChapter = null, character = null } = {}) {
+    const name = character ? this.resolveName(character) : null;
+    const changes = [];
+    const previousByPair = new Map();
+
+    for (const edge of this.sortEdges(this.data.relationship_edges)) {
+      const pair = this.pairKey(edge.source, edge.target);
+      const previous = previousByPair.get(pair) || null;
+      previousByPair.set(pair, edge);
+
+      const chapter = edge.chapter ?? 0;
+      if (fromChapter !== null && chapter < fromChapter) continue;
+      if (toChapter !== null && chapter > toChapter) continue;
+      if (name && edge.source !== name && edge.target !== name) continue;
+
+      changes.push({
+        ...edge,
+        previous: previous
+          ? { type: previous.type, intensity: previous.intensity, chapter: previous.chapter }
+          : null
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * 关系图数据（节点为角色，每对角色一条边，取截至某一章的最新关系）
+   * @param {Object} options - { asOfChapter }
+   * @returns {{nodes: Array, edges: Array}}
+   */
+  getRelationshipGraph({ asOfChapter = null } = {}) {
+    const edges = this.sortEdges(this.data.relationship_edges)
+      .filter(edge => asOfChapter === null || (edge.chapter ?? 0) <= asOfChapter);
+
+    const pairs = new Map();
+    for (const edge of edges) {
+      const pair = this.pairKey(edge.source, edge.target);
+      const history = pairs.get(pair)?.history || [];
+      history.push({ type: edge.type, intensity: edge.intensity, chapter: edge.chapter });
+      pairs.set(pair, { ...edge, history });
+    }
+
+    const degree = new Map();
+    for (const edge of pairs.values()) {
+      degree.set(edge.source, (degree.get(edge.source) || 0) + 1);
+      degree.set(edge.target, (degree.get(edge.target) || 0) + 1);
+    }
+
+    const nodes = Object.values(this.data.characters).map(char => ({
+      id: char.name,
+      name: char.name,
+      role: char.role,
+      degree: degree.get(char.name) || 0
+    }));
+    // 关系中出现但没有建档的角色
+    for (const name of degree.keys()) {
+      if (!nodes.some(node => node.id === name)) {
+        nodes.push({ id: name, name, role: 'unknown', degree: degree.get(name) });
+      }
+    }
+
+    return { nodes, edges: [...pairs.values()] };
   }
 
   /**
@@ -5,6 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { buildScope, evaluateTriggerCondition, validateTriggerCondition } = require('./triggerCondition');
 
 class ForeshadowMemory {
   constructor(workspaceRoot) {
@@ -51,6 +52,10 @@ class ForeshadowMemory {
    * 添加伏笔
    */
   async addForeshadow(foreshadow) {
+    if (foreshadow.trigger_condition) {
+      validateTriggerCondition(foreshadow.trigger_condition);
+    }
+
     const foreshadowData = {
       id: foreshadow.id || `foreshadow_${Date.now()}`,
       title: foreshadow.title,
@@ -58,7 +63,7 @@ class ForeshadowMemory {
       content: foreshadow.content,
       hints: foreshadow.hints || [],
       status: 'pending', // pending, revealed, resolved
-      trigger_condition: foreshadow.trigger_condition || '',
+      trigger_condition: foreshadow.trigger_condition || '', // 自然语言描述或结构化条件
       expected_reveal: foreshadow.expected_reveal || '',
       importance: foreshadow.importance || 'normal', // minor, normal, major, critical
       related_characters: foreshadow.related_characters || [],
@@ -165,6 +170,28 @@ class ForeshadowMemory {
     return this.data.foreshadows.filter(f => f.status === 'resolved');
   }
 
+  /**
+   * 第 N 章结束时的伏笔：只包含已引入的伏笔，揭示 / 解决发生在该章之后的按未发生处理
+   */
+  getForeshadowsAsOf(chapterNumber) {
+    const isVisible = chapter => chapter === null || chapter === undefined || chapter <= chapterNumber;
+
+    return this.data.foreshadows
+      .filter(f => isVisible(f.introduced_at?.chapter))
+      .map(f => {
+        const snapshot = { ...f, hints: (f.hints || []).filter(h => isVisible(h.chapter)) };
+        if (f.resolved_at && !isVisible(f.resolved_at.chapter)) {
+          delete snapshot.resolved_at;
+          snapshot.status = f.revealed_at ? 'revealed' : 'pending';
+        }
+        if (f.revealed_at && !isVisible(f.revealed_at.chapter)) {
+          delete snapshot.revealed_at;
+          snapshot.status = 'pending';
+        }
+        return snapshot;
+      });
+  }
+
   /**
    * 根据重要性获取伏笔
    */
@@ -202,39 +229,38 @@ class ForeshadowMemory {
   }
 
   /**
-   * 检查是否有应该触发的伏笔
+   * 检查是否有应该触发的伏笔（条件格式见 triggerCondition.js）
+   * @param {Object} context - 故事状态 { chapter, location, characters, facts, levels, text }
+   * @param {Object} options - { llmCaller } 用于判断自然语言条件
+   * @returns {Promise<Array<{foreshadow, reason: string, method: 'predicate'|'llm'}>>}
    */
-  checkTriggeredForeshadows(context) {
+  async checkTriggeredForeshadows(context = {}, options = {}) {
     const triggered = [];
+    const scope = buildScope(context);
 
     for (const foreshadow of this.getPendingForeshadows()) {
       if (!foreshadow.trigger_condition) continue;
 
-      // 简单的条件匹配（实际应该更智能）
-      const conditionMet = this.evaluateCondition(
-        foreshadow.trigger_condition,
-        context
-      );
+      let result;
+      try {
+        result = await evaluateTriggerCondition(foreshadow.trigger_condition, context, options, scope);
+      } catch (error) {
+        console.warn(`⚠️ 伏笔触发条件无效: ${foreshadow.title}`, error.message);
+        continue;
+      }
 
-      if (conditionMet) {
-        triggered.push(foreshadow);
+      if (result.met) {
+        triggered.push({
+          foreshadow,
+          reason: result.reasons.join('；'),
+          method: result.llm ? 'llm' : 'predicate'
+        });
       }
     }
 
     return triggered;
   }
 
-  /**
-   * 评估触发条件（简化版）
-   */
-  evaluateCondition(condition, context) {
-    // TODO: 实现更复杂的条件评估逻辑
-    // 这里只是简单示例
-    const lowerCondition = condition.toLowerCase();
-    const lowerContext = JSON.stringify(context).toLowerCase();
-    return lowerContext.includes(lowerCondition);
-  }
-
   /**
    * 查询伏笔
    */
@@ -0,0 +1,270 @@
+/**
+ * Trigger Condition - 伏笔触发条件的编译与判定
+ *
+ * 结构化条件编译为 DSL 表达式，交给规则断言的同一个解释器（rules/dslExpression）求值：
+ *   { type: 'character_level', character: '张三', level: '金丹期' }    角色境界达到（不低于）指定境界
+ *   { type: 'chapter', chapter: 10 }                                   当前章节 ≥ N
+ *   { type: 'location', location: '天元宗', character: '张三' }        地点包含 Y（不写 character 时为故事当前地点）
+ *   { type: 'fact', subject: '李四', predicate: 'status', value: '已死亡' }  事实已确立（不写 value 时只要求有该谓词）
+ *   { type: 'expression', expression: "context.chapter >= 10" }        直接写 DSL 表达式
+ *   { all: [条件] }  { any: [条件] }  { not: 条件 }
+ *
+ * 字符串条件：能解析为引用了变量的 DSL 表达式时按表达式求值，否则视为自然语言描述，
+ * 交给 LLM 判断；没有 LLM 时不判定（undetermined）。
+ *
+ * 表达式可用的变量：
+ *   context.chapter / context.location
+ *   context.characters['张三'].level / .level_rank / .location / .status
+ *   context.facts['李四']['status']   该主语、谓词下已确立的值列表
+ *   text   本章正文（可选）
+ */
+
+const { parseExpression, evaluate } = require('../../rules/dslExpression');
+const ConditionRuleEvaluator = require('../../rules/conditionEvaluator');
+
+const PREDICATE_TYPES = ['character_level', 'chapter', 'location', 'fact', 'expression'];
+
+// 境界按修炼体系的顺序比较，与条件规则的判定方式一致
+const levelResolver = new ConditionRuleEvaluator();
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function requireField(condition, field) {
+  const value = condition[field];
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${condition.type} 条件缺少 ${field}`);
+  }
+  return value;
+}
+
+/**
+ * 字符串是否为 DSL 表达式（能解析，且引用了变量）
+ */
+function isExpression(source) {
+  try {
+    return JSON.stringify(parseExpression(source)).includes('"type":"var"');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 把结构化条件编译为 DSL 表达式
+ * @param {Object} condition - 单个谓词（不含 all / any / not）
+ * @param {string[]} levels - 修炼体系的境界列表
+ * @returns {string}
+ */
+function toExpression(condition, levels = []) {
+  switch (condition.type) {
+    case 'character_level': {
+      const character = quote(requireField(condition, 'character'));
+      const level = requireField(condition, 'level');
+      const rank = levelResolver.resolveLevelIndex(String(level), levels);
+      // 境界不在修炼体系中时，只能按名称匹配
+      return rank === -1
+        ? `context.characters[${character}].level.contains(${quote(level)})`
+        : `context.characters[${character}].level_rank >= ${rank}`;
+    }
+    case 'chapter': {
+      const chapter = Number(requireField(condition, 'chapter'));
+      if (!Number.isInteger(chapter)) {
+        throw new Error('chapter 条件的 chapter 必须是整数');
+      }
+      return `context.chapter >= ${chapter}`;
+    }
+    case 'location': {
+      const location = quote(requireField(condition, 'location'));
+      return condition.character
+        ? `context.characters[${quote(condition.character)}].location.contains(${location})`
+        : `context.location.contains(${location})`;
+    }
+    case 'fact': {
+      const values = `context.facts[${quote(requireField(condition, 'subject'))}][${quote(requireField(condition, 'predicate'))}]`;
+      return condition.value === undefined || condition.value === null || condition.value === ''
+        ? `${values}.size() > 0`
+        : `${values}.contains(${quote(condition.value)})`;
+    }
+    case 'expression':
+      return requireField(condition, 'expression');
+    default:
+      throw new Error(`不支持的触发条件类型 "${condition.type}"，可用类型：${PREDICATE_TYPES.join('、')}`);
+  }
+}
+
+/**
+ * 校验触发条件（编译所有结构化谓词，不求值）
+ * @throws {Error} 条件不合法时
+ */
+function validateTriggerCondition(condition, levels = []) {
+  if (typeof condition === 'string') {
+    if (!condition.trim()) throw new Error('触发条件为空');
+    return;
+  }
+  if (!condition || typeof condition !== 'object') {
+    throw new Error('触发条件必须是字符串或对象');
+  }
+  if (condition.all || condition.any) {
+    const items = condition.all || condition.any;
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error(`${condition.all ? 'all' : 'any'} 的值必须是非空数组`);
+    }
+    items.forEach(item => validateTriggerCondition(item, levels));
+    return;
+  }
+  if (condition.not) {
+    validateTriggerCondition(condition.not, levels);
+    return;
+  }
+  parseExpression(toExpression(condition, levels));
+}
+
+/**
+ * 把记忆数据整理为表达式求值用的变量
+ * @param {Object} context - { chapter, location, characters: [{ name, current_state }], facts: [{ subject, predicate, value }], levels, text }
+ */
+function buildScope(context = {}) {
+  const levels = context.levels || [];
+
+  const characters = {};
+  for (const char of context.characters || []) {
+    const state = char.current_state || {};
+    characters[char.name] = {
+      level: state.level || '',
+      level_rank: levelResolver.resolveLevelIndex(state.level, levels),
+      location: state.location || '',
+      status: state.status || ''
+    };
+  }
+
+  const facts = {};
+  for (const fact of context.facts || []) {
+    if (!fact.subject || !fact.predicate) continue;
+    facts[fact.subject] = facts[fact.subject] || {};
+    const values = facts[fact.subject][fact.predicate] || [];
+    values.push(fact.value);
+    facts[fact.subject][fact.predicate] = values;
+  }
+
+  return {
+    context: {
+      chapter: context.chapter ?? 0,
+      location: context.location || '',
+      characters,
+      facts
+    },
+    text: context.text || ''
+  };
+}
+
+/**
+ * 触发时的说明
+ */
+function describe(condition, scope) {
+  const { context } = scope;
+  switch (condition.type) {
+    case 'character_level':
+      return `${condition.character} 境界达到 ${condition.level}（当前 ${context.characters[condition.character]?.level}）`;
+    case 'chapter':
+      return `已到第 ${context.chapter} 章（≥ ${condition.chapter}）`;
+    case 'location':
+      return condition.character
+        ? `${condition.character} 位于 ${context.characters[condition.character]?.location}`
+        : `当前地点为 ${context.location}`;
+    case 'fact':
+      return `事实已确立：${condition.subject} ${condition.predicate} ${condition.value ?? ''}`.trim();
+    default:
+      return `表达式成立：${condition.expression}`;
+  }
+}
+
+/**
+ * 自然语言条件交给 LLM 判断
+ */
+async function evaluateNaturalLanguage(condition, context, llmCaller) {
+  if (!llmCaller) {
+    return { met: false, undetermined: true, reasons: [`自然语言条件需要 LLM 判断：${condition}`] };
+  }
+
+  const systemPrompt = `你是小说伏笔管理助手。根据当前故事状态判断伏笔的触发条件是否已经满足。
+
+# 输出格式（JSON）
+{
+  "triggered": true/false,
+  "reason": "判断依据（引用故事状态或正文）"
+}`;
+
+  const userPrompt = `# 触发条件
+${condition}
+
+# 当前故事状态
+${JSON.stringify({
+    chapter: context.chapter,
+    location: context.location,
+    characters: (context.characters || []).map(char => ({ name: char.name, current_state: char.current_state })),
+    facts: (context.facts || []).map(fact => fact.statement || `${fact.subject} ${fact.predicate} ${fact.value}`)
+  }, null, 2)}
+${context.text ? `\n# 本章正文\n${context.text}\n` : ''}
+请判断触发条件是否已经满足。`;
+
+  try {
+    const result = await llmCaller({ systemPrompt, userPrompt, temperature: 0.1, maxTokens: 300 });
+    const match = result?.success ? String(result.response).match(/\{[\s\S]*\}/) : null;
+    if (!match) {
+      return { met: false, undetermined: true, reasons: [`LLM 未给出判断：${condition}`] };
+    }
+    const response = JSON.parse(match[0]);
+    return { met: response.triggered === true, reasons: [response.reason || condition], llm: true };
+  } catch (error) {
+    return { met: false, undetermined: true, reasons: [`LLM 判断失败：${error.message}`] };
+  }
+}
+
+/**
+ * 判定触发条件
+ * @param {string|Object} condition - 触发条件
+ * @param {Object} context - 见 buildScope
+ * @param {Object} options - { llmCaller }
+ * @returns {Promise<{met: boolean, reasons: string[], llm?: boolean, undetermined?: boolean}>}
+ *   reasons 为满足条件的说明（未满足时为空，不判定时为原因）
+ */
+async function evaluateTriggerCondition(condition, context = {}, options = {}, scope = buildScope(context)) {
+  if (typeof condition === 'string') {
+    if (!isExpression(condition)) {
+      return evaluateNaturalLanguage(condition, context, options.llmCaller);
+    }
+    condition = { type: 'expression', expression: condition };
+  }
+
+  if (condition.all || condition.any) {
+    const results = [];
+    for (const item of condition.all || condition.any) {
+      results.push(await evaluateTriggerCondition(item, context, options, scope));
+    }
+    const met = condition.all ? results.every(r => r.met) : results.some(r => r.met);
+    return {
+      met,
+      reasons: met ? results.filter(r => r.met).flatMap(r => r.reasons) : [],
+      llm: results.some(r => r.met && r.llm),
+      undetermined: !met && results.some(r => r.undetermined)
+    };
+  }
+
+  if (condition.not) {
+    const result = await evaluateTriggerCondition(condition.not, context, options, scope);
+    if (result.undetermined) return result;
+    return { met: !result.met, reasons: result.met ? [] : [`不满足：${JSON.stringify(condition.not)}`] };
+  }
+
+  const met = Boolean(evaluate(parseExpression(toExpression(condition, context.levels)), scope));
+  return { met, reasons: met ? [describe(condition, scope)] : [] };
+}
+
+module.exports = {
+  PREDICATE_TYPES,
+  toExpression,
+  validateTriggerCondition,
+  buildScope,
+  evaluateTriggerCondition
+};
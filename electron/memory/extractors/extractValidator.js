@@ -283,6 +283,7 @@ class ExtractValidator {
       state_claims: [],
       event_claims: [],
       foreshadow_candidates: extracted.foreshadow_candidates || [],
+      relationship_claims: extracted.relationship_claims || [],
       inference_only: extracted.inference_only || [],
       concept_mentions: extracted.concept_mentions || []
     };
@@ -218,7 +218,8 @@ ${content}
         ],
         {
           temperature: 0.3,
-          maxTokens: 2000
+          maxTokens: 2000,
+          usageTag: { workspace: this.workspaceRoot, skill: 'memory_extract' }
         }
       );
 
@@ -568,6 +569,9 @@ TEXT>>>
   ❌ 禁止：伪长期状态（如"突破失败状态"）
 - foreshadow_candidates（伏笔候选）：文本中暗示未来的内容
   ❌ 禁止：解释剧情意图或推测作者想法
+- relationship_claims（关系变化主张）：本章中两个角色之间关系的建立或变化
+  type 用简短的词描述关系（如 师徒、盟友、敌对、恋人），intensity 为关系强度（0~1）
+  ❌ 禁止：本章没有变化、只是沿用此前的关系
 - inference_only（仅推断）：不足以成为事实的推断，certainty < 0.7
 
 ⚠️ 规则：
@@ -615,6 +619,16 @@ TEXT>>>
       "evidence": "数次冲击瓶颈，却始终无法形成稳定循环",
       "certainty": 0.8
     }
+  ],
+  "relationship_claims": [
+    {
+      "source": "张三",
+      "target": "李四",
+      "type": "敌对",
+      "intensity": 0.8,
+      "evidence": "张三冷冷看着李四，从此再不以师兄相称",
+      "certainty": 0.85
+    }
   ],
       "inference_only": [
         {
@@ -640,7 +654,8 @@ TEXT>>>
         ],
         {
           temperature: 0.3,
-          maxTokens: 3000
+          maxTokens: 3000,
+          usageTag: { workspace: this.workspaceRoot, chapter: chapterNumber, skill: 'memory_extract' }
         }
       );
 
@@ -699,6 +714,7 @@ TEXT>>>
       event_claims: [],
       state_claims: [],
       foreshadow_candidates: [],
+      relationship_claims: [],
       inference_only: []
       // ❌ 不包含 concept_mentions（这不是 Extract 的职责）
     };
@@ -823,6 +839,28 @@ TEXT>>>
       }
     }
 
+    // 6. 处理 relationship_claims（去重、丢弃不完整项）
+    if (extracted.relationship_claims && Array.isArray(extracted.relationship_claims)) {
+      for (const claim of extracted.relationship_claims) {
+        // 丢弃不完整项
+        if (!claim.evidence || typeof claim.certainty !== 'number' || !claim.source || !claim.target || !claim.type) {
+          console.log(`   ⚠️  丢弃不完整的关系主张`);
+          continue;
+        }
+
+        // 去重（基于 source + target，保留 certainty 更高的）
+        const existing = cleaned.relationship_claims.find(c => c.source === claim.source && c.target === claim.target);
+        if (existing) {
+          if (claim.certainty > existing.certainty) {
+            Object.assign(existing, claim);
+          }
+          continue;
+        }
+
+        cleaned.relationship_claims.push(claim);
+      }
+    }
+
     // ❌ concept_mentions 不属于 Extract 输出
     // 如果存在，记录警告但不处理
     if (extracted.concept_mentions && extracted.concept_mentions.length > 0) {
@@ -850,6 +888,16 @@ TEXT>>>
       type: claim.field === 'level' ? 'level_breakthrough' : 'irreversible_change'
     }));
 
+    // 将 relationship_claims 转换为 relationship_changes
+    cleaned.relationship_changes = cleaned.relationship_claims.map(claim => ({
+      source: claim.source,
+      target: claim.target,
+      type: claim.type,
+      intensity: typeof claim.intensity === 'number' ? claim.intensity : null,
+      evidence: claim.evidence,
+      certainty: claim.certainty
+    }));
+
     // 转换 foreshadow_candidates 格式
     cleaned.foreshadow_candidates = cleaned.foreshadow_candidates.map(candidate => ({
       surface: candidate.surface || candidate.title || candidate.hint || '',
@@ -890,7 +938,7 @@ TEXT>>>
       return true;
     });
 
-    console.log(`   🧹 清理完成: ${cleaned.fact_claims.length} 个事实主张, ${cleaned.event_claims.length} 个事件主张, ${cleaned.state_claims.length} 个状态主张, ${cleaned.foreshadow_candidates.length} 个伏笔候选, ${cleaned.inference_only.length} 个推断`);
+    console.log(`   🧹 清理完成: ${cleaned.fact_claims.length} 个事实主张, ${cleaned.event_claims.length} 个事件主张, ${cleaned.state_claims.length} 个状态主张, ${cleaned.foreshadow_candidates.length} 个伏笔候选, ${cleaned.relationship_claims.length} 个关系主张, ${cleaned.inference_only.length} 个推断`);
 
     return cleaned;
   }
@@ -0,0 +1,362 @@
+/**
+ * Cascade Refinalizer - 修改已结算章节后的级联重新结算
+ *
+ * 流程（以修改第 12 章为例）：
+ * 1. 找出下游章节：getDependentChapters 逐层展开（与第 12 章的 Effect 涉及同一记忆对象的章节），
+ *    加上 extract 中的事实与其相关的章节，以及已被标记为失效的后续章节
+ * 2. 逆序回滚下游章节，再回滚第 12 章
+ * 3. 重新提取第 12 章（需要 extractor，否则沿用原 extract），重新结算
+ * 4. 按章节顺序重新结算下游章节（Effect 校验和冲突检测会基于新的知识核心重新进行）
+ * 5. 对比前后的事实，报告新增、移除和含义变化的事实
+ *
+ * 章节修改的检测：FileScanner 给出章节文件的哈希，与结算时记录的哈希
+ * （.novel-agent/core/chapter_hashes.json）比较。MemoryManager 结算章节后记录哈希；
+ * 没有记录的章节（如更早结算的章节）首次检测时记为基准。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FileScanner = require('../../agent/modules/context/fileScanner');
+const { EffectType } = require('./effectTypes');
+
+class CascadeRefinalizer {
+  /**
+   * @param {string} workspaceRoot - 工作区根目录
+   * @param {ChapterFinalizer} finalizer - 章节结算器
+   */
+  constructor(workspaceRoot, finalizer) {
+    this.workspaceRoot = workspaceRoot;
+    this.finalizer = finalizer;
+    this.effectManager = finalizer.effectManager;
+    this.dependencyTracker = finalizer.dependencyTracker;
+    this.fileScanner = new FileScanner(workspaceRoot);
+    this.corePath = path.join(workspaceRoot, '.novel-agent', 'core');
+    this.hashFile = path.join(this.corePath, 'chapter_hashes.json');
+    this.extractPath = path.join(workspaceRoot, '.novel-agent', 'extracts');
+  }
+
+  loadHashes() {
+    try {
+      if (!fs.existsSync(this.hashFile)) {
+        return {};
+      }
+      return JSON.parse(fs.readFileSync(this.hashFile, 'utf-8'));
+    } catch (error) {
+      console.warn('⚠️ 加载章节哈希失败:', error.message);
+      return {};
+    }
+  }
+
+  saveHashes(hashes) {
+    if (!fs.existsSync(this.corePath)) {
+      fs.mkdirSync(this.corePath, { recursive: true });
+    }
+    fs.writeFileSync(this.hashFile, JSON.stringify(hashes, null, 2), 'utf-8');
+  }
+
+  /**
+   * 扫描章节文件
+   * @returns {Promise<Map<number, {hash: string, files: string[]}>>}
+   */
+  async scanChapters() {
+    const result = await this.fileScanner.scanChapterFiles();
+    if (!result.success) {
+      throw new Error(`扫描章节文件失败: ${result.error}`);
+    }
+
+    const chapters = new Map();
+    for (const [chapter, info] of Object.entries(result.chapterMapping)) {
+      const files = info.files || [];
+      // 多文件章节合并各文件的哈希
+      const hash = files.length === 1
+        ? files[0].fileHash
+        : crypto.createHash('md5').update(files.map(f => f.fileHash).join('|')).digest('hex');
+      chapters.set(Number(chapter), { hash, files: files.map(f => f.filename) });
+    }
+    return chapters;
+  }
+
+  /**
+   * 记录章节当前的文件哈希
+   */
+  async recordChapterHash(chapterNumber) {
+    const info = (await this.scanChapters()).get(chapterNumber);
+    if (!info) {
+      return false;
+    }
+    const hashes = this.loadHashes();
+    hashes[chapterNumber] = { hash: info.hash, files: info.files, recorded_at: new Date().toISOString() };
+    this.saveHashes(hashes);
+    return true;
+  }
+
+  /**
+   * 检测结算后被修改的章节
+   * @returns {Promise<Array<{chapter, files, previous_hash, current_hash}>>}
+   */
+  async detectEditedChapters() {
+    const chapters = await this.scanChapters();
+    const hashes = this.loadHashes();
+    const edited = [];
+    let baselined = false;
+
+    for (const [chapter, info] of chapters) {
+      if (!this.finalizer.effectExists(chapter)) continue;
+
+      const recorded = hashes[chapter];
+      if (!recorded) {
+        hashes[chapter] = { hash: info.hash, files: info.files, recorded_at: new Date().toISOString() };
+        baselined = true;
+        continue;
+      }
+      if (recorded.hash !== info.hash) {
+        edited.push({ chapter, files: info.files, previous_hash: recorded.hash, current_hash: info.hash });
+      }
+    }
+
+    if (baselined) {
+      this.saveHashes(hashes);
+    }
+    return edited.sort((a, b) => a.chapter - b.chapter);
+  }
+
+  loadExtract(chapterNumber) {
+    const file = path.join(this.extractPath, `chapter_${chapterNumber}.json`);
+    try {
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+    } catch (error) {
+      console.warn(`⚠️ 加载第 ${chapterNumber} 章 extract 失败:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 章节涉及的事实（主语 + 谓词）：已生效的事实和 extract 中的事实候选
+   */
+  getFactKeys(chapterNumber) {
+    const keys = new Set();
+    // 旧版效果记录（effects 为 ID 列表对象）没有主语和谓词，只能从 extract 中取
+    const effects = this.effectManager.loadEffect(chapterNumber)?.effects;
+    for (const effect of Array.isArray(effects) ? effects : []) {
+      if (effect.type === EffectType.ADD_FACT && effect.payload.fact) {
+        keys.add(`${effect.payload.fact.subject}:${effect.payload.fact.predicate}`);
+      }
+    }
+    for (const candidate of this.loadExtract(chapterNumber)?.fact_candidates || []) {
+      if (candidate.subject && candidate.predicate) {
+        keys.add(`${candidate.subject}:${candidate.predicate}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * extract 中的事实与该章相关的后续已结算章节
+   * （与知识核心重复的事实不生成 Effect，只能从 extract 看出依赖）
+   */
+  getExtractDependents(chapterNumber) {
+    const keys = this.getFactKeys(chapterNumber);
+    if (keys.size === 0) {
+      return [];
+    }
+    return this.effectManager.getAllEffects()
+      .map(data => data.chapter)
+      .filter(chapter => chapter > chapterNumber)
+      .filter(chapter => (this.loadExtract(chapter)?.fact_candidates || [])
+        .some(candidate => keys.has(`${candidate.subject}:${candidate.predicate}`)));
+  }
+
+  /**
+   * 逐层展开下游章节
+   * @param {number} chapterNumber - 修改的章节
+   * @param {Map<number, string>} reasons - 已找到的下游章节 → 原因（原地补充）
+   */
+  collectDependents(chapterNumber, reasons) {
+    const queue = [chapterNumber];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const found = new Map();
+      for (const chapter of this.effectManager.getDependentChapters(current)) {
+        found.set(chapter, `与第 ${current} 章的 Effect 涉及同一记忆对象`);
+      }
+      for (const chapter of this.getExtractDependents(current)) {
+        if (!found.has(chapter)) {
+          found.set(chapter, `extract 中的事实与第 ${current} 章相关`);
+        }
+      }
+
+      for (const [chapter, reason] of found) {
+        if (chapter > chapterNumber && !reasons.has(chapter)) {
+          reasons.set(chapter, reason);
+          queue.push(chapter);
+        }
+      }
+    }
+
+    for (const invalidated of this.dependencyTracker.getInvalidatedChapters()) {
+      if (invalidated.chapter > chapterNumber && !reasons.has(invalidated.chapter)) {
+        reasons.set(invalidated.chapter, `已失效：${invalidated.reason}`);
+      }
+    }
+    return reasons;
+  }
+
+  loadFacts() {
+    try {
+      const file = path.join(this.corePath, 'facts.json');
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 重新提取章节（extractor 负责写入 extract，签名同 IntelligentExtractor.extractFromChapter）
+   */
+  async reextract(chapterNumber, extractor) {
+    await this.fileScanner.scanChapterFiles();
+    const content = await this.fileScanner.readChapterContent(chapterNumber);
+    if (!content) {
+      throw new Error(`找不到第 ${chapterNumber} 章的正文`);
+    }
+    const filename = this.fileScanner.getChapterInfo(chapterNumber)?.files?.[0]?.filename || '';
+    await extractor(content, chapterNumber, filename);
+  }
+
+  /**
+   * 重新结算单章（extract 缺失或结算失败时标记为失效）
+   */
+  async refinalize(chapterNumber, reason, effectsBefore) {
+    const entry = { chapter: chapterNumber, reason, effects_before: effectsBefore, effects_after: 0 };
+
+    if (!fs.existsSync(path.join(this.extractPath, `chapter_${chapterNumber}.json`))) {
+      this.dependencyTracker.invalidateChapter(chapterNumber, '级联重新结算时缺少 extract');
+      return { ...entry, action: 'missing_extract' };
+    }
+
+    try {
+      await this.finalizer.finalizeChapter(chapterNumber);
+      return {
+        ...entry,
+        action: 'refinalized',
+        effects_after: this.effectManager.loadEffect(chapterNumber)?.effects?.length || 0
+      };
+    } catch (error) {
+      console.error(`❌ 级联重新结算第 ${chapterNumber} 章失败:`, error.message);
+      this.dependencyTracker.invalidateChapter(chapterNumber, `级联重新结算失败: ${error.message}`);
+      return { ...entry, action: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * 级联重新结算
+   * @param {number} chapterNumber - 被修改的章节
+   * @param {Object} options
+   * @param {Function} options.extractor - async (content, chapter, filename)，重新提取并写入 extract；不提供时沿用原 extract
+   * @returns {Promise<{chapter, reextracted, reextract_error, chapters, fact_changes, summary}>}
+   */
+  async cascade(chapterNumber, options = {}) {
+    const chapter = Number(chapterNumber);
+    console.log(`🔁 开始级联重新结算：第 ${chapter} 章已修改`);
+
+    const factsBefore = this.loadFacts();
+    const effectCount = ch => this.effectManager.loadEffect(ch)?.effects?.length || 0;
+
+    // 1. 下游章节（基于修改前的 Effect）
+    const reasons = this.collectDependents(chapter, new Map());
+    const effectsBefore = new Map([chapter, ...reasons.keys()].map(ch => [ch, effectCount(ch)]));
+
+    // 2. 逆序回滚下游章节，再回滚本章
+    for (const dependent of [...reasons.keys()].sort((a, b) => b - a)) {
+      await this.finalizer.rollbackChapter(dependent);
+    }
+    await this.finalizer.rollbackChapter(chapter);
+
+    // 3. 重新提取（失败时沿用原 extract，保证知识核心可恢复）
+    let reextracted = false;
+    let reextractError = null;
+    if (options.extractor) {
+      try {
+        await this.reextract(chapter, options.extractor);
+        reextracted = true;
+      } catch (error) {
+        reextractError = error.message;
+        console.warn(`⚠️ 重新提取第 ${chapter} 章失败，沿用原 extract:`, error.message);
+      }
+    }
+
+    const chapters = [await this.refinalize(chapter, '章节已修改', effectsBefore.get(chapter))];
+
+    // 4. 重新结算后的本章可能牵涉新的后续章节（这些章节尚未回滚，finalizeChapter 会先回滚再结算）
+    this.collectDependents(chapter, reasons);
+
+    for (const dependent of [...reasons.keys()].sort((a, b) => a - b)) {
+      chapters.push(await this.refinalize(dependent, reasons.get(dependent), effectsBefore.get(dependent) ?? effectCount(dependent)));
+    }
+
+    try {
+      await this.recordChapterHash(chapter);
+    } catch (error) {
+      console.warn(`⚠️ 记录第 ${chapter} 章哈希失败:`, error.message);
+    }
+
+    const factChanges = this.diffFacts(factsBefore, this.loadFacts());
+    const failed = chapters.filter(entry => entry.action !== 'refinalized').length;
+    const summary = `第 ${chapter} 章${reextracted ? '重新提取并' : ''}重新结算，下游 ${chapters.length - 1} 章重新结算` +
+      `${failed > 0 ? `（${failed} 章未完成）` : ''}；事实新增 ${factChanges.added.length}、` +
+      `移除 ${factChanges.removed.length}、含义变化 ${factChanges.changed.length}`;
+    console.log(`✅ ${summary}`);
+
+    return {
+      chapter,
+      reextracted,
+      reextract_error: reextractError,
+      chapters,
+      fact_changes: factChanges,
+      summary
+    };
+  }
+
+  /**
+   * 按主语 + 谓词对比事实
+   * @returns {{added: Array, removed: Array, changed: Array}} changed 为同一主语、谓词下取值发生变化的事实
+   */
+  diffFacts(before, after) {
+    const group = facts => {
+      const map = new Map();
+      for (const fact of facts) {
+        const key = `${fact.subject}:${fact.predicate}`;
+        const entry = map.get(key) || { subject: fact.subject, predicate: fact.predicate, values: [] };
+        entry.values.push({ value: fact.value, chapter: fact.introduced_at?.chapter ?? null });
+        map.set(key, entry);
+      }
+      return map;
+    };
+    const valueSet = entry => [...new Set(entry.values.map(v => String(v.value)))].sort().join('\u0000');
+
+    const beforeMap = group(before);
+    const afterMap = group(after);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, entry] of afterMap) {
+      const previous = beforeMap.get(key);
+      if (!previous) {
+        added.push(entry);
+      } else if (valueSet(previous) !== valueSet(entry)) {
+        changed.push({ subject: entry.subject, predicate: entry.predicate, before: previous.values, after: entry.values });
+      }
+    }
+    for (const [key, entry] of beforeMap) {
+      if (!afterMap.has(key)) {
+        removed.push(entry);
+      }
+    }
+
+    return { added, removed, changed };
+  }
+}
+
+module.exports = CascadeRefinalizer;
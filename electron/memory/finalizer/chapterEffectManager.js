@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { EffectType } = require('./effectTypes');
 
 class ChapterEffectManager {
   constructor(workspaceRoot) {
@@ -155,6 +156,39 @@ class ChapterEffectManager {
     }
   }
 
+  /**
+   * 章节效果记录中的 Effect 列表
+   * 旧版记录（createEffect）只有新增 / 揭示的 ID 列表，转换为等价的 Effect；
+   * 审核确认断言时旧版列表移到 legacy_effects，排在新的 Effect 之前
+   */
+  getEffectList(effectData) {
+    const effects = effectData?.effects;
+    if (Array.isArray(effects)) {
+      return [...this.translateLegacyEffects(effectData.legacy_effects), ...effects];
+    }
+    return this.translateLegacyEffects(effects);
+  }
+
+  /**
+   * 旧版效果记录中的 ID 列表（effects 本身或 legacy_effects），没有时为 null
+   */
+  getLegacyEffects(effectData) {
+    const legacy = Array.isArray(effectData?.effects) ? effectData.legacy_effects : effectData?.effects;
+    return legacy && typeof legacy === 'object' ? legacy : null;
+  }
+
+  translateLegacyEffects(effects) {
+    if (!effects || typeof effects !== 'object') {
+      return [];
+    }
+
+    return [
+      ...(effects.facts_added || []).map(id => ({ type: EffectType.ADD_FACT, payload: { fact: { id } }, reversible: true })),
+      ...(effects.foreshadows_added || []).map(id => ({ type: EffectType.ADD_FORESHADOW, payload: { foreshadow: { id } }, reversible: true })),
+      ...(effects.foreshadows_revealed || []).map(id => ({ type: EffectType.REVEAL_FORESHADOW, payload: { foreshadow_id: id }, reversible: true }))
+    ];
+  }
+
   /**
    * 获取所有章节效果
    */
@@ -182,8 +216,38 @@ class ChapterEffectManager {
     return effects.sort((a, b) => a.chapter - b.chapter);
   }
 
+  /**
+   * Effect 涉及的记忆对象：事实按主语 + 谓词，人物状态按角色 + 字段，关系按角色对，伏笔按 ID
+   */
+  getEffectKeys(effect) {
+    const payload = effect.payload || {};
+    switch (effect.type) {
+      case EffectType.ADD_FACT:
+        return payload.fact ? [`fact:${payload.fact.subject}:${payload.fact.predicate}`] : [];
+      case EffectType.UPDATE_CHARACTER_STATE:
+        return [`state:${payload.character}:${payload.field}`];
+      case EffectType.TEMPORARY_DEBUFF:
+        return [`debuff:${payload.character}:${payload.debuff_type}`];
+      case EffectType.UPDATE_RELATIONSHIP: {
+        const rel = payload.relationship || {};
+        return [`relationship:${[rel.source, rel.target].sort().join('|')}`];
+      }
+      case EffectType.ADD_FORESHADOW: {
+        const fs = payload.foreshadow || {};
+        return [fs.id, fs.concept_id].filter(Boolean).map(id => `foreshadow:${id}`);
+      }
+      case EffectType.REVEAL_FORESHADOW:
+      case EffectType.RESOLVE_FORESHADOW:
+        return [`foreshadow:${payload.foreshadow_id}`];
+      default:
+        return [];
+    }
+  }
+
   /**
    * 检查后续章节是否依赖此章节
+   * 后续章节的 Effect 与此章节的 Effect 涉及同一记忆对象时视为依赖
+   * （同一事实的后续变化、同一角色字段的状态更新、揭示此章埋下的伏笔等）
    */
   getDependentChapters(chapterNumber) {
     const allEffects = this.getAllEffects();
@@ -193,21 +257,26 @@ class ChapterEffectManager {
       return [];
     }
 
+    // 旧版效果记录（本身或审核后保留的 legacy_effects）：按后续章节记录的 dependencies 判断
+    const legacy = this.getLegacyEffects(effect);
+    const factIds = legacy?.facts_added || [];
+    const foreshadowIds = legacy?.foreshadows_added || [];
+    const keys = new Set([
+      ...(Array.isArray(effect.effects) ? effect.effects : []).flatMap(e => this.getEffectKeys(e)),
+      ...foreshadowIds.map(id => `foreshadow:${id}`)
+    ]);
     const dependent = [];
-    const factIds = effect.effects.facts_added;
-    const foreshadowIds = effect.effects.foreshadows_added;
 
     for (const laterEffect of allEffects) {
       if (laterEffect.chapter <= chapterNumber) {
         continue;
       }
 
-      // 检查是否使用了此章节的事实
-      const usesFacts = laterEffect.dependencies.used_facts.some(id => factIds.includes(id));
-      // 检查是否使用了此章节的伏笔
-      const usesForeshadows = laterEffect.dependencies.used_foreshadows.some(id => foreshadowIds.includes(id));
-
-      if (usesFacts || usesForeshadows) {
+      const usesLegacy =
+        (laterEffect.dependencies?.used_facts || []).some(id => factIds.includes(id)) ||
+        (laterEffect.dependencies?.used_foreshadows || []).some(id => foreshadowIds.includes(id));
+      const laterEffects = Array.isArray(laterEffect.effects) ? laterEffect.effects : [];
+      if (usesLegacy || laterEffects.some(e => this.getEffectKeys(e).some(key => keys.has(key)))) {
         dependent.push(laterEffect.chapter);
       }
     }
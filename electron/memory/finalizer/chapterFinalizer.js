@@ -19,6 +19,9 @@ const EventEffectResolver = require('./eventEffectResolver');
 const DependencyTracker = require('./dependencyTracker');
 const { EffectFactory, EffectType } = require('./effectTypes');
 
+// 人工审核确认的断言的置信度（与 Extractor 层的上限一致）
+const REVIEWED_CERTAINTY = 0.95;
+
 class ChapterFinalizer {
   constructor(workspaceRoot) {
     this.workspaceRoot = workspaceRoot;
@@ -31,6 +34,14 @@ class ChapterFinalizer {
     this.inferenceStore = new InferenceStore(workspaceRoot);
     this.eventResolver = new EventEffectResolver(workspaceRoot);
     this.dependencyTracker = new DependencyTracker(workspaceRoot);
+    this.characterMemory = null; // 关系边写入人物记忆，由 MemoryManager 设置
+  }
+
+  /**
+   * 设置人物记忆（UPDATE_RELATIONSHIP 写入 CharacterMemory 的关系边）
+   */
+  setCharacterMemory(characterMemory) {
+    this.characterMemory = characterMemory;
   }
 
   /**
@@ -162,6 +173,7 @@ class ChapterFinalizer {
       event_claims: extract.event_claims || [],
       character_states: [],
       foreshadow_candidates: [],
+      relationship_changes: extract.relationship_changes || [],
       story_state_snapshot: extract.story_state_snapshot || {},
       concept_mentions: extract.concept_mentions || []
     };
@@ -214,49 +226,35 @@ class ChapterFinalizer {
 
     // 1. 处理事实
     for (const factCandidate of normalized.fact_candidates) {
-      const certainty = this.calculateCertainty(factCandidate);
+      const claim = this.getClaim('fact', factCandidate);
+      const decision = this.inferenceStore.findDecision(claim, chapter);
+      if (decision?.status === 'rejected') {
+        continue; // 审核时已拒绝
+      }
+
+      // 审核确认过的断言使用审核后的内容
+      const reviewed = decision?.status === 'confirmed';
+      const candidate = reviewed && decision.candidate ? decision.candidate : factCandidate;
+      const certainty = reviewed ? REVIEWED_CERTAINTY : this.calculateCertainty(factCandidate);
       
       // ❗硬规则：certainty < 0.7 → 转为 inference
       if (certainty < 0.7) {
         console.log(`     ⚠️  置信度不足 (${certainty.toFixed(2)} < 0.7)，转为推断`);
         this.inferenceStore.addInference({
-          claim: factCandidate.statement || JSON.stringify(factCandidate),
+          claim,
           basis: factCandidate.evidence || '',
           confidence: certainty,
-          chapter: chapter
+          chapter: chapter,
+          kind: 'fact',
+          candidate: factCandidate
         });
         continue;
       }
 
-      // 检查是否已存在
-      const existingFacts = this.loadJSON(path.join(this.corePath, 'facts.json'));
-      const exists = existingFacts.some(
-        f => f.subject === factCandidate.subject && 
-             f.predicate === factCandidate.predicate &&
-             f.value === factCandidate.value
-      );
-
-      if (exists) {
-        continue; // 跳过重复事实
+      const effect = this.buildFactEffect(candidate, chapter, certainty, reviewed);
+      if (effect) {
+        effects.push(effect);
       }
-
-      // 创建 AddFactEffect
-      const fact = {
-        id: `fact_${chapter}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        type: factCandidate.type || 'character_level',
-        subject: factCandidate.subject || factCandidate.statement?.split(' ')[0] || 'unknown',
-        predicate: factCandidate.predicate || 'has',
-        value: factCandidate.value || factCandidate.statement || '',
-        introduced_at: {
-          chapter: chapter,
-          evidence: factCandidate.evidence || factCandidate.statement || ''
-        },
-        certainty: certainty,
-        status: 'valid',
-        concept_refs: factCandidate.concept_refs || []
-      };
-
-      effects.push(EffectFactory.createAddFact(chapter, fact));
     }
 
     // 2. 处理角色状态
@@ -335,7 +333,7 @@ class ChapterFinalizer {
           effects.push(EffectFactory.createRevealForeshadow(
             chapter,
             existing.id || existing.concept_id,
-            { chapter, content: implied_future || '' }
+            { chapter, content: implied_future || '', previous_state: oldState }
           ));
         }
       }
@@ -367,7 +365,33 @@ class ChapterFinalizer {
       }
     }
 
-    // 5. 处理故事状态（如果存在，但通常不应该由 Extract 输出）
+    // 5. 处理关系变化（每次变化记录为一条关系边，不覆盖此前的关系）
+    for (const change of normalized.relationship_changes) {
+      if (!change.source || !change.target || !change.type) continue;
+
+      const claim = this.getClaim('relationship', change);
+      const decision = this.inferenceStore.findDecision(claim, chapter);
+      if (decision?.status === 'rejected') continue;
+
+      const reviewed = decision?.status === 'confirmed';
+      const certainty = reviewed ? REVIEWED_CERTAINTY : this.calculateCertainty(change);
+      if (certainty < 0.7) {
+        this.inferenceStore.addInference({
+          claim,
+          basis: change.evidence || '',
+          confidence: certainty,
+          chapter: chapter,
+          kind: 'relationship',
+          candidate: change
+        });
+        continue;
+      }
+
+      const relationship = reviewed && decision.candidate ? decision.candidate : change;
+      effects.push(EffectFactory.createUpdateRelationship(chapter, { ...relationship, certainty }));
+    }
+
+    // 6. 处理故事状态（如果存在，但通常不应该由 Extract 输出）
     if (normalized.story_state_snapshot && Object.keys(normalized.story_state_snapshot).length > 0) {
       // 警告：story_state_snapshot 不应该由 Extract 输出
       console.warn(`   ⚠️  检测到 story_state_snapshot，这不应该由 Extract 输出`);
@@ -384,6 +408,128 @@ class ChapterFinalizer {
     return effects;
   }
 
+  /**
+   * 生成 AddFact Effect（与知识核心中已有的事实重复时返回 null）
+   * @param {Object} candidate - 事实候选
+   * @param {number} chapter - 章节号
+   * @param {number} certainty - 置信度
+   * @param {boolean} reviewed - 是否经过人工审核
+   */
+  buildFactEffect(candidate, chapter, certainty, reviewed = false) {
+    const existingFacts = this.loadJSON(path.join(this.corePath, 'facts.json'));
+    const exists = existingFacts.some(
+      f => f.subject === candidate.subject && 
+           f.predicate === candidate.predicate &&
+           f.value === candidate.value
+    );
+
+    if (exists) {
+      return null; // 跳过重复事实
+    }
+
+    const fact = {
+      id: `fact_${chapter}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: candidate.type || 'character_level',
+      subject: candidate.subject || candidate.statement?.split(' ')[0] || 'unknown',
+      predicate: candidate.predicate || 'has',
+      value: candidate.value || candidate.statement || '',
+      introduced_at: {
+        chapter: chapter,
+        evidence: candidate.evidence || candidate.statement || ''
+      },
+      certainty: certainty,
+      status: 'valid',
+      concept_refs: candidate.concept_refs || []
+    };
+    if (reviewed) {
+      fact.reviewed = true;
+    }
+
+    return EffectFactory.createAddFact(chapter, fact);
+  }
+
+  /**
+   * 断言的文字描述（推断和审核记录以此匹配同一断言）
+   * @param {string} kind - fact / relationship
+   */
+  getClaim(kind, candidate) {
+    if (kind === 'relationship') {
+      return `${candidate.source} 与 ${candidate.target} 的关系变为 ${candidate.type}`;
+    }
+    return candidate.statement || JSON.stringify(candidate);
+  }
+
+  /**
+   * 把审核确认的断言作为 Effect 追加到该章（不重新结算整章，之后各章的依赖不受影响）
+   * 审核结果已记录在 InferenceStore 中，之后重新结算该章时会生成同样的 Effect
+   * @param {number} chapter - 章节号
+   * @param {string} kind - fact / relationship
+   * @param {Object} candidate - 审核后的断言内容
+   * @returns {Promise<Object|null>} 生成的 Effect；与已有事实重复或冲突时为 null
+   */
+  async applyReviewedClaim(chapter, kind, candidate) {
+    this.ensureDirectories();
+    let effect;
+    if (kind === 'relationship') {
+      if (!candidate.source || !candidate.target || !candidate.type) {
+        throw new Error('关系断言需要 source、target 和 type');
+      }
+      effect = EffectFactory.createUpdateRelationship(chapter, { ...candidate, certainty: REVIEWED_CERTAINTY });
+    } else {
+      effect = this.buildFactEffect(candidate, chapter, REVIEWED_CERTAINTY, true);
+    }
+    if (!effect) {
+      return null;
+    }
+
+    const effects = [effect];
+    await this.validateEffects(effects, chapter);
+    if (effects.length === 0) {
+      return null;
+    }
+    await this.applyEffects(effects);
+
+    const effectData = this.effectManager.loadEffect(chapter) || {
+      chapter,
+      created_at: new Date().toISOString(),
+      effects: []
+    };
+    // 旧版效果记录（facts_added 等 ID 列表）保留到 legacy_effects，之后按 Effect 列表记录
+    if (!Array.isArray(effectData.effects)) {
+      effectData.legacy_effects = effectData.effects;
+      effectData.effects = [];
+    }
+    effectData.effects.push({
+      effect_id: effect.effect_id,
+      chapter,
+      type: effect.type,
+      payload: effect.payload,
+      reversible: effect.reversible
+    });
+    this.effectManager.saveEffect(chapter, effectData);
+    this.recordDependencies(chapter, effectData.effects);
+
+    return effectData.effects[effectData.effects.length - 1];
+  }
+
+  /**
+   * 撤销该章中的单个 Effect 并从章节效果中移除（审核拒绝已生效的断言）
+   * @returns {Promise<boolean>} 是否找到并撤销
+   */
+  async revertChapterEffect(chapter, effectId) {
+    const effectData = this.effectManager.loadEffect(chapter);
+    const effect = Array.isArray(effectData?.effects) ? effectData.effects.find(e => e.effect_id === effectId) : null;
+    if (!effect) {
+      return false;
+    }
+
+    await this.revertEffect({ ...effect, chapter });
+    effectData.effects = effectData.effects.filter(e => e.effect_id !== effectId);
+    this.effectManager.saveEffect(chapter, effectData);
+    this.recordDependencies(chapter, effectData.effects);
+    return true;
+  }
+
   /**
    * 计算事实的置信度
    */
@@ -506,6 +652,10 @@ class ChapterFinalizer {
         await this.applyTemporaryDebuff(effect);
         break;
 
+      case EffectType.UPDATE_RELATIONSHIP:
+        await this.applyUpdateRelationship(effect);
+        break;
+
       default:
         console.warn(`     ⚠️  未知的 Effect 类型: ${effect.type}`);
     }
@@ -542,6 +692,27 @@ class ChapterFinalizer {
     console.log(`     ✅ 应用 Effect: UPDATE_CHARACTER_STATE - ${character}.${field} = ${to}`);
   }
 
+  /**
+   * 应用 UpdateRelationship Effect
+   */
+  async applyUpdateRelationship(effect) {
+    const { relationship } = effect.payload;
+    if (!this.characterMemory) {
+      console.warn(`     ⚠️  未设置人物记忆，跳过关系记录: ${relationship.source} ↔ ${relationship.target}`);
+      return;
+    }
+    if (!this.characterMemory.getCharacter(relationship.source)) {
+      // 记录在 Effect 中，回滚时一并删除
+      effect.payload.created_character = await this.characterMemory.addCharacter({ name: relationship.source, role: 'supporting' });
+    }
+    await this.characterMemory.updateRelationship(relationship.source, relationship.target, {
+      ...relationship,
+      chapter: effect.chapter,
+      origin: 'finalizer'
+    });
+    console.log(`     ✅ 应用 Effect: UPDATE_RELATIONSHIP - ${relationship.source} ↔ ${relationship.target} = ${relationship.type}`);
+  }
+
   /**
    * 应用 AddForeshadow Effect
    */
@@ -656,11 +827,12 @@ class ChapterFinalizer {
       return;
     }
 
-    const effects = effectData.effects || [];
+    // 旧版效果记录转换为等价的 Effect 后一起回滚
+    const effects = this.effectManager.getEffectList(effectData);
     
     // 1. 找出依赖此章节 Effects 的后续章节
     const dependentChapters = [];
-    for (const effect of effects) {
+    for (const effect of effects.filter(e => e.effect_id)) {
       const chapters = this.dependencyTracker.getChaptersDependingOnEffect(effect.effect_id);
       dependentChapters.push(...chapters);
     }
@@ -733,6 +905,10 @@ class ChapterFinalizer {
         await this.revertTemporaryDebuff(effect);
         break;
 
+      case EffectType.UPDATE_RELATIONSHIP:
+        await this.revertUpdateRelationship(effect);
+        break;
+
       default:
         console.warn(`     ⚠️  未知的 Effect 类型，无法回滚: ${effect.type}`);
     }
@@ -796,10 +972,23 @@ class ChapterFinalizer {
     
     const foreshadow = foreshadows.find(f => f.id === fsId || f.concept_id === fsId);
     if (foreshadow && foreshadow.state === 'revealed') {
-      // 回退到之前的状态
-      foreshadow.state = 'confirmed';
+      // 回退到之前的状态（旧的 Effect 没有记录 previous_state）
+      foreshadow.state = effect.payload.reveal_info?.previous_state || 'confirmed';
       this.saveJSON(foreshadowFile, foreshadows);
-      console.log(`     ↶ 回滚 Effect: REVEAL_FORESHADOW - ${fsId} 状态回退到 confirmed`);
+      console.log(`     ↶ 回滚 Effect: REVEAL_FORESHADOW - ${fsId} 状态回退到 ${foreshadow.state}`);
+    }
+  }
+
+  /**
+   * 回滚 UpdateRelationship
+   */
+  async revertUpdateRelationship(effect) {
+    const { relationship } = effect.payload;
+    if (this.characterMemory && await this.characterMemory.removeRelationshipEdge(relationship.id)) {
+      console.log(`     ↶ 回滚 Effect: UPDATE_RELATIONSHIP - 删除关系 ${relationship.source} ↔ ${relationship.target}`);
+    }
+    if (this.characterMemory && effect.payload.created_character) {
+      await this.characterMemory.removeAutoCreatedCharacter(effect.payload.created_character);
     }
   }
 
@@ -14,7 +14,8 @@ const EffectType = {
   RESOLVE_FORESHADOW: 'RESOLVE_FORESHADOW',
   ADD_PLOT_EVENT: 'ADD_PLOT_EVENT',
   UPDATE_STORY_STATE: 'UPDATE_STORY_STATE',
-  TEMPORARY_DEBUFF: 'TEMPORARY_DEBUFF'
+  TEMPORARY_DEBUFF: 'TEMPORARY_DEBUFF',
+  UPDATE_RELATIONSHIP: 'UPDATE_RELATIONSHIP'
 };
 
 /**
@@ -119,6 +120,25 @@ class TemporaryDebuffEffect extends BaseEffect {
   }
 }
 
+/**
+ * UpdateRelationshipEffect - 记录角色关系（追加一条关系边）
+ */
+class UpdateRelationshipEffect extends BaseEffect {
+  constructor(chapter, relationship) {
+    super(EffectType.UPDATE_RELATIONSHIP, chapter, {
+      relationship: {
+        id: relationship.id || `rel_${chapter}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        source: relationship.source,
+        target: relationship.target,
+        type: relationship.type,
+        intensity: relationship.intensity ?? null,
+        evidence: relationship.evidence || '',
+        certainty: relationship.certainty ?? null
+      }
+    }, true);
+  }
+}
+
 /**
  * Effect 工厂函数
  */
@@ -153,6 +173,10 @@ const EffectFactory = {
 
   createTemporaryDebuff(chapter, character, debuffType, durationChapters, description) {
     return new TemporaryDebuffEffect(chapter, character, debuffType, durationChapters, description);
+  },
+
+  createUpdateRelationship(chapter, relationship) {
+    return new UpdateRelationshipEffect(chapter, relationship);
   }
 };
 
@@ -167,6 +191,7 @@ module.exports = {
   AddPlotEventEffect,
   UpdateStoryStateEffect,
   TemporaryDebuffEffect,
+  UpdateRelationshipEffect,
   EffectFactory
 };
 
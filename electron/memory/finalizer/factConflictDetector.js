@@ -4,6 +4,7 @@
  */
 
 const SemanticSimilarity = require('./semanticSimilarity');
+const { tokenize } = require('../../core/keywordIndex');
 
 class FactConflictDetector {
   constructor(workspaceRoot, llmConfig = null) {
@@ -99,13 +100,16 @@ class FactConflictDetector {
   detectKeywordConflicts(newFact, existingFacts) {
     const conflicts = [];
     
-    // 提取关键词（简单实现）
     const newKeywords = this.extractKeywords(newFact.statement);
     
     for (const existingFact of existingFacts) {
       if (existingFact.type !== newFact.type) {
         continue;
       }
+      // 不同主语的事实不构成矛盾
+      if (newFact.subject && existingFact.subject && newFact.subject !== existingFact.subject) {
+        continue;
+      }
 
       const existingKeywords = this.extractKeywords(existingFact.statement);
       
@@ -185,27 +189,10 @@ class FactConflictDetector {
   }
 
   /**
-   * 提取关键词
+   * 提取关键词：与全文检索相同的切分（中文二元组、英文单词），去重
    */
   extractKeywords(text) {
-    // 简单的关键词提取（中文）
-    const keywords = [];
-    
-    // 提取角色名、地点、境界等
-    const patterns = [
-      /([\u4e00-\u9fa5]{2,4})(?:死亡|突破|觉醒|获得)/g,
-      /(第[\d]+章|第[\d]+回)/g,
-      /([\u4e00-\u9fa5]+境界|[\u4e00-\u9fa5]+期)/g
-    ];
-
-    for (const pattern of patterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        keywords.push(...matches);
-      }
-    }
-
-    return keywords;
+    return [...new Set(tokenize(text))];
   }
 
   /**
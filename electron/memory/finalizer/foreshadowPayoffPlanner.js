@@ -0,0 +1,225 @@
+/**
+ * Foreshadow Payoff Planner - 伏笔回收排期
+ * 为未揭示的伏笔安排之后各章的揭示 / 解决计划：
+ * - 按重要程度决定埋下后多久回收，重要伏笔对齐到剧情阶段（plotMemory stages）的结尾
+ * - 已确认的伏笔比待定的更早揭示，已超期的尽快回收
+ * - 每章最多安排 maxPerChapter 个回收，避免多个伏笔挤在同一章
+ *
+ * 伏笔来源：知识核心中 pending / confirmed 的伏笔（揭示），
+ * 以及伏笔记忆中 pending（揭示）和 revealed（解决）的伏笔。
+ */
+
+// 埋下后多少章回收
+const PAYOFF_SPAN = {
+  minor: 5,
+  normal: 10,
+  major: 20,
+  critical: 30
+};
+
+const IMPORTANCE_RANK = {
+  minor: 0,
+  normal: 1,
+  major: 2,
+  critical: 3
+};
+
+// 对齐到剧情阶段结尾的重要程度
+const ARC_ALIGNED = ['major', 'critical'];
+
+const DEFAULT_HORIZON = 30;
+
+class ForeshadowPayoffPlanner {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxPerChapter - 每章最多回收的伏笔数（默认 1）
+   * @param {number} options.horizon - 没有全书长度和剧情阶段时，向后排期的章节数（默认 30）
+   */
+  constructor(options = {}) {
+    this.maxPerChapter = options.maxPerChapter || 1;
+    this.horizon = options.horizon || DEFAULT_HORIZON;
+  }
+
+  /**
+   * 解析剧情阶段的章节范围（[1, 20]、"1-20"、"第1-20章"、{ start, end }）
+   * @returns {{start: number, end: number}|null}
+   */
+  parseStageRange(chapters) {
+    if (Array.isArray(chapters) && chapters.length > 0) {
+      const numbers = chapters.map(Number).filter(Number.isFinite);
+      return numbers.length > 0 ? { start: Math.min(...numbers), end: Math.max(...numbers) } : null;
+    }
+    if (chapters && typeof chapters === 'object') {
+      const start = Number(chapters.start);
+      const end = Number(chapters.end);
+      return Number.isFinite(end) ? { start: Number.isFinite(start) ? start : end, end } : null;
+    }
+    if (typeof chapters === 'string' || typeof chapters === 'number') {
+      const numbers = String(chapters).match(/\d+/g)?.map(Number) || [];
+      return numbers.length > 0 ? { start: numbers[0], end: numbers[numbers.length - 1] } : null;
+    }
+    return null;
+  }
+
+  /**
+   * 剧情阶段的结尾章节（升序）
+   */
+  getArcBoundaries(stages = []) {
+    const ends = stages
+      .map(stage => this.parseStageRange(stage.chapters)?.end)
+      .filter(end => Number.isFinite(end));
+    return [...new Set(ends)].sort((a, b) => a - b);
+  }
+
+  /**
+   * 整理待回收的伏笔
+   * @param {Array} coreForeshadows - 知识核心中的伏笔
+   * @param {Array} memoryForeshadows - 伏笔记忆中的伏笔
+   */
+  collectCandidates(coreForeshadows = [], memoryForeshadows = []) {
+    const candidates = [];
+
+    for (const fs of coreForeshadows) {
+      if (fs.state !== 'pending' && fs.state !== 'confirmed') continue;
+      candidates.push({
+        foreshadow_id: fs.id,
+        title: fs.concept_name || fs.concept_id || fs.id,
+        description: fs.implied_future || '',
+        source: 'core',
+        state: fs.state,
+        action: 'reveal',
+        importance: fs.importance || 'normal',
+        introduced_in: fs.introduced_in ?? 0,
+        last_updated: fs.last_updated ?? fs.introduced_in ?? 0
+      });
+    }
+
+    for (const fs of memoryForeshadows) {
+      if (fs.status !== 'pending' && fs.status !== 'revealed') continue;
+      const revealedAt = fs.revealed_at?.chapter;
+      candidates.push({
+        foreshadow_id: fs.id,
+        title: fs.title || fs.id,
+        description: fs.expected_reveal || fs.content || '',
+        source: 'memory',
+        state: fs.status,
+        action: fs.status === 'revealed' ? 'resolve' : 'reveal',
+        importance: fs.importance || 'normal',
+        introduced_in: fs.introduced_at?.chapter ?? 0,
+        last_updated: revealedAt ?? fs.hints?.[fs.hints.length - 1]?.chapter ?? fs.introduced_at?.chapter ?? 0
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 理想的回收章节
+   */
+  getIdealChapter(candidate, currentChapter, boundaries, lastChapter) {
+    const span = PAYOFF_SPAN[candidate.importance] || PAYOFF_SPAN.normal;
+    let ideal;
+    let reason;
+
+    if (candidate.action === 'resolve') {
+      // 揭示后半个周期内解决
+      ideal = candidate.last_updated + Math.ceil(span / 2);
+      reason = `第 ${candidate.last_updated} 章已揭示，${Math.ceil(span / 2)} 章内解决`;
+    } else if (candidate.state === 'confirmed') {
+      ideal = candidate.introduced_in + Math.ceil(span * 0.7);
+      reason = `已确认，埋下约 ${Math.ceil(span * 0.7)} 章后揭示`;
+    } else {
+      ideal = candidate.introduced_in + span;
+      reason = `${candidate.importance} 伏笔，埋下约 ${span} 章后揭示`;
+    }
+
+    if (ideal <= currentChapter) {
+      return { ideal: currentChapter + 1, reason: `已超期（原定第 ${ideal} 章），尽快回收` };
+    }
+
+    if (ARC_ALIGNED.includes(candidate.importance) && candidate.action === 'reveal') {
+      const boundary = boundaries.find(end => end >= ideal) ?? boundaries[boundaries.length - 1];
+      if (boundary && boundary > currentChapter && boundary <= lastChapter) {
+        return { ideal: boundary, reason: `${reason}，对齐到第 ${boundary} 章的阶段结尾` };
+      }
+    }
+
+    return { ideal: Math.min(ideal, lastChapter), reason };
+  }
+
+  /**
+   * 生成回收排期
+   * @param {Object} params
+   * @param {number} params.currentChapter - 已完成的最后一章
+   * @param {Array} params.coreForeshadows - 知识核心中的伏笔
+   * @param {Array} params.memoryForeshadows - 伏笔记忆中的伏笔
+   * @param {Array} params.stages - 剧情阶段（plotMemory main_plotline.stages）
+   * @param {number} params.targetLength - 全书目标章节数（可选）
+   * @returns {{current_chapter, horizon: {from, to}, arc_boundaries, items, schedule}}
+   */
+  plan({ currentChapter = 0, coreForeshadows = [], memoryForeshadows = [], stages = [], targetLength = null }) {
+    const boundaries = this.getArcBoundaries(stages).filter(end => end > currentChapter);
+    const lastChapter = targetLength && targetLength > currentChapter
+      ? targetLength
+      : (boundaries[boundaries.length - 1] ?? currentChapter + this.horizon);
+
+    // 重要的先占位，同等重要的按理想章节先后
+    const candidates = this.collectCandidates(coreForeshadows, memoryForeshadows)
+      .map(candidate => ({ ...candidate, ...this.getIdealChapter(candidate, currentChapter, boundaries, lastChapter) }))
+      .sort((a, b) =>
+        (IMPORTANCE_RANK[b.importance] ?? 1) - (IMPORTANCE_RANK[a.importance] ?? 1) || a.ideal - b.ideal
+      );
+
+    const load = new Map();
+    const items = candidates.map(candidate => {
+      const chapter = this.findSlot(candidate.ideal, currentChapter + 1, lastChapter, load);
+      load.set(chapter, (load.get(chapter) || 0) + 1);
+      const { ideal, reason, ...rest } = candidate;
+      return {
+        ...rest,
+        chapter,
+        ideal_chapter: ideal,
+        reason: chapter === ideal
+          ? reason
+          : `${reason}；第 ${ideal} 章已有其他回收，${chapter > ideal ? '顺延' : '提前'}到第 ${chapter} 章`
+      };
+    }).sort((a, b) => a.chapter - b.chapter);
+
+    const schedule = [];
+    for (const item of items) {
+      const last = schedule[schedule.length - 1];
+      if (last && last.chapter === item.chapter) {
+        last.items.push(item);
+      } else {
+        schedule.push({ chapter: item.chapter, items: [item] });
+      }
+    }
+
+    return {
+      current_chapter: currentChapter,
+      horizon: { from: currentChapter + 1, to: lastChapter },
+      arc_boundaries: boundaries,
+      items,
+      schedule
+    };
+  }
+
+  /**
+   * 从理想章节向两侧寻找未排满的章节（同等距离优先靠后），范围内都排满时顺延到范围之后
+   */
+  findSlot(ideal, first, last, load) {
+    const free = chapter => (load.get(chapter) || 0) < this.maxPerChapter;
+    for (let distance = 0; distance <= last - first; distance++) {
+      for (const chapter of [ideal + distance, ideal - distance]) {
+        if (chapter >= first && chapter <= last && free(chapter)) {
+          return chapter;
+        }
+      }
+    }
+    let chapter = Math.max(last, ideal) + 1;
+    while (!free(chapter)) chapter++;
+    return chapter;
+  }
+}
+
+module.exports = ForeshadowPayoffPlanner;
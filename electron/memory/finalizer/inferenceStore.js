@@ -59,13 +59,15 @@ class InferenceStore {
    * @param {string} inference.basis - 依据
    * @param {number} inference.confidence - 置信度 (0-1)
    * @param {number} inference.chapter - 章节号
+   * @param {string} inference.kind - 断言类型（fact / relationship，默认 fact）
+   * @param {Object} inference.candidate - 原始候选（确认时据此生成 Effect）
    */
   addInference(inference) {
     const inferences = this.loadInferences();
     
     // 检查是否已存在相似的推断
     const existing = inferences.find(
-      inf => inf.claim === inference.claim && inf.chapter === inference.chapter
+      inf => (inf.source_claim || inf.claim) === inference.claim && inf.chapter === inference.chapter
     );
 
     if (existing) {
@@ -85,6 +87,8 @@ class InferenceStore {
       basis: inference.basis || '',
       confidence: Math.max(0, Math.min(1, inference.confidence || 0.5)),
       chapter: inference.chapter,
+      kind: inference.kind || 'fact',
+      candidate: inference.candidate || null,
       status: 'pending',
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -113,13 +117,43 @@ class InferenceStore {
     return inferences.filter(inf => inf.status === 'pending' && inf.confidence < 0.7);
   }
 
+  /**
+   * 按 ID 获取推断
+   */
+  getInference(inferenceId) {
+    return this.loadInferences().find(inf => inf.id === inferenceId) || null;
+  }
+
+  /**
+   * 修改推断（审核时编辑断言内容，claim 改变后仍按 source_claim 匹配原断言）
+   * @param {Object} changes - { claim, basis, candidate }
+   */
+  updateInference(inferenceId, changes) {
+    const inferences = this.loadInferences();
+    const inference = inferences.find(inf => inf.id === inferenceId);
+    if (!inference) {
+      return null;
+    }
+    if (changes.claim !== undefined && changes.claim !== inference.claim) {
+      inference.source_claim = inference.source_claim || inference.claim;
+      inference.claim = changes.claim;
+    }
+    if (changes.basis !== undefined) inference.basis = changes.basis;
+    if (changes.candidate !== undefined) inference.candidate = changes.candidate;
+    inference.updated_at = new Date().toISOString();
+    this.saveInferences(inferences);
+    return inference;
+  }
+
   /**
    * 标记推断为已确认（转为 fact）
+   * @param {Object} details - 审核结果（如 candidate、effect_id）
    */
-  markConfirmed(inferenceId) {
+  markConfirmed(inferenceId, details = {}) {
     const inferences = this.loadInferences();
     const inference = inferences.find(inf => inf.id === inferenceId);
     if (inference) {
+      Object.assign(inference, details);
       inference.status = 'confirmed';
       inference.updated_at = new Date().toISOString();
       this.saveInferences(inferences);
@@ -139,6 +173,49 @@ class InferenceStore {
     }
   }
 
+  /**
+   * 记录对已生效断言的审核结果（临界置信度的断言不经过推断，直接记录为已审核）
+   * @param {Object} decision - { claim, kind, chapter, candidate, basis, confidence, status, effect_id }
+   */
+  recordDecision(decision) {
+    const inferences = this.loadInferences();
+    const existing = inferences.find(
+      inf => (inf.source_claim || inf.claim) === decision.claim && inf.chapter === decision.chapter
+    );
+    const record = existing || {
+      id: `inf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      claim: decision.claim,
+      basis: decision.basis || '',
+      confidence: decision.confidence ?? 0.7,
+      chapter: decision.chapter,
+      kind: decision.kind || 'fact',
+      created_at: new Date().toISOString()
+    };
+    Object.assign(record, {
+      candidate: decision.candidate ?? record.candidate ?? null,
+      effect_id: decision.effect_id ?? null,
+      status: decision.status,
+      reviewed: true,
+      updated_at: new Date().toISOString()
+    });
+    if (!existing) {
+      inferences.push(record);
+    }
+    this.saveInferences(inferences);
+    return record;
+  }
+
+  /**
+   * 断言的审核结果（未审核时返回 null）
+   * @param {string} claim - 断言（结算时生成的原始 claim）
+   * @param {number} chapter - 章节号
+   */
+  findDecision(claim, chapter) {
+    return this.loadInferences().find(
+      inf => (inf.source_claim || inf.claim) === claim && inf.chapter === chapter && inf.status !== 'pending'
+    ) || null;
+  }
+
   /**
    * 清理旧推断（可选）
    */
@@ -0,0 +1,265 @@
+/**
+ * Review Queue - 低置信度断言审核队列
+ * 列出待审核的断言，审核结果通过 ChapterFinalizer 生成 / 撤销 Effect，保持可回滚：
+ * - 推断（inference）：置信度 < 0.7、结算时未进入知识核心的断言。确认后生成 Effect 追加到该章
+ * - 临界断言（extract）：extract 中置信度在 0.7 ~ 0.8 之间、已经生效的断言。拒绝时撤销对应的 Effect
+ *
+ * 审核结果记录在 InferenceStore 中，重新结算该章时 ChapterFinalizer 会沿用（确认的生成 Effect，拒绝的跳过）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EffectType } = require('./effectTypes');
+
+// 低于此置信度的已生效断言需要审核
+const BORDERLINE_CERTAINTY = 0.8;
+
+class ReviewQueue {
+  /**
+   * @param {string} workspaceRoot - 工作区根目录
+   * @param {ChapterFinalizer} finalizer - 章节结算器（提供 inferenceStore 和 Effect 的生成 / 撤销）
+   */
+  constructor(workspaceRoot, finalizer) {
+    this.workspaceRoot = workspaceRoot;
+    this.finalizer = finalizer;
+    this.inferenceStore = finalizer.inferenceStore;
+    this.extractPath = path.join(workspaceRoot, '.novel-agent', 'extracts');
+  }
+
+  /**
+   * 获取审核队列
+   * @param {Object} options - { chapter } 只列出该章
+   * @returns {{items: Array, stats: {total, inferences, borderline}}}
+   */
+  getQueue(options = {}) {
+    const items = [...this.getInferenceItems(), ...this.getBorderlineItems()]
+      .filter(item => !options.chapter || item.chapter === options.chapter)
+      .sort((a, b) => (a.chapter ?? 0) - (b.chapter ?? 0) || a.certainty - b.certainty);
+
+    return {
+      items,
+      stats: {
+        total: items.length,
+        inferences: items.filter(item => item.source === 'inference').length,
+        borderline: items.filter(item => item.source === 'extract').length
+      }
+    };
+  }
+
+  /**
+   * 待处理的推断
+   */
+  getInferenceItems() {
+    return this.inferenceStore.loadInferences()
+      .filter(inf => inf.status === 'pending')
+      .map(inf => this.toInferenceItem(inf));
+  }
+
+  toInferenceItem(inference) {
+    const kind = inference.kind || 'fact';
+    return {
+      id: inference.id,
+      source: 'inference',
+      kind,
+      chapter: inference.chapter,
+      claim: inference.claim,
+      quote: inference.basis || '',
+      certainty: inference.confidence,
+      candidate: inference.candidate || this.candidateFromClaim(kind, inference),
+      effect_id: null
+    };
+  }
+
+  /**
+   * 旧版推断没有保存候选，从 claim 还原
+   */
+  candidateFromClaim(kind, inference) {
+    if (kind === 'relationship') {
+      const match = /^(.+) 与 (.+) 的关系变为 (.+)$/.exec(inference.claim);
+      return match ? { source: match[1], target: match[2], type: match[3], evidence: inference.basis || '' } : {};
+    }
+    return { statement: inference.claim, evidence: inference.basis || '' };
+  }
+
+  /**
+   * extract 中已生效、但置信度处于临界区间且未审核的断言
+   */
+  getBorderlineItems() {
+    const items = [];
+    for (const chapter of this.listExtractChapters()) {
+      const extract = this.loadExtract(chapter);
+      if (!extract) continue;
+
+      const candidates = [
+        ...(extract.fact_candidates || []).map((candidate, index) => ({ kind: 'fact', candidate, index })),
+        ...(extract.relationship_changes || []).map((candidate, index) => ({ kind: 'relationship', candidate, index }))
+      ];
+
+      for (const { kind, candidate, index } of candidates) {
+        const certainty = this.finalizer.calculateCertainty(candidate);
+        if (certainty < 0.7 || certainty >= BORDERLINE_CERTAINTY) continue;
+
+        const claim = this.finalizer.getClaim(kind, candidate);
+        if (this.inferenceStore.findDecision(claim, chapter)) continue;
+
+        items.push({
+          id: `extract:${chapter}:${kind}:${index}`,
+          source: 'extract',
+          kind,
+          chapter,
+          claim,
+          quote: candidate.evidence || '',
+          certainty,
+          candidate,
+          effect_id: this.findEffectId(chapter, kind, candidate)
+        });
+      }
+    }
+    return items;
+  }
+
+  listExtractChapters() {
+    if (!fs.existsSync(this.extractPath)) {
+      return [];
+    }
+    return fs.readdirSync(this.extractPath)
+      .map(file => /^chapter_(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  loadExtract(chapter) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.extractPath, `chapter_${chapter}.json`), 'utf-8'));
+    } catch (error) {
+      console.warn(`⚠️ 加载第 ${chapter} 章 extract 失败:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 断言在该章生成的 Effect（未结算或被冲突检测移除时为 null）
+   */
+  findEffectId(chapter, kind, candidate) {
+    // 旧版效果记录（ID 列表对象）中没有可对应断言的 Effect
+    const effects = this.finalizer.effectManager.loadEffect(chapter)?.effects;
+    const effect = (Array.isArray(effects) ? effects : []).find(e => {
+      if (kind === 'relationship') {
+        const rel = e.type === EffectType.UPDATE_RELATIONSHIP ? e.payload.relationship : null;
+        return rel && rel.source === candidate.source && rel.target === candidate.target && rel.type === candidate.type;
+      }
+      const fact = e.type === EffectType.ADD_FACT ? e.payload.fact : null;
+      return fact && fact.subject === candidate.subject && fact.predicate === candidate.predicate && fact.value === candidate.value;
+    });
+    return effect ? effect.effect_id : null;
+  }
+
+  /**
+   * 查找审核项
+   * @throws {Error} 不存在或已审核时
+   */
+  getItem(itemId) {
+    if (String(itemId).startsWith('extract:')) {
+      const item = this.getBorderlineItems().find(candidate => candidate.id === itemId);
+      if (!item) {
+        throw new Error(`审核项不存在或已审核: ${itemId}`);
+      }
+      return item;
+    }
+
+    const inference = this.inferenceStore.getInference(itemId);
+    if (!inference || inference.status !== 'pending') {
+      throw new Error(`审核项不存在或已审核: ${itemId}`);
+    }
+    return this.toInferenceItem(inference);
+  }
+
+  /**
+   * 确认断言（可同时修改内容）
+   * @param {string} itemId - 审核项 ID
+   * @param {Object} edits - 修改的字段（事实：statement / subject / predicate / value；关系：source / target / type / intensity）
+   * @returns {Promise<{item, effect}>} effect 为生效的 Effect（与已有事实重复或冲突时为 null）
+   */
+  async confirm(itemId, edits = {}) {
+    const item = this.getItem(itemId);
+    const candidate = { ...item.candidate, ...edits };
+    const edited = Object.keys(edits).length > 0;
+
+    if (item.source === 'inference') {
+      const effect = await this.finalizer.applyReviewedClaim(item.chapter, item.kind, candidate);
+      this.inferenceStore.markConfirmed(item.id, { candidate, effect_id: effect?.effect_id ?? null });
+      return { item, effect };
+    }
+
+    // 已生效的断言：未修改时保留原 Effect，修改后替换
+    let effect = null;
+    let effectId = item.effect_id;
+    if (edited || !effectId) {
+      if (effectId) {
+        await this.finalizer.revertChapterEffect(item.chapter, effectId);
+      }
+      effect = await this.finalizer.applyReviewedClaim(item.chapter, item.kind, candidate);
+      effectId = effect?.effect_id ?? null;
+    }
+    this.inferenceStore.recordDecision({
+      claim: item.claim,
+      kind: item.kind,
+      chapter: item.chapter,
+      candidate,
+      basis: item.quote,
+      confidence: item.certainty,
+      status: 'confirmed',
+      effect_id: effectId
+    });
+    return { item, effect };
+  }
+
+  /**
+   * 拒绝断言（已生效的断言同时撤销其 Effect）
+   * @returns {Promise<{item, reverted: boolean}>}
+   */
+  async reject(itemId) {
+    const item = this.getItem(itemId);
+
+    if (item.source === 'inference') {
+      this.inferenceStore.markRejected(item.id);
+      return { item, reverted: false };
+    }
+
+    const reverted = item.effect_id
+      ? await this.finalizer.revertChapterEffect(item.chapter, item.effect_id)
+      : false;
+    this.inferenceStore.recordDecision({
+      claim: item.claim,
+      kind: item.kind,
+      chapter: item.chapter,
+      candidate: item.candidate,
+      basis: item.quote,
+      confidence: item.certainty,
+      status: 'rejected'
+    });
+    return { item, reverted };
+  }
+
+  /**
+   * 修改推断的内容（仍留在队列中）；已生效的断言修改即确认
+   * @param {Object} changes - 同 confirm 的 edits
+   */
+  async edit(itemId, changes = {}) {
+    const item = this.getItem(itemId);
+    if (item.source === 'extract') {
+      return this.confirm(itemId, changes);
+    }
+
+    const candidate = { ...item.candidate, ...changes };
+    const inference = this.inferenceStore.updateInference(item.id, {
+      claim: this.finalizer.getClaim(item.kind, candidate),
+      basis: changes.evidence ?? item.quote,
+      candidate
+    });
+    return { item: this.toInferenceItem(inference), effect: null };
+  }
+}
+
+module.exports = ReviewQueue;
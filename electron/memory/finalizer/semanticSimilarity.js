@@ -3,7 +3,7 @@
  * 使用 embedding 和余弦相似度来判断两个文本是否表达同一概念
  */
 
-const axios = require('axios');
+const { callEmbedding } = require('../../core/llm');
 
 class SemanticSimilarity {
   constructor(llmConfig = null) {
@@ -37,33 +37,24 @@ class SemanticSimilarity {
     }
 
     try {
-      // 使用 OpenAI 兼容的 embedding API
-      const response = await axios.post(
-        `${this.llmConfig.baseUrl}/embeddings`,
+      // 请求格式由 provider 决定（OpenAI 兼容 / Ollama）
+      const embedding = await callEmbedding(
         {
-          input: text,
+          provider: this.llmConfig.provider,
+          baseUrl: this.llmConfig.baseUrl,
+          apiKey: this.llmConfig.apiKey,
           model: this.llmConfig.embeddingModel || 'text-embedding-ada-002'
         },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.llmConfig.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 300000 // 5分钟超时
-        }
+        text,
+        { timeout: 300000 } // 5分钟超时
       );
 
-      if (response.data && response.data.data && response.data.data[0]) {
-        const embedding = response.data.data[0].embedding;
-        // 缓存结果
-        this.embeddingCache.set(cacheKey, embedding);
-        return embedding;
-      }
-
-      throw new Error('Invalid embedding response');
+      // 缓存结果
+      this.embeddingCache.set(cacheKey, embedding);
+      return embedding;
     } catch (error) {
       console.error('获取 embedding 失败:', error.message);
-      throw new Error(`Embedding API 调用失败: ${error.message}`);
+      throw error;
     }
   }
 
@@ -0,0 +1,149 @@
+/**
+ * State Reconstructor - 按章节重建知识核心
+ * 从当前的知识核心出发，逆序撤销目标章节之后各章的 Effects（只在内存中进行，不写回文件），
+ * 得到"第 N 章结束时"的事实、伏笔、人物状态和故事状态。
+ *
+ * 没有 Effect 记录的旧数据按其引入章节过滤；旧版效果记录（facts_added 等 ID 列表）先转换为 Effect 再撤销。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChapterEffectManager = require('./chapterEffectManager');
+const CharacterStateKnowledge = require('./characterStateKnowledge');
+const { EffectType } = require('./effectTypes');
+
+class StateReconstructor {
+  constructor(workspaceRoot) {
+    this.workspaceRoot = workspaceRoot;
+    this.corePath = path.join(workspaceRoot, '.novel-agent', 'core');
+    this.effectManager = new ChapterEffectManager(workspaceRoot);
+    this.characterStateKnowledge = new CharacterStateKnowledge(workspaceRoot);
+  }
+
+  /**
+   * 加载核心文件（文件不存在或损坏时返回默认值）
+   */
+  loadCoreFile(filename, defaultValue) {
+    const file = path.join(this.corePath, filename);
+    try {
+      if (!fs.existsSync(file)) {
+        return defaultValue;
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      console.warn(`⚠️ 加载文件失败: ${file}`, error.message);
+      return defaultValue;
+    }
+  }
+
+  getDefaultStoryState() {
+    return {
+      chapter: 0,
+      current_location: '',
+      global_tension: '',
+      known_threats: [],
+      open_mysteries: []
+    };
+  }
+
+  /**
+   * 重建第 N 章结束时的知识核心
+   * @param {number} chapterNumber - 章节号
+   * @returns {{chapter, facts, foreshadows, story_state, character_states, reverted_chapters}}
+   */
+  getStateAsOf(chapterNumber) {
+    const allEffects = this.effectManager.getAllEffects();
+    const laterEffects = allEffects.filter(data => data.chapter > chapterNumber);
+
+    let facts = this.loadCoreFile('facts.json', []);
+    let foreshadows = this.loadCoreFile('foreshadows.json', []);
+
+    // 1. 逆序撤销后续章节的 Effects（与 ChapterFinalizer.rollbackChapter 的顺序一致）
+    for (const effectData of [...laterEffects].reverse()) {
+      for (const effect of [...this.effectManager.getEffectList(effectData)].reverse()) {
+        switch (effect.type) {
+          case EffectType.ADD_FACT:
+            facts = facts.filter(fact => fact.id !== effect.payload.fact?.id);
+            break;
+
+          case EffectType.ADD_FORESHADOW:
+            foreshadows = foreshadows.filter(fs => fs.id !== effect.payload.foreshadow?.id);
+            break;
+
+          case EffectType.REVEAL_FORESHADOW:
+            foreshadows = foreshadows.map(fs => {
+              const matched = fs.id === effect.payload.foreshadow_id || fs.concept_id === effect.payload.foreshadow_id;
+              const previousState = effect.payload.reveal_info?.previous_state || 'confirmed';
+              return matched && fs.state === 'revealed' ? { ...fs, state: previousState } : fs;
+            });
+            break;
+
+          // 人物状态按记录章节过滤，故事状态取最近一次快照，见下文
+          default:
+            break;
+        }
+      }
+    }
+
+    // 2. 没有 Effect 记录的旧数据按引入章节过滤
+    facts = facts.filter(fact => (fact.introduced_at?.chapter ?? 0) <= chapterNumber);
+    foreshadows = foreshadows
+      .filter(fs => (fs.introduced_in ?? 0) <= chapterNumber)
+      .map(fs => (fs.last_updated > chapterNumber ? { ...fs, last_updated: chapterNumber } : fs));
+
+    return {
+      chapter: chapterNumber,
+      facts,
+      foreshadows,
+      story_state: this.getStoryStateAsOf(chapterNumber, allEffects),
+      character_states: this.getCharacterStatesAsOf(chapterNumber),
+      reverted_chapters: laterEffects.map(data => data.chapter)
+    };
+  }
+
+  /**
+   * 故事状态是整体快照：取不晚于第 N 章的最后一次 UPDATE_STORY_STATE
+   */
+  getStoryStateAsOf(chapterNumber, allEffects) {
+    let snapshot = null;
+    for (const effectData of allEffects) {
+      if (effectData.chapter > chapterNumber) break;
+      for (const effect of this.effectManager.getEffectList(effectData)) {
+        if (effect.type === EffectType.UPDATE_STORY_STATE) {
+          snapshot = effect.payload.state;
+        }
+      }
+    }
+    if (snapshot) {
+      return snapshot;
+    }
+
+    // 当前故事状态本身不晚于第 N 章时直接使用
+    const current = this.loadCoreFile('story_state.json', null);
+    if (current && (current.chapter || 0) <= chapterNumber) {
+      return current;
+    }
+    return this.getDefaultStoryState();
+  }
+
+  /**
+   * 人物状态：合并不晚于第 N 章的状态变化
+   * @returns {Object} { 角色名: { current, timeline } }
+   */
+  getCharacterStatesAsOf(chapterNumber) {
+    const states = this.characterStateKnowledge.loadStates()
+      .filter(state => (state.chapter ?? 0) <= chapterNumber)
+      .sort((a, b) => (a.chapter ?? 0) - (b.chapter ?? 0));
+
+    const result = {};
+    for (const state of states) {
+      const entry = result[state.character_name] || { current: {}, timeline: [] };
+      Object.assign(entry.current, state.state_change || {});
+      entry.timeline.push({ chapter: state.chapter, changes: state.state_change, type: state.type });
+      result[state.character_name] = entry;
+    }
+    return result;
+  }
+}
+
+module.exports = StateReconstructor;
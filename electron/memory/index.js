@@ -14,6 +14,10 @@ const ExtractWriter = require('./extractors/extractWriter');
 const ConceptResolver = require('./finalizer/conceptResolver');
 const ForeshadowPanel = require('./finalizer/foreshadowPanel');
 const CharacterStateKnowledge = require('./finalizer/characterStateKnowledge');
+const StateReconstructor = require('./finalizer/stateReconstructor');
+const ForeshadowPayoffPlanner = require('./finalizer/foreshadowPayoffPlanner');
+const ReviewQueue = require('./finalizer/reviewQueue');
+const CascadeRefinalizer = require('./finalizer/cascadeRefinalizer');
 
 class MemoryManager {
   constructor(workspaceRoot) {
@@ -32,6 +36,9 @@ class MemoryManager {
     this.conceptResolver = new ConceptResolver(workspaceRoot);
     this.foreshadowPanel = new ForeshadowPanel(workspaceRoot);
     this.characterStateKnowledge = new CharacterStateKnowledge(workspaceRoot);
+    this.stateReconstructor = new StateReconstructor(workspaceRoot);
+    this.reviewQueue = new ReviewQueue(workspaceRoot, this.chapterFinalizer);
+    this.cascadeRefinalizer = new CascadeRefinalizer(workspaceRoot, this.chapterFinalizer);
     // 缓存 ExtractCleaner 实例
     this.extractCleaner = null;
   }
@@ -42,7 +49,8 @@ class MemoryManager {
   setLLMConfig(config) {
     this.llmConfig = config;
     // 传递给 ChapterFinalizer 用于语义相似度
-    if (config && config.baseUrl && config.apiKey) {
+    // Ollama 本地服务不需要 API Key
+    if (config && config.baseUrl && (config.apiKey || config.provider === 'ollama')) {
       // 从数据库获取默认的 embedding 模型配置
       let embeddingConfig = {
         ...config,
@@ -52,9 +60,11 @@ class MemoryManager {
       try {
         const { embeddingModels } = require('../core/database');
         const defaultEmbeddingModel = embeddingModels.getDefault();
-        if (defaultEmbeddingModel && defaultEmbeddingModel.base_url && defaultEmbeddingModel.api_key && defaultEmbeddingModel.model) {
+        if (defaultEmbeddingModel && defaultEmbeddingModel.base_url && defaultEmbeddingModel.model &&
+            (defaultEmbeddingModel.api_key || defaultEmbeddingModel.provider === 'ollama')) {
           // 使用数据库中的 embedding 模型配置
           embeddingConfig = {
+            provider: defaultEmbeddingModel.provider || 'openai',
             baseUrl: defaultEmbeddingModel.base_url,
             apiKey: defaultEmbeddingModel.api_key,
             embeddingModel: defaultEmbeddingModel.model
@@ -101,6 +111,7 @@ class MemoryManager {
 
       this.character = new CharacterMemory(this.workspaceRoot);
       await this.character.initialize();
+      this.chapterFinalizer.setCharacterMemory(this.character);
 
       this.plot = new PlotMemory(this.workspaceRoot);
       await this.plot.initialize();
@@ -407,6 +418,7 @@ class MemoryManager {
    * @param {string} options.perspective - 视角类型: 'omniscient' | 'limited' | 'first_person'
    * @param {string} options.perspectiveCharacter - 视角角色（limited 时使用）
    * @param {number} options.chapter - 当前章节号
+   * @param {number} options.asOfChapter - 按第几章结束时的状态构建（重写旧章节时避免看到之后章节的信息）
    */
   async loadContext(request, options = {}) {
     this.checkInitialized();
@@ -417,12 +429,15 @@ class MemoryManager {
     const perspectiveCharacter = options.perspectiveCharacter || this.extractPerspectiveCharacter(requestStr);
     const chapter = options.chapter || this.getCurrentChapter();
 
+    const snapshot = options.asOfChapter !== undefined && options.asOfChapter !== null
+      ? this.getStateAsOf(options.asOfChapter)
+      : null;
+
     // 加载基础数据
     const worldRules = this.world.getRules();
     const plotState = this.plot.getCurrentState();
-    const allFacts = this.getAllFacts();
-    const allForeshadows = this.getAllForeshadows();
-    const characterStates = this.characterStateKnowledge.getAllCharactersSummary();
+    const allFacts = snapshot ? snapshot.facts : this.getAllFacts();
+    const allForeshadows = snapshot ? snapshot.foreshadows : this.getAllForeshadows();
 
     // 构建 Narrative Context
     const context = {
@@ -456,6 +471,16 @@ class MemoryManager {
     } else {
       context.visible_characters = this.character.getMainCharacters();
     }
+    if (snapshot) {
+      const factIds = new Set(snapshot.facts.map(fact => fact.id));
+      context.visible_characters = context.visible_characters.map(char => {
+        const asOf = snapshot.characters.find(c => c.name === char.name);
+        const limited = char.known_facts ? { known_facts: char.known_facts.filter(fact => factIds.has(fact.id)) } : {};
+        return asOf ? { ...char, ...limited, current_state: asOf.current_state, relationships: asOf.relationships } : char;
+      });
+      context.story_state = snapshot.story_state;
+      context.as_of_chapter = snapshot.chapter;
+    }
 
     // 3. 过滤伏笔（按状态和视角）
     context.available_foreshadows = this.filterForeshadowsByNarrative(
@@ -730,6 +755,49 @@ class MemoryManager {
     return characters;
   }
 
+  /**
+   * 收集专有名词：人名、地名、势力、境界、功法、物品以及概念别名
+   * 用于关键词检索，保证原文中出现的名称能被精确命中
+   * @returns {string[]} 去重后的词条（至少 2 个字符）
+   */
+  getEntityTerms() {
+    if (!this.initialized) {
+      return [];
+    }
+
+    const terms = new Set();
+    const add = (item) => {
+      const term = typeof item === 'string' ? item : item?.name;
+      if (term && typeof term === 'string' && term.trim().length >= 2 && term !== 'unknown') {
+        terms.add(term.trim());
+      }
+    };
+
+    for (const char of this.character.getAllCharacters()) {
+      add(char.name);
+      add(char.current_state?.location);
+      (char.current_state?.skills || []).forEach(add);
+      (char.current_state?.possessions || []).forEach(add);
+    }
+
+    const rules = this.world.getRules();
+    (rules.cultivation_system?.levels || []).forEach(add);
+    (rules.magic_system?.elements || []).forEach(add);
+    (rules.geography?.continents || []).forEach(add);
+    (rules.geography?.major_locations || []).forEach(add);
+    (rules.social_structure?.factions || []).forEach(add);
+
+    try {
+      for (const concept of Object.values(this.getAllConcepts() || {})) {
+        (concept.aliases || []).forEach(add);
+      }
+    } catch (error) {
+      console.warn('读取概念别名失败:', error.message);
+    }
+
+    return [...terms];
+  }
+
   /**
    * 更新记忆（基于文本内容）
    * @param {Object} updates - 更新内容
@@ -776,6 +844,7 @@ class MemoryManager {
                 history: true 
               });
             }
+            await this.character.removeRelationshipsByChapter(chapterNum);
             console.log(`     ✅ 已清理第${chapterNum}章的所有角色状态历史`);
             results.character = true;
           }
@@ -832,6 +901,27 @@ class MemoryManager {
         }
       }
 
+      // 记录关系变化（每条变化追加一条带章节号的关系边）
+      if (Array.isArray(updates.relationship_updates)) {
+        console.log(`   🔗 记录关系变化 (${updates.relationship_updates.length} 条)...`);
+        for (const rel of updates.relationship_updates) {
+          try {
+            if (!this.character.getCharacter(rel.source)) {
+              await this.character.addCharacter({ name: rel.source, role: 'supporting' });
+            }
+            await this.character.updateRelationship(rel.source, rel.target, {
+              ...rel,
+              chapter: rel.chapter || updates.chapter || null,
+              origin: 'memory_updater'
+            });
+            console.log(`     ✅ ${rel.source} ↔ ${rel.target}: ${rel.type}`);
+            results.character = true;
+          } catch (e) {
+            console.warn(`     ❌ 关系记录失败: ${rel.source} ↔ ${rel.target}`, e.message);
+          }
+        }
+      }
+
       // 更新剧情（支持删除、更新、新增）
       if (updates.plot_updates) {
         console.log(`   📖 更新剧情信息...`);
@@ -949,6 +1039,10 @@ class MemoryManager {
       if (exportedData.memories[key]) {
         try {
           module.data = exportedData.memories[key];
+          // 旧版导出的人物记忆没有关系边
+          if (key === 'character' && !Array.isArray(module.data.relationship_edges)) {
+            module.migrateRelationships();
+          }
           await module.save();
         } catch (error) {
           results.errors.push({ module: key, error: error.message });
@@ -975,6 +1069,7 @@ class MemoryManager {
     this.checkInitialized();
     try {
       await this.chapterFinalizer.finalizeChapter(chapterNumber, replaceChapter);
+      await this.recordChapterHash(chapterNumber);
       return { success: true };
     } catch (error) {
       console.error(`❌ 结算第 ${chapterNumber} 章失败:`, error);
@@ -999,6 +1094,9 @@ class MemoryManager {
       }
 
       const results = await this.chapterFinalizer.finalizeChapters(validChapterNumbers);
+      for (const result of results.filter(r => r.success)) {
+        await this.recordChapterHash(result.chapter);
+      }
       
       // 确保返回的数据是可序列化的
       const serializableResults = results.map(r => ({
@@ -1080,6 +1178,52 @@ class MemoryManager {
     });
   }
 
+  /**
+   * 重建第 N 章结束时的故事状态（事实、伏笔、人物状态、关系、故事状态）
+   * 知识核心通过逆序撤销之后各章的 Effects 得到，旧版记忆按记录的章节号截取
+   * @param {number} chapterNumber - 章节号
+   */
+  getStateAsOf(chapterNumber) {
+    this.checkInitialized();
+    const core = this.stateReconstructor.getStateAsOf(chapterNumber);
+
+    // 结算得到的人物状态覆盖旧版记忆中的同名字段
+    const characters = this.character.getCharactersAsOf(chapterNumber).map(char => ({
+      ...char,
+      current_state: { ...(char.current_state || {}), ...(core.character_states[char.name]?.current || {}) }
+    }));
+
+    return {
+      ...core,
+      characters,
+      relationships: this.character.getRelationshipGraph({ asOfChapter: chapterNumber }).edges,
+      story_foreshadows: this.foreshadow.getForeshadowsAsOf(chapterNumber)
+    };
+  }
+
+  /**
+   * 检查触发条件已满足的待揭示伏笔
+   * @param {Object} options
+   * @param {number} options.chapter - 当前章节，默认为故事状态中的章节
+   * @param {string} options.location - 当前地点，默认为故事状态中的地点
+   * @param {string} options.text - 本章正文（可选）
+   * @param {Function} options.llmCaller - 判断自然语言条件（可选）
+   * @returns {Promise<Array<{foreshadow, reason, method}>>}
+   */
+  async checkTriggeredForeshadows(options = {}) {
+    this.checkInitialized();
+    const storyState = this.getStoryState();
+    const context = {
+      chapter: options.chapter ?? storyState.chapter ?? 0,
+      location: options.location ?? storyState.current_location ?? '',
+      characters: this.character.getAllCharacters(),
+      facts: this.getAllFacts(),
+      levels: this.world.getCultivationSystem().levels || [],
+      text: options.text || ''
+    };
+    return this.foreshadow.checkTriggeredForeshadows(context, { llmCaller: options.llmCaller });
+  }
+
   /**
    * 获取所有伏笔（新架构）
    */
@@ -1119,6 +1263,76 @@ class MemoryManager {
     }
   }
 
+  /**
+   * 记录结算时章节文件的哈希，作为修改检测的基准（失败不影响结算结果）
+   */
+  async recordChapterHash(chapterNumber) {
+    try {
+      await this.cascadeRefinalizer.recordChapterHash(chapterNumber);
+    } catch (error) {
+      console.warn(`⚠️ 记录第 ${chapterNumber} 章哈希失败:`, error.message);
+    }
+  }
+
+  /**
+   * 检测结算后被修改的章节（比较章节文件哈希）
+   */
+  async detectEditedChapters() {
+    this.checkInitialized();
+    return this.cascadeRefinalizer.detectEditedChapters();
+  }
+
+  /**
+   * 修改已结算章节后级联重新结算：回滚并重新提取、结算该章，再按顺序重新结算下游章节
+   * @param {number} chapterNumber - 被修改的章节
+   * @param {Object} options - { reextract: 是否重新提取（默认 true，需要 LLM 配置） }
+   * @returns {Promise<Object>} 级联报告（各章结果和含义变化的事实）
+   */
+  async cascadeRefinalize(chapterNumber, options = {}) {
+    this.checkInitialized();
+    const extractor = options.reextract !== false && this.llmConfig ? this.createChapterExtractor() : null;
+    return this.cascadeRefinalizer.cascade(chapterNumber, { extractor });
+  }
+
+  /**
+   * 单章提取函数（写入该章的 ChapterExtract）
+   */
+  createChapterExtractor() {
+    return (content, chapter, filename) => new IntelligentExtractor(this.workspaceRoot, this, this.llmConfig, this.vectorIndex)
+      .extractFromChapter(content, chapter, filename);
+  }
+
+  /**
+   * 提取单章（只生成 ChapterExtract，不结算）
+   * @param {number} chapterNumber - 章节号
+   */
+  async extractChapter(chapterNumber) {
+    this.checkInitialized();
+    if (!this.llmConfig) {
+      return { success: false, error: 'LLM 未配置' };
+    }
+    try {
+      await this.cascadeRefinalizer.reextract(chapterNumber, this.createChapterExtractor());
+      return { success: true, extract: this.readExtract(chapterNumber) };
+    } catch (error) {
+      console.error(`❌ 提取第 ${chapterNumber} 章失败:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 检测被修改的章节并逐章级联重新结算
+   * @returns {Promise<{edited: Array, reports: Array}>}
+   */
+  async cascadeEditedChapters(options = {}) {
+    const edited = await this.detectEditedChapters();
+    const reports = [];
+    for (const { chapter } of edited) {
+      reports.push(await this.cascadeRefinalize(chapter, options));
+    }
+    return { edited, reports };
+  }
+
   /**
    * 获取推断列表
    */
@@ -1171,6 +1385,41 @@ class MemoryManager {
     return tracker.getChapterDependencies(chapterNumber);
   }
 
+  /**
+   * 获取低置信度断言的审核队列（待处理的推断和临界置信度的断言）
+   * @param {Object} options - { chapter }
+   */
+  getReviewQueue(options = {}) {
+    this.checkInitialized();
+    return this.reviewQueue.getQueue(options);
+  }
+
+  /**
+   * 确认审核项（通过 ChapterFinalizer 生成 Effect，可随该章回滚）
+   * @param {string} itemId - 审核项 ID
+   * @param {Object} edits - 确认前修改的字段
+   */
+  async confirmReviewItem(itemId, edits = {}) {
+    this.checkInitialized();
+    return this.reviewQueue.confirm(itemId, edits);
+  }
+
+  /**
+   * 拒绝审核项
+   */
+  async rejectReviewItem(itemId) {
+    this.checkInitialized();
+    return this.reviewQueue.reject(itemId);
+  }
+
+  /**
+   * 修改审核项
+   */
+  async editReviewItem(itemId, changes = {}) {
+    this.checkInitialized();
+    return this.reviewQueue.edit(itemId, changes);
+  }
+
   /**
    * 获取伏笔回收面板数据
    * @param {number} currentChapter - 当前章节（可选）
@@ -1193,6 +1442,34 @@ class MemoryManager {
     return data;
   }
 
+  /**
+   * 生成伏笔回收排期
+   * @param {Object} options
+   * @param {number} options.currentChapter - 已完成的最后一章，默认为故事状态中的章节
+   * @param {number} options.targetLength - 全书目标章节数（可选，默认按剧情阶段）
+   * @param {number} options.maxPerChapter - 每章最多回收的伏笔数
+   */
+  planForeshadowPayoffs(options = {}) {
+    this.checkInitialized();
+    const planner = new ForeshadowPayoffPlanner({ maxPerChapter: options.maxPerChapter, horizon: options.horizon });
+    const byState = this.foreshadowPanel.getForeshadowsByState();
+    return planner.plan({
+      currentChapter: options.currentChapter ?? this.getStoryState().chapter ?? 0,
+      coreForeshadows: [...byState.pending, ...byState.confirmed],
+      memoryForeshadows: this.foreshadow.getData().foreshadows || [],
+      stages: this.plot.getData().main_plotline?.stages || [],
+      targetLength: options.targetLength
+    });
+  }
+
+  /**
+   * 第 N 章应回收的伏笔（以第 N-1 章为当前章节排期）
+   */
+  getForeshadowsDue(chapterNumber, options = {}) {
+    const plan = this.planForeshadowPayoffs({ ...options, currentChapter: chapterNumber - 1 });
+    return plan.items.filter(item => item.chapter === chapterNumber);
+  }
+
   /**
    * 搜索伏笔
    * @param {string} query - 搜索关键词
@@ -1228,6 +1505,35 @@ class MemoryManager {
     return this.characterStateKnowledge.getCharacterCurrentState(characterName);
   }
 
+  /**
+   * 获取两个角色在某一章时的关系
+   * @param {string} characterA - 角色名称
+   * @param {string} characterB - 角色名称
+   * @param {number|null} chapter - 章节号（为空时返回最新关系）
+   */
+  getRelationshipAsOf(characterA, characterB, chapter = null) {
+    this.checkInitialized();
+    return this.character.getRelationshipAsOf(characterA, characterB, chapter);
+  }
+
+  /**
+   * 获取章节区间内的关系变化
+   * @param {Object} options - { fromChapter, toChapter, character }
+   */
+  getRelationshipChanges(options = {}) {
+    this.checkInitialized();
+    return this.character.getRelationshipChanges(options);
+  }
+
+  /**
+   * 获取人物关系图谱（节点 + 每对角色截至某章的关系）
+   * @param {Object} options - { asOfChapter }
+   */
+  getRelationshipGraph(options = {}) {
+    this.checkInitialized();
+    return this.character.getRelationshipGraph(options);
+  }
+
   /**
    * 获取人物状态统计
    */
@@ -78,7 +78,7 @@ const ForeshadowMemorySchema = {
     //   content: string,
     //   hints: [],
     //   status: 'pending' | 'revealed' | 'resolved',
-    //   trigger_condition: string,
+    //   trigger_condition: string | Object,  // 结构化条件见 core/triggerCondition.js
     //   expected_reveal: string,
     //   importance: 'minor' | 'major' | 'critical'
     // }
@@ -61,7 +61,23 @@ contextBridge.exposeInMainWorld('api', {
     update: async (id, modelData) => await ipcRenderer.invoke('llm:update', { id, ...modelData }),
     delete: async (id) => await ipcRenderer.invoke('llm:delete', id),
     setDefault: async (id) => await ipcRenderer.invoke('llm:setDefault', id),
-    chat: async (modelId, messages, options) => await ipcRenderer.invoke('llm:chat', { modelId, messages, options })
+    chat: async (modelId, messages, options) => await ipcRenderer.invoke('llm:chat', { modelId, messages, options }),
+    chatStream: async (requestId, modelId, messages, options) =>
+      await ipcRenderer.invoke('llm:chatStream', { requestId, modelId, messages, options }),
+    cancelStream: async (requestId) => await ipcRenderer.invoke('llm:cancelStream', requestId),
+    onChunk: (callback) => {
+      const listener = (event, data) => callback(data);
+      ipcRenderer.on('llm:chunk', listener);
+      return () => ipcRenderer.removeListener('llm:chunk', listener);
+    }
+  },
+  
+  // LLM 用量统计
+  usage: {
+    getByDay: async (workspacePath, days) => await ipcRenderer.invoke('usage:getByDay', { workspacePath, days }),
+    getByChapter: async (workspacePath, days) => await ipcRenderer.invoke('usage:getByChapter', { workspacePath, days }),
+    getBySkill: async (workspacePath, days) => await ipcRenderer.invoke('usage:getBySkill', { workspacePath, days }),
+    getSummary: async (workspacePath, days) => await ipcRenderer.invoke('usage:getSummary', { workspacePath, days })
   },
   // ========== Embedding 模型管理 ==========
   embedding: {
@@ -80,8 +96,9 @@ contextBridge.exposeInMainWorld('api', {
   },
   // ========== 向量索引管理 ==========
   vector: {
-    addOrUpdate: async (filePath, chunkIndex, chunkText, embedding) => 
-      await ipcRenderer.invoke('vector:addOrUpdate', { filePath, chunkIndex, chunkText, embedding }),
+    addOrUpdate: async (filePath, chunkIndex, chunkText, embedding, workspacePath) => 
+      await ipcRenderer.invoke('vector:addOrUpdate', { filePath, chunkIndex, chunkText, embedding, workspacePath }),
+    getStatus: async (workspacePath) => await ipcRenderer.invoke('vector:getStatus', workspacePath),
     getByFile: async (filePath) => await ipcRenderer.invoke('vector:getByFile', filePath),
     deleteByFile: async (filePath) => await ipcRenderer.invoke('vector:deleteByFile', filePath),
     deleteByWorkspace: async (workspacePath) => await ipcRenderer.invoke('vector:deleteByWorkspace', workspacePath),
@@ -102,12 +119,29 @@ contextBridge.exposeInMainWorld('api', {
   },
   // ========== 一致性校验 ==========
   consistency: {
-    check: async (text, workspaceRoot, filePath) => 
-      await ipcRenderer.invoke('consistency:check', { text, workspaceRoot, filePath }),
+    check: async (text, workspaceRoot, filePath, baseOffset = 0) => 
+      await ipcRenderer.invoke('consistency:check', { text, workspaceRoot, filePath, baseOffset }),
     getAll: async () => await ipcRenderer.invoke('consistency:getAll'),
     getByWorkspace: async (workspacePath) => await ipcRenderer.invoke('consistency:getByWorkspace', workspacePath),
     delete: async (id) => await ipcRenderer.invoke('consistency:delete', id),
-    clear: async () => await ipcRenderer.invoke('consistency:clear')
+    clear: async () => await ipcRenderer.invoke('consistency:clear'),
+    getIssues: async (filePath, status) => await ipcRenderer.invoke('consistency:getIssues', { filePath, status }),
+    setIssueStatus: async (id, status) => await ipcRenderer.invoke('consistency:setIssueStatus', { id, status })
+  },
+  // ========== 全书校验任务 ==========
+  audit: {
+    start: async (workspaceRoot, files, concurrency) => await ipcRenderer.invoke('audit:start', { workspaceRoot, files, concurrency }),
+    pause: async (jobId) => await ipcRenderer.invoke('audit:pause', jobId),
+    resume: async (jobId) => await ipcRenderer.invoke('audit:resume', jobId),
+    cancel: async (jobId) => await ipcRenderer.invoke('audit:cancel', jobId),
+    list: async (workspaceRoot) => await ipcRenderer.invoke('audit:list', workspaceRoot),
+    get: async (jobId) => await ipcRenderer.invoke('audit:get', jobId),
+    delete: async (jobId) => await ipcRenderer.invoke('audit:delete', jobId),
+    onProgress: (callback) => {
+      const listener = (event, data) => callback(data);
+      ipcRenderer.on('audit:progress', listener);
+      return () => ipcRenderer.removeListener('audit:progress', listener);
+    }
   },
   // ========== Novel Agent 记忆系统 ==========
   memory: {
@@ -129,6 +163,8 @@ contextBridge.exposeInMainWorld('api', {
     analyzeChapter: async (filePath, chapterNumber) => await ipcRenderer.invoke('memory:analyzeChapter', { filePath, chapterNumber }),
     finalizeChapter: async (chapterNumber) => await ipcRenderer.invoke('memory:finalizeChapter', chapterNumber),
     finalizeChapters: async (chapterNumbers) => await ipcRenderer.invoke('memory:finalizeChapters', chapterNumbers),
+    detectEditedChapters: async () => await ipcRenderer.invoke('memory:detectEditedChapters'),
+    cascadeRefinalize: async (chapterNumber, reextract) => await ipcRenderer.invoke('memory:cascadeRefinalize', { chapterNumber, reextract }),
     readExtract: async (chapterNumber) => await ipcRenderer.invoke('memory:readExtract', chapterNumber),
     listExtracts: async () => await ipcRenderer.invoke('memory:listExtracts'),
     getAllConcepts: async () => await ipcRenderer.invoke('memory:getAllConcepts'),
@@ -136,10 +172,19 @@ contextBridge.exposeInMainWorld('api', {
     getStoryState: async () => await ipcRenderer.invoke('memory:getStoryState'),
     getAllForeshadows: async () => await ipcRenderer.invoke('memory:getAllForeshadows'),
     getForeshadowPanelData: async (currentChapter) => await ipcRenderer.invoke('memory:getForeshadowPanelData', currentChapter),
+    planForeshadowPayoffs: async (options) => await ipcRenderer.invoke('memory:planForeshadowPayoffs', options),
     searchForeshadows: async (query) => await ipcRenderer.invoke('memory:searchForeshadows', query),
     getAllCharacterStates: async () => await ipcRenderer.invoke('memory:getAllCharacterStates'),
     getCharacterStates: async (characterName) => await ipcRenderer.invoke('memory:getCharacterStates', characterName),
     getCharacterStateStatistics: async () => await ipcRenderer.invoke('memory:getCharacterStateStatistics'),
+    getStateAsOf: async (chapterNumber) => await ipcRenderer.invoke('memory:getStateAsOf', chapterNumber),
+    getRelationshipGraph: async (asOfChapter) => await ipcRenderer.invoke('memory:getRelationshipGraph', asOfChapter),
+    getRelationshipAsOf: async (characterA, characterB, chapter) => await ipcRenderer.invoke('memory:getRelationshipAsOf', { characterA, characterB, chapter }),
+    getRelationshipChanges: async (options) => await ipcRenderer.invoke('memory:getRelationshipChanges', options),
+    getReviewQueue: async (options) => await ipcRenderer.invoke('memory:getReviewQueue', options),
+    confirmReviewItem: async (itemId, edits) => await ipcRenderer.invoke('memory:confirmReviewItem', { itemId, edits }),
+    rejectReviewItem: async (itemId) => await ipcRenderer.invoke('memory:rejectReviewItem', itemId),
+    editReviewItem: async (itemId, changes) => await ipcRenderer.invoke('memory:editReviewItem', { itemId, changes }),
     cleanFinalizedExtracts: async (finalizedChapters, dryRun) => await ipcRenderer.invoke('memory:cleanFinalizedExtracts', { finalizedChapters, dryRun }),
     cleanOldExtracts: async (maxAgeDays, dryRun) => await ipcRenderer.invoke('memory:cleanOldExtracts', { maxAgeDays, dryRun }),
     getExtractCleanupStats: async () => await ipcRenderer.invoke('memory:getExtractCleanupStats'),
@@ -153,21 +198,39 @@ contextBridge.exposeInMainWorld('api', {
   // ========== Novel Agent 执行 ==========
   novelAgent: {
     init: async (workspaceRoot) => await ipcRenderer.invoke('novelAgent:init', workspaceRoot),
+    setSkillPluginsTrusted: async (workspaceRoot, trusted) => await ipcRenderer.invoke('novelAgent:setSkillPluginsTrusted', workspaceRoot, trusted),
     execute: async (request) => await ipcRenderer.invoke('novelAgent:execute', request),
     getState: async () => await ipcRenderer.invoke('novelAgent:getState'),
     getLog: async (count) => await ipcRenderer.invoke('novelAgent:getLog', count),
     cancel: async () => await ipcRenderer.invoke('novelAgent:cancel'),
     getCurrentTask: async () => await ipcRenderer.invoke('novelAgent:getCurrentTask'),
     continueExecution: async (options) => await ipcRenderer.invoke('novelAgent:continueExecution', options),
+    listRuns: async () => await ipcRenderer.invoke('novelAgent:listRuns'),
+    resumeRun: async (taskId, options) => await ipcRenderer.invoke('novelAgent:resumeRun', { taskId, options }),
     applyChangesAndUpdateMemory: async (options) => await ipcRenderer.invoke('novelAgent:applyChangesAndUpdateMemory', options)
   },
   // ========== 规则管理 ==========
   // 注意：旧的规则引擎接口已删除，现在只使用 DSL 规则引擎
-  // DSL 规则引擎通过 Agent 内部使用，不提供独立的 IPC 接口
   rules: {
-    getAll: async () => ({ success: false, error: '旧的规则引擎已删除，请使用 DSL 规则引擎' }),
-    reload: async () => ({ success: false, error: '旧的规则引擎已删除，请使用 DSL 规则引擎' }),
-    getStats: async () => ({ success: false, error: '旧的规则引擎已删除，请使用 DSL 规则引擎' })
+    getRuleSets: async (workspaceRoot) => await ipcRenderer.invoke('rules:getRuleSets', workspaceRoot),
+    validate: async (workspaceRoot, ruleSet) => await ipcRenderer.invoke('rules:validate', { workspaceRoot, ruleSet }),
+    saveRuleSet: async (workspaceRoot, ruleSet) => await ipcRenderer.invoke('rules:saveRuleSet', { workspaceRoot, ruleSet }),
+    dryRun: async (workspaceRoot, options) => await ipcRenderer.invoke('rules:dryRun', { workspaceRoot, ...options }),
+    getExpectations: async (workspaceRoot) => await ipcRenderer.invoke('rules:getExpectations', workspaceRoot),
+    saveExpectation: async (workspaceRoot, expectation) => await ipcRenderer.invoke('rules:saveExpectation', { workspaceRoot, expectation }),
+    deleteExpectation: async (workspaceRoot, id) => await ipcRenderer.invoke('rules:deleteExpectation', { workspaceRoot, id }),
+    runGoldenTests: async (workspaceRoot, options = {}) => await ipcRenderer.invoke('rules:runGoldenTests', { workspaceRoot, ...options }),
+    setPackEnabled: async (workspaceRoot, packId, enabled) => await ipcRenderer.invoke('rules:setPackEnabled', { workspaceRoot, packId, enabled }),
+    setPackSeverity: async (workspaceRoot, packId, ruleId, level) => await ipcRenderer.invoke('rules:setPackSeverity', { workspaceRoot, packId, ruleId, level }),
+    reorderPacks: async (workspaceRoot, packIds) => await ipcRenderer.invoke('rules:reorderPacks', { workspaceRoot, packIds }),
+    importPack: async (workspaceRoot) => await ipcRenderer.invoke('rules:importPack', workspaceRoot),
+    exportPack: async (workspaceRoot, packId) => await ipcRenderer.invoke('rules:exportPack', { workspaceRoot, packId }),
+    removePack: async (workspaceRoot, packId) => await ipcRenderer.invoke('rules:removePack', { workspaceRoot, packId }),
+    onGoldenResults: (callback) => {
+      const listener = (event, data) => callback(data);
+      ipcRenderer.on('rules:goldenResults', listener);
+      return () => ipcRenderer.removeListener('rules:goldenResults', listener);
+    }
   },
   // ========== 使用说明 ==========
   guide: {
@@ -0,0 +1,284 @@
+/**
+ * Condition Rule Evaluator - 条件规则的本地判定（不调用 LLM）
+ *
+ * 判定 rules/default-rules.json、rules/consistency-rules.json 中 condition 字段描述的规则。
+ * 只处理能确定判定的条件类型，其余条件（性格、时间线、前后矛盾等）交给 LLM：
+ * - text_contains: 文本包含任一关键词
+ * - character_level_below: 关键词所在段落提到的角色，境界低于指定等级
+ *   （境界按 worldMemory.getCultivationSystem().levels 的顺序比较，角色境界来自 characterMemory；
+ *   无法确定境界时不判定为违规）
+ * - detect_pov_switch: 同一段落的叙述（不含对话）中，第一人称"我"与以主角名字开头的第三人称句子混用
+ *   （没有主角设定时无法判断，不判定）
+ *
+ * 同一条规则的多个条件同时满足才算违规；包含不支持的条件的规则整条跳过。
+ * 违规附带在待检查文本中的精确偏移量 { start, end }。
+ */
+
+const fs = require('fs').promises;
+
+const SUPPORTED_CONDITIONS = ['text_contains', 'character_level_below', 'detect_pov_switch'];
+
+// 对话引号（引号内的内容不算叙述）
+const DIALOGUE_PATTERN = /“[^”]*”|「[^」]*」|『[^』]*』|"[^"]*"/g;
+// 句子（以句末标点或换行结束）
+const SENTENCE_PATTERN = /[^。！？!?…\n]+[。！？!?…]*/g;
+
+class ConditionRuleEvaluator {
+  /**
+   * @param {Object} memoryManager - 记忆管理器（提供 character / world）
+   */
+  constructor(memoryManager = null) {
+    this.memoryManager = memoryManager;
+    this.rules = [];
+  }
+
+  /**
+   * 加载规则文件，后加载的文件中同 ID 的规则覆盖先加载的
+   * @param {string[]} rulePaths - 规则文件路径（不存在的文件忽略）
+   */
+  async loadRules(rulePaths) {
+    const byId = new Map();
+    for (const rulePath of rulePaths) {
+      try {
+        const content = await fs.readFile(rulePath, 'utf-8');
+        for (const rule of JSON.parse(content).rules || []) {
+          if (rule && rule.id) {
+            byId.set(rule.id, rule);
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️ 加载条件规则失败: ${rulePath}`, error.message);
+        }
+      }
+    }
+
+    this.rules = [...byId.values()];
+    const evaluable = this.rules.filter(rule => this.isEvaluable(rule)).length;
+    console.log(`✅ 已加载 ${this.rules.length} 条条件规则（其中 ${evaluable} 条可本地判定）`);
+    return { success: true, count: this.rules.length, evaluable };
+  }
+
+  /**
+   * 规则是否可以本地判定（已启用，且只包含支持的条件）
+   */
+  isEvaluable(rule) {
+    if (!rule || rule.enabled === false || !rule.condition) return false;
+    const keys = Object.keys(rule.condition);
+    return keys.length > 0 && keys.every(key => SUPPORTED_CONDITIONS.includes(key));
+  }
+
+  /**
+   * 判定所有可本地判定的规则
+   * @param {string} text - 待检查文本
+   * @returns {Array} 违规列表（ConsistencyChecker 的错误格式，附带 offset）
+   */
+  evaluate(text) {
+    if (!text) return [];
+
+    const paragraphs = this.splitParagraphs(text);
+    const violations = [];
+
+    for (const rule of this.rules) {
+      if (!this.isEvaluable(rule)) continue;
+      try {
+        for (const span of this.evaluateRule(rule, text, paragraphs)) {
+          const paragraphIndex = paragraphs.findIndex(p => span.start >= p.start && span.start < p.end);
+          violations.push({
+            type: rule.type || 'logic',
+            severity: rule.severity || 'medium',
+            location: paragraphIndex >= 0 ? `第${paragraphIndex + 1}段` : '文本中',
+            message: span.detail ? `${rule.error_message || rule.name}（${span.detail}）` : (rule.error_message || rule.name),
+            suggestion: rule.suggestion || '请检查并修正',
+            context: text.slice(span.start, span.end),
+            offset: { start: span.start, end: span.end },
+            rule_id: rule.id,
+            source: 'condition_rule'
+          });
+        }
+      } catch (error) {
+        console.warn(`⚠️ 条件规则 ${rule.id} 判定失败:`, error.message);
+      }
+    }
+
+    return violations.sort((a, b) => a.offset.start - b.offset.start);
+  }
+
+  /**
+   * 判定单条规则，返回违规位置
+   * @returns {Array<{start, end, detail?}>}
+   */
+  evaluateRule(rule, text, paragraphs) {
+    const condition = rule.condition;
+    let spans = null;
+
+    if (condition.text_contains) {
+      const keywords = [].concat(condition.text_contains).filter(Boolean);
+      spans = this.findKeywords(text, keywords);
+    }
+
+    if (condition.character_level_below) {
+      spans = this.filterByCharacterLevel(spans, condition.character_level_below, text, paragraphs);
+    }
+
+    if (condition.detect_pov_switch) {
+      const switches = this.detectPovSwitches(text, paragraphs);
+      // 与其他条件组合时，要求落在同一段落
+      spans = spans === null
+        ? switches
+        : spans.filter(span => switches.some(s => this.sameParagraph(paragraphs, s.start, span.start)));
+    }
+
+    return spans || [];
+  }
+
+  /**
+   * 按段落切分（空行或换行分段），记录每段在原文中的位置
+   */
+  splitParagraphs(text) {
+    const paragraphs = [];
+    const pattern = /[^\n]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].trim()) {
+        paragraphs.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+      }
+    }
+    return paragraphs;
+  }
+
+  sameParagraph(paragraphs, a, b) {
+    return paragraphs.some(p => a >= p.start && a < p.end && b >= p.start && b < p.end);
+  }
+
+  /**
+   * 查找关键词出现的位置（同一位置只记较长的关键词）
+   */
+  findKeywords(text, keywords) {
+    const sorted = [...new Set(keywords)].sort((a, b) => b.length - a.length);
+    const covered = new Uint8Array(text.length);
+    const spans = [];
+
+    for (const keyword of sorted) {
+      let from = 0;
+      while (true) {
+        const at = text.indexOf(keyword, from);
+        if (at === -1) break;
+        if (!covered[at]) {
+          spans.push({ start: at, end: at + keyword.length });
+          covered.fill(1, at, at + keyword.length);
+        }
+        from = at + keyword.length;
+      }
+    }
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 境界在修炼体系中的序号（匹配最长的境界名，"筑基中期" -> "筑基期"）
+   * @returns {number} 找不到时为 -1
+   */
+  resolveLevelIndex(level, levels) {
+    if (!level || level === 'unknown') return -1;
+    let best = -1;
+    let bestLength = 0;
+    levels.forEach((name, index) => {
+      // 境界名常带"期"、"境"等后缀，去掉后再比较
+      const core = String(name).replace(/[期境阶层级]$/, '');
+      if (!core) return;
+      if ((level.includes(core) || core.includes(level)) && core.length > bestLength) {
+        best = index;
+        bestLength = core.length;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * 境界低于 threshold 的角色
+   */
+  getCharactersBelowLevel(threshold) {
+    const levels = this.memoryManager?.world?.getCultivationSystem()?.levels || [];
+    const thresholdIndex = this.resolveLevelIndex(threshold, levels);
+    if (thresholdIndex === -1) return [];
+
+    const characters = this.memoryManager?.character?.getAllCharacters() || [];
+    return characters
+      .map(char => ({ char, index: this.resolveLevelIndex(char.current_state?.level, levels) }))
+      .filter(({ index }) => index !== -1 && index < thresholdIndex)
+      .map(({ char }) => ({ name: char.name, level: char.current_state.level }));
+  }
+
+  /**
+   * 只保留所在段落提到了低境界角色的位置；没有其他条件时，返回这些角色被提到的位置
+   */
+  filterByCharacterLevel(spans, threshold, text, paragraphs) {
+    const characters = this.getCharactersBelowLevel(threshold).filter(c => c.name);
+    if (characters.length === 0) return [];
+
+    if (spans === null) {
+      return characters.flatMap(c =>
+        this.findKeywords(text, [c.name]).map(span => ({ ...span, detail: `${c.name}：${c.level}` }))
+      );
+    }
+
+    const result = [];
+    for (const span of spans) {
+      const paragraph = paragraphs.find(p => span.start >= p.start && span.start < p.end);
+      if (!paragraph) continue;
+      const mentioned = characters.filter(c => paragraph.text.includes(c.name));
+      if (mentioned.length > 0) {
+        result.push({ ...span, detail: mentioned.map(c => `${c.name}：${c.level}`).join('，') });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 检测段落内的人称切换：叙述中既有第一人称，又有以主角名字开头的句子
+   * 返回与段落中第一个叙述句人称不同的那一句的位置
+   */
+  detectPovSwitches(text, paragraphs) {
+    const characters = this.memoryManager?.character?.getAllCharacters() || [];
+    const protagonists = characters.filter(c => c.role === 'protagonist' && c.name).map(c => c.name);
+    if (protagonists.length === 0) return [];
+
+    const spans = [];
+    for (const paragraph of paragraphs) {
+      // 把对话替换为等长空白，保持偏移量不变
+      const narration = paragraph.text.replace(DIALOGUE_PATTERN, match => ' '.repeat(match.length));
+
+      let firstPerson = null;
+      let switched = null;
+      let sentence;
+      SENTENCE_PATTERN.lastIndex = 0;
+      while ((sentence = SENTENCE_PATTERN.exec(narration)) !== null) {
+        const body = sentence[0].trim();
+        if (!body) continue;
+
+        let person = null;
+        if (protagonists.some(name => body.startsWith(name))) {
+          person = 'third';
+        } else if (/我/.test(body)) {
+          person = 'first';
+        }
+        if (!person) continue;
+
+        if (firstPerson === null) {
+          firstPerson = person;
+        } else if (person !== firstPerson) {
+          const offset = sentence.index + sentence[0].indexOf(body);
+          switched = { start: paragraph.start + offset, end: paragraph.start + offset + body.length };
+          break;
+        }
+      }
+
+      if (switched) {
+        spans.push(switched);
+      }
+    }
+    return spans;
+  }
+}
+
+module.exports = ConditionRuleEvaluator;
@@ -0,0 +1,526 @@
+/**
+ * DSL Expression - 规则断言（assert）的解析与求值
+ *
+ * 字符串断言的语法：
+ *   expr       := 'if' expr 'then' expr ('else' expr)? | or
+ *   or         := and (('||' | 'or') and)*
+ *   and        := not (('&&' | 'and') not)*
+ *   not        := ('!' | 'not') not | comparison
+ *   comparison := state '->' state                      状态迁移模式，如 Dead -> Alive
+ *               | operand (('==' | '!=' | '>' | '<' | '>=' | '<=' | 'in') operand)?
+ *   operand    := primary ('.' name ('(' args ')')? | '[' expr ']')*
+ *   primary    := 数字 | '字符串' | true | false | null | 变量 | 常量 | '(' expr ')' | '[' args ']'
+ *
+ * 变量：event / transition / character 表示"每一个"事件、状态迁移、角色，
+ * 断言对每一个都必须成立；events / transitions / characters 为完整列表；
+ * 另有 text（待检查文本）、intent（写作意图）、context（记忆上下文）。
+ * 大写字母或中文开头的未定义标识符视为常量（如 TIME_REVERSE），其他未定义标识符是错误。
+ *
+ * 对象断言：
+ *   { "if": 断言, "then": 断言, "else": 断言 }
+ *   { "forbid": 模式 }  { "require": 模式 }  { "all": [断言] }  { "any": [断言] }
+ *   { "state_transition": "Dead -> Alive" }
+ *   { "character": { "state_transition": "Dead -> Alive" } }  限定状态迁移的实体类型
+ *
+ * 字符串比较不区分大小写（事件类型、状态名由 LLM 抽取，大小写不稳定）；
+ * 状态名按 STATE_ALIASES 归一，"死亡 -> 复活" 与 "Dead -> Alive" 等价。
+ */
+
+const VARIABLES = ['event', 'transition', 'character', 'events', 'transitions', 'characters', 'text', 'intent', 'context'];
+
+// 逐个求值的变量 -> 对应的列表
+const ITERATION_VARIABLES = {
+  event: 'events',
+  transition: 'transitions',
+  character: 'characters'
+};
+
+const ENTITY_TYPES = ['character', 'plot', 'world'];
+
+const METHODS = {
+  contains: (target, value) => {
+    if (Array.isArray(target)) return target.some(item => equals(item, value));
+    if (typeof target === 'string') return target.toLowerCase().includes(String(value).toLowerCase());
+    return false;
+  },
+  startsWith: (target, value) => typeof target === 'string' && target.startsWith(String(value)),
+  endsWith: (target, value) => typeof target === 'string' && target.endsWith(String(value)),
+  matches: (target, pattern) => typeof target === 'string' && new RegExp(pattern).test(target),
+  size: target => (Array.isArray(target) || typeof target === 'string' ? target.length : 0)
+};
+
+const STATE_ALIASES = {
+  dead: ['dead', 'death', '死亡', '死', '已死', '身亡', '陨落', '殒命'],
+  alive: ['alive', 'living', '活着', '存活', '生还', '复活', '活']
+};
+
+const KEYWORDS = ['if', 'then', 'else', 'and', 'or', 'not', 'in', 'true', 'false', 'null'];
+const OPERATORS = ['->', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', '[', ']', ',', '.', '*'];
+
+// ==================== 词法分析 ====================
+
+function tokenizeExpression(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const ch = source[pos];
+
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"') {
+      let end = pos + 1;
+      let value = '';
+      while (end < source.length && source[end] !== ch) {
+        if (source[end] === '\\' && end + 1 < source.length) end++;
+        value += source[end];
+        end++;
+      }
+      if (end >= source.length) {
+        throw syntaxError('字符串缺少结束引号', pos);
+      }
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(pos));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), pos });
+      pos += number[0].length;
+      continue;
+    }
+
+    const name = /^[\p{L}_][\p{L}\p{N}_]*/u.exec(source.slice(pos));
+    if (name) {
+      const word = name[0];
+      tokens.push({ type: KEYWORDS.includes(word) ? 'keyword' : 'name', value: word, pos });
+      pos += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, pos));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, pos });
+      pos += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`无法识别的字符 "${ch}"`, pos);
+  }
+
+  tokens.push({ type: 'end', value: null, pos });
+  return tokens;
+}
+
+function syntaxError(message, pos) {
+  const error = new Error(`${message}（位置 ${pos}）`);
+  error.position = pos;
+  return error;
+}
+
+// ==================== 语法分析 ====================
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenizeExpression(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  check(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  accept(type, value) {
+    if (this.check(type, value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const actual = this.peek();
+      throw syntaxError(`期望 "${value || type}"，实际为 "${actual.value ?? '结尾'}"`, actual.pos);
+    }
+    return token;
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    if (!this.check('end')) {
+      const token = this.peek();
+      throw syntaxError(`多余的内容 "${token.value}"`, token.pos);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    if (this.accept('keyword', 'if')) {
+      const test = this.parseExpression();
+      this.expect('keyword', 'then');
+      const consequent = this.parseExpression();
+      const alternate = this.accept('keyword', 'else') ? this.parseExpression() : null;
+      return { type: 'conditional', test, consequent, alternate };
+    }
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('op', '||') || this.accept('keyword', 'or')) {
+      left = { type: 'logical', op: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('op', '&&') || this.accept('keyword', 'and')) {
+      left = { type: 'logical', op: '&&', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('op', '!') || this.accept('keyword', 'not')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const start = this.peek();
+    const left = this.parseOperand();
+
+    if (this.accept('op', '->')) {
+      const to = this.parseOperand();
+      return { type: 'transition', entity: null, from: this.toState(left, start), to: this.toState(to, start) };
+    }
+
+    for (const op of ['==', '!=', '>=', '<=', '>', '<']) {
+      if (this.accept('op', op)) {
+        return { type: 'compare', op, left, right: this.parseOperand() };
+      }
+    }
+    if (this.accept('keyword', 'in')) {
+      return { type: 'compare', op: 'in', left, right: this.parseOperand() };
+    }
+    return left;
+  }
+
+  /**
+   * 状态迁移模式两端只能是常量、字符串或通配符 *
+   */
+  toState(node, token) {
+    if (node.type === 'wildcard') return '*';
+    if (node.type === 'literal' && typeof node.value === 'string') return node.value;
+    throw syntaxError('状态迁移模式的两端必须是状态名', token.pos);
+  }
+
+  parseOperand() {
+    let node = this.parsePrimary();
+
+    while (true) {
+      if (this.accept('op', '.')) {
+        const name = this.expect('name');
+        if (this.accept('op', '(')) {
+          if (!METHODS[name.value]) {
+            throw syntaxError(`未知函数 "${name.value}"，可用函数：${Object.keys(METHODS).join('、')}`, name.pos);
+          }
+          node = { type: 'call', object: node, method: name.value, args: this.parseArguments(')') };
+        } else {
+          node = { type: 'member', object: node, property: name.value };
+        }
+      } else if (this.accept('op', '[')) {
+        const index = this.parseExpression();
+        this.expect('op', ']');
+        node = { type: 'index', object: node, index };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseArguments(close) {
+    const args = [];
+    if (this.accept('op', close)) {
+      return args;
+    }
+    do {
+      args.push(this.parseExpression());
+    } while (this.accept('op', ','));
+    this.expect('op', close);
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true };
+        if (token.value === 'false') return { type: 'literal', value: false };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        break;
+      case 'name':
+        if (VARIABLES.includes(token.value)) {
+          return { type: 'var', name: token.value };
+        }
+        if (/^[A-Z㐀-鿿]/.test(token.value)) {
+          return { type: 'literal', value: token.value };
+        }
+        throw syntaxError(`未知变量 "${token.value}"，可用变量：${VARIABLES.join('、')}`, token.pos);
+      case 'op':
+        if (token.value === '(') {
+          const node = this.parseExpression();
+          this.expect('op', ')');
+          return node;
+        }
+        if (token.value === '[') {
+          return { type: 'list', items: this.parseArguments(']') };
+        }
+        if (token.value === '*') {
+          return { type: 'wildcard' };
+        }
+        break;
+      default:
+        break;
+    }
+    throw syntaxError(`意外的 "${token.value ?? '结尾'}"`, token.pos);
+  }
+}
+
+/**
+ * 解析字符串断言
+ * @param {string} source
+ * @returns {Object} 语法树
+ */
+function parseExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('断言为空');
+  }
+  return new Parser(source).parse();
+}
+
+/**
+ * 编译规则的 assert 字段（字符串或对象）
+ * @param {string|Object|Array} assert
+ * @returns {Object} 语法树
+ */
+function compileAssert(assert, entity = null) {
+  if (typeof assert === 'string') {
+    const node = parseExpression(assert);
+    if (entity && node.type === 'transition') {
+      node.entity = entity;
+    }
+    return node;
+  }
+  if (typeof assert === 'boolean') {
+    return { type: 'literal', value: assert };
+  }
+  if (Array.isArray(assert)) {
+    return combine('&&', assert.map(item => compileAssert(item, entity)));
+  }
+  if (!assert || typeof assert !== 'object') {
+    throw new Error('断言必须是字符串或对象');
+  }
+
+  if ('if' in assert) {
+    const extra = Object.keys(assert).filter(key => !['if', 'then', 'else'].includes(key));
+    if (extra.length > 0) {
+      throw new Error(`if 断言中不支持的字段 "${extra[0]}"`);
+    }
+    if (!('then' in assert)) {
+      throw new Error('if 断言缺少 then');
+    }
+    return {
+      type: 'conditional',
+      test: compileAssert(assert.if, entity),
+      consequent: compileAssert(assert.then, entity),
+      alternate: 'else' in assert ? compileAssert(assert.else, entity) : null
+    };
+  }
+
+  const parts = Object.entries(assert).map(([key, value]) => {
+    if (key === 'forbid') {
+      return { type: 'not', operand: compileAssert(value, entity) };
+    }
+    if (key === 'require') {
+      return compileAssert(value, entity);
+    }
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${key} 的值必须是数组`);
+      }
+      return combine(key === 'all' ? '&&' : '||', value.map(item => compileAssert(item, entity)));
+    }
+    if (key === 'state_transition') {
+      const node = compileAssert(value, entity);
+      if (node.type !== 'transition') {
+        throw new Error('state_transition 的值必须是 "原状态 -> 新状态"');
+      }
+      return node;
+    }
+    if (ENTITY_TYPES.includes(key)) {
+      return compileAssert(value, key);
+    }
+    throw new Error(`不支持的断言字段 "${key}"`);
+  });
+
+  if (parts.length === 0) {
+    throw new Error('断言为空');
+  }
+  return combine('&&', parts);
+}
+
+function combine(op, nodes) {
+  if (nodes.length === 0) {
+    return { type: 'literal', value: op === '&&' };
+  }
+  return nodes.reduce((left, right) => ({ type: 'logical', op, left, right }));
+}
+
+/**
+ * 语法树中用到的逐个求值变量（event / transition / character）
+ */
+function collectVariables(node, found = new Set()) {
+  if (!node || typeof node !== 'object') return found;
+  if (node.type === 'var' && ITERATION_VARIABLES[node.name]) {
+    found.add(node.name);
+  }
+  if (node.type === 'transition') {
+    found.add('transition');
+  }
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => collectVariables(item, found));
+    } else if (value && typeof value === 'object') {
+      collectVariables(value, found);
+    }
+  }
+  return found;
+}
+
+// ==================== 求值 ====================
+
+function equals(a, b) {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  return a === b;
+}
+
+function normalizeState(state) {
+  const value = String(state ?? '').trim().toLowerCase();
+  const canonical = Object.keys(STATE_ALIASES).find(key => STATE_ALIASES[key].includes(value));
+  return canonical || value;
+}
+
+/**
+ * 状态是否匹配模式（* 匹配任意状态）
+ */
+function matchState(state, pattern) {
+  return pattern === '*' || normalizeState(state) === normalizeState(pattern);
+}
+
+/**
+ * 对语法树求值
+ * @param {Object} node - 语法树
+ * @param {Object} scope - 变量
+ */
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'wildcard':
+      return '*';
+    case 'list':
+      return node.items.map(item => evaluate(item, scope));
+    case 'var':
+      return scope[node.name];
+    case 'member': {
+      const object = evaluate(node.object, scope);
+      return object === null || object === undefined ? undefined : object[node.property];
+    }
+    case 'index': {
+      const object = evaluate(node.object, scope);
+      const index = evaluate(node.index, scope);
+      return object === null || object === undefined ? undefined : object[index];
+    }
+    case 'call': {
+      const object = evaluate(node.object, scope);
+      const args = node.args.map(arg => evaluate(arg, scope));
+      return METHODS[node.method](object, ...args);
+    }
+    case 'not':
+      return !evaluate(node.operand, scope);
+    case 'logical':
+      return node.op === '&&'
+        ? Boolean(evaluate(node.left, scope)) && Boolean(evaluate(node.right, scope))
+        : Boolean(evaluate(node.left, scope)) || Boolean(evaluate(node.right, scope));
+    case 'conditional':
+      if (evaluate(node.test, scope)) {
+        return Boolean(evaluate(node.consequent, scope));
+      }
+      return node.alternate ? Boolean(evaluate(node.alternate, scope)) : true;
+    case 'compare':
+      return compare(node.op, evaluate(node.left, scope), evaluate(node.right, scope));
+    case 'transition': {
+      const transition = scope.transition;
+      if (!transition) return false;
+      if (node.entity && !equals(transition.type, node.entity)) return false;
+      return matchState(transition.from, node.from) && matchState(transition.to, node.to);
+    }
+    default:
+      throw new Error(`未知的语法节点 ${node.type}`);
+  }
+}
+
+function compare(op, left, right) {
+  switch (op) {
+    case '==':
+      return equals(left, right);
+    case '!=':
+      return !equals(left, right);
+    case 'in':
+      return METHODS.contains(right, left);
+    default: {
+      const a = Number(left);
+      const b = Number(right);
+      if (Number.isNaN(a) || Number.isNaN(b) || left === null || right === null) return false;
+      if (op === '>') return a > b;
+      if (op === '<') return a < b;
+      if (op === '>=') return a >= b;
+      return a <= b;
+    }
+  }
+}
+
+module.exports = {
+  parseExpression,
+  compileAssert,
+  collectVariables,
+  evaluate,
+  matchState,
+  ITERATION_VARIABLES,
+  STATE_ALIASES
+};
@@ -1,6 +1,7 @@
 /**
- * DSL Rule Engine - DSL 规则引擎（LLM 驱动版）
- * 支持可执行的规则 DSL，使用 LLM 进行语义判断，无硬编码
+ * DSL Rule Engine - DSL 规则引擎
+ * 规则的 assert 由本地解释器对抽取出的事件、状态迁移求值（语法见 dslExpression.js），
+ * 只有标记为 semantic: true 的规则（性格、意图、历史矛盾等需要理解文本的规则）交给 LLM 判断
  * 
  * 规则类型：
  * - WORLD: 世界观规则（永远强制）
@@ -13,8 +14,14 @@
  * - FATAL: 致命错误，必须修正
  * - ERROR: 错误，需要修正
  * - WARN: 警告，记录但允许
+ *
+ * 规则来源：默认规则、工作区启用的规则包（见 rulePacks.js）、工作区自定义规则，
+ * 同 ID 规则后加载的生效，违规信息中的 pack 字段记录规则来自哪个规则包
  */
 
+const { compileAssert, collectVariables, evaluate, ITERATION_VARIABLES } = require('./dslExpression');
+const { mergeRulePacks, DEFAULT_PACK_ID, CUSTOM_PACK_ID } = require('./rulePacks');
+
 class DSLRuleEngine {
   constructor(workspaceRoot, llmCaller = null) {
     this.workspaceRoot = workspaceRoot;
@@ -26,6 +33,9 @@ class DSLRuleEngine {
       INTENT: [],
       ARC: []
     };
+    this.compiled = new Map(); // rule_id -> { ast, variables }
+    this.errors = []; // 解析失败的规则 { rule_id, message }
+    this.conflicts = []; // 同 ID 规则冲突 { rule_id, winner, overridden }
     this.loaded = false;
   }
 
@@ -38,8 +48,11 @@ class DSLRuleEngine {
 
   /**
    * 加载规则（从 JSON 文件）
+   * @param {string} defaultRulesPath - 默认规则文件
+   * @param {string} customRulesPath - 工作区自定义规则文件
+   * @param {Array} packs - 启用的规则包 [{ id, name, version, rules, severity }]，按加载顺序
    */
-  async loadRules(defaultRulesPath, customRulesPath) {
+  async loadRules(defaultRulesPath, customRulesPath, packs = []) {
     const fs = require('fs').promises;
     
     try {
@@ -63,40 +76,20 @@ class DSLRuleEngine {
         console.log('📝 未找到自定义规则');
       }
 
-      // 合并规则
-      const allRules = [
-        ...(defaultRules.rules || []),
-        ...(customRules.rules || [])
-      ];
-
-      // 按类型分类
-      this.rules = {
-        WORLD: [],
-        CHARACTER: [],
-        HISTORY: [],
-        INTENT: [],
-        ARC: []
-      };
-
-      for (const rule of allRules) {
-        if (rule.enabled === false) continue;
-        
-        const scope = rule.scope || rule.type?.toUpperCase();
-        if (this.rules[scope]) {
-          this.rules[scope].push(rule);
-        }
+      // 按顺序合并规则，同 ID 规则后加载的生效
+      const { rules, conflicts } = mergeRulePacks([
+        { id: DEFAULT_PACK_ID, version: defaultRules.version, rules: defaultRules.rules || [] },
+        ...packs,
+        { id: CUSTOM_PACK_ID, version: customRules.version, rules: customRules.rules || [] }
+      ]);
+      for (const conflict of conflicts) {
+        console.log(`   规则 ${conflict.rule_id}：${conflict.winner} 覆盖 ${conflict.overridden}`);
       }
 
-      this.loaded = true;
-      const total = Object.values(this.rules).reduce((sum, arr) => sum + arr.length, 0);
-      console.log(`✅ 已加载 ${total} 条 DSL 规则`);
-      console.log(`   - WORLD: ${this.rules.WORLD.length}`);
-      console.log(`   - CHARACTER: ${this.rules.CHARACTER.length}`);
-      console.log(`   - HISTORY: ${this.rules.HISTORY.length}`);
-      console.log(`   - INTENT: ${this.rules.INTENT.length}`);
-      console.log(`   - ARC: ${this.rules.ARC.length}`);
-
-      return { success: true, count: total };
+      const { count } = this.setRules(rules);
+      this.conflicts = conflicts;
+
+      return { success: true, count, errors: this.errors, conflicts };
     } catch (error) {
       console.error('❌ 加载 DSL 规则失败:', error);
       this.loaded = true;
@@ -104,26 +97,96 @@ class DSLRuleEngine {
     }
   }
 
+  /**
+   * 设置规则（已合并的规则列表），解析失败的规则记录在 this.errors 中
+   * @param {Array} allRules
+   * @returns {{count: number, errors: Array}}
+   */
+  setRules(allRules) {
+    // 按类型分类
+    this.rules = {
+      WORLD: [],
+      CHARACTER: [],
+      HISTORY: [],
+      INTENT: [],
+      ARC: []
+    };
+    this.compiled = new Map();
+    this.errors = [];
+    this.conflicts = [];
+
+    for (const rule of allRules) {
+      if (rule.enabled === false) continue;
+
+      // 断言解析失败的规则不参与检查，错误按规则记录
+      const validation = this.validateRule(rule);
+      if (!validation.valid) {
+        this.errors.push({ rule_id: rule.id, message: validation.error });
+        console.warn(`⚠️ 规则 ${rule.id} 解析失败: ${validation.error}`);
+        continue;
+      }
+      if (validation.compiled) {
+        this.compiled.set(rule.id, validation.compiled);
+      }
+      
+      const scope = rule.scope || rule.type?.toUpperCase();
+      if (this.rules[scope]) {
+        this.rules[scope].push(rule);
+      }
+    }
+
+    this.loaded = true;
+    const total = Object.values(this.rules).reduce((sum, arr) => sum + arr.length, 0);
+    console.log(`✅ 已加载 ${total} 条 DSL 规则${this.errors.length > 0 ? `，${this.errors.length} 条解析失败` : ''}`);
+    console.log(`   - WORLD: ${this.rules.WORLD.length}`);
+    console.log(`   - CHARACTER: ${this.rules.CHARACTER.length}`);
+    console.log(`   - HISTORY: ${this.rules.HISTORY.length}`);
+    console.log(`   - INTENT: ${this.rules.INTENT.length}`);
+    console.log(`   - ARC: ${this.rules.ARC.length}`);
+
+    return { count: total, errors: this.errors };
+  }
+
+  /**
+   * 校验单条规则：语义规则只需要有 assert，其余规则的 assert 必须能被解析
+   * @returns {{valid: boolean, error?: string, compiled?: {ast, variables}}}
+   */
+  validateRule(rule) {
+    if (!rule || !rule.id) {
+      return { valid: false, error: '规则缺少 id' };
+    }
+    if (rule.assert === undefined || rule.assert === null) {
+      return { valid: false, error: '规则缺少 assert' };
+    }
+    if (rule.semantic) {
+      return { valid: true };
+    }
+
+    try {
+      const ast = compileAssert(rule.assert);
+      return { valid: true, compiled: { ast, variables: [...collectVariables(ast)] } };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
   /**
    * 执行规则检查（Dry Run，不写回记忆）
-   * 合并所有规则到一次 LLM 调用中，提高效率
+   * 普通规则本地求值；语义规则合并到一次 LLM 调用中
    * @param {Object} params - 检查参数
    * @param {string} params.text - 待检查的文本
    * @param {Object} params.intent - 写作意图
    * @param {Object} params.context - 记忆上下文
    * @param {Object} params.events - 抽取的事件（临时）
-   * @param {Object} params.stateTransitions - 状态迁移（临时）
+   * @param {Object} params.stateTransitions - 状态迁移（临时，也接受 state_transitions）
    */
   async checkRules(params) {
     if (!this.loaded) {
       throw new Error('规则引擎未加载');
     }
 
-    if (!this.llmCaller) {
-      throw new Error('LLM 调用器未设置');
-    }
-
-    const { text, intent, context, events = [], stateTransitions = [] } = params;
+    const { text, intent, context = {}, events = [] } = params;
+    const stateTransitions = params.stateTransitions || params.state_transitions || [];
 
     // 收集所有规则
     const allRules = [
@@ -138,8 +201,87 @@ class DSLRuleEngine {
       return [];
     }
 
-    // 一次性检查所有规则
-    return await this.evaluateAllRules(allRules, text, intent, context, events, stateTransitions);
+    const violations = this.evaluateLocalRules(
+      allRules.filter(rule => !rule.semantic),
+      { text, intent, context, events, stateTransitions }
+    );
+
+    // 语义规则一次性交给 LLM 检查
+    const semanticRules = allRules.filter(rule => rule.semantic);
+    if (semanticRules.length > 0) {
+      if (this.llmCaller) {
+        violations.push(...await this.evaluateAllRules(semanticRules, text, intent, context, events, stateTransitions));
+      } else {
+        console.warn(`⚠️ LLM 调用器未设置，跳过 ${semanticRules.length} 条语义规则`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * 本地求值非语义规则
+   * 断言中的 event / transition / character 对每一个事件、状态迁移、角色分别求值，
+   * 每个使断言不成立的组合记一次违规；对应列表为空时规则不适用
+   */
+  evaluateLocalRules(rules, { text, intent, context, events, stateTransitions }) {
+    const lists = {
+      events,
+      transitions: stateTransitions,
+      characters: (context.characters || []).map(char => ({
+        ...char,
+        traits: char.traits || char.personality?.traits || []
+      }))
+    };
+    const base = { text: text || '', intent: intent || {}, context, ...lists };
+    const violations = [];
+
+    for (const rule of rules) {
+      const compiled = this.compiled.get(rule.id);
+      if (!compiled) continue;
+
+      const bindings = compiled.variables.reduce(
+        (combos, name) => combos.flatMap(combo =>
+          lists[ITERATION_VARIABLES[name]].map(item => ({ ...combo, [name]: item }))
+        ),
+        [{}]
+      );
+
+      try {
+        for (const binding of bindings) {
+          if (!evaluate(compiled.ast, { ...base, ...binding })) {
+            violations.push(this.buildViolation(rule, binding));
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ 规则 ${rule.id} 求值失败:`, error.message);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * 本地求值的违规信息（字段与 LLM 返回的违规一致）
+   */
+  buildViolation(rule, { event, transition, character }) {
+    return {
+      rule_id: rule.id,
+      rule_name: rule.name || rule.id,
+      type: this.getViolationTypeByScope(rule.scope),
+      rule_type: rule.type,
+      level: rule.level || 'FATAL',
+      scope: rule.scope,
+      message: rule.message || `违反规则: ${rule.id}`,
+      suggestion: rule.suggestion || '请修正违规内容',
+      matched_condition: typeof rule.assert === 'string' ? rule.assert : JSON.stringify(rule.assert),
+      location: event?.description || transition?.description,
+      character: character?.name || transition?.entity,
+      state_transition: transition ? `${transition.from} -> ${transition.to}` : undefined,
+      event,
+      pack: rule.pack,
+      source: 'dsl'
+    };
   }
 
   /**
@@ -250,11 +392,14 @@ ${text}
       
       if (response && response.violations && Array.isArray(response.violations)) {
         // 确保每个违规都有正确的结构
+        const rulesById = new Map(allRules.map(rule => [rule.id, rule]));
         return response.violations.map(v => ({
           rule_id: v.rule_id,
           rule_name: v.rule_name || v.rule_id,
           type: v.type || this.getViolationTypeByScope(v.scope),
-          level: v.level || 'FATAL',
+          rule_type: rulesById.get(v.rule_id)?.type,
+          // 规则包可能覆盖了级别，以规则上的级别为准
+          level: rulesById.get(v.rule_id)?.level || v.level || 'FATAL',
           scope: v.scope,
           message: v.message || `违反规则: ${v.rule_id}`,
           suggestion: v.suggestion || '请修正违规内容',
@@ -268,7 +413,8 @@ ${text}
           unfulfilled_goal: v.unfulfilled_goal,
           violated_constraint: v.violated_constraint,
           arc_progress: v.arc_progress,
-          is_padding: v.is_padding
+          is_padding: v.is_padding,
+          pack: rulesById.get(v.rule_id)?.pack
         }));
       }
 
@@ -323,7 +469,7 @@ ${text}
         }
         
         if (violation) {
-          violations.push(violation);
+          violations.push({ ...violation, pack: rule.pack });
         }
       } catch (error) {
         console.error(`评估规则失败: ${rule.id}`, error);
@@ -795,8 +941,17 @@ ${JSON.stringify(context.characters || [], null, 2)}
    * 获取规则统计
    */
   getStatistics() {
+    const all = Object.values(this.rules).flat();
     return {
-      total: Object.values(this.rules).reduce((sum, arr) => sum + arr.length, 0),
+      total: all.length,
+      semantic: all.filter(rule => rule.semantic).length,
+      invalid: this.errors.length,
+      conflicts: this.conflicts.length,
+      by_pack: all.reduce((counts, rule) => {
+        const pack = rule.pack || CUSTOM_PACK_ID;
+        counts[pack] = (counts[pack] || 0) + 1;
+        return counts;
+      }, {}),
       by_scope: {
         WORLD: this.rules.WORLD.length,
         CHARACTER: this.rules.CHARACTER.length,
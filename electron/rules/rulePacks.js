@@ -0,0 +1,329 @@
+/**
+ * Rule Packs - 规则包
+ * 规则包是带名称和版本的一组 DSL 规则（如仙侠修炼、都市言情、本格推理、硬科幻），
+ * 由工作区按需启用，每个规则包可以单独覆盖其中规则的级别。
+ *
+ * - 内置规则包：应用目录 rules/packs/*.json
+ * - 导入的规则包：工作区 rules/packs/*.json（与内置规则包 id 相同时覆盖内置）
+ * - 启用状态、加载顺序和级别覆盖：工作区 rules/rule-packs.json
+ *
+ * 规则加载顺序：默认规则 → 启用的规则包（按配置顺序）→ 工作区自定义规则，
+ * 多个规则包定义了同一个规则 ID 时后加载的生效，冲突记录在加载结果中。
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PACK_ID = 'default';
+const CUSTOM_PACK_ID = 'custom';
+const SEVERITY_LEVELS = ['FATAL', 'ERROR', 'WARN', 'OFF']; // OFF 表示在该工作区禁用这条规则
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * 按顺序合并规则包
+ * @param {Array<{id, name?, version?, rules, severity?}>} packs - 优先级从低到高
+ * @returns {{rules: Array, conflicts: Array<{rule_id, winner, overridden}>}}
+ */
+function mergeRulePacks(packs) {
+  const merged = new Map(); // rule_id -> rule
+  const conflicts = [];
+
+  for (const pack of packs) {
+    const severity = pack.severity || {};
+
+    for (const rule of pack.rules || []) {
+      if (!rule || !rule.id) continue;
+
+      const tagged = { ...rule, pack: pack.id, pack_version: pack.version || null };
+      const override = severity[rule.id];
+      if (override === 'OFF') {
+        tagged.enabled = false;
+      } else if (override) {
+        tagged.level = override;
+      }
+
+      const existing = merged.get(rule.id);
+      if (existing) {
+        conflicts.push({ rule_id: rule.id, winner: pack.id, overridden: existing.pack });
+        // 删除后重新插入，生效规则排在后加载的规则包的位置
+        merged.delete(rule.id);
+      }
+      merged.set(rule.id, tagged);
+    }
+  }
+
+  return { rules: [...merged.values()], conflicts };
+}
+
+/**
+ * 校验规则包的元数据（规则本身由 validateRuleSet 校验）
+ * @returns {Array<{field, message}>}
+ */
+function validatePackMeta(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return [{ field: null, message: '规则包必须是对象' }];
+  }
+  if (typeof pack.id !== 'string' || !PACK_ID_PATTERN.test(pack.id)) {
+    errors.push({ field: 'id', message: '规则包 id 只能包含小写字母、数字、- 和 _' });
+  } else if ([DEFAULT_PACK_ID, CUSTOM_PACK_ID].includes(pack.id)) {
+    errors.push({ field: 'id', message: `"${pack.id}" 是保留的规则包 id` });
+  }
+  if (typeof pack.name !== 'string' || !pack.name.trim()) {
+    errors.push({ field: 'name', message: '规则包缺少 name' });
+  }
+  if (typeof pack.version !== 'string' || !pack.version.trim()) {
+    errors.push({ field: 'version', message: '规则包缺少 version' });
+  }
+  if (pack.severity !== undefined) {
+    const invalid = Object.entries(pack.severity || {}).filter(([, level]) => !SEVERITY_LEVELS.includes(level));
+    if (typeof pack.severity !== 'object' || Array.isArray(pack.severity) || invalid.length > 0) {
+      errors.push({ field: 'severity', message: `severity 的值必须是 ${SEVERITY_LEVELS.join(' / ')} 之一` });
+    }
+  }
+  return errors;
+}
+
+class RulePackManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.builtinDir - 内置规则包目录（应用目录下的 rules/packs）
+   * @param {string} options.workspaceRoot - 工作区路径
+   */
+  constructor({ builtinDir, workspaceRoot }) {
+    this.builtinDir = builtinDir;
+    this.workspaceRoot = workspaceRoot;
+    this.workspaceDir = path.join(workspaceRoot, 'rules/packs');
+    this.configPath = path.join(workspaceRoot, 'rules/rule-packs.json');
+  }
+
+  async readPackDir(dir, source) {
+    let files = [];
+    try {
+      files = (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const packs = [];
+    for (const name of files) {
+      const file = path.join(dir, name);
+      try {
+        const pack = JSON.parse(await fs.readFile(file, 'utf-8'));
+        if (validatePackMeta(pack).length > 0 || !Array.isArray(pack.rules)) {
+          console.warn(`⚠️ 规则包格式无效，已跳过: ${file}`);
+          continue;
+        }
+        packs.push({ ...pack, source, file });
+      } catch (error) {
+        console.warn(`⚠️ 读取规则包失败: ${file}`, error.message);
+      }
+    }
+    return packs;
+  }
+
+  /**
+   * 所有可用的规则包（工作区导入的规则包覆盖同 id 的内置规则包）
+   */
+  async getAvailablePacks() {
+    const available = new Map();
+    for (const pack of await this.readPackDir(this.builtinDir, 'builtin')) {
+      available.set(pack.id, pack);
+    }
+    for (const pack of await this.readPackDir(this.workspaceDir, 'workspace')) {
+      available.set(pack.id, pack);
+    }
+    return available;
+  }
+
+  async getConfig() {
+    try {
+      const config = JSON.parse(await fs.readFile(this.configPath, 'utf-8'));
+      return { version: 1, packs: Array.isArray(config.packs) ? config.packs : [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { version: 1, packs: [] };
+      throw new Error(`读取 rule-packs.json 失败: ${error.message}`);
+    }
+  }
+
+  async saveConfig(config) {
+    await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+    await fs.writeFile(this.configPath, JSON.stringify(config, null, 2), 'utf-8');
+  }
+
+  /**
+   * 修改某个规则包的配置项（不存在时追加到末尾，即最高优先级）
+   */
+  async updateEntry(packId, update) {
+    const config = await this.getConfig();
+    let entry = config.packs.find(item => item.id === packId);
+    if (!entry) {
+      entry = { id: packId, enabled: false, severity: {} };
+      config.packs.push(entry);
+    }
+    update(entry);
+    await this.saveConfig(config);
+    return entry;
+  }
+
+  /**
+   * 规则包列表（含启用状态、顺序和级别覆盖），已启用的按加载顺序排在前面
+   */
+  async listPacks() {
+    const available = await this.getAvailablePacks();
+    const config = await this.getConfig();
+
+    const describe = (pack, entry, order) => ({
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      genre: pack.genre || null,
+      description: pack.description || '',
+      source: pack.source,
+      rules: pack.rules,
+      enabled: !!entry?.enabled,
+      order,
+      severity: entry?.severity || {}
+    });
+
+    const enabled = config.packs
+      .filter(entry => entry.enabled && available.has(entry.id))
+      .map((entry, index) => describe(available.get(entry.id), entry, index));
+    const others = [...available.values()]
+      .filter(pack => !enabled.some(item => item.id === pack.id))
+      .map(pack => describe(pack, config.packs.find(entry => entry.id === pack.id), null));
+
+    return [...enabled, ...others];
+  }
+
+  /**
+   * 已启用的规则包（按加载顺序），用于 DSLRuleEngine.loadRules
+   * @returns {Promise<Array<{id, name, version, rules, severity}>>}
+   */
+  async getEnabledPacks() {
+    const available = await this.getAvailablePacks();
+    const config = await this.getConfig();
+    const packs = [];
+
+    for (const entry of config.packs.filter(item => item.enabled)) {
+      const pack = available.get(entry.id);
+      if (!pack) {
+        console.warn(`⚠️ 已启用的规则包不存在: ${entry.id}`);
+        continue;
+      }
+      packs.push({ id: pack.id, name: pack.name, version: pack.version, rules: pack.rules, severity: entry.severity || {} });
+    }
+    return packs;
+  }
+
+  async setEnabled(packId, enabled) {
+    const available = await this.getAvailablePacks();
+    if (!available.has(packId)) {
+      throw new Error(`规则包不存在: ${packId}`);
+    }
+    return await this.updateEntry(packId, entry => {
+      entry.enabled = !!enabled;
+    });
+  }
+
+  /**
+   * 覆盖规则包中某条规则的级别（level 为空时恢复规则包自带的级别）
+   */
+  async setSeverity(packId, ruleId, level) {
+    if (level && !SEVERITY_LEVELS.includes(level)) {
+      throw new Error(`级别必须是 ${SEVERITY_LEVELS.join(' / ')} 之一`);
+    }
+    return await this.updateEntry(packId, entry => {
+      entry.severity = { ...(entry.severity || {}) };
+      if (level) {
+        entry.severity[ruleId] = level;
+      } else {
+        delete entry.severity[ruleId];
+      }
+    });
+  }
+
+  /**
+   * 调整加载顺序（越靠后优先级越高，同 ID 规则冲突时生效）
+   * @param {string[]} packIds - 新的顺序，未列出的规则包保持原有相对顺序排在后面
+   */
+  async reorder(packIds) {
+    const config = await this.getConfig();
+    const rank = id => {
+      const index = packIds.indexOf(id);
+      return index === -1 ? packIds.length : index;
+    };
+    config.packs = config.packs
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => rank(a.entry.id) - rank(b.entry.id) || a.index - b.index)
+      .map(item => item.entry);
+    await this.saveConfig(config);
+    return config;
+  }
+
+  /**
+   * 安装规则包到工作区（调用方负责校验），规则包自带的 severity 写入工作区配置
+   */
+  async install(pack) {
+    const { severity, source, file, ...content } = pack;
+    await fs.mkdir(this.workspaceDir, { recursive: true });
+    await fs.writeFile(path.join(this.workspaceDir, `${pack.id}.json`), JSON.stringify(content, null, 2), 'utf-8');
+    if (severity && Object.keys(severity).length > 0) {
+      await this.updateEntry(pack.id, entry => {
+        entry.severity = { ...(entry.severity || {}), ...severity };
+      });
+    }
+  }
+
+  /**
+   * 删除工作区导入的规则包（内置规则包不能删除，只能停用）
+   */
+  async remove(packId) {
+    // 与安装、加载相同的 id 校验，避免 ../ 之类的 id 删除规则包目录以外的文件
+    if (typeof packId !== 'string' || !PACK_ID_PATTERN.test(packId)) {
+      throw new Error(`无效的规则包 id: ${packId}`);
+    }
+    try {
+      await fs.unlink(path.join(this.workspaceDir, `${packId}.json`));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`规则包 ${packId} 不是导入的规则包`);
+      }
+      throw error;
+    }
+    const config = await this.getConfig();
+    const available = await this.getAvailablePacks();
+    // 仍有同 id 的内置规则包时保留配置
+    if (!available.has(packId)) {
+      config.packs = config.packs.filter(entry => entry.id !== packId);
+      await this.saveConfig(config);
+    }
+  }
+
+  /**
+   * 导出规则包（附带当前工作区的级别覆盖）
+   */
+  async export(packId) {
+    const available = await this.getAvailablePacks();
+    const pack = available.get(packId);
+    if (!pack) {
+      throw new Error(`规则包不存在: ${packId}`);
+    }
+    const config = await this.getConfig();
+    const entry = config.packs.find(item => item.id === packId);
+    const { source, file, ...content } = pack;
+    return entry?.severity && Object.keys(entry.severity).length > 0
+      ? { ...content, severity: entry.severity }
+      : content;
+  }
+}
+
+module.exports = {
+  RulePackManager,
+  mergeRulePacks,
+  validatePackMeta,
+  DEFAULT_PACK_ID,
+  CUSTOM_PACK_ID,
+  SEVERITY_LEVELS
+};
@@ -0,0 +1,393 @@
+/**
+ * Rule Workbench - DSL 规则编写工具
+ *
+ * - 规则集校验：字段、作用域、级别、ID 重复，以及 assert 能否解析
+ * - 试运行：用 DSLRuleEngine.checkRules 对章节或粘贴的文本检查一条或全部规则
+ * - 期望用例（golden）：记录"某章节应当 / 不应当违反某条规则"，规则变化后重新运行作为回归测试
+ * - 规则包：导入时校验，导出为单个文件（见 rulePacks.js）
+ *
+ * 期望用例保存在工作区 rules/rule-tests.json，和自定义规则 rules/dsl-rules.json 放在一起。
+ * 保存用例时同时保存当时抽取的事件和状态迁移，文本未变化时直接复用，
+ * 回归测试结果只随规则变化（不依赖 LLM 抽取的随机性）。
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const DSLRuleEngine = require('./dslRuleEngine');
+const EventExtractor = require('../agent/modules/analysis/eventExtractor');
+const { RulePackManager, mergeRulePacks, validatePackMeta, DEFAULT_PACK_ID, CUSTOM_PACK_ID } = require('./rulePacks');
+
+const VALID_SCOPES = ['WORLD', 'CHARACTER', 'HISTORY', 'INTENT', 'ARC'];
+const VALID_LEVELS = ['FATAL', 'ERROR', 'WARN'];
+const EXPECTATIONS = ['violate', 'pass'];
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * 校验规则集
+ * @param {Object} ruleSet - { rules: [...] }
+ * @param {Object} options
+ * @param {string[]} options.reservedIds - 默认规则和已启用规则包中的规则 ID（自定义规则与其重名时给出警告）
+ * @returns {{valid: boolean, errors: Array<{index, rule_id, field, message}>, warnings: Array}}
+ */
+function validateRuleSet(ruleSet, { reservedIds = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.rules)) {
+    errors.push({ index: null, rule_id: null, field: 'rules', message: '规则集必须是包含 rules 数组的对象' });
+    return { valid: false, errors, warnings };
+  }
+
+  const engine = new DSLRuleEngine(null);
+  const seen = new Set();
+
+  ruleSet.rules.forEach((rule, index) => {
+    const fail = (field, message) => errors.push({ index, rule_id: rule?.id ?? null, field, message });
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      fail(null, '规则必须是对象');
+      return;
+    }
+    if (typeof rule.id !== 'string' || !rule.id.trim()) {
+      fail('id', '规则缺少 id');
+    } else if (seen.has(rule.id)) {
+      fail('id', `规则 ID "${rule.id}" 重复`);
+    } else {
+      seen.add(rule.id);
+      if (reservedIds.includes(rule.id)) {
+        warnings.push({ index, rule_id: rule.id, field: 'id', message: `与已启用的规则 "${rule.id}" 重名，将覆盖该规则` });
+      }
+    }
+
+    const scope = rule.scope || rule.type?.toUpperCase();
+    if (!VALID_SCOPES.includes(scope)) {
+      fail('scope', `scope 必须是 ${VALID_SCOPES.join(' / ')} 之一`);
+    }
+    if (rule.level !== undefined && !VALID_LEVELS.includes(rule.level)) {
+      fail('level', `level 必须是 ${VALID_LEVELS.join(' / ')} 之一`);
+    }
+    for (const field of ['enabled', 'semantic']) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+        fail(field, `${field} 必须是布尔值`);
+      }
+    }
+    for (const field of ['name', 'message', 'suggestion']) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+        fail(field, `${field} 必须是字符串`);
+      }
+    }
+
+    if (typeof rule.id === 'string' && rule.id.trim()) {
+      const result = engine.validateRule(rule);
+      if (!result.valid) {
+        fail('assert', result.error);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+class RuleWorkbench {
+  /**
+   * @param {Object} options
+   * @param {string} options.workspaceRoot - 工作区路径
+   * @param {string} options.defaultRulesPath - 默认规则文件（应用目录下的 rules/default-dsl-rules.json）
+   * @param {string} options.packsDir - 内置规则包目录（默认为默认规则文件旁的 packs 目录）
+   */
+  constructor({ workspaceRoot, defaultRulesPath, packsDir = null }) {
+    this.workspaceRoot = workspaceRoot;
+    this.defaultRulesPath = defaultRulesPath;
+    this.customRulesPath = path.join(workspaceRoot, 'rules/dsl-rules.json');
+    this.testsPath = path.join(workspaceRoot, 'rules/rule-tests.json');
+    this.packs = new RulePackManager({
+      builtinDir: packsDir || path.join(path.dirname(defaultRulesPath), 'packs'),
+      workspaceRoot
+    });
+    this.eventExtractor = new EventExtractor();
+  }
+
+  async readJSON(filePath, fallback) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw new Error(`读取 ${path.basename(filePath)} 失败: ${error.message}`);
+    }
+  }
+
+  async writeJSON(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  }
+
+  /**
+   * 读取默认规则、自定义规则和规则包
+   * baseRules 为默认规则与已启用规则包合并后的规则（不含自定义规则）
+   */
+  async getRuleSets() {
+    const defaultRules = await this.readJSON(this.defaultRulesPath, { rules: [] });
+    const customRules = await this.readJSON(this.customRulesPath, { rules: [] });
+    const packs = await this.packs.listPacks();
+    const { rules: baseRules, conflicts } = mergeRulePacks(await this.getBasePacks(defaultRules));
+    return { defaultRules, customRules, packs, baseRules, conflicts };
+  }
+
+  async getBasePacks(defaultRules = null) {
+    const defaults = defaultRules || await this.readJSON(this.defaultRulesPath, { rules: [] });
+    return [
+      { id: DEFAULT_PACK_ID, version: defaults.version, rules: defaults.rules || [] },
+      ...await this.packs.getEnabledPacks()
+    ];
+  }
+
+  /**
+   * 按加载顺序合并规则（与 DSLRuleEngine.loadRules 一致）
+   * @param {Array} customRules - 自定义规则（为空时读取已保存的规则）
+   * @returns {Promise<{rules, conflicts}>}
+   */
+  async resolveRules(customRules = null) {
+    const custom = customRules || (await this.readJSON(this.customRulesPath, { rules: [] })).rules || [];
+    return mergeRulePacks([...await this.getBasePacks(), { id: CUSTOM_PACK_ID, rules: custom }]);
+  }
+
+  async getAllRules() {
+    return (await this.resolveRules()).rules;
+  }
+
+  /**
+   * 校验自定义规则集
+   */
+  async validate(ruleSet) {
+    const { rules } = mergeRulePacks(await this.getBasePacks());
+    return validateRuleSet(ruleSet, { reservedIds: rules.map(rule => rule.id) });
+  }
+
+  /**
+   * 保存自定义规则集（校验不通过时不保存）
+   */
+  async saveRuleSet(ruleSet) {
+    const validation = await this.validate(ruleSet);
+    if (validation.valid) {
+      await this.writeJSON(this.customRulesPath, { version: '2.0', ...ruleSet });
+    }
+    return validation;
+  }
+
+  /**
+   * 抽取事件和状态迁移：useLLM 时调用 LLM 抽取，否则只做关键词快速抽取
+   */
+  async extract(text, { useLLM = false, llmCaller = null } = {}) {
+    const extracted = useLLM && llmCaller
+      ? await this.eventExtractor.extract(text, {}, llmCaller)
+      : this.eventExtractor.quickExtract(text);
+    return { events: extracted.events, stateTransitions: extracted.state_transitions };
+  }
+
+  async readSource({ text, filePath }) {
+    if (typeof text === 'string') return text;
+    if (!filePath) {
+      throw new Error('请选择章节或输入文本');
+    }
+    const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(this.workspaceRoot, filePath);
+    return await fs.readFile(absolutePath, 'utf-8');
+  }
+
+  /**
+   * 试运行规则
+   * @param {Object} options
+   * @param {Array} options.rules - 要检查的规则（默认为当前的默认规则 + 已启用规则包 + 自定义规则）
+   * @param {Array} options.customRules - 替换已保存的自定义规则（编辑中未保存的规则）
+   * @param {string} options.ruleId - 只检查这一条规则（即使已禁用）
+   * @param {string} options.text - 文本（与 filePath 二选一）
+   * @param {string} options.filePath - 章节文件
+   * @param {Object} options.extraction - 已抽取的 { events, stateTransitions }（不传则重新抽取）
+   * @param {boolean} options.useLLM - 用 LLM 抽取事件并检查语义规则
+   * @param {Function} options.llmCaller
+   * @returns {Promise<{violations, events, stateTransitions, skipped, errors, textHash}>}
+   */
+  async dryRun({ rules = null, customRules = null, ruleId = null, text, filePath, extraction = null, useLLM = false, llmCaller = null } = {}) {
+    let selected = rules || (await this.resolveRules(customRules)).rules;
+    if (ruleId) {
+      selected = selected.filter(rule => rule.id === ruleId).map(rule => ({ ...rule, enabled: true }));
+      if (selected.length === 0) {
+        throw new Error(`规则 ${ruleId} 不存在`);
+      }
+    }
+
+    const source = await this.readSource({ text, filePath });
+    const { events, stateTransitions } = extraction || await this.extract(source, { useLLM, llmCaller });
+
+    const engine = new DSLRuleEngine(this.workspaceRoot, useLLM ? llmCaller : null);
+    engine.setRules(selected);
+
+    const violations = await engine.checkRules({ text: source, intent: null, context: {}, events, stateTransitions });
+    const skipped = engine.llmCaller
+      ? []
+      : Object.values(engine.rules).flat().filter(rule => rule.semantic).map(rule => rule.id);
+
+    return { violations, events, stateTransitions, skipped, errors: engine.errors, textHash: hashText(source) };
+  }
+
+  // ==================== 期望用例 ====================
+
+  async getExpectations() {
+    const data = await this.readJSON(this.testsPath, { expectations: [] });
+    return data.expectations || [];
+  }
+
+  /**
+   * 保存期望用例（带 id 时更新）
+   * @param {Object} expectation - { id?, rule_id, filePath?, text?, expect: 'violate'|'pass', note?, extraction? }
+   */
+  async saveExpectation({ id = null, rule_id, filePath = null, text = null, expect, note = '', extraction = null }) {
+    if (!rule_id) {
+      throw new Error('请选择规则');
+    }
+    if (!EXPECTATIONS.includes(expect)) {
+      throw new Error('期望结果必须是 violate 或 pass');
+    }
+
+    const source = await this.readSource({ text, filePath });
+    const snapshot = extraction || await this.extract(source);
+    const expectations = await this.getExpectations();
+    const existing = id ? expectations.find(item => item.id === id) : null;
+
+    const expectation = {
+      id: existing ? existing.id : `exp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      rule_id,
+      file_path: filePath ? path.relative(this.workspaceRoot, path.resolve(this.workspaceRoot, filePath)) : null,
+      text: filePath ? null : source,
+      expect,
+      note,
+      text_hash: hashText(source),
+      events: snapshot.events,
+      state_transitions: snapshot.stateTransitions,
+      created_at: existing ? existing.created_at : new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    const next = existing
+      ? expectations.map(item => (item.id === existing.id ? expectation : item))
+      : [...expectations, expectation];
+    await this.writeJSON(this.testsPath, { version: 1, expectations: next });
+    return expectation;
+  }
+
+  async deleteExpectation(id) {
+    const expectations = await this.getExpectations();
+    await this.writeJSON(this.testsPath, { version: 1, expectations: expectations.filter(item => item.id !== id) });
+  }
+
+  /**
+   * 运行所有期望用例
+   * 结果：passed（符合期望）/ failed（不符合）/ skipped（语义规则未调用 LLM）/ error（规则或章节不存在、规则解析失败等）
+   * @param {Object} options - { rules?, customRules?, useLLM?, llmCaller? }
+   */
+  async runGoldenTests({ rules = null, customRules = null, useLLM = false, llmCaller = null } = {}) {
+    const allRules = rules || (await this.resolveRules(customRules)).rules;
+    const expectations = await this.getExpectations();
+    const results = [];
+
+    for (const expectation of expectations) {
+      const result = {
+        id: expectation.id,
+        rule_id: expectation.rule_id,
+        file_path: expectation.file_path,
+        expect: expectation.expect,
+        note: expectation.note,
+        status: 'error',
+        actual: null,
+        changed: false,
+        violations: [],
+        error: null
+      };
+
+      try {
+        const source = await this.readSource({ text: expectation.text, filePath: expectation.file_path });
+        result.changed = hashText(source) !== expectation.text_hash;
+
+        const run = await this.dryRun({
+          rules: allRules,
+          ruleId: expectation.rule_id,
+          text: source,
+          // 文本未变化时复用保存用例时的抽取结果
+          extraction: result.changed || useLLM
+            ? null
+            : { events: expectation.events || [], stateTransitions: expectation.state_transitions || [] },
+          useLLM,
+          llmCaller
+        });
+
+        if (run.errors.length > 0) {
+          result.error = run.errors[0].message;
+        } else if (run.skipped.includes(expectation.rule_id)) {
+          result.status = 'skipped';
+        } else {
+          result.violations = run.violations.filter(v => v.rule_id === expectation.rule_id);
+          result.actual = result.violations.length > 0 ? 'violate' : 'pass';
+          result.status = result.actual === expectation.expect ? 'passed' : 'failed';
+        }
+      } catch (error) {
+        result.error = error.code === 'ENOENT' ? `章节不存在: ${expectation.file_path}` : error.message;
+      }
+
+      results.push(result);
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      results,
+      summary: {
+        total: results.length,
+        passed: count('passed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        errors: count('error')
+      },
+      ran_at: new Date().toISOString()
+    };
+  }
+
+  // ==================== 规则包 ====================
+
+  /**
+   * 从文件导入规则包（校验不通过时不导入）
+   * @returns {Promise<{valid, errors, warnings, pack}>}
+   */
+  async importPack(filePath) {
+    let pack;
+    try {
+      pack = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`读取规则包失败: ${error.message}`);
+    }
+
+    const metaErrors = validatePackMeta(pack).map(error => ({ index: null, rule_id: null, ...error }));
+    const validation = validateRuleSet(pack);
+    const errors = [...metaErrors, ...validation.errors];
+
+    if (errors.length === 0) {
+      await this.packs.install(pack);
+    }
+    return { valid: errors.length === 0, errors, warnings: validation.warnings, pack: errors.length === 0 ? pack : null };
+  }
+
+  /**
+   * 导出规则包到文件（附带当前工作区的级别覆盖）
+   */
+  async exportPack(packId, filePath) {
+    const pack = await this.packs.export(packId);
+    await this.writeJSON(filePath, pack);
+    return pack;
+  }
+}
+
+module.exports = {
+  RuleWorkbench,
+  validateRuleSet
+};
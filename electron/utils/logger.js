@@ -5,7 +5,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
 
 class Logger {
   constructor() {
@@ -131,6 +130,8 @@ class Logger {
           messages: this.sanitizeMessages(request.messages || []),
           temperature: request.temperature,
           maxTokens: request.maxTokens,
+          attempt: request.attempt || 1,
+          provider: request.provider || null
           // 不记录 API Key
         },
         response: {
@@ -150,7 +151,9 @@ class Logger {
       const status = response.success ? '✅' : '❌';
       const model = request.model || 'unknown';
       const durationStr = duration ? ` (${duration}ms)` : '';
-      console.log(`${status} [LLM] ${model}${durationStr}`);
+      const attemptStr = request.attempt > 1 ? ` [第${request.attempt}次尝试]` : '';
+      const providerStr = request.provider && request.provider !== model ? ` @${request.provider}` : '';
+      console.log(`${status} [LLM] ${model}${providerStr}${attemptStr}${durationStr}`);
       
       if (!response.success && response.error) {
         console.error(`  错误: ${response.error}`);
@@ -174,6 +177,10 @@ class Logger {
     // 请求信息
     lines.push('📤 请求:');
     lines.push(`  模型: ${logContent.request.model}`);
+    if (logContent.request.provider) {
+      lines.push(`  提供方: ${logContent.request.provider}`);
+    }
+    lines.push(`  尝试次数: 第${logContent.request.attempt}次`);
     lines.push(`  API: ${logContent.request.baseUrl}`);
     lines.push(`  Temperature: ${logContent.request.temperature || 'N/A'}`);
     lines.push(`  Max Tokens: ${logContent.request.maxTokens || 'N/A'}`);
@@ -1,10 +1,29 @@
 import { ref } from 'vue';
 import type { TreeNode } from '../utils/fileTree';
+import type { ConsistencyIssue } from './useEditor';
 
 export interface ChatMessage {
   id: number;
   role: 'user' | 'assistant';
   content: string;
+  streaming?: boolean;
+}
+
+// 流式写入器：每次传入截至目前的完整文本，覆盖上一次写入的内容
+export type StreamWriter = (text: string) => void;
+
+// 编辑器中的一致性问题标注
+export interface IssueMarkers {
+  set: (issues: ConsistencyIssue[]) => number;
+  remove: (issueId: number) => void;
+  reveal: (issueId: number) => boolean;
+  apply: (issue: ConsistencyIssue) => boolean;
+}
+
+export interface ConsistencyReport {
+  summary: string;
+  strengths: string[];
+  issues: ConsistencyIssue[];
 }
 
 export function useAI(
@@ -15,7 +34,9 @@ export function useAI(
   getEditorContext: (range: any, beforeChars?: number, afterChars?: number) => { before: string; after: string },
   replaceEditorSelection: (text: string, range?: any) => void,
   insertAtCursor: (text: string) => void,
-  focusEditor: () => void
+  focusEditor: () => void,
+  createStreamWriter: (range?: any) => StreamWriter | null,
+  issueMarkers?: IssueMarkers
 ) {
   const messages = ref<ChatMessage[]>([]);
   const chatInput = ref('');
@@ -30,9 +51,49 @@ export function useAI(
   const showBatchCheckDialog = ref(false);
   const consistencyResult = ref<string>('');
   const consistencySelection = ref<any>(null);
+  const consistencyReport = ref<ConsistencyReport | null>(null);
+  // 本次校验提供给 LLM 的相关内容片段（问题的证据按 ID 对应）
+  const consistencyEvidence = ref<any[]>([]);
 
   let nextMsgId = 1;
+  let nextStreamId = 1;
   let chatAbortController: AbortController | null = null;
+  let activeStreamId: string | null = null;
+
+  // 流式调用 LLM：增量文本通过 onDelta 回调，返回值与 llm.chat 一致（附带 cancelled/partial）
+  const streamChat = async (
+    llmMessages: { role: string; content: string }[],
+    options: Record<string, any>,
+    onDelta: (delta: string, fullText: string) => void
+  ) => {
+    const requestId = `chat_${Date.now()}_${nextStreamId++}`;
+    activeStreamId = requestId;
+    let fullText = '';
+
+    const unsubscribe = window.api.llm.onChunk((data: { requestId: string; delta: string; done: boolean }) => {
+      if (data.requestId !== requestId || !data.delta) return;
+      fullText += data.delta;
+      onDelta(data.delta, fullText);
+    });
+
+    try {
+      return await window.api.llm.chatStream(requestId, selectedModelId.value, llmMessages, options);
+    } finally {
+      unsubscribe();
+      if (activeStreamId === requestId) {
+        activeStreamId = null;
+      }
+    }
+  };
+
+  // 清理模型输出中的标记和多余空行
+  const cleanupOutput = (text: string) => {
+    let cleaned = text.trim();
+    cleaned = cleaned.replace(/^【.*?】\s*/g, '');
+    cleaned = cleaned.replace(/\n【.*?】\s*/g, '\n');
+    cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
+    return cleaned;
+  };
 
   // 文本优化（润色、扩写、精简、续写）
   const optimizeText = async (
@@ -77,25 +138,34 @@ export function useAI(
       
       systemContent += '\n\n请直接返回处理后的文本，不要有任何多余的说明或标记。只返回优化后的核心文本内容。';
       
-      const result = await window.api.llm.chat(
-        selectedModelId.value,
+      // 生成过程中直接在选区位置实时显示
+      const writer = createStreamWriter(range);
+      
+      const result = await streamChat(
         [
           { role: 'system', content: systemContent },
           { role: 'user', content: prompt }
         ],
-        { temperature: 0.7, maxTokens: 2000 }
+        { temperature: 0.7, maxTokens: 2000 },
+        (_delta, fullText) => writer?.(fullText)
       );
       
       if (!result.success || !result.response) {
+        // 失败或取消时还原原文
+        if (writer) {
+          writer(text);
+        }
+        if (result.cancelled) return;
         throw new Error(result.error || '优化失败');
       }
       
-      let optimizedText = result.response.trim();
-      optimizedText = optimizedText.replace(/^【.*?】\s*/g, '');
-      optimizedText = optimizedText.replace(/\n【.*?】\s*/g, '\n');
-      optimizedText = optimizedText.replace(/\n{3,}/g, '\n\n');
+      const optimizedText = cleanupOutput(result.response);
       
-      replaceEditorSelection(optimizedText, range);
+      if (writer) {
+        writer(optimizedText);
+      } else {
+        replaceEditorSelection(optimizedText, range);
+      }
     } catch (e: any) {
       console.error(e);
       showAlert('文本优化失败：' + e.message, '错误', 'danger');
@@ -193,25 +263,33 @@ ${text}
 
 请开始续写：`;
       
-      const continueResult = await window.api.llm.chat(
-        selectedModelId.value,
+      // 续写内容边生成边插入到光标处
+      const writer = createStreamWriter();
+      
+      const continueResult = await streamChat(
         [
           { role: 'system', content: systemContent + '\n\n你现在要基于对故事的理解，自然地续写下文。' },
           { role: 'user', content: continuePrompt }
         ],
-        { temperature: 0.8, maxTokens: 1500 }
+        { temperature: 0.8, maxTokens: 1500 },
+        (_delta, fullText) => writer?.('\n\n' + fullText)
       );
       
       if (!continueResult.success || !continueResult.response) {
+        if (writer) {
+          writer('');
+        }
+        if (continueResult.cancelled) return;
         throw new Error('续写失败：' + (continueResult.error || '未知错误'));
       }
       
-      let continuedText = continueResult.response.trim();
-      continuedText = continuedText.replace(/^【.*?】\s*/g, '');
-      continuedText = continuedText.replace(/\n【.*?】\s*/g, '\n');
-      continuedText = continuedText.replace(/\n{3,}/g, '\n\n');
+      const continuedText = cleanupOutput(continueResult.response);
       
-      insertAtCursor('\n\n' + continuedText);
+      if (writer) {
+        writer('\n\n' + continuedText);
+      } else {
+        insertAtCursor('\n\n' + continuedText);
+      }
       showAlert('智能续写完成！已基于内容理解生成续写内容。', '成功', 'info');
       
     } catch (e: any) {
@@ -290,7 +368,8 @@ ${text}
     text: string,
     workspaceRoot: string,
     currentFilePath: string,
-    selection?: any
+    selection?: any,
+    baseOffset: number = 0
   ) => {
     if (!window.api?.consistency) {
       showAlert('一致性校验功能不可用，请重启应用', '错误', 'danger');
@@ -298,6 +377,8 @@ ${text}
     }
 
     consistencySelection.value = selection || null;
+    consistencyReport.value = null;
+    consistencyEvidence.value = [];
 
     try {
       isChatLoading.value = true;
@@ -307,7 +388,8 @@ ${text}
       const result = await window.api.consistency.check(
         text,
         workspaceRoot,
-        currentFilePath
+        currentFilePath,
+        baseOffset
       );
       
       if (!result.success) {
@@ -315,6 +397,16 @@ ${text}
       }
       
       consistencyResult.value = result.result || '校验完成，但未返回结果';
+      consistencyReport.value = result.report || null;
+      consistencyEvidence.value = result.contextInfo?.similarChunks || [];
+
+      if (currentFilePath) {
+        await loadFileIssues(currentFilePath);
+      }
+
+      if (result.warning) {
+        showAlert(result.warning, '向量索引', 'warning');
+      }
       
       if (result.contextInfo) {
         console.log('一致性校验上下文信息:', result.contextInfo);
@@ -327,6 +419,61 @@ ${text}
     }
   };
 
+  // 在编辑器中标注文件中未处理的校验问题（打开文件、校验完成后调用）
+  const loadFileIssues = async (filePath: string) => {
+    if (!issueMarkers || !window.api?.consistency?.getIssues || !filePath) return;
+    try {
+      const result = await window.api.consistency.getIssues(filePath, 'open');
+      if (result.success) {
+        issueMarkers.set(result.issues || []);
+      }
+    } catch (e) {
+      console.error('加载校验问题失败:', e);
+    }
+  };
+
+  const setIssueStatus = async (issue: ConsistencyIssue, status: 'applied' | 'dismissed') => {
+    const result = await window.api.consistency.setIssueStatus(issue.id, status);
+    if (!result.success) {
+      throw new Error(result.error || '更新问题状态失败');
+    }
+    issue.status = status;
+  };
+
+  // 一键应用问题的修改建议
+  const applyConsistencySuggestion = async (issue: ConsistencyIssue) => {
+    if (!issueMarkers?.apply(issue)) {
+      showAlert('原文已被修改或不在当前打开的文件中，无法自动应用建议', '提示', 'warning');
+      return;
+    }
+    try {
+      await setIssueStatus(issue, 'applied');
+    } catch (e: any) {
+      console.error(e);
+      showAlert(e.message, '错误', 'danger');
+    }
+  };
+
+  // 忽略问题
+  const dismissConsistencyIssue = async (issue: ConsistencyIssue) => {
+    try {
+      await setIssueStatus(issue, 'dismissed');
+      issueMarkers?.remove(issue.id);
+    } catch (e: any) {
+      console.error(e);
+      showAlert(e.message, '错误', 'danger');
+    }
+  };
+
+  // 跳转到问题所在位置
+  const revealConsistencyIssue = (issue: ConsistencyIssue) => {
+    if (issueMarkers?.reveal(issue.id)) {
+      showConsistencyDialog.value = false;
+    } else {
+      showAlert('在当前文件中找不到这段原文', '提示', 'warning');
+    }
+  };
+
   // 一致性修正
   const fixConsistency = async () => {
     if (!window.api?.llm) {
@@ -403,12 +550,15 @@ ${text}
     return `[为保持聚焦，仅展示最近 ${maxChars} 字内容]\n\n${contextText}`;
   };
 
-  // Chat 取消
+  // Chat 取消（同时中断主进程中的流式请求）
   const cancelChat = () => {
     if (chatAbortController) {
       chatAbortController.abort();
       chatAbortController = null;
     }
+    if (activeStreamId && window.api?.llm?.cancelStream) {
+      window.api.llm.cancelStream(activeStreamId);
+    }
     isChatLoading.value = false;
   };
 
@@ -470,29 +620,54 @@ ${text}
         throw new Error('用户取消了操作');
       }
 
-      const result = await window.api.llm.chat(
-        selectedModelId.value,
+      // 收到第一段内容时才创建 AI 消息，之后逐段追加
+      const streaming: { msg: ChatMessage | null } = { msg: null };
+      const dropStreamingMsg = () => {
+        if (streaming.msg && messages.value[messages.value.length - 1] === streaming.msg) {
+          messages.value.pop();
+        }
+      };
+
+      const result = await streamChat(
         llmMessages,
-        { temperature: 0.7, maxTokens: 2000 }
+        { temperature: 0.7, maxTokens: 2000 },
+        (delta) => {
+          if (!streaming.msg) {
+            messages.value.push({
+              id: nextMsgId++,
+              role: 'assistant',
+              content: '',
+              streaming: true
+            });
+            streaming.msg = messages.value[messages.value.length - 1];
+          }
+          streaming.msg.content += delta;
+        }
       );
 
       // 再次检查是否已取消
-      if (signal.aborted) {
+      if (signal.aborted || result.cancelled) {
+        dropStreamingMsg();
         throw new Error('用户取消了操作');
       }
 
       if (!result.success || !result.response) {
+        dropStreamingMsg();
         throw new Error(result.error || '调用 LLM API 失败');
       }
 
       const assistantText = result.response;
 
-      const assistantMsg: ChatMessage = {
-        id: nextMsgId++,
-        role: 'assistant',
-        content: assistantText
-      };
-      messages.value.push(assistantMsg);
+      if (streaming.msg) {
+        streaming.msg.content = assistantText;
+        streaming.msg.streaming = false;
+      } else {
+        messages.value.push({
+          id: nextMsgId++,
+          role: 'assistant',
+          content: assistantText
+        });
+      }
 
       if (insertMode.value === 'replace' && selection) {
         replaceEditorSelection(assistantText, selection.range);
@@ -605,6 +780,8 @@ ${text}
     showBatchCheckDialog,
     consistencyResult,
     consistencySelection,
+    consistencyReport,
+    consistencyEvidence,
     
     // Methods
     optimizeText,
@@ -612,6 +789,10 @@ ${text}
     fixError,
     checkConsistency,
     fixConsistency,
+    loadFileIssues,
+    applyConsistencySuggestion,
+    dismissConsistencyIssue,
+    revealConsistencyIssue,
     sendChat,
     cancelChat,
     deleteMessage,
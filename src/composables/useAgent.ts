@@ -30,7 +30,7 @@ export interface FileChange {
 export interface AgentTask {
   id: string;
   description: string;
-  status: 'analyzing' | 'planning' | 'executing' | 'completed' | 'failed' | 'waiting_confirmation';
+  status: 'analyzing' | 'planning' | 'executing' | 'completed' | 'failed' | 'waiting_confirmation' | 'waiting_clarification';
   changes: FileChange[];
   error?: string;
   // 保存执行结果，用于应用变更后更新记忆
@@ -47,6 +47,12 @@ export interface AgentTask {
     skillResults: any[];
     pendingExecution: any;
   };
+  // 意图不明确时等待用户选择的意图
+  pendingClarification?: {
+    question: string;
+    options: { intent: string; label: string }[];
+    confidence: number;
+  };
 }
 
 export function useAgent(
@@ -168,8 +174,9 @@ export function useAgent(
    * 4. 一致性校验
    * 5. 重写（如果需要）
    * 6. 更新记忆
+   * @param options.intent - 用户指定的意图（回答澄清问题时传入，跳过意图识别）
    */
-  const analyzeRequest = async (userRequest: string): Promise<AgentTask> => {
+  const analyzeRequest = async (userRequest: string, options: { intent?: string } = {}): Promise<AgentTask> => {
     if (!window.api?.novelAgent) {
       throw new Error('Novel Agent API 不可用');
     }
@@ -189,14 +196,16 @@ export function useAgent(
     currentTask.value = task;
     isAgentLoading.value = true;
 
-    // 添加用户消息
-    const userMsg: AgentMessage = {
-      id: nextAgentMsgId++,
-      role: 'user',
-      content: userRequest,
-      timestamp: Date.now()
-    };
-    agentMessages.value.push(userMsg);
+    // 添加用户消息（回答澄清问题时已在 answerClarification 中添加）
+    if (!options.intent) {
+      const userMsg: AgentMessage = {
+        id: nextAgentMsgId++,
+        role: 'user',
+        content: userRequest,
+        timestamp: Date.now()
+      };
+      agentMessages.value.push(userMsg);
+    }
 
     try {
       // 添加系统消息：开始执行
@@ -221,11 +230,39 @@ export function useAgent(
       // 提取目标文件（如果有 @文件名 引用）
       const targetFileName = extractTargetFile(userRequest);
       
+      // 正文生成时的流式输出：实时显示在一条系统消息中，执行结束后移除
+      let draftMsg: AgentMessage | null = null;
+      const unsubscribeDraft = window.api.llm?.onChunk
+        ? window.api.llm.onChunk((data: { requestId: string; delta: string }) => {
+            if (data.requestId !== 'novelAgent' || !data.delta) return;
+            if (!draftMsg) {
+              agentMessages.value.push({
+                id: nextAgentMsgId++,
+                role: 'system',
+                content: '✍️ 正在生成正文...\n\n',
+                timestamp: Date.now()
+              });
+              draftMsg = agentMessages.value[agentMessages.value.length - 1];
+            }
+            draftMsg.content += data.delta;
+          })
+        : null;
+
       // 步骤 2-6: 调用 Novel Agent 执行
-      const result = await window.api.novelAgent.execute({
-        userRequest: userRequest,
-        targetFile: targetFileName || undefined // 如果有目标文件，传递给 Agent
-      });
+      let result: any;
+      try {
+        result = await window.api.novelAgent.execute({
+          userRequest: userRequest,
+          targetFile: targetFileName || undefined, // 如果有目标文件，传递给 Agent
+          intent: options.intent
+        });
+      } finally {
+        unsubscribeDraft?.();
+        const draftIndex = agentMessages.value.findIndex(msg => msg === draftMsg);
+        if (draftIndex !== -1) {
+          agentMessages.value.splice(draftIndex, 1);
+        }
+      }
 
       if (!result.success) {
         throw new Error(result.error || 'Novel Agent 执行失败');
@@ -258,6 +295,37 @@ export function useAgent(
         return task;
       }
 
+      // 意图不明确：显示澄清问题，由用户选择意图后重新执行
+      if (result.requiresUserConfirmation && result.confirmationType === 'clarification') {
+        task.status = 'waiting_clarification';
+        task.pendingClarification = {
+          question: result.clarification.question,
+          options: result.clarification.options,
+          confidence: result.confidence
+        };
+
+        agentMessages.value.push({
+          id: nextAgentMsgId++,
+          role: 'assistant',
+          content: `🤔 ${result.clarification.question}`,
+          timestamp: Date.now()
+        });
+        return task;
+      }
+
+      // 总结、头脑风暴、人物小传：直接显示资料，不产生文件变更
+      if (result.note) {
+        task.status = 'completed';
+        agentMessages.value.push({
+          id: nextAgentMsgId++,
+          role: 'assistant',
+          content: result.note.content,
+          timestamp: Date.now()
+        });
+        taskHistory.value.push(task);
+        return task;
+      }
+
       // 解析结果，转换为 FileChange 格式
       const changes: FileChange[] = [];
 
@@ -531,6 +599,25 @@ export function useAgent(
     currentDiff.value = null;
   };
 
+  /**
+   * 回答澄清问题：按用户选择的意图重新执行原请求
+   * @param task - 等待澄清的任务
+   * @param intent - 用户选择的意图
+   */
+  const answerClarification = async (task: AgentTask, intent: string): Promise<AgentTask> => {
+    const option = task.pendingClarification?.options.find(item => item.intent === intent);
+    task.pendingClarification = undefined;
+
+    agentMessages.value.push({
+      id: nextAgentMsgId++,
+      role: 'user',
+      content: option?.label || intent,
+      timestamp: Date.now()
+    });
+
+    return analyzeRequest(task.description, { intent });
+  };
+
   /**
    * 确认大纲并继续执行
    * @param task - 待确认的任务
@@ -722,6 +809,7 @@ export function useAgent(
     resetAgent,
     cancelAgent,
     setNovelAgentRef,
-    confirmOutlineAndContinue
+    confirmOutlineAndContinue,
+    answerClarification
   };
 }
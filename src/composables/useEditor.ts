@@ -5,6 +5,20 @@ export interface EditorPosition {
   column: number;
 }
 
+// 一致性校验问题（与 consistency_issues 表的行一致，偏移量相对于校验时的文件内容）
+export interface ConsistencyIssue {
+  id: number;
+  type: string;
+  severity: 'error' | 'warning' | 'info';
+  quote: string;
+  start_offset: number | null;
+  end_offset: number | null;
+  description: string;
+  suggestion: string | null;
+  evidence_ids: number[];
+  status: 'open' | 'applied' | 'dismissed';
+}
+
 export function useEditor() {
   const editorEl = ref<HTMLElement | null>(null);
   const cursorInfo = ref('1:1');
@@ -15,6 +29,8 @@ export function useEditor() {
   let editorInstance: any = null;
   let monacoLoaderScript: HTMLScriptElement | null = null;
   let lastCursorPosition: EditorPosition | null = null;
+  // 问题 ID -> 装饰 ID（装饰会随编辑自动移动，应用建议时以装饰的当前位置为准）
+  const issueDecorations = new Map<number, string>();
 
   // 加载 Monaco 编辑器
   const loadMonaco = () => {
@@ -65,7 +81,8 @@ export function useEditor() {
       contextmenu: false,
       wordWrap: 'on',
       wrappingIndent: 'indent',
-      scrollBeyondLastLine: false
+      scrollBeyondLastLine: false,
+      glyphMargin: true
     });
 
     // 光标位置变化事件
@@ -108,12 +125,20 @@ export function useEditor() {
     return editorInstance.getModel()?.getValue() || '';
   };
 
-  // 设置编辑器内容
+  // 设置编辑器内容（切换文件时，旧文件的问题标注一并清除）
   const setContent = (content: string) => {
     if (!editorInstance) return;
+    clearIssueMarkers();
     editorInstance.getModel()?.setValue(content);
   };
 
+  // 获取选区起点在全文中的偏移量
+  const getRangeOffset = (range: any): number => {
+    const model = editorInstance?.getModel();
+    if (!model || !range) return 0;
+    return model.getOffsetAt({ lineNumber: range.startLineNumber, column: range.startColumn });
+  };
+
   // 获取选中的文本
   const getSelection = (): { text: string; range: any } | null => {
     if (!editorInstance) return null;
@@ -168,6 +193,44 @@ export function useEditor() {
     }]);
   };
 
+  // 创建流式写入器：从选区（或光标处）开始，每次用最新的完整文本替换上一次写入的内容
+  const createStreamWriter = (range?: any) => {
+    if (!editorInstance) return null;
+    
+    const model = editorInstance.getModel();
+    if (!model) return null;
+    
+    let start = range
+      ? { lineNumber: range.startLineNumber, column: range.startColumn }
+      : editorInstance.getPosition() || lastCursorPosition;
+    
+    if (!start) {
+      const lineCount = model.getLineCount();
+      start = { lineNumber: lineCount, column: model.getLineMaxColumn(lineCount) };
+    }
+    
+    // 用偏移量记录写入区间，避免多次编辑后行列号失效
+    const startOffset = model.getOffsetAt(start);
+    let endOffset = range
+      ? model.getOffsetAt({ lineNumber: range.endLineNumber, column: range.endColumn })
+      : startOffset;
+    
+    const monaco = (window as any).monaco;
+    return (text: string) => {
+      if (!editorInstance || editorInstance.getModel() !== model) return;
+      
+      const from = model.getPositionAt(startOffset);
+      const to = model.getPositionAt(endOffset);
+      editorInstance.executeEdits('stream', [{
+        range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+        text,
+        forceMoveMarkers: true
+      }]);
+      // 模型会把换行统一成自身的 EOL，长度按转换后的文本计算
+      endOffset = startOffset + text.replace(/\r?\n/g, model.getEOL()).length;
+    };
+  };
+
   // 获取上下文文本（选中文本前后的内容）
   const getContextText = (range: any, beforeChars: number = 500, afterChars: number = 500) => {
     if (!editorInstance) return { before: '', after: '' };
@@ -194,6 +257,108 @@ export function useEditor() {
     return { before: beforeText, after: afterText };
   };
 
+  // 在当前内容中找到问题对应的原文：优先使用记录的偏移量，内容变动后按原文就近查找
+  const locateIssue = (model: any, issue: ConsistencyIssue) => {
+    if (!issue.quote) return null;
+    const text = model.getValue();
+    const hint = issue.start_offset ?? 0;
+    if (issue.start_offset !== null && text.substr(issue.start_offset, issue.quote.length) === issue.quote) {
+      return { start: issue.start_offset, end: issue.start_offset + issue.quote.length };
+    }
+
+    let best = -1;
+    let at = text.indexOf(issue.quote);
+    while (at !== -1) {
+      if (best === -1 || Math.abs(at - hint) < Math.abs(best - hint)) best = at;
+      at = text.indexOf(issue.quote, at + 1);
+    }
+    return best === -1 ? null : { start: best, end: best + issue.quote.length };
+  };
+
+  // 标注一致性问题（波浪线 + 行号旁标记），返回成功定位的问题数
+  const setIssueMarkers = (issues: ConsistencyIssue[]): number => {
+    clearIssueMarkers();
+    const model = editorInstance?.getModel();
+    if (!model) return 0;
+
+    const monaco = (window as any).monaco;
+    const located: { issue: ConsistencyIssue; range: any }[] = [];
+    for (const issue of issues) {
+      if (issue.status !== 'open') continue;
+      const location = locateIssue(model, issue);
+      if (!location) continue;
+      const from = model.getPositionAt(location.start);
+      const to = model.getPositionAt(location.end);
+      located.push({ issue, range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column) });
+    }
+
+    const ids: string[] = editorInstance.deltaDecorations([], located.map(({ issue, range }) => ({
+      range,
+      options: {
+        className: `consistency-issue consistency-issue-${issue.severity}`,
+        glyphMarginClassName: `consistency-glyph consistency-glyph-${issue.severity}`,
+        hoverMessage: {
+          value: issue.suggestion !== null
+            ? `${issue.description}\n\n建议修改：${issue.suggestion || '（删除）'}`
+            : issue.description
+        },
+        stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+      }
+    })));
+    located.forEach(({ issue }, idx) => issueDecorations.set(issue.id, ids[idx]));
+    return located.length;
+  };
+
+  // 移除单个问题的标注
+  const removeIssueMarker = (issueId: number) => {
+    const decorationId = issueDecorations.get(issueId);
+    if (!decorationId) return;
+    editorInstance?.deltaDecorations([decorationId], []);
+    issueDecorations.delete(issueId);
+  };
+
+  // 清除所有问题标注
+  const clearIssueMarkers = () => {
+    if (editorInstance && issueDecorations.size > 0) {
+      editorInstance.deltaDecorations([...issueDecorations.values()], []);
+    }
+    issueDecorations.clear();
+  };
+
+  // 获取问题标注的当前范围（已不存在时返回 null）
+  const getIssueRange = (issueId: number) => {
+    const decorationId = issueDecorations.get(issueId);
+    const model = editorInstance?.getModel();
+    if (!decorationId || !model) return null;
+    return model.getDecorationRange(decorationId);
+  };
+
+  // 跳转到问题所在位置并选中
+  const revealIssue = (issueId: number): boolean => {
+    const range = getIssueRange(issueId);
+    if (!range) return false;
+    editorInstance.revealRangeInCenter(range);
+    editorInstance.setSelection(range);
+    editorInstance.focus();
+    return true;
+  };
+
+  // 应用问题的修改建议：标注范围内的文本仍是原文时才替换
+  const applyIssueSuggestion = (issue: ConsistencyIssue): boolean => {
+    const range = getIssueRange(issue.id);
+    const model = editorInstance?.getModel();
+    if (!range || !model || issue.suggestion === null) return false;
+    if (model.getValueInRange(range) !== issue.quote) return false;
+
+    editorInstance.executeEdits('consistency-fix', [{
+      range,
+      text: issue.suggestion,
+      forceMoveMarkers: true
+    }]);
+    removeIssueMarker(issue.id);
+    return true;
+  };
+
   // 隐藏右键菜单
   const hideMenu = () => {
     showMenu.value = false;
@@ -208,6 +373,7 @@ export function useEditor() {
 
   // 清理编辑器
   const dispose = () => {
+    issueDecorations.clear();
     if (editorInstance) {
       editorInstance.dispose();
       editorInstance = null;
@@ -235,7 +401,14 @@ export function useEditor() {
     getSelection,
     replaceSelection,
     insertAtCursor,
+    createStreamWriter,
     getContextText,
+    getRangeOffset,
+    setIssueMarkers,
+    removeIssueMarker,
+    clearIssueMarkers,
+    revealIssue,
+    applyIssueSuggestion,
     hideMenu,
     focus,
     dispose
@@ -66,6 +66,41 @@ interface Foreshadow {
   };
 }
 
+export interface RelationshipEdge {
+  id: string;
+  source: string;
+  target: string;
+  type: string;
+  intensity: number | null;
+  evidence: string;
+  chapter: number | null;
+  origin?: string;
+  recorded_at?: string;
+}
+
+export interface RelationshipGraph {
+  nodes: Array<{ id: string; name: string; role: string; degree: number }>;
+  edges: Array<RelationshipEdge & {
+    history: Array<{ type: string; intensity: number | null; chapter: number | null }>;
+  }>;
+}
+
+export interface RelationshipChange extends RelationshipEdge {
+  previous: { type: string; intensity: number | null; chapter: number | null } | null;
+}
+
+export interface ReviewItem {
+  id: string;
+  source: 'inference' | 'extract';
+  kind: 'fact' | 'relationship';
+  chapter: number;
+  claim: string;
+  quote: string;
+  certainty: number;
+  candidate: Record<string, any>;
+  effect_id: string | null;
+}
+
 interface PlotEvent {
   name: string;
   chapter: number;
@@ -81,6 +116,9 @@ export function useMemory() {
   const isUpdating = ref(false); // 是否正在更新记忆
   const error = ref<string>('');
   const initialized = ref(false);
+  const relationshipGraph = ref<RelationshipGraph>({ nodes: [], edges: [] });
+  const relationshipChanges = ref<RelationshipChange[]>([]);
+  const reviewItems = ref<ReviewItem[]>([]);
 
   // 初始化记忆系统
   const initMemory = async (workspaceRoot: string) => {
@@ -297,6 +335,52 @@ export function useMemory() {
     }
   };
 
+  // 获取人物关系图谱（asOfChapter 为空时为最新关系）
+  const getRelationshipGraph = async (asOfChapter: number | null = null) => {
+    if (!window.api?.memory) {
+      error.value = 'Memory API 不可用';
+      return relationshipGraph.value;
+    }
+
+    try {
+      const result = await window.api.memory.getRelationshipGraph(asOfChapter);
+
+      if (result.success) {
+        relationshipGraph.value = result.graph || { nodes: [], edges: [] };
+      } else {
+        error.value = result.error || '获取关系图谱失败';
+      }
+
+      return relationshipGraph.value;
+    } catch (err: any) {
+      error.value = err.message || '获取关系图谱失败';
+      return relationshipGraph.value;
+    }
+  };
+
+  // 获取章节区间内的关系变化
+  const getRelationshipChanges = async (options: { fromChapter?: number | null; toChapter?: number | null; character?: string | null } = {}) => {
+    if (!window.api?.memory) {
+      error.value = 'Memory API 不可用';
+      return [];
+    }
+
+    try {
+      const result = await window.api.memory.getRelationshipChanges(options);
+
+      if (result.success) {
+        relationshipChanges.value = result.changes || [];
+      } else {
+        error.value = result.error || '获取关系变化失败';
+      }
+
+      return relationshipChanges.value;
+    } catch (err: any) {
+      error.value = err.message || '获取关系变化失败';
+      return [];
+    }
+  };
+
   // 添加剧情事件
   const addPlotEvent = async (eventData: PlotEvent) => {
     if (!window.api?.memory) {
@@ -453,6 +537,57 @@ export function useMemory() {
     }
   };
 
+  // 获取低置信度断言的审核队列
+  const getReviewQueue = async (chapter: number | null = null) => {
+    if (!window.api?.memory) {
+      error.value = 'Memory API 不可用';
+      return [];
+    }
+
+    try {
+      const result = await window.api.memory.getReviewQueue(chapter ? { chapter } : {});
+
+      if (result.success) {
+        reviewItems.value = result.items || [];
+      } else {
+        error.value = result.error || '获取审核队列失败';
+      }
+
+      return reviewItems.value;
+    } catch (err: any) {
+      error.value = err.message || '获取审核队列失败';
+      return [];
+    }
+  };
+
+  // 审核操作（确认 / 拒绝 / 修改）完成后刷新队列
+  const reviewItem = async (action: 'confirm' | 'reject' | 'edit', itemId: string, changes: Record<string, any> = {}) => {
+    if (!window.api?.memory) {
+      error.value = 'Memory API 不可用';
+      return { success: false, error: error.value };
+    }
+
+    try {
+      let result;
+      if (action === 'confirm') {
+        result = await window.api.memory.confirmReviewItem(itemId, changes);
+      } else if (action === 'reject') {
+        result = await window.api.memory.rejectReviewItem(itemId);
+      } else {
+        result = await window.api.memory.editReviewItem(itemId, changes);
+      }
+
+      if (!result.success) {
+        error.value = result.error || '审核失败';
+      }
+      await getReviewQueue();
+      return result;
+    } catch (err: any) {
+      error.value = err.message || '审核失败';
+      return { success: false, error: error.value };
+    }
+  };
+
   // Computed
   const hasMemory = computed(() => memorySummary.value !== null);
   const characterCount = computed(() => characters.value.length);
@@ -467,6 +602,9 @@ export function useMemory() {
     isUpdating,
     error,
     initialized,
+    relationshipGraph,
+    relationshipChanges,
+    reviewItems,
 
     // Computed
     hasMemory,
@@ -482,6 +620,10 @@ export function useMemory() {
     getAllCharacters,
     addForeshadow,
     getPendingForeshadows,
+    getRelationshipGraph,
+    getRelationshipChanges,
+    getReviewQueue,
+    reviewItem,
     addPlotEvent,
     updateWorldRules,
     exportMemory,
@@ -14,6 +14,7 @@ declare global {
 interface AgentRequest {
   userRequest: string;
   vectorResults?: any[];
+  pluginGoals?: string[] | boolean; // 把这些插件产生的状态加入目标（true 表示全部插件）
 }
 
 interface AgentResult {
@@ -37,7 +38,17 @@ interface AgentResult {
   error?: string;
   // 新增字段
   requiresUserConfirmation?: boolean;
-  confirmationType?: 'outline';
+  confirmationType?: 'outline' | 'clarification';
+  confidence?: number;
+  clarification?: {
+    question: string;
+    options: { intent: string; label: string }[];
+  };
+  note?: {
+    type: string;
+    title: string;
+    content: string;
+  };
   outline?: string;
   scenes?: any[];
   rewritePlan?: string;
@@ -80,8 +91,17 @@ export function useNovelAgent() {
     initializationProgress.value = '正在初始化 Agent...';
 
     try {
-      const result = await window.api.novelAgent.init(workspaceRoot);
-      
+      let result = await window.api.novelAgent.init(workspaceRoot);
+
+      // 工作区带有 Skill 插件但尚未信任：插件会以完整权限运行，由用户确认后再加载
+      const blocked: string[] = result.success ? result.blockedSkillPlugins || [] : [];
+      if (blocked.length > 0 && confirm(`当前工作区包含 Skill 插件：\n${blocked.join('\n')}\n\n插件代码拥有完整的系统权限，只应信任你自己编写或确认来源的插件。是否信任并加载？`)) {
+        const trustResult = await window.api.novelAgent.setSkillPluginsTrusted(workspaceRoot, true);
+        if (trustResult.success) {
+          result = await window.api.novelAgent.init(workspaceRoot);
+        }
+      }
+
       if (result.success) {
         initialized.value = true;
         agentState.value = 'idle';
@@ -1,6 +1,6 @@
 /**
  * useRules - 规则系统管理 Composable
- * 管理一致性校验规则
+ * 编辑工作区自定义 DSL 规则，校验、试运行，管理期望用例（golden）和规则包
  */
 
 import { ref, computed } from 'vue';
@@ -11,167 +11,475 @@ declare global {
   }
 }
 
-interface Rule {
+export type RuleScope = 'WORLD' | 'CHARACTER' | 'HISTORY' | 'INTENT' | 'ARC';
+export type RuleLevel = 'FATAL' | 'ERROR' | 'WARN';
+export type PackSeverity = RuleLevel | 'OFF';
+
+export interface DSLRule {
+  id: string;
+  name?: string;
+  scope?: RuleScope;
+  type?: string;
+  assert: any;
+  level?: RuleLevel;
+  message?: string;
+  suggestion?: string;
+  enabled?: boolean;
+  semantic?: boolean;
+  pack?: string; // 规则来源的规则包（default / custom / 规则包 id）
+}
+
+export interface RuleSet {
+  version?: string;
+  description?: string;
+  rules: DSLRule[];
+}
+
+export interface RulePack {
   id: string;
-  type: string;
   name: string;
+  version: string;
+  genre: string | null;
   description: string;
+  source: 'builtin' | 'workspace';
+  rules: DSLRule[];
   enabled: boolean;
-  severity: 'low' | 'medium' | 'high' | 'critical';
-  condition: any;
-  error_message: string;
+  order: number | null;
+  severity: Record<string, PackSeverity>;
+}
+
+export interface RuleConflict {
+  rule_id: string;
+  winner: string;
+  overridden: string;
+}
+
+export interface RuleValidationError {
+  index: number | null;
+  rule_id: string | null;
+  field: string | null;
+  message: string;
+}
+
+export interface RuleValidation {
+  valid: boolean;
+  errors: RuleValidationError[];
+  warnings: RuleValidationError[];
+}
+
+export interface RuleViolation {
+  rule_id: string;
+  rule_name: string;
+  level: RuleLevel;
+  scope: RuleScope;
+  message: string;
   suggestion: string;
+  matched_condition: string;
+  location?: string;
+  character?: string;
+  state_transition?: string;
+  source?: string;
+  pack?: string;
+}
+
+export interface DryRunResult {
+  violations: RuleViolation[];
+  events: any[];
+  stateTransitions: any[];
+  skipped: string[];
+  errors: { rule_id: string; message: string }[];
+  textHash: string;
+}
+
+export interface RuleExpectation {
+  id: string;
+  rule_id: string;
+  file_path: string | null;
+  text: string | null;
+  expect: 'violate' | 'pass';
+  note: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface GoldenResult {
+  id: string;
+  rule_id: string;
+  file_path: string | null;
+  expect: 'violate' | 'pass';
+  note: string;
+  status: 'passed' | 'failed' | 'skipped' | 'error';
+  actual: 'violate' | 'pass' | null;
+  changed: boolean;
+  violations: RuleViolation[];
+  error: string | null;
+}
+
+export interface GoldenReport {
+  results: GoldenResult[];
+  summary: { total: number; passed: number; failed: number; skipped: number; errors: number };
+  ran_at: string;
 }
 
-interface RuleStats {
-  total: number;
-  by_type: Record<string, number>;
-  by_severity: Record<string, number>;
+export interface DryRunOptions {
+  ruleId?: string | null;
+  filePath?: string | null;
+  text?: string | null;
+  useLLM?: boolean;
 }
 
 export function useRules() {
-  const rules = ref<Rule[]>([]);
-  const stats = ref<RuleStats | null>(null);
+  const defaultRules = ref<RuleSet>({ rules: [] });
+  const baseRules = ref<DSLRule[]>([]); // 默认规则 + 已启用规则包合并后的规则
+  const packs = ref<RulePack[]>([]);
+  const conflicts = ref<RuleConflict[]>([]);
+  const packImportValidation = ref<RuleValidation | null>(null); // 最近一次导入规则包的校验结果
+  const draft = ref(''); // 自定义规则的 JSON 文本（编辑中）
+  const savedDraft = ref('');
+  const validation = ref<RuleValidation | null>(null);
+  const dryRunResult = ref<DryRunResult | null>(null);
+  const expectations = ref<RuleExpectation[]>([]);
+  const goldenReport = ref<GoldenReport | null>(null);
   const isLoading = ref(false);
+  const isRunning = ref(false);
   const error = ref<string>('');
 
-  // 获取所有规则
-  const getAllRules = async () => {
+  // 解析编辑中的规则，JSON 语法错误时返回 null
+  const parsedDraft = computed<{ ruleSet: RuleSet | null; error: string }>(() => {
+    if (!draft.value.trim()) {
+      return { ruleSet: { rules: [] }, error: '' };
+    }
+    try {
+      return { ruleSet: JSON.parse(draft.value), error: '' };
+    } catch (err: any) {
+      return { ruleSet: null, error: `JSON 格式错误：${err.message}` };
+    }
+  });
+
+  const customRules = computed<DSLRule[]>(() =>
+    Array.isArray(parsedDraft.value.ruleSet?.rules) ? parsedDraft.value.ruleSet!.rules : []
+  );
+
+  // 合并后的规则 + 编辑中的自定义规则（同 ID 时自定义规则生效，与主进程的合并顺序一致）
+  const allRules = computed<DSLRule[]>(() => {
+    const customIds = new Set(customRules.value.map(rule => rule.id));
+    return [
+      ...baseRules.value.filter(rule => !customIds.has(rule.id)),
+      ...customRules.value.map(rule => ({ ...rule, pack: 'custom' }))
+    ];
+  });
+
+  const isDirty = computed(() => draft.value !== savedDraft.value);
+
+  const requireApi = () => {
     if (!window.api?.rules) {
       error.value = 'Rules API 不可用';
-      return [];
+      return false;
     }
+    return true;
+  };
+
+  // 加载规则和期望用例
+  const load = async (workspaceRoot: string) => {
+    if (!workspaceRoot || !requireApi()) return;
 
     isLoading.value = true;
     error.value = '';
 
     try {
-      const result = await window.api.rules.getAll();
-      
-      if (result.success) {
-        rules.value = result.rules || [];
-      } else {
+      const result = await window.api.rules.getRuleSets(workspaceRoot);
+      if (!result.success) {
         error.value = result.error || '获取规则失败';
+        return;
       }
+      applyRuleSets(result);
+      draft.value = JSON.stringify(result.customRules || { rules: [] }, null, 2);
+      savedDraft.value = draft.value;
+      validation.value = result.validation || null;
 
-      return rules.value;
+      await loadExpectations(workspaceRoot);
     } catch (err: any) {
       error.value = err.message || '获取规则失败';
-      return [];
     } finally {
       isLoading.value = false;
     }
   };
 
-  // 重新加载规则
-  const reloadRules = async () => {
-    if (!window.api?.rules) {
-      error.value = 'Rules API 不可用';
-      return { success: false, error: error.value };
+  const applyRuleSets = (result: any) => {
+    defaultRules.value = result.defaultRules || { rules: [] };
+    baseRules.value = result.baseRules || [];
+    packs.value = result.packs || [];
+    conflicts.value = result.conflicts || [];
+  };
+
+  // 规则包变化后只刷新规则包和合并后的规则，不覆盖编辑中的自定义规则
+  const refreshPacks = async (workspaceRoot: string) => {
+    const result = await window.api.rules.getRuleSets(workspaceRoot);
+    if (result.success) {
+      applyRuleSets(result);
+    } else {
+      error.value = result.error || '获取规则包失败';
+    }
+  };
+
+  const loadExpectations = async (workspaceRoot: string) => {
+    const result = await window.api.rules.getExpectations(workspaceRoot);
+    if (result.success) {
+      expectations.value = result.expectations || [];
+    } else {
+      error.value = result.error || '获取期望用例失败';
     }
+  };
 
-    isLoading.value = true;
-    error.value = '';
+  // 校验编辑中的规则
+  const validateDraft = async (workspaceRoot: string) => {
+    if (!requireApi()) return null;
+    error.value = parsedDraft.value.error;
+    if (!parsedDraft.value.ruleSet) {
+      validation.value = null;
+      return null;
+    }
+
+    const result = await window.api.rules.validate(workspaceRoot, parsedDraft.value.ruleSet);
+    if (result.success) {
+      validation.value = result.validation;
+    } else {
+      error.value = result.error || '校验失败';
+    }
+    return validation.value;
+  };
+
+  // 保存编辑中的规则（校验通过后写入 rules/dsl-rules.json，主进程随后自动运行期望用例）
+  const saveDraft = async (workspaceRoot: string) => {
+    if (!requireApi()) return false;
+    error.value = parsedDraft.value.error;
+    if (!parsedDraft.value.ruleSet) return false;
+
+    const result = await window.api.rules.saveRuleSet(workspaceRoot, parsedDraft.value.ruleSet);
+    if (result.validation) {
+      validation.value = result.validation;
+    }
+    if (!result.success) {
+      error.value = result.error || '保存规则失败';
+      return false;
+    }
+    savedDraft.value = draft.value;
+    return true;
+  };
 
+  // 试运行规则
+  const dryRun = async (workspaceRoot: string, options: DryRunOptions) => {
+    if (!requireApi()) return null;
+    error.value = parsedDraft.value.error;
+    if (!parsedDraft.value.ruleSet) return null;
+
+    isRunning.value = true;
     try {
-      const result = await window.api.rules.reload();
-      
-      if (result.success) {
-        // 重新获取规则列表
-        await getAllRules();
-        await getStats();
-      } else {
-        error.value = result.error || '重新加载规则失败';
+      const result = await window.api.rules.dryRun(workspaceRoot, {
+        ...options,
+        customRules: JSON.parse(JSON.stringify(customRules.value))
+      });
+      if (!result.success) {
+        error.value = result.error || '试运行失败';
+        return null;
       }
-
-      return result;
+      dryRunResult.value = {
+        violations: result.violations,
+        events: result.events,
+        stateTransitions: result.stateTransitions,
+        skipped: result.skipped,
+        errors: result.errors,
+        textHash: result.textHash
+      };
+      return dryRunResult.value;
     } catch (err: any) {
-      error.value = err.message || '重新加载规则失败';
-      return { success: false, error: error.value };
+      error.value = err.message || '试运行失败';
+      return null;
     } finally {
-      isLoading.value = false;
+      isRunning.value = false;
     }
   };
 
-  // 获取规则统计
-  const getStats = async () => {
-    if (!window.api?.rules) {
-      error.value = 'Rules API 不可用';
+  // 把试运行的对象保存为期望用例（复用试运行时抽取的事件）
+  const saveExpectation = async (
+    workspaceRoot: string,
+    expectation: { rule_id: string; filePath?: string | null; text?: string | null; expect: 'violate' | 'pass'; note?: string }
+  ) => {
+    if (!requireApi()) return null;
+
+    const extraction = dryRunResult.value
+      ? { events: dryRunResult.value.events, stateTransitions: dryRunResult.value.stateTransitions }
+      : null;
+    const result = await window.api.rules.saveExpectation(workspaceRoot, JSON.parse(JSON.stringify({ ...expectation, extraction })));
+    if (!result.success) {
+      error.value = result.error || '保存期望用例失败';
       return null;
     }
+    await loadExpectations(workspaceRoot);
+    return result.expectation as RuleExpectation;
+  };
+
+  const deleteExpectation = async (workspaceRoot: string, id: string) => {
+    if (!requireApi()) return;
+    const result = await window.api.rules.deleteExpectation(workspaceRoot, id);
+    if (!result.success) {
+      error.value = result.error || '删除期望用例失败';
+      return;
+    }
+    expectations.value = expectations.value.filter(item => item.id !== id);
+    if (goldenReport.value) {
+      goldenReport.value = {
+        ...goldenReport.value,
+        results: goldenReport.value.results.filter(item => item.id !== id)
+      };
+    }
+  };
+
+  // 用编辑中的规则运行期望用例
+  const runGoldenTests = async (workspaceRoot: string, useLLM = false) => {
+    if (!requireApi()) return null;
+    error.value = parsedDraft.value.error;
+    if (!parsedDraft.value.ruleSet) return null;
 
+    isRunning.value = true;
     try {
-      const result = await window.api.rules.getStats();
-      
-      if (result.success) {
-        stats.value = result.stats;
-      } else {
-        error.value = result.error || '获取统计失败';
+      const result = await window.api.rules.runGoldenTests(workspaceRoot, {
+        customRules: JSON.parse(JSON.stringify(customRules.value)),
+        useLLM
+      });
+      if (!result.success) {
+        error.value = result.error || '运行期望用例失败';
+        return null;
       }
-
-      return stats.value;
+      goldenReport.value = { results: result.results, summary: result.summary, ran_at: result.ran_at };
+      return goldenReport.value;
     } catch (err: any) {
-      error.value = err.message || '获取规则统计失败';
+      error.value = err.message || '运行期望用例失败';
       return null;
+    } finally {
+      isRunning.value = false;
     }
   };
 
-  // Computed
-  const ruleCount = computed(() => rules.value.length);
-  
-  const enabledRules = computed(() => 
-    rules.value.filter(r => r.enabled)
-  );
-  
-  const rulesByType = computed(() => {
-    const grouped: Record<string, Rule[]> = {};
-    for (const rule of rules.value) {
-      if (!grouped[rule.type]) {
-        grouped[rule.type] = [];
+  // ==================== 规则包 ====================
+
+  // 调用规则包接口，成功后刷新规则包列表
+  const updatePacks = async (workspaceRoot: string, action: () => Promise<any>, failure: string) => {
+    if (!requireApi()) return false;
+    try {
+      const result = await action();
+      if (!result.success) {
+        if (!result.canceled) {
+          error.value = result.error || failure;
+        }
+        return false;
       }
-      grouped[rule.type].push(rule);
+      error.value = '';
+      await refreshPacks(workspaceRoot);
+      return true;
+    } catch (err: any) {
+      error.value = err.message || failure;
+      return false;
     }
-    return grouped;
-  });
+  };
+
+  const setPackEnabled = (workspaceRoot: string, packId: string, enabled: boolean) =>
+    updatePacks(workspaceRoot, () => window.api.rules.setPackEnabled(workspaceRoot, packId, enabled), '切换规则包失败');
+
+  const setPackSeverity = (workspaceRoot: string, packId: string, ruleId: string, level: PackSeverity | null) =>
+    updatePacks(workspaceRoot, () => window.api.rules.setPackSeverity(workspaceRoot, packId, ruleId, level), '修改规则级别失败');
+
+  // 调整已启用规则包的加载顺序（越靠后优先级越高）
+  const movePack = (workspaceRoot: string, packId: string, offset: -1 | 1) => {
+    const ids = packs.value.filter(pack => pack.enabled).map(pack => pack.id);
+    const index = ids.indexOf(packId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= ids.length) return Promise.resolve(false);
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    return updatePacks(workspaceRoot, () => window.api.rules.reorderPacks(workspaceRoot, ids), '调整顺序失败');
+  };
 
-  const rulesBySeverity = computed(() => {
-    const grouped: Record<string, Rule[]> = {};
-    for (const rule of rules.value) {
-      if (!grouped[rule.severity]) {
-        grouped[rule.severity] = [];
+  // 导入规则包，校验结果保存在 packImportValidation 中
+  const importPack = (workspaceRoot: string) =>
+    updatePacks(workspaceRoot, async () => {
+      const result = await window.api.rules.importPack(workspaceRoot);
+      if (!result.canceled) {
+        packImportValidation.value = result.errors
+          ? { valid: result.valid, errors: result.errors, warnings: result.warnings || [] }
+          : null;
       }
-      grouped[rule.severity].push(rule);
-    }
-    return grouped;
-  });
+      return result;
+    }, '导入规则包失败');
+
+  const exportPack = (workspaceRoot: string, packId: string) =>
+    updatePacks(workspaceRoot, () => window.api.rules.exportPack(workspaceRoot, packId), '导出规则包失败');
+
+  const removePack = (workspaceRoot: string, packId: string) =>
+    updatePacks(workspaceRoot, () => window.api.rules.removePack(workspaceRoot, packId), '删除规则包失败');
+
+  // 监听规则变化后主进程自动运行的回归结果
+  const listenGoldenResults = (workspaceRoot: () => string) => {
+    if (!window.api?.rules?.onGoldenResults) return () => {};
+    return window.api.rules.onGoldenResults((data: GoldenReport & { workspaceRoot: string }) => {
+      if (data.workspaceRoot !== workspaceRoot()) return;
+      goldenReport.value = { results: data.results, summary: data.summary, ran_at: data.ran_at };
+    });
+  };
+
+  // Computed
+  const ruleCount = computed(() => allRules.value.length);
 
-  const criticalRules = computed(() => 
-    rules.value.filter(r => r.severity === 'critical')
+  const enabledRules = computed(() =>
+    allRules.value.filter(r => r.enabled !== false)
   );
 
-  const highRules = computed(() => 
-    rules.value.filter(r => r.severity === 'high')
+  const semanticRules = computed(() =>
+    enabledRules.value.filter(r => r.semantic)
+  );
+
+  const failingExpectations = computed(() =>
+    goldenReport.value ? goldenReport.value.results.filter(r => r.status === 'failed' || r.status === 'error') : []
   );
 
   return {
     // State
-    rules,
-    stats,
+    defaultRules,
+    baseRules,
+    packs,
+    conflicts,
+    draft,
+    validation,
+    dryRunResult,
+    expectations,
+    goldenReport,
     isLoading,
+    isRunning,
     error,
 
     // Computed
+    parsedDraft,
+    customRules,
+    allRules,
+    isDirty,
     ruleCount,
     enabledRules,
-    rulesByType,
-    rulesBySeverity,
-    criticalRules,
-    highRules,
+    semanticRules,
+    failingExpectations,
 
     // Methods
-    getAllRules,
-    reloadRules,
-    getStats
+    load,
+    validateDraft,
+    saveDraft,
+    dryRun,
+    saveExpectation,
+    deleteExpectation,
+    runGoldenTests,
+    listenGoldenResults,
+    setPackEnabled,
+    setPackSeverity,
+    movePack,
+    importPack,
+    exportPack,
+    removePack
   };
 }
-
@@ -0,0 +1,22 @@
+// 一致性问题的类型、严重程度显示文本（与 electron/core/consistencyReport.js 的枚举对应）
+export const ISSUE_TYPE_LABELS: Record<string, string> = {
+  timeline: '时间冲突',
+  character: '人物冲突',
+  world: '世界观冲突',
+  plot: '情节合理性',
+  contradiction: '前后矛盾',
+  other: '其他'
+};
+
+export const SEVERITY_LABELS: Record<string, string> = {
+  error: '严重',
+  warning: '警告',
+  info: '提示'
+};
+
+// 严重程度标签的样式
+export const SEVERITY_CLASSES: Record<string, string> = {
+  error: 'bg-rose-900/60 text-rose-300',
+  warning: 'bg-amber-900/60 text-amber-300',
+  info: 'bg-sky-900/60 text-sky-300'
+};